@@ -0,0 +1,91 @@
+/* eslint-disable no-restricted-globals */
+// --- Service worker: keeps the app shell available offline and shows Web Push alerts ---
+// Space weather data itself is cached by the app in IndexedDB (src/lib/offlineCache.js); Firestore,
+// NASA and NOAA requests pass straight through. This worker only caches what is needed to start
+// the dashboard without a network: the page, the built JS/CSS bundles, icons and web fonts.
+// Bump CACHE_VERSION to drop everything cached by an older release.
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `space-weather-shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `space-weather-assets-${CACHE_VERSION}`;
+
+const SHELL_URLS = ['./', './index.html', './manifest.json', './favicon.ico', './logo192.png', './logo512.png'];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_URLS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, ASSET_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim()),
+    );
+});
+
+// Page loads: network first so a new release shows up at once, the cached page when offline
+async function handleNavigation(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            cache.put('./index.html', response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await caches.match('./index.html')) || Response.error();
+    }
+}
+
+// Bundles (content-hashed by the build), icons and fonts: answer from the cache, refresh behind it
+async function handleAsset(request) {
+    const cache = await caches.open(ASSET_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached || Response.error());
+    return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if ((url.origin === self.location.origin && !url.pathname.endsWith('service-worker.js')) || FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(handleAsset(request));
+    }
+});
+
+// Web Push from the ingestion worker (worker/pushNotifications.mjs): { title, body, tag }
+self.addEventListener('push', (event) => {
+    let payload = {};
+    try {
+        payload = event.data ? event.data.json() : {};
+    } catch (error) {
+        payload = { body: event.data.text() };
+    }
+    event.waitUntil(self.registration.showNotification(payload.title || 'Space weather alert', {
+        body: payload.body,
+        tag: payload.tag,
+        renotify: true,
+        icon: './logo192.png',
+    }));
+});
+
+// Clicking a notification focuses an open dashboard, or opens one
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+            const open = windows.find(client => new URL(client.url).origin === self.location.origin);
+            return open ? open.focus() : self.clients.openWindow('./');
+        }),
+    );
+});
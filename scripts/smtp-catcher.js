@@ -0,0 +1,86 @@
+// --- Local SMTP catcher for alert emails ---
+// A minimal SMTP server that accepts every message and prints it instead of delivering it:
+//
+//   node scripts/smtp-catcher.js           (listens on SMTP_PORT, default 2525)
+//   SMTP_URL=smtp://localhost:2525 node worker/ingest.mjs --once
+//
+// It speaks just enough SMTP for nodemailer (EHLO, MAIL, RCPT, DATA, RSET, NOOP, QUIT), with no
+// TLS and no authentication. RCPT TO an address starting with "reject" answers 550, and one
+// starting with "busy" answers 451, to exercise permanent and temporary failures.
+const net = require('net');
+
+const PORT = Number(process.env.SMTP_PORT) || 2525;
+
+function createSmtpCatcher() {
+    const messages = [];
+    const server = net.createServer((socket) => {
+        let envelope = { from: null, to: [] };
+        let data = null; // Lines of the message while inside DATA
+        let buffer = '';
+        const reply = (line) => socket.write(`${line}\r\n`);
+
+        const handleCommand = (line) => {
+            const verb = line.slice(0, 4).toUpperCase();
+            const argument = line.slice(line.indexOf(':') + 1).trim().replace(/^<|>$/g, '');
+            switch (verb) {
+                case 'EHLO':
+                case 'HELO':
+                    return reply('250 localhost');
+                case 'MAIL':
+                    envelope = { from: argument, to: [] };
+                    return reply('250 OK');
+                case 'RCPT':
+                    if (argument.startsWith('reject')) return reply('550 Mailbox unavailable');
+                    if (argument.startsWith('busy')) return reply('451 Try again later');
+                    envelope.to.push(argument);
+                    return reply('250 OK');
+                case 'DATA':
+                    data = [];
+                    return reply('354 End data with <CR><LF>.<CR><LF>');
+                case 'RSET':
+                    envelope = { from: null, to: [] };
+                    return reply('250 OK');
+                case 'NOOP':
+                    return reply('250 OK');
+                case 'QUIT':
+                    reply('221 Bye');
+                    return socket.end();
+                default:
+                    return reply('502 Command not implemented');
+            }
+        };
+
+        const handleDataLine = (line) => {
+            if (line !== '.') {
+                data.push(line.startsWith('..') ? line.slice(1) : line);
+                return;
+            }
+            const message = { ...envelope, raw: data.join('\r\n'), receivedAt: new Date().toISOString() };
+            messages.push(message);
+            console.log(`Mail from ${message.from} to ${message.to.join(', ')}\n${message.raw}\n`);
+            data = null;
+            reply('250 OK: queued');
+        };
+
+        reply('220 localhost SMTP catcher');
+        socket.setEncoding('utf8');
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (data) handleDataLine(line);
+                else handleCommand(line);
+            }
+        });
+        socket.on('error', error => console.warn('SMTP connection error:', error.message));
+    });
+    return { server, messages };
+}
+
+if (require.main === module) {
+    createSmtpCatcher().server.listen(PORT, () => console.log(`SMTP catcher listening on smtp://localhost:${PORT}`));
+}
+
+module.exports = { createSmtpCatcher };
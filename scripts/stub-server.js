@@ -0,0 +1,51 @@
+// --- Local stub server for the data-source adapters ---
+// Serves the recorded responses under fixtures/ so the adapters can be exercised without
+// touching NASA or NOAA. Point the data-source config at it:
+//
+//   node scripts/stub-server.js            (listens on STUB_PORT, default 4010)
+//   { donkiBaseUrl: 'http://localhost:4010/DONKI', swpcBaseUrl: 'http://localhost:4010/swpc' }
+//
+// /DONKI/<endpoint>?... answers fixtures/donki/<endpoint>.json (query string ignored),
+// /swpc/<path> answers fixtures/swpc/<path> and /imagery/<source>/<frame> answers the sample solar
+// image frames in fixtures/imagery (see REACT_APP_SOLAR_IMAGE_URL in .env.example). A missing
+// fixture is a 404, like a bad endpoint.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.resolve(__dirname, '..', 'fixtures');
+const PORT = Number(process.env.STUB_PORT) || 4010;
+const CONTENT_TYPES = { '.json': 'application/json', '.svg': 'image/svg+xml', '.png': 'image/png', '.jpg': 'image/jpeg' };
+
+function resolveFixture(pathname) {
+    const donkiMatch = pathname.match(/^\/DONKI\/([A-Za-z]+)$/);
+    if (donkiMatch) return path.join(FIXTURES_DIR, 'donki', `${donkiMatch[1]}.json`);
+    if (pathname.startsWith('/swpc/')) return path.join(FIXTURES_DIR, 'swpc', pathname.slice('/swpc/'.length));
+    if (pathname.startsWith('/imagery/')) return path.join(FIXTURES_DIR, 'imagery', pathname.slice('/imagery/'.length));
+    return null;
+}
+
+function createStubServer() {
+    return http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const file = resolveFixture(pathname);
+
+        // Keep requests inside fixtures/ even if the path tries to climb out
+        if (!file || !file.startsWith(FIXTURES_DIR) || !fs.existsSync(file)) {
+            console.log(`404 ${req.method} ${req.url}`);
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `No fixture for ${pathname}` }));
+            return;
+        }
+
+        console.log(`200 ${req.method} ${req.url}`);
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream', 'Access-Control-Allow-Origin': '*' });
+        fs.createReadStream(file).pipe(res);
+    });
+}
+
+if (require.main === module) {
+    createStubServer().listen(PORT, () => console.log(`Stub data-source server listening on http://localhost:${PORT}`));
+}
+
+module.exports = { createStubServer };
@@ -0,0 +1,43 @@
+// --- Local HTTP sink for alert webhooks ---
+// Accepts whatever the alert dispatcher POSTs and prints it, so Slack-compatible and JSON webhook
+// endpoints can be tried without a real Slack workspace:
+//
+//   node scripts/webhook-sink.js           (listens on SINK_PORT, default 4020)
+//
+// Any path answers 200, except /status/<code>, which answers that code (e.g. /status/503 to
+// watch the retries). GET /requests lists everything received so far as JSON.
+const http = require('http');
+
+const PORT = Number(process.env.SINK_PORT) || 4020;
+
+function createWebhookSink() {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'GET' && pathname === '/requests') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(received, null, 2));
+            return;
+        }
+
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const statusMatch = pathname.match(/^\/status\/(\d{3})$/);
+            const status = statusMatch ? Number(statusMatch[1]) : 200;
+            received.push({ method: req.method, path: pathname, headers: req.headers, body, status, receivedAt: new Date().toISOString() });
+            console.log(`${status} ${req.method} ${req.url}\n${body}\n`);
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end(status < 400 ? 'ok' : 'error');
+        });
+    });
+    return { server, received };
+}
+
+if (require.main === module) {
+    createWebhookSink().server.listen(PORT, () => console.log(`Webhook sink listening on http://localhost:${PORT}`));
+}
+
+module.exports = { createWebhookSink };
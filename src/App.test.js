@@ -0,0 +1,175 @@
+import React from 'react';
+import { render, screen, act, fireEvent } from '@testing-library/react';
+import flares from '../fixtures/donki/FLR.json';
+import storms from '../fixtures/donki/GST.json';
+import { Dashboard, FirebaseContext } from './App';
+import { DEFAULT_PROFILE } from './lib/profile';
+import { mergeHourlySeries } from './lib/sources';
+import { donkiFlareAdapter, donkiGeomagneticStormAdapter } from './lib/sources/donki';
+import { subscribeSeriesRange } from './lib/seriesStore';
+
+// Firestore is replaced by listeners the tests feed by hand; the browser-only pieces (IndexedDB
+// cache, notifications) are stubbed out. The dashboard itself never calls fetch.
+jest.mock('./lib/seriesStore', () => ({
+    subscribeSeriesRange: jest.fn(),
+    subscribeCoverage: () => () => {},
+    subscribeOpenBackfillRequests: () => () => {},
+    subscribeIngestionStatus: (db, appId, onStatus) => {
+        onStatus({ lastRunAt: null, lastSuccessAt: null, lastError: null, apiQuota: [{ host: 'api.nasa.gov', limit: 1000, remaining: 812, checkedAt: null, throttledUntil: null }] });
+        return () => {};
+    },
+    requestBackfill: () => Promise.resolve(),
+}));
+jest.mock('./lib/eventStore', () => ({ subscribeSpaceWeatherEvents: () => () => {} }));
+jest.mock('./lib/alertRuleStore', () => ({
+    subscribeAlertRules: () => () => {},
+    saveAlertRules: () => Promise.resolve(),
+    resetAlertRules: () => Promise.resolve(),
+}));
+jest.mock('./lib/notificationStore', () => ({
+    subscribeNotificationPrefs: () => () => {},
+    saveNotificationPrefs: () => Promise.resolve(),
+    savePushSubscription: () => Promise.resolve(),
+    deletePushSubscription: () => Promise.resolve(),
+}));
+jest.mock('./lib/observerLocation', () => ({
+    ...jest.requireActual('./lib/observerLocation'),
+    loadObserverLocation: () => Promise.resolve(null),
+    saveObserverLocation: () => Promise.resolve(),
+}));
+jest.mock('./lib/assetStore', () => ({ subscribeAssets: () => () => {}, saveAsset: () => Promise.resolve(), deleteAsset: () => Promise.resolve() }));
+jest.mock('./lib/teamStore', () => ({
+    subscribeTeams: (db, appId, userId, onTeams) => {
+        onTeams([{ id: 'ops', name: 'Ops', role: 'editor' }]);
+        return () => {};
+    },
+    subscribeTeamMembers: () => () => {},
+    subscribeAnnotations: (db, teamPath, onAnnotations) => {
+        onAnnotations([{ id: 'a1', text: 'GPS outage reported at site B', at: '2024-05-10T21:00:00.000Z', eventId: null, authorId: 'user-2', authorName: 'Bob' }]);
+        return () => {};
+    },
+    subscribeComments: () => () => {},
+}));
+jest.mock('./lib/trendPanelStore', () => ({ loadTrendPanels: () => Promise.resolve(null), saveTrendPanels: () => Promise.resolve() }));
+jest.mock('./lib/offlineCache', () => ({
+    subscribeWithOfflineCache: (key, subscribe, onData) => subscribe((value) => onData(value, { fromCache: false, savedAt: 0 })),
+}));
+jest.mock('./lib/browserNotifications', () => ({
+    ...jest.requireActual('./lib/browserNotifications'),
+    showAlertNotification: () => Promise.resolve(),
+}));
+
+const stormSeries = mergeHourlySeries([
+    { sourceId: 'donki-flr', records: donkiFlareAdapter.parse(flares) },
+    { sourceId: 'donki-gst', records: donkiGeomagneticStormAdapter.parse(storms) },
+], { startDate: new Date('2024-05-08T00:00:00Z'), endDate: new Date('2024-05-11T01:59:59Z') });
+
+const firebase = {
+    db: {},
+    auth: {},
+    userId: 'user-1',
+    isAuthReady: true,
+    account: { uid: 'user-1', isAnonymous: true, email: null, displayName: null, providers: [] },
+    profile: DEFAULT_PROFILE,
+    refreshAccount: () => {},
+};
+
+let listeners;
+
+// Every subscribeSeriesRange listener: the recent series first, then the charted range
+const emit = (callback) => act(() => listeners.forEach(listener => callback(listener)));
+
+const renderDashboard = (context = firebase) => render(
+    <FirebaseContext.Provider value={context}>
+        <Dashboard showAccount={false} />
+    </FirebaseContext.Provider>,
+);
+
+beforeEach(() => {
+    listeners = [];
+    subscribeSeriesRange.mockImplementation((db, appId, range, onValue, onError) => {
+        listeners.push({ onValue, onError });
+        return () => {};
+    });
+    global.fetch = jest.fn(() => Promise.reject(new Error('The dashboard should not fetch')));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    delete global.fetch;
+});
+
+describe('Dashboard', () => {
+    it('shows the loading screen until the series arrives', () => {
+        renderDashboard();
+        expect(screen.getByText(/Initiating Deep Space Scan/)).toBeInTheDocument();
+        expect(listeners.length).toBeGreaterThan(0);
+    });
+
+    it('does not subscribe before sign-in has finished', () => {
+        renderDashboard({ ...firebase, isAuthReady: false });
+        expect(subscribeSeriesRange).not.toHaveBeenCalled();
+    });
+
+    it('shows an error when the subscription fails', () => {
+        renderDashboard();
+        emit(({ onError }) => onError(new Error('permission-denied')));
+        expect(screen.getByText(/Failed to connect to real-time updates/)).toBeInTheDocument();
+    });
+
+    it('explains an empty collection', () => {
+        renderDashboard();
+        emit(({ onValue }) => onValue([]));
+        expect(screen.getByText(/No real space weather data available yet/)).toBeInTheDocument();
+    });
+
+    it('says when it is offline with nothing saved', () => {
+        jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+        renderDashboard();
+        expect(screen.getByText(/You are offline and this device has no saved space weather data yet/)).toBeInTheDocument();
+    });
+
+    it('keeps the rules it already notified until the notification settings have loaded', async () => {
+        localStorage.setItem('space-weather-notified-rules:user-1', JSON.stringify(['flare-x']));
+        renderDashboard();
+        emit(({ onValue }) => onValue(stormSeries));
+        expect(await screen.findByText('Universal Space Weather Dashboard')).toBeInTheDocument();
+        expect(JSON.parse(localStorage.getItem('space-weather-notified-rules:user-1'))).toEqual(['flare-x']);
+        localStorage.clear();
+    });
+
+    it('shows conditions and alerts from the data', async () => {
+        renderDashboard();
+        emit(({ onValue }) => onValue(stormSeries));
+        expect(await screen.findByText('Universal Space Weather Dashboard')).toBeInTheDocument();
+        expect(screen.getByRole('heading', { name: 'SEVERE SPACE WEATHER ALERT!' })).toBeInTheDocument();
+        expect(screen.getByText('[Severe] X-class flare:')).toBeInTheDocument();
+        expect(screen.getByText('Current Space Conditions')).toBeInTheDocument();
+        expect(screen.getByText('X5.8')).toBeInTheDocument();
+        expect(screen.getByText('Celestial Events Tonight')).toBeInTheDocument();
+        expect(screen.getByText('NASA API: 812 of 1,000 requests left this hour')).toBeInTheDocument();
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('shows the notes of the user\'s team', async () => {
+        renderDashboard();
+        emit(({ onValue }) => onValue(stormSeries));
+        expect(await screen.findByRole('heading', { name: 'Team Workspace' })).toBeInTheDocument();
+        expect(screen.getByRole('combobox', { name: 'Team' })).toHaveDisplayValue('Ops (Editor)');
+        expect(screen.getByText('GPS outage reported at site B')).toBeInTheDocument();
+        expect(screen.getByText('Click a point on the trends or pick an event to pin a note to it.')).toBeInTheDocument();
+    });
+
+    it('describes the trend charts and shows their values as a table on request', async () => {
+        renderDashboard();
+        emit(({ onValue }) => onValue(stormSeries));
+        const toggle = await screen.findByRole('button', { name: 'Show data table' });
+        expect(screen.getByRole('figure', { name: 'Kp Index by NOAA G-scale' })).toHaveAccessibleDescription(/^\d+ points from .+\. Highest Kp Index: \d/);
+        expect(toggle).toHaveAttribute('aria-expanded', 'false');
+        fireEvent.click(toggle);
+        expect(screen.getByRole('button', { name: 'Hide data table' })).toHaveAttribute('aria-expanded', 'true');
+        expect(screen.getByRole('grid')).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from 'react';
+import { UserCircle, LogIn, LogOut, Save } from 'lucide-react';
+import { OAUTH_PROVIDERS, authErrorMessage } from '../lib/accounts';
+import { SPEED_UNITS, TIME_DISPLAYS, MAX_DISPLAY_NAME_LENGTH, validateProfile } from '../lib/profile';
+import { LANGUAGES } from '../lib/i18n';
+import { THEMES } from '../lib/displayPreferences';
+import { useI18n } from './I18nContext';
+
+const inputClass = 'bg-space-light rounded-lg px-2 py-1 text-gray-100 border border-celestial-blue/20 focus:outline-none';
+const primaryButtonClass = 'flex items-center gap-2 bg-celestial-blue hover:bg-celestial-purple disabled:opacity-50 text-white px-3 py-2 rounded-lg transition-colors duration-300';
+const secondaryButtonClass = 'bg-space-light hover:bg-celestial-blue disabled:opacity-50 text-gray-100 px-3 py-2 rounded-lg border border-celestial-blue/30 transition-colors duration-300';
+const linkClass = 'text-sm text-celestial-blue hover:text-white transition-colors duration-300';
+
+const FORM_TITLES = { create: 'Create an account', signin: 'Sign in', reset: 'Reset your password' };
+
+// Sign-in for guests, account details for everyone else, and the profile form. The handlers do the
+// work and throw on failure: onCreateAccount(email, password), onSignIn(email, password),
+// onOAuthSignIn(providerId), onResetPassword(email), onSignOut(), onSaveProfile(profile).
+// onEditAlertPrefs opens the notification settings.
+const AccountPanel = ({
+    account, profile, observer, notificationPrefs,
+    onCreateAccount, onSignIn, onOAuthSignIn, onResetPassword, onSignOut, onSaveProfile, onEditAlertPrefs,
+}) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [mode, setMode] = useState('create');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+    const [accountError, setAccountError] = useState(null);
+    const [draft, setDraft] = useState(profile);
+    const [savingProfile, setSavingProfile] = useState(false);
+    const [profileError, setProfileError] = useState(null);
+
+    useEffect(() => setDraft(profile), [profile]);
+
+    const run = async (action, successMessage) => {
+        setBusy(true);
+        setAccountError(null);
+        setMessage(null);
+        try {
+            const result = await action();
+            setPassword('');
+            setMessage(typeof successMessage === 'function' ? successMessage(result) : successMessage);
+        } catch (err) {
+            setAccountError(authErrorMessage(err));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (mode === 'create') run(() => onCreateAccount(email, password), 'Account created. Your saved settings are kept with it.');
+        else if (mode === 'signin') run(() => onSignIn(email, password), null);
+        else run(() => onResetPassword(email), `If ${email} has an account, a reset link is on its way.`);
+    };
+
+    const handleOAuth = (providerId) => run(() => onOAuthSignIn(providerId), null);
+
+    const handleSaveProfile = async () => {
+        setSavingProfile(true);
+        setProfileError(null);
+        try {
+            await onSaveProfile(draft);
+        } catch (err) {
+            setProfileError(err.message);
+        } finally {
+            setSavingProfile(false);
+        }
+    };
+
+    const profileErrors = validateProfile(draft, i18n);
+
+    return (
+        <div className="bg-space-medium p-6 rounded-xl shadow-lg border border-celestial-blue/20">
+            <h2 className="text-2xl font-bold text-solar-yellow mb-4 flex items-center gap-2">
+                <UserCircle className="h-6 w-6 text-solar-orange" /> Account and Profile
+            </h2>
+
+            <div className="grid gap-8 lg:grid-cols-2">
+                <section className="text-sm text-gray-200">
+                    {account.isAnonymous ? (
+                        <>
+                            <p className="text-gray-300 mb-4">
+                                You are using a guest session on this device. Create an account to use your settings elsewhere; everything saved so far stays with it.
+                            </p>
+                            <p role="note" className="text-solar-orange mb-4">
+                                {mode === 'create'
+                                    ? `If the ${Object.values(OAUTH_PROVIDERS).map(provider => provider.label).join(' or ')} account you continue with already exists, you switch to it and what you saved as a guest stays behind.`
+                                    : 'Signing in to an existing account switches to it: what you saved as a guest (location, alert rules, integrations) stays behind and is not carried over.'}
+                            </p>
+                            <form onSubmit={handleSubmit} className="space-y-3">
+                                <h3 className="text-lg font-semibold text-solar-yellow">{FORM_TITLES[mode]}</h3>
+                                <label className="flex flex-col gap-1">
+                                    Email
+                                    <input type="email" className={inputClass} value={email} onChange={(e) => setEmail(e.target.value)} autoComplete="email" required />
+                                </label>
+                                {mode !== 'reset' && (
+                                    <label className="flex flex-col gap-1">
+                                        Password
+                                        <input
+                                            type="password"
+                                            className={inputClass}
+                                            value={password}
+                                            onChange={(e) => setPassword(e.target.value)}
+                                            autoComplete={mode === 'create' ? 'new-password' : 'current-password'}
+                                            required
+                                        />
+                                    </label>
+                                )}
+                                <button type="submit" disabled={busy} className={primaryButtonClass}>
+                                    <LogIn className="h-4 w-4" /> {busy ? 'Working...' : FORM_TITLES[mode]}
+                                </button>
+                            </form>
+                            <div className="flex flex-wrap gap-4 mt-3">
+                                {mode !== 'create' && <button type="button" className={linkClass} onClick={() => setMode('create')}>Create an account</button>}
+                                {mode !== 'signin' && <button type="button" className={linkClass} onClick={() => setMode('signin')}>I already have an account</button>}
+                                {mode === 'signin' && <button type="button" className={linkClass} onClick={() => setMode('reset')}>Forgot your password?</button>}
+                            </div>
+                            <div className="flex flex-wrap gap-2 mt-4">
+                                {Object.entries(OAUTH_PROVIDERS).map(([providerId, provider]) => (
+                                    <button key={providerId} type="button" disabled={busy} className={secondaryButtonClass} onClick={() => handleOAuth(providerId)}>
+                                        Continue with {provider.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </>
+                    ) : (
+                        <>
+                            <p className="mb-1">Signed in as <span className="font-semibold text-gray-100">{account.email || account.displayName || account.uid}</span></p>
+                            <p className="text-gray-400 mb-4">
+                                Sign-in methods: {account.providers.map(id => (id === 'password' ? 'Email and password' : OAUTH_PROVIDERS[id]?.label || id)).join(', ')}
+                            </p>
+                            <button type="button" disabled={busy} className={secondaryButtonClass} onClick={() => run(onSignOut, 'Signed out. You are now a guest.')}>
+                                <span className="flex items-center gap-2"><LogOut className="h-4 w-4" /> Sign out</span>
+                            </button>
+                        </>
+                    )}
+                    {message && <p className="text-green-300 mt-3">{message}</p>}
+                    {accountError && <p className="text-solar-red mt-3">{accountError}</p>}
+                </section>
+
+                <section className="text-sm text-gray-200 space-y-3">
+                    <h3 className="text-lg font-semibold text-solar-yellow">Profile</h3>
+                    <label className="flex flex-col gap-1">
+                        Display name
+                        <input
+                            className={inputClass}
+                            value={draft.displayName}
+                            maxLength={MAX_DISPLAY_NAME_LENGTH}
+                            onChange={(e) => setDraft({ ...draft, displayName: e.target.value })}
+                        />
+                    </label>
+                    <label className="flex items-center gap-2">
+                        {t('profile.language')}
+                        <select className={inputClass} value={draft.language || ''} onChange={(e) => setDraft({ ...draft, language: e.target.value || null })}>
+                            <option value="">{t('profile.browserLanguage')}</option>
+                            {Object.entries(LANGUAGES).map(([code, spec]) => <option key={code} value={code}>{spec.label}</option>)}
+                        </select>
+                    </label>
+                    <label className="flex items-center gap-2">
+                        {t('profile.contrast')}
+                        <select className={inputClass} value={draft.theme || ''} onChange={(e) => setDraft({ ...draft, theme: e.target.value || null })}>
+                            <option value="">{t('profile.systemTheme')}</option>
+                            {Object.entries(THEMES).map(([id, spec]) => <option key={id} value={id}>{t(`profile.themes.${id}`, {}, spec.label)}</option>)}
+                        </select>
+                    </label>
+                    <label className="flex items-center gap-2">
+                        {t('profile.speedUnit')}
+                        <select className={inputClass} value={draft.units.speed} onChange={(e) => setDraft({ ...draft, units: { ...draft.units, speed: e.target.value } })}>
+                            {Object.entries(SPEED_UNITS).map(([unit, spec]) => <option key={unit} value={unit}>{spec.label}</option>)}
+                        </select>
+                    </label>
+                    <label className="flex items-center gap-2">
+                        {t('profile.timeDisplay')}
+                        <select className={inputClass} value={draft.units.time} onChange={(e) => setDraft({ ...draft, units: { ...draft.units, time: e.target.value } })}>
+                            {Object.entries(TIME_DISPLAYS).map(([display, spec]) => <option key={display} value={display}>{t(`profile.timeDisplays.${display}`, {}, spec.label)}</option>)}
+                        </select>
+                    </label>
+                    <p>
+                        Home location: <span className="text-gray-100">{observer.name}</span>
+                        <span className="text-gray-400"> (change it with the location picker below)</span>
+                    </p>
+                    <p>
+                        Alert notifications: <span className="text-gray-100">{notificationPrefs?.enabled ? `on for ${notificationPrefs.minSeverity} and above` : 'off'}</span>
+                        <button type="button" className={`${linkClass} ml-3`} onClick={onEditAlertPrefs}>Edit alert preferences</button>
+                    </p>
+                    {profileErrors.map(problem => <p key={problem} className="text-solar-red">{problem}</p>)}
+                    {profileError && <p className="text-solar-red">{profileError}</p>}
+                    <button type="button" onClick={handleSaveProfile} disabled={savingProfile || profileErrors.length > 0} className={primaryButtonClass}>
+                        <Save className="h-4 w-4" /> {savingProfile ? 'Saving...' : 'Save Profile'}
+                    </button>
+                </section>
+            </div>
+        </div>
+    );
+};
+
+export default AccountPanel;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import AccountPanel from './AccountPanel';
+import { DEFAULT_PROFILE } from '../lib/profile';
+import { createI18n } from '../lib/i18n';
+import { I18nContext } from './I18nContext';
+
+const renderPanel = ({ language, ...props } = {}) => {
+    const handlers = {
+        onCreateAccount: jest.fn(() => Promise.resolve()),
+        onSignIn: jest.fn(() => Promise.resolve()),
+        onOAuthSignIn: jest.fn(() => Promise.resolve()),
+        onResetPassword: jest.fn(() => Promise.resolve()),
+        onSignOut: jest.fn(() => Promise.resolve()),
+        onSaveProfile: jest.fn(() => Promise.resolve()),
+        onEditAlertPrefs: jest.fn(),
+    };
+    render(
+        <I18nContext.Provider value={createI18n({ language })}>
+            <AccountPanel
+                account={{ uid: 'alice', isAnonymous: false, email: 'alice@example.com', providers: ['password'] }}
+                profile={DEFAULT_PROFILE}
+                observer={{ name: 'Tromsø' }}
+                notificationPrefs={null}
+                {...handlers}
+                {...props}
+            />
+        </I18nContext.Provider>,
+    );
+    return handlers;
+};
+
+describe('AccountPanel', () => {
+    it('saves the picked contrast theme with the profile', async () => {
+        const handlers = renderPanel();
+        const contrast = screen.getByRole('combobox', { name: 'Contrast' });
+        expect([...contrast.options].map(option => option.textContent)).toEqual(['System setting', 'Standard', 'High contrast']);
+        fireEvent.change(contrast, { target: { value: 'high-contrast' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Save Profile' }));
+        await waitFor(() => expect(handlers.onSaveProfile).toHaveBeenCalledWith(expect.objectContaining({ theme: 'high-contrast' })));
+    });
+
+    it('warns a guest before signing in to an existing account leaves their settings behind', () => {
+        renderPanel({ account: { uid: 'guest', isAnonymous: true, email: null, providers: [] } });
+        expect(screen.getByRole('note')).toHaveTextContent('If the Google or GitHub account you continue with already exists, you switch to it');
+        fireEvent.click(screen.getByRole('button', { name: 'I already have an account' }));
+        expect(screen.getByRole('note')).toHaveTextContent('what you saved as a guest (location, alert rules, integrations) stays behind');
+        expect(screen.getByRole('button', { name: 'Sign in' })).toBeInTheDocument();
+    });
+
+    it('speaks the viewer\'s language, setting names, options and validation included', () => {
+        renderPanel({ language: 'de' });
+        const options = (name) => [...screen.getByRole('combobox', { name }).options].map(option => option.textContent);
+        expect(options('Kontrast')).toEqual(['Systemeinstellung', 'Standard', 'Hoher Kontrast']);
+        expect(options('Sprache')[0]).toBe('Wie im Browser');
+        expect(options('Zeiten in')).toEqual(['Ortszeit', 'UTC']);
+        expect(screen.getByRole('combobox', { name: 'Geschwindigkeiten in' })).toBeInTheDocument();
+        fireEvent.change(screen.getByRole('textbox', { name: 'Display name' }), { target: { value: 'x'.repeat(51) } });
+        expect(screen.getByText('Der Anzeigename darf höchstens 50 Zeichen lang sein.')).toBeInTheDocument();
+    });
+});
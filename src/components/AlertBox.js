@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useRef, useId } from 'react';
+import { Activity, CloudLightning, AlertTriangle } from 'lucide-react';
+import NoaaScaleBadges from './NoaaScaleBadges';
+import { useI18n } from './I18nContext';
+import { BUILT_IN_ALERT_MESSAGES, DEFAULT_ALERT_RULES } from '../lib/alertRules';
+
+// Look of each alert level, titled by alerts.levels.<level>; anything unknown is shown as Normal.
+// Animations only run with motion-safe:; with reduced motion the higher levels get a still ring.
+const LEVEL_STYLES = {
+    Normal: {
+        colors: 'bg-green-700/20 border-green-500 text-green-300',
+        Icon: Activity,
+        iconClass: 'text-green-400 motion-safe:animate-pulse-slow',
+        pulseClass: '',
+    },
+    Minor: {
+        colors: 'bg-solar-yellow/20 border-solar-yellow text-solar-yellow',
+        Icon: CloudLightning,
+        iconClass: 'text-solar-yellow motion-safe:animate-bounce-custom',
+        pulseClass: 'motion-safe:animate-pulse',
+    },
+    Moderate: {
+        colors: 'bg-solar-orange/20 border-solar-orange text-solar-orange',
+        Icon: AlertTriangle,
+        iconClass: 'text-solar-orange motion-safe:animate-pulse',
+        pulseClass: 'motion-safe:animate-pulse-fast motion-reduce:ring-2 motion-reduce:ring-solar-orange/60',
+    },
+    Severe: {
+        colors: 'bg-solar-red/20 border-solar-red text-solar-red',
+        Icon: AlertTriangle,
+        iconClass: 'text-solar-red motion-safe:animate-ping-strong',
+        pulseClass: 'motion-safe:animate-pulse-critical motion-reduce:ring-4 motion-reduce:ring-solar-red/70',
+    },
+};
+
+const BUILT_IN_RULE_NAMES = Object.fromEntries(DEFAULT_ALERT_RULES.map(rule => [rule.id, rule.name]));
+
+// Built-in texts are shown in the viewer's language; texts the user wrote are shown as written
+const translateBuiltIn = (t, key, text, builtInText) => (text && text === builtInText ? t(key, {}, text) : text);
+
+// Alert Box for Space Weather Prediction - Advanced UI. `prediction` comes from evaluateAlertRules.
+// A change of level is announced to screen readers, urgently when it becomes Severe.
+const AlertBox = ({ prediction, scales }) => {
+    const { t } = useI18n();
+    const headingId = useId();
+    const [announcement, setAnnouncement] = useState('');
+    const previousLevel = useRef(prediction.level);
+    const { level, firedRules = [] } = prediction;
+    const styleLevel = LEVEL_STYLES[level] ? level : 'Normal';
+    const { colors, Icon, iconClass, pulseClass } = LEVEL_STYLES[styleLevel];
+    const builtIn = BUILT_IN_ALERT_MESSAGES[level] || {};
+    const message = translateBuiltIn(t, `alerts.builtIn.${level}.message`, prediction.message, builtIn.message);
+    const details = translateBuiltIn(t, `alerts.builtIn.${level}.details`, prediction.details, builtIn.details);
+    const title = t(`alerts.levels.${styleLevel}`);
+
+    // The level shown on first render is read with the page; only changes are announced
+    useEffect(() => {
+        if (previousLevel.current === level) return;
+        previousLevel.current = level;
+        setAnnouncement(t('alerts.announce', { title, message }));
+    }, [level, title, message, t]);
+
+    return (
+        <section aria-labelledby={headingId} className={`${colors} px-8 py-6 rounded-xl shadow-xl border-2 ${pulseClass} transition-all duration-300 ease-in-out`}>
+            <p role="status" aria-live={level === 'Severe' ? 'assertive' : 'polite'} aria-atomic="true" className="sr-only">{announcement}</p>
+            <div className="flex items-center mb-3">
+                <Icon className={`h-8 w-8 ${iconClass}`} aria-hidden="true" />
+                <h3 id={headingId} className="text-2xl font-bold ml-4">{title}</h3>
+            </div>
+            <p className="text-xl mb-2">{message}</p>
+            {details && <p className="text-sm italic opacity-80">{details}</p>}
+            {scales && (
+                <div className="mt-4">
+                    <NoaaScaleBadges scales={scales} showImpacts />
+                </div>
+            )}
+            {firedRules.length > 0 && (
+                <div className="mt-4 pt-3 border-t border-white/10">
+                    <p className="text-sm font-semibold mb-1">{t('alerts.why')}</p>
+                    <ul className="text-sm space-y-1 opacity-90">
+                        {firedRules.map(fired => (
+                            <li key={fired.ruleId}>
+                                <span className="font-semibold">
+                                    [{t(`alerts.severities.${fired.severity}`, {}, fired.severity)}] {translateBuiltIn(t, `alerts.rules.${fired.ruleId}`, fired.name, BUILT_IN_RULE_NAMES[fired.ruleId])}:
+                                </span> {fired.reason}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </section>
+    );
+};
+
+export default AlertBox;
@@ -0,0 +1,85 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import AlertBox from './AlertBox';
+import { DEFAULT_ALERT_RULES, evaluateAlertRules } from '../lib/alertRules';
+import { getNoaaScales } from '../lib/noaaScales';
+import { createI18n } from '../lib/i18n';
+import { I18nContext } from './I18nContext';
+
+const prediction = (level, extra = {}) => ({ level, message: `${level} message`, details: `${level} details`, ...extra });
+
+describe('AlertBox', () => {
+    it.each([
+        ['Normal', 'Nominal Conditions', 'border-green-500'],
+        ['Minor', 'Minor Solar Activity Advisory', 'border-solar-yellow'],
+        ['Moderate', 'Moderate Space Weather Watch', 'border-solar-orange'],
+        ['Severe', 'SEVERE SPACE WEATHER ALERT!', 'border-solar-red'],
+    ])('shows the %s level', (level, title, borderClass) => {
+        const { container } = render(<AlertBox prediction={prediction(level)} />);
+        expect(screen.getByRole('heading', { name: title })).toBeInTheDocument();
+        expect(screen.getByText(`${level} message`)).toBeInTheDocument();
+        expect(screen.getByText(`${level} details`)).toBeInTheDocument();
+        expect(container.firstChild).toHaveClass(borderClass);
+    });
+
+    it('falls back to Normal for a level it does not know', () => {
+        render(<AlertBox prediction={prediction('Unknown')} />);
+        expect(screen.getByRole('heading', { name: 'Nominal Conditions' })).toBeInTheDocument();
+    });
+
+    it('explains which rules fired', () => {
+        const series = [{ timestamp: '2024-05-10T21:00:00.000Z', geomagneticStormLevel: 9, solarFlareCount: 0, maxCmeSpeed: 0 }];
+        render(<AlertBox prediction={evaluateAlertRules(DEFAULT_ALERT_RULES, series, { geomagneticStormLevel: 'Kp Index' })} />);
+        expect(screen.getByText('Why this alert:')).toBeInTheDocument();
+        expect(screen.getAllByRole('listitem')).toHaveLength(3);
+        expect(screen.getByText('[Severe] Severe geomagnetic storm (Kp ≥ 7):')).toBeInTheDocument();
+    });
+
+    it('leaves out the explanation when no rule fired', () => {
+        render(<AlertBox prediction={prediction('Normal', { firedRules: [] })} />);
+        expect(screen.queryByText('Why this alert:')).not.toBeInTheDocument();
+    });
+
+    it('shows the NOAA scales with their impacts', () => {
+        render(<AlertBox prediction={prediction('Severe')} scales={getNoaaScales({ geomagneticStormLevel: 9 })} />);
+        expect(screen.getByText(/Widespread voltage control problems/)).toBeInTheDocument();
+    });
+
+    it('shows built-in texts in the viewer\'s language and the user\'s own texts as written', () => {
+        const series = [{ timestamp: '2024-05-10T21:00:00.000Z', geomagneticStormLevel: 9, solarFlareCount: 0, maxCmeSpeed: 0 }];
+        const spanish = createI18n({ language: 'es', timeDisplay: 'utc' });
+        const rules = DEFAULT_ALERT_RULES.map(rule => (rule.id === 'kp-moderate' ? { ...rule, name: 'My storm rule' } : rule));
+        render(
+            <I18nContext.Provider value={spanish}>
+                <AlertBox prediction={evaluateAlertRules(rules, series, { geomagneticStormLevel: 'Índice Kp' }, spanish)} />
+            </I18nContext.Provider>,
+        );
+        expect(screen.getByRole('heading', { name: '¡ALERTA DE CLIMA ESPACIAL SEVERO!' })).toBeInTheDocument();
+        expect(screen.getByText(/^ALERTA SEVERA/)).toBeInTheDocument();
+        expect(screen.getByText('[Severa] Tormenta geomagnética severa (Kp ≥ 7):')).toBeInTheDocument();
+        expect(screen.getByText('[Moderada] My storm rule:')).toBeInTheDocument();
+        expect(screen.getByText(/Índice Kp >= 7 en las últimas 3 h a las 2024-05-10 21:00 UTC/)).toBeInTheDocument();
+    });
+
+    it('announces a change of level but not the level it starts with', () => {
+        const { rerender } = render(<AlertBox prediction={prediction('Minor')} />);
+        const status = screen.getByRole('status');
+        expect(status).toHaveTextContent(/^$/);
+        expect(status).toHaveAttribute('aria-live', 'polite');
+        rerender(<AlertBox prediction={prediction('Severe')} />);
+        expect(status).toHaveTextContent('Space weather alert level changed: SEVERE SPACE WEATHER ALERT!. Severe message');
+        expect(status).toHaveAttribute('aria-live', 'assertive');
+    });
+
+    it('keeps animations to motion-safe and marks high levels without motion', () => {
+        const { container } = render(<AlertBox prediction={prediction('Severe')} />);
+        expect(container.firstChild).toHaveClass('motion-safe:animate-pulse-critical', 'motion-reduce:ring-4');
+        expect(container.querySelector('[class*="animate-"]:not([class*="motion-safe:animate-"])')).toBeNull();
+    });
+
+    it('has no detectable accessibility violations', async () => {
+        const { container } = render(<AlertBox prediction={prediction('Severe')} scales={getNoaaScales({ geomagneticStormLevel: 9 })} />);
+        expect(await axe(container)).toHaveNoViolations();
+    });
+});
@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { Webhook, Plus, Trash2, Pencil, Send, Save, X } from 'lucide-react';
+import { ENDPOINT_KINDS, DEFAULT_TEMPLATES, TEMPLATE_FIELDS, newAlertEndpoint, validateAlertEndpoint } from '../lib/alertDispatch';
+import OwnerSelect from './OwnerSelect';
+import { useI18n } from './I18nContext';
+
+const SEVERITIES = ['Minor', 'Moderate', 'Severe'];
+
+const inputClass = 'bg-space-light rounded-lg px-2 py-1 text-gray-100 border border-celestial-blue/20 focus:outline-none';
+
+const DELIVERY_STATUS_CLASSES = {
+    delivered: 'text-green-300',
+    failed: 'text-solar-red',
+};
+
+// Headers are edited as "Name: value" lines
+const headersToText = (headers) => Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+const textToHeaders = (text) => Object.fromEntries(text.split('\n')
+    .map(line => line.split(/:(.*)/s).map(part => part.trim()))
+    .filter(([name, value]) => name && value));
+
+// Webhook and email endpoints that receive alerts from the ingestion worker, with the log of
+// recent deliveries. Sending (and the test button) happens on the worker's next run. The user's
+// own endpoints are shown, or those of the team chosen from `teams` (the ones they administer).
+const AlertIntegrations = ({ endpoints, deliveries, metricFields, onSave, onDelete, onTest, teams = [], teamId = '', onTeamChange }) => {
+    const i18n = useI18n();
+    const { t, formatTimestamp } = i18n;
+    const [draft, setDraft] = useState(null);
+    const [headersText, setHeadersText] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [integrationError, setIntegrationError] = useState(null);
+
+    const startEditing = (endpoint) => {
+        setDraft({ ...endpoint, to: endpoint.to || [] });
+        setHeadersText(headersToText(endpoint.headers));
+        setIntegrationError(null);
+    };
+    const update = (changes) => setDraft(current => ({ ...current, ...changes }));
+    const toggleMetric = (field) => update({
+        metrics: draft.metrics.includes(field) ? draft.metrics.filter(m => m !== field) : [...draft.metrics, field],
+    });
+
+    const withHeaders = (endpoint) => ({ ...endpoint, headers: endpoint.kind === 'webhook' ? textToHeaders(headersText) : {} });
+
+    const handleSave = async () => {
+        setSaving(true);
+        setIntegrationError(null);
+        try {
+            await onSave(withHeaders(draft));
+            setDraft(null);
+        } catch (err) {
+            setIntegrationError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const runAction = (action) => action().catch(err => setIntegrationError(err.message));
+
+    const errors = draft ? validateAlertEndpoint(withHeaders(draft), i18n) : [];
+    const kindLabel = (kind) => t(`integrations.kinds.${kind}`, {}, ENDPOINT_KINDS[kind]?.label);
+    const severityChoice = (severity) => t('common.andAbove', { severity: t(`alerts.severities.${severity}`) });
+
+    return (
+        <div className="bg-space-medium p-6 rounded-xl shadow-lg border border-celestial-blue/20">
+            <h2 className="text-2xl font-bold text-solar-yellow mb-4 flex items-center gap-2">
+                <Webhook className="h-6 w-6 text-solar-orange" /> {t('integrations.title')}
+            </h2>
+            <div className="mb-3 text-sm">
+                <OwnerSelect teams={teams} value={teamId} onChange={(id) => { setDraft(null); onTeamChange(id); }} label={t('integrations.owner')} />
+                {teamId && <p className="text-xs text-gray-400 mt-1">{t('integrations.teamRules')}</p>}
+            </div>
+
+            {endpoints.length === 0 && <p className="text-sm text-gray-400 mb-3">{t('integrations.empty')}</p>}
+            <ul className="space-y-2 text-sm text-gray-200">
+                {endpoints.map(endpoint => (
+                    <li key={endpoint.id} className="flex flex-wrap items-center gap-3 border-b border-gray-800 pb-2">
+                        <span className={endpoint.enabled ? '' : 'line-through text-gray-500'}>{endpoint.name}</span>
+                        <span className="text-gray-400">{kindLabel(endpoint.kind)} · {severityChoice(endpoint.minSeverity)}</span>
+                        <span className="ml-auto flex gap-3">
+                            <button type="button" onClick={() => runAction(() => onTest(endpoint.id))} className="text-gray-400 hover:text-white flex items-center gap-1" aria-label={t('integrations.sendTest', { name: endpoint.name })}>
+                                <Send className="h-4 w-4" /> {t('integrations.test')}
+                            </button>
+                            <button type="button" onClick={() => startEditing(endpoint)} className="text-gray-400 hover:text-white" aria-label={t('common.edit', { name: endpoint.name })}>
+                                <Pencil className="h-4 w-4" />
+                            </button>
+                            <button type="button" onClick={() => runAction(() => onDelete(endpoint.id))} className="text-gray-400 hover:text-solar-red" aria-label={t('common.delete', { name: endpoint.name })}>
+                                <Trash2 className="h-4 w-4" />
+                            </button>
+                        </span>
+                    </li>
+                ))}
+            </ul>
+
+            {!draft && (
+                <button type="button" onClick={() => startEditing(newAlertEndpoint())} className="mt-4 flex items-center gap-2 bg-space-light hover:bg-celestial-blue text-gray-100 px-3 py-2 rounded-lg border border-celestial-blue/30 transition-colors duration-300">
+                    <Plus className="h-4 w-4" /> {t('integrations.add')}
+                </button>
+            )}
+
+            {draft && (
+                <div className="mt-4 space-y-3 text-sm text-gray-200 border border-celestial-blue/20 rounded-lg p-4">
+                    <div className="flex flex-wrap gap-3">
+                        <input className={`${inputClass} w-56`} placeholder={t('integrations.name')} value={draft.name} onChange={(e) => update({ name: e.target.value })} aria-label={t('integrations.endpointName')} />
+                        <select className={inputClass} value={draft.kind} onChange={(e) => update({ kind: e.target.value })} aria-label={t('integrations.kind')}>
+                            {Object.entries(ENDPOINT_KINDS).map(([kind, spec]) => <option key={kind} value={kind}>{kindLabel(kind)}</option>)}
+                        </select>
+                        <select className={inputClass} value={draft.minSeverity} onChange={(e) => update({ minSeverity: e.target.value })} aria-label={t('integrations.minSeverity')}>
+                            {SEVERITIES.map(severity => <option key={severity} value={severity}>{severityChoice(severity)}</option>)}
+                        </select>
+                        <label className="flex items-center gap-2">
+                            <input type="checkbox" checked={draft.enabled} onChange={(e) => update({ enabled: e.target.checked })} /> {t('integrations.enabled')}
+                        </label>
+                    </div>
+
+                    {draft.kind === 'email' ? (
+                        <input className={`${inputClass} w-full`} placeholder="ops@example.com, oncall@example.com" value={draft.to.join(', ')} onChange={(e) => update({ to: e.target.value.split(',').map(address => address.trim()).filter(Boolean) })} aria-label={t('integrations.recipients')} />
+                    ) : (
+                        <input className={`${inputClass} w-full`} placeholder="https://hooks.slack.com/services/..." value={draft.url} onChange={(e) => update({ url: e.target.value })} aria-label={t('integrations.url')} />
+                    )}
+                    {draft.kind === 'webhook' && (
+                        <textarea className={`${inputClass} w-full font-mono`} rows={2} placeholder="Authorization: Bearer ..." value={headersText} onChange={(e) => setHeadersText(e.target.value)} aria-label={t('integrations.headers')} />
+                    )}
+
+                    <fieldset>
+                        <legend className="mb-1 text-gray-400">{t('common.metricsAll')}</legend>
+                        <div className="flex flex-wrap gap-x-4 gap-y-1">
+                            {Object.entries(metricFields).map(([field, spec]) => (
+                                <label key={field} className="flex items-center gap-1">
+                                    <input type="checkbox" checked={draft.metrics.includes(field)} onChange={() => toggleMetric(field)} />
+                                    {spec.label}
+                                </label>
+                            ))}
+                        </div>
+                    </fieldset>
+
+                    <label className="block">
+                        <span className="text-gray-400">{t('integrations.template')}</span>
+                        <textarea className={`${inputClass} w-full font-mono mt-1`} rows={4} placeholder={DEFAULT_TEMPLATES[draft.kind]} value={draft.template} onChange={(e) => update({ template: e.target.value })} />
+                    </label>
+                    <p className="text-xs text-gray-400">
+                        {t('integrations.placeholders')} {Object.entries(TEMPLATE_FIELDS).map(([field, description]) => (
+                            <code key={field} title={t(`integrations.fields.${field}`, {}, description)} className="mr-2">{`{{${field}}}`}</code>
+                        ))}
+                    </p>
+
+                    <div className="flex flex-wrap gap-3">
+                        <button type="button" onClick={handleSave} disabled={saving || errors.length > 0} className="flex items-center gap-2 bg-celestial-blue hover:bg-celestial-purple disabled:opacity-50 text-white px-3 py-2 rounded-lg transition-colors duration-300">
+                            <Save className="h-4 w-4" /> {saving ? t('common.saving') : t('integrations.save')}
+                        </button>
+                        <button type="button" onClick={() => setDraft(null)} className="flex items-center gap-2 text-gray-300 hover:text-white px-3 py-2">
+                            <X className="h-4 w-4" /> {t('common.cancel')}
+                        </button>
+                    </div>
+                    {errors.length > 0 && <p className="text-solar-red">{errors.join(' ')}</p>}
+                </div>
+            )}
+            {integrationError && <p className="text-solar-red text-sm mt-3">{integrationError}</p>}
+
+            <h3 className="text-lg font-semibold text-gray-200 mt-6 mb-2">{t('integrations.deliveries')}</h3>
+            {deliveries.length === 0 ? (
+                <p className="text-sm text-gray-400">{t('integrations.noDeliveries')}</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-gray-200">
+                        <thead>
+                            <tr className="text-left text-gray-400 border-b border-gray-700">
+                                <th className="py-2 pr-2">{t('integrations.columns.time')}</th>
+                                <th className="py-2 pr-2">{t('integrations.columns.endpoint')}</th>
+                                <th className="py-2 pr-2">{t('integrations.columns.alert')}</th>
+                                <th className="py-2 pr-2">{t('integrations.columns.status')}</th>
+                                <th className="py-2">{t('integrations.columns.attempts')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {deliveries.map(delivery => (
+                                <tr key={delivery.id} className="border-b border-gray-800" title={delivery.error || ''}>
+                                    <td className="py-2 pr-2 whitespace-nowrap">{delivery.createdAt ? formatTimestamp(delivery.createdAt) : ''}</td>
+                                    <td className="py-2 pr-2">{delivery.endpointName}</td>
+                                    <td className="py-2 pr-2">{delivery.test ? t('integrations.testAlert') : delivery.title}</td>
+                                    <td className={`py-2 pr-2 ${DELIVERY_STATUS_CLASSES[delivery.status] || ''}`}>
+                                        {t(`integrations.statuses.${delivery.status}`, {}, delivery.status)}{delivery.statusCode ? ` (${delivery.statusCode})` : ''}
+                                    </td>
+                                    <td className="py-2">{delivery.attempts}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AlertIntegrations;
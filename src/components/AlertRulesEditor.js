@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { SlidersHorizontal, Plus, Trash2, RotateCcw, Save } from 'lucide-react';
+import { COMPARATORS, validateRule } from '../lib/alertRules';
+import { useI18n } from './I18nContext';
+
+const SEVERITIES = ['Minor', 'Moderate', 'Severe'];
+
+const inputClass = 'bg-space-light rounded-lg px-2 py-1 text-gray-100 border border-celestial-blue/20 focus:outline-none';
+
+const newRule = (metric, name) => ({
+    id: `rule-${Date.now().toString(36)}`,
+    name,
+    metric,
+    comparator: '>=',
+    threshold: 0,
+    durationHours: 1,
+    windowHours: 6,
+    severity: 'Minor',
+    message: '',
+    details: '',
+    enabled: true,
+});
+
+// Editor for the user's alert rules. Edits stay local until saved; `metricFields` lists the
+// series fields a rule can watch ({ field: { label, unit } }), labelled in the viewer's language.
+const AlertRulesEditor = ({ rules, metricFields, onSave, onReset }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [draft, setDraft] = useState(rules);
+    const [saving, setSaving] = useState(false);
+    const [editorError, setEditorError] = useState(null);
+
+    useEffect(() => setDraft(rules), [rules]);
+
+    const updateRule = (id, changes) => setDraft(current => current.map(rule => (rule.id === id ? { ...rule, ...changes } : rule)));
+    const removeRule = (id) => setDraft(current => current.filter(rule => rule.id !== id));
+    const addRule = () => setDraft(current => [...current, newRule(Object.keys(metricFields)[0], t('ruleEditor.newRule'))]);
+
+    const handleSave = async () => {
+        setSaving(true);
+        setEditorError(null);
+        try {
+            await onSave(draft);
+        } catch (err) {
+            setEditorError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const parseNumber = (value) => (value === '' ? NaN : Number(value));
+
+    return (
+        <div className="bg-space-medium p-6 rounded-xl shadow-lg border border-celestial-blue/20">
+            <h2 className="text-2xl font-bold text-solar-yellow mb-4 flex items-center gap-2">
+                <SlidersHorizontal className="h-6 w-6 text-solar-orange" /> {t('ruleEditor.title')}
+            </h2>
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm text-gray-200">
+                    <thead>
+                        <tr className="text-left text-gray-400 border-b border-gray-700">
+                            <th className="py-2 pr-2">{t('ruleEditor.columns.enabled')}</th>
+                            <th className="py-2 pr-2">{t('ruleEditor.columns.name')}</th>
+                            <th className="py-2 pr-2">{t('ruleEditor.columns.metric')}</th>
+                            <th className="py-2 pr-2">{t('ruleEditor.columns.condition')}</th>
+                            <th className="py-2 pr-2">{t('ruleEditor.columns.duration')}</th>
+                            <th className="py-2 pr-2">{t('ruleEditor.columns.window')}</th>
+                            <th className="py-2 pr-2">{t('ruleEditor.columns.severity')}</th>
+                            <th className="py-2" />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {draft.map(rule => {
+                            const errors = validateRule(rule, i18n);
+                            return (
+                                <tr key={rule.id} className={`border-b border-gray-800 ${errors.length ? 'bg-solar-red/10' : ''}`} title={errors.join(' ')}>
+                                    <td className="py-2 pr-2">
+                                        <input type="checkbox" checked={rule.enabled} onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })} aria-label={t('ruleEditor.enabled')} />
+                                    </td>
+                                    <td className="py-2 pr-2">
+                                        <input className={`${inputClass} w-48`} value={rule.name} onChange={(e) => updateRule(rule.id, { name: e.target.value })} aria-label={t('ruleEditor.name')} />
+                                    </td>
+                                    <td className="py-2 pr-2">
+                                        <select className={inputClass} value={rule.metric} onChange={(e) => updateRule(rule.id, { metric: e.target.value })} aria-label={t('ruleEditor.columns.metric')}>
+                                            {Object.entries(metricFields).map(([field, spec]) => (
+                                                <option key={field} value={field}>{spec.label}{spec.unit ? ` (${spec.unit})` : ''}</option>
+                                            ))}
+                                        </select>
+                                    </td>
+                                    <td className="py-2 pr-2 whitespace-nowrap">
+                                        <select className={inputClass} value={rule.comparator} onChange={(e) => updateRule(rule.id, { comparator: e.target.value })} aria-label={t('ruleEditor.comparator')}>
+                                            {Object.keys(COMPARATORS).map(op => <option key={op} value={op}>{op}</option>)}
+                                        </select>
+                                        <input type="number" step="any" className={`${inputClass} w-24 ml-1`} value={Number.isFinite(rule.threshold) ? rule.threshold : ''} onChange={(e) => updateRule(rule.id, { threshold: parseNumber(e.target.value) })} aria-label={t('ruleEditor.threshold')} />
+                                    </td>
+                                    <td className="py-2 pr-2">
+                                        <input type="number" min="1" className={`${inputClass} w-16`} value={rule.durationHours} onChange={(e) => updateRule(rule.id, { durationHours: parseNumber(e.target.value) })} aria-label={t('ruleEditor.duration')} />
+                                    </td>
+                                    <td className="py-2 pr-2">
+                                        <input type="number" min="1" placeholder={t('ruleEditor.wholeSeries')} className={`${inputClass} w-16`} value={rule.windowHours ?? ''} onChange={(e) => updateRule(rule.id, { windowHours: e.target.value === '' ? null : parseNumber(e.target.value) })} aria-label={t('ruleEditor.window')} />
+                                    </td>
+                                    <td className="py-2 pr-2">
+                                        <select className={inputClass} value={rule.severity} onChange={(e) => updateRule(rule.id, { severity: e.target.value })} aria-label={t('ruleEditor.columns.severity')}>
+                                            {SEVERITIES.map(level => <option key={level} value={level}>{t(`alerts.severities.${level}`)}</option>)}
+                                        </select>
+                                    </td>
+                                    <td className="py-2">
+                                        <button type="button" onClick={() => removeRule(rule.id)} className="text-gray-400 hover:text-solar-red" aria-label={t('common.delete', { name: rule.name })}>
+                                            <Trash2 className="h-4 w-4" />
+                                        </button>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="flex flex-wrap gap-3 mt-4">
+                <button type="button" onClick={addRule} className="flex items-center gap-2 bg-space-light hover:bg-celestial-blue text-gray-100 px-3 py-2 rounded-lg border border-celestial-blue/30 transition-colors duration-300">
+                    <Plus className="h-4 w-4" /> {t('ruleEditor.add')}
+                </button>
+                <button type="button" onClick={handleSave} disabled={saving} className="flex items-center gap-2 bg-celestial-blue hover:bg-celestial-purple disabled:opacity-50 text-white px-3 py-2 rounded-lg transition-colors duration-300">
+                    <Save className="h-4 w-4" /> {saving ? t('common.saving') : t('ruleEditor.save')}
+                </button>
+                <button type="button" onClick={onReset} className="flex items-center gap-2 text-gray-300 hover:text-white px-3 py-2">
+                    <RotateCcw className="h-4 w-4" /> {t('ruleEditor.reset')}
+                </button>
+            </div>
+            {editorError && <p className="text-solar-red text-sm mt-3">{editorError}</p>}
+        </div>
+    );
+};
+
+export default AlertRulesEditor;
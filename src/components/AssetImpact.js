@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { ShieldAlert, Plus, Trash2, Pencil, Save, X } from 'lucide-react';
+import { ASSET_KINDS, ORBIT_TYPES, newAsset, validateAsset, describeAsset } from '../lib/assets';
+import { RISK_LEVELS } from '../lib/assetImpact';
+import OwnerSelect from './OwnerSelect';
+import { useI18n } from './I18nContext';
+
+const inputClass = 'bg-space-light rounded-lg px-2 py-1 text-gray-100 border border-celestial-blue/20 focus:outline-none';
+
+const RiskBadge = ({ level }) => {
+    const { t } = useI18n();
+    const risk = RISK_LEVELS[level];
+    return (
+        <span className="text-xs font-semibold px-2 py-0.5 rounded-full border" style={{ color: risk.color, borderColor: risk.color }}>
+            {t(`assets.risks.${risk.name}`, {}, risk.name)}
+        </span>
+    );
+};
+
+// Latitude and longitude inputs for one point of an asset; `point` names it (assets.<point>)
+const PointInputs = ({ point: pointId, value: point, onChange }) => {
+    const { t } = useI18n();
+    const label = t(`assets.${pointId}`);
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            <span className="text-gray-400 w-24">{label}</span>
+            <input className={`${inputClass} w-28`} type="number" step="any" placeholder={t('common.latitude')} value={point.latitude} onChange={(e) => onChange({ ...point, latitude: e.target.value })} aria-label={t('assets.pointLatitude', { label })} />
+            <input className={`${inputClass} w-28`} type="number" step="any" placeholder={t('common.longitude')} value={point.longitude} onChange={(e) => onChange({ ...point, longitude: e.target.value })} aria-label={t('assets.pointLongitude', { label })} />
+        </div>
+    );
+};
+
+// The fields of one kind of asset
+const AssetFields = ({ draft, update }) => {
+    const { t } = useI18n();
+    switch (draft.kind) {
+        case 'satellite':
+            return (
+                <>
+                    <div className="flex flex-wrap gap-3">
+                        <select className={inputClass} value={draft.orbit} disabled={Boolean(draft.tle.trim())} onChange={(e) => update({ orbit: e.target.value, altitudeKm: ORBIT_TYPES[e.target.value].altitudeKm })} aria-label={t('assets.orbit')}>
+                            {Object.entries(ORBIT_TYPES).map(([orbit, spec]) => <option key={orbit} value={orbit}>{orbit} · {t(`assets.orbits.${orbit}`, {}, spec.label)}</option>)}
+                        </select>
+                        <label className="flex items-center gap-2">
+                            {t('assets.altitude')}
+                            <input className={`${inputClass} w-28`} type="number" value={draft.altitudeKm} disabled={Boolean(draft.tle.trim())} onChange={(e) => update({ altitudeKm: e.target.value })} />
+                        </label>
+                        <label className="flex items-center gap-2">
+                            {t('assets.inclination')}
+                            <input className={`${inputClass} w-20`} type="number" value={draft.inclinationDeg} disabled={Boolean(draft.tle.trim())} onChange={(e) => update({ inclinationDeg: e.target.value })} />
+                        </label>
+                    </div>
+                    <label className="block">
+                        <span className="text-gray-400">{t('assets.tle')}</span>
+                        <textarea className={`${inputClass} w-full font-mono mt-1`} rows={3} value={draft.tle} onChange={(e) => update({ tle: e.target.value })} placeholder={'1 25544U 98067A   ...\n2 25544  51.6416 ...'} />
+                    </label>
+                </>
+            );
+        case 'hfLink':
+            return (
+                <>
+                    <PointInputs point="transmitter" value={draft.from} onChange={(from) => update({ from })} />
+                    <PointInputs point="receiver" value={draft.to} onChange={(to) => update({ to })} />
+                </>
+            );
+        case 'gnss':
+            return (
+                <>
+                    <PointInputs point="location" value={draft} onChange={({ latitude, longitude }) => update({ latitude, longitude })} />
+                    <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={draft.precision} onChange={(e) => update({ precision: e.target.checked })} />
+                        {t('assets.precision')}
+                    </label>
+                </>
+            );
+        default:
+            return <PointInputs point="location" value={draft} onChange={({ latitude, longitude }) => update({ latitude, longitude })} />;
+    }
+};
+
+// Registered assets with their risk under current conditions (assessAssets), each with the
+// findings behind it, and the editor for adding and changing assets. The assets are the user's
+// own or those of the team chosen from `teams`; `readOnly` hides the editor (team viewers).
+const AssetImpact = ({ assessments, onSave, onDelete, teams = [], teamId = '', onTeamChange, readOnly = false }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [draft, setDraft] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [assetError, setAssetError] = useState(null);
+
+    const startEditing = (asset) => {
+        setDraft(asset);
+        setAssetError(null);
+    };
+    const update = (changes) => setDraft(current => ({ ...current, ...changes }));
+
+    const handleSave = async () => {
+        setSaving(true);
+        setAssetError(null);
+        try {
+            await onSave(draft);
+            setDraft(null);
+        } catch (err) {
+            setAssetError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const errors = draft ? validateAsset(draft, i18n) : [];
+
+    return (
+        <div className="bg-space-medium p-6 rounded-xl shadow-lg border border-celestial-blue/20">
+            <h2 className="text-2xl font-bold text-solar-yellow mb-4 flex items-center gap-2">
+                <ShieldAlert className="h-6 w-6 text-solar-orange" /> {t('assets.title')}
+            </h2>
+            <div className="mb-3 text-sm">
+                <OwnerSelect teams={teams} value={teamId} onChange={(id) => { setDraft(null); onTeamChange(id); }} label={t('assets.owner')} />
+                {readOnly && <p className="text-xs text-gray-400 mt-1">{t('assets.readOnly')}</p>}
+            </div>
+
+            {assessments.length === 0 && (
+                <p className="text-sm text-gray-400 mb-3">
+                    {readOnly ? t('assets.teamEmpty') : t('assets.empty')}
+                </p>
+            )}
+            <ul className="space-y-4">
+                {assessments.map(({ asset, risk, findings }) => (
+                    <li key={asset.id} className="bg-space-light rounded-lg p-4 border-l-4" style={{ borderColor: risk.color }}>
+                        <div className="flex flex-wrap items-center gap-3 mb-2">
+                            <span className="font-semibold text-gray-100">{asset.name}</span>
+                            <RiskBadge level={risk.level} />
+                            <span className="text-sm text-gray-400">{t(`assets.kinds.${asset.kind}`, {}, ASSET_KINDS[asset.kind].label)} · {describeAsset(asset, i18n)}</span>
+                            {!readOnly && (
+                                <span className="ml-auto flex gap-3">
+                                    <button type="button" onClick={() => startEditing(asset)} className="text-gray-400 hover:text-white" aria-label={t('common.edit', { name: asset.name })}>
+                                        <Pencil className="h-4 w-4" />
+                                    </button>
+                                    <button type="button" onClick={() => onDelete(asset.id).catch(err => setAssetError(err.message))} className="text-gray-400 hover:text-solar-red" aria-label={t('common.delete', { name: asset.name })}>
+                                        <Trash2 className="h-4 w-4" />
+                                    </button>
+                                </span>
+                            )}
+                        </div>
+                        <ul className="space-y-1 text-sm text-gray-300">
+                            {findings.map(item => (
+                                <li key={item.hazard} className="flex gap-2">
+                                    <span className="shrink-0 w-20"><RiskBadge level={item.level} /></span>
+                                    <span><span className="font-medium text-gray-200">{item.hazard}:</span> {item.reason}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </li>
+                ))}
+            </ul>
+
+            {!draft && !readOnly && (
+                <button type="button" onClick={() => startEditing(newAsset())} className="mt-4 flex items-center gap-2 bg-space-light hover:bg-celestial-blue text-gray-100 px-3 py-2 rounded-lg border border-celestial-blue/30 transition-colors duration-300">
+                    <Plus className="h-4 w-4" /> {t('assets.add')}
+                </button>
+            )}
+
+            {draft && (
+                <div className="mt-4 space-y-3 text-sm text-gray-200 border border-celestial-blue/20 rounded-lg p-4">
+                    <div className="flex flex-wrap gap-3">
+                        <input className={`${inputClass} w-56`} placeholder={t('assets.name')} value={draft.name} onChange={(e) => update({ name: e.target.value })} aria-label={t('assets.assetName')} />
+                        {/* The kind is fixed once saved; its fields differ */}
+                        <select className={inputClass} value={draft.kind} disabled={Boolean(draft.id)} onChange={(e) => setDraft({ ...newAsset(e.target.value), name: draft.name })} aria-label={t('assets.kind')}>
+                            {Object.entries(ASSET_KINDS).map(([kind, spec]) => <option key={kind} value={kind}>{t(`assets.kinds.${kind}`, {}, spec.label)}</option>)}
+                        </select>
+                    </div>
+                    <AssetFields draft={draft} update={update} />
+                    <div className="flex flex-wrap gap-3">
+                        <button type="button" onClick={handleSave} disabled={saving || errors.length > 0} className="flex items-center gap-2 bg-celestial-blue hover:bg-celestial-purple disabled:opacity-50 text-white px-3 py-2 rounded-lg transition-colors duration-300">
+                            <Save className="h-4 w-4" /> {saving ? t('common.saving') : t('assets.save')}
+                        </button>
+                        <button type="button" onClick={() => setDraft(null)} className="flex items-center gap-2 text-gray-300 hover:text-white px-3 py-2">
+                            <X className="h-4 w-4" /> {t('common.cancel')}
+                        </button>
+                    </div>
+                    {errors.length > 0 && <p className="text-solar-red">{errors.join(' ')}</p>}
+                </div>
+            )}
+            {assetError && <p className="text-solar-red text-sm mt-3">{assetError}</p>}
+
+            <p className="text-xs text-gray-400 mt-4">{t('assets.disclaimer')}</p>
+        </div>
+    );
+};
+
+export default AssetImpact;
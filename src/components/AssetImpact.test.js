@@ -0,0 +1,31 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import AssetImpact from './AssetImpact';
+import { newAsset } from '../lib/assets';
+import { assessAssets, currentConditions } from '../lib/assetImpact';
+
+const assessments = assessAssets([{ ...newAsset('powerGrid'), id: 'grid', name: 'Substation', latitude: 60, longitude: 10 }], currentConditions([], []));
+const teams = [{ id: 'ops', name: 'Ops', role: 'viewer' }];
+
+describe('AssetImpact', () => {
+    it('switches between the user\'s own assets and a team\'s', () => {
+        const onTeamChange = jest.fn();
+        render(<AssetImpact assessments={assessments} onSave={jest.fn()} onDelete={jest.fn()} teams={teams} onTeamChange={onTeamChange} />);
+        fireEvent.change(screen.getByRole('combobox', { name: 'Whose assets' }), { target: { value: 'ops' } });
+        expect(onTeamChange).toHaveBeenCalledWith('ops');
+        expect(screen.getByRole('button', { name: 'Edit Substation' })).toBeInTheDocument();
+    });
+
+    it('shows a team\'s assets without the editor to viewers', () => {
+        render(<AssetImpact assessments={assessments} onSave={jest.fn()} onDelete={jest.fn()} teams={teams} teamId="ops" onTeamChange={jest.fn()} readOnly />);
+        expect(screen.getByText('Substation')).toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Edit Substation' })).not.toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: /Add Asset/ })).not.toBeInTheDocument();
+    });
+
+    it('offers no owner choice without a team', () => {
+        render(<AssetImpact assessments={[]} onSave={jest.fn()} onDelete={jest.fn()} />);
+        expect(screen.queryByRole('combobox', { name: 'Whose assets' })).not.toBeInTheDocument();
+        expect(screen.getByRole('button', { name: /Add Asset/ })).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,42 @@
+import React from 'react';
+import { Sparkles } from 'lucide-react';
+import { useI18n } from './I18nContext';
+
+const LEVEL_STYLES = {
+    Good: 'text-green-300 border-green-500',
+    Possible: 'text-solar-yellow border-solar-yellow',
+    Poor: 'text-solar-orange border-solar-orange',
+    None: 'text-gray-400 border-gray-600',
+};
+
+// Aurora visibility card for the observer's location, built from forecastAuroraVisibility()
+const AuroraForecast = ({ forecast, locationName }) => {
+    const { t, formatNumber, formatDate, formatTime } = useI18n();
+    if (!forecast) return null;
+    const { level, message, reasons, kp, geomagneticLatitude, evaluatedAt } = forecast;
+
+    return (
+        <div className="bg-space-medium p-6 rounded-xl shadow-lg flex-1 min-w-0 md:min-w-[320px] border border-celestial-blue/20">
+            <h2 className="text-2xl font-bold text-solar-yellow mb-4 flex items-center gap-2">
+                <Sparkles className="h-6 w-6 text-green-300" /> {t('aurora.title')}
+            </h2>
+            <div className={`border-l-4 pl-4 mb-4 ${LEVEL_STYLES[level]}`}>
+                <p className="text-xl font-semibold">{t(`aurora.levels.${level}`)}</p>
+                <p className="text-gray-200">{message}</p>
+            </div>
+            <ul className="space-y-1 text-sm text-gray-300 list-disc list-inside mb-4">
+                {reasons.map(reason => <li key={reason}>{reason}</li>)}
+            </ul>
+            <p className="text-xs text-gray-400">
+                {t('aurora.summary', {
+                    location: locationName,
+                    kp: formatNumber(kp),
+                    latitude: formatNumber(geomagneticLatitude, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+                    time: `${formatDate(evaluatedAt, { weekday: 'short' })} ${formatTime(evaluatedAt)}`,
+                })}
+            </p>
+        </div>
+    );
+};
+
+export default AuroraForecast;
@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { History } from 'lucide-react';
+import { useI18n } from './I18nContext';
+
+const formatDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Shown when part of the selected range has never been ingested. Lists the gaps, offers to queue
+// a backfill for them and shows the progress of backfills the worker is already running.
+const BackfillNotice = ({ gaps, openRequests, onRequest }) => {
+    const { t } = useI18n();
+    const [requesting, setRequesting] = useState(false);
+    const [requestError, setRequestError] = useState(null);
+    if (!gaps.length && !openRequests.length) return null;
+
+    const handleRequest = async () => {
+        setRequesting(true);
+        setRequestError(null);
+        try {
+            await onRequest(gaps);
+        } catch (err) {
+            setRequestError(err.message);
+        } finally {
+            setRequesting(false);
+        }
+    };
+
+    return (
+        <div className="mb-6 p-4 rounded-lg border border-solar-yellow/40 bg-solar-yellow/10 text-sm text-gray-200">
+            <p className="flex items-center gap-2 font-semibold text-solar-yellow">
+                <History className="h-4 w-4" /> {openRequests.length ? t('backfill.running') : t('backfill.missingTitle')}
+            </p>
+            {openRequests.map(request => (
+                <p key={request.id} className="mt-1">
+                    {t('backfill.span', { start: formatDay(request.start), end: formatDay(request.end) })}: {request.status === 'running' && request.progress
+                        ? t('backfill.progress', { done: request.progress.chunksDone, total: request.progress.chunks })
+                        : t(`backfill.statuses.${request.status}`, {}, request.status)}
+                </p>
+            ))}
+            {gaps.length > 0 && !openRequests.length && (
+                <>
+                    <p className="mt-1">{t('backfill.missing', { gaps: gaps.map(gap => t('backfill.span', { start: formatDay(gap.start), end: formatDay(gap.end) })).join(', ') })}</p>
+                    <button
+                        type="button"
+                        onClick={handleRequest}
+                        disabled={requesting}
+                        className="mt-2 px-3 py-1 rounded-full border border-solar-yellow text-solar-yellow hover:bg-solar-yellow/20 disabled:opacity-50"
+                    >
+                        {requesting ? t('backfill.requesting') : t('backfill.request')}
+                    </button>
+                </>
+            )}
+            {requestError && <p className="mt-1 text-solar-red">{requestError}</p>}
+        </div>
+    );
+};
+
+export default BackfillNotice;
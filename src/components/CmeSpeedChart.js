@@ -0,0 +1,53 @@
+import React, { useMemo } from 'react';
+import { ComposedChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { cmeSpeedOf } from '../lib/trendPanels';
+import { SPEED_UNITS, formatSpeed } from '../lib/profile';
+import { formatBucketLabel } from '../lib/timeRange';
+import { timeAxisProps, tooltipStyleProps, annotationLineProps, PANEL_MARGIN, Y_AXIS_WIDTH } from './trendChartProps';
+import { useI18n } from './I18nContext';
+
+// Recharts places a null value at zero, so buckets without a CME draw nothing
+const CmeMarker = ({ cx, cy, payload }) => (payload.cmeSpeed === null
+    ? <g />
+    : <circle cx={cx} cy={cy} r={payload.cmeCount > 1 ? 7 : 5} fill="#ff7300" stroke="#ffffff" strokeWidth={1} />);
+
+// CMEs as markers at the speed of the fastest one in each bucket (larger when there were several),
+// instead of a line through the quiet hours between them, plotted in `speedUnit` (profile.js).
+// Other props as for XrayFluxChart.
+const CmeSpeedChart = ({ data, resolution = 'hour', height = 220, onClick, syncId, showTimeAxis = true, speedUnit = 'km/s', markers = [], showMarkerLabels = true }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const { label: unitLabel, factor } = SPEED_UNITS[speedUnit] || SPEED_UNITS['km/s'];
+    const cmePoints = useMemo(() => data.map(point => {
+        const speed = cmeSpeedOf(point);
+        return { timestamp: point.timestamp, cmeSpeed: speed === null ? null : speed * factor, cmeCount: point.cmeCount ?? 0 };
+    }), [data, factor]);
+    return (
+        <ResponsiveContainer width="100%" height={height}>
+            <ComposedChart data={cmePoints} onClick={onClick} syncId={syncId} margin={PANEL_MARGIN}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#4a5568" opacity={0.5} />
+                <XAxis {...timeAxisProps(resolution, showTimeAxis, i18n)} />
+                <YAxis
+                    domain={[0, 'auto']}
+                    width={Y_AXIS_WIDTH}
+                    stroke="#ff7300"
+                    tick={{ fill: '#ff7300', fontSize: 12 }}
+                    label={{ value: t('chart.cme.axis', { unit: unitLabel }), angle: -90, position: 'insideLeft', fill: '#ff7300' }}
+                />
+                {markers.map(marker => <ReferenceLine key={marker.timestamp} {...annotationLineProps(marker, showMarkerLabels)} />)}
+                <Tooltip
+                    {...tooltipStyleProps}
+                    formatter={(value, name, props) => {
+                        if (value === null) return [t('chart.cme.none'), name];
+                        const speed = formatSpeed(value / factor, speedUnit, i18n.language);
+                        return [props.payload.cmeCount > 1 ? t('chart.cme.fastestOf', { speed, count: props.payload.cmeCount }) : speed, name];
+                    }}
+                    labelFormatter={(label) => formatBucketLabel(label, resolution, i18n)}
+                />
+                <Scatter dataKey="cmeSpeed" name={t('chart.cme.series')} shape={CmeMarker} isAnimationActive={false} />
+            </ComposedChart>
+        </ResponsiveContainer>
+    );
+};
+
+export default CmeSpeedChart;
@@ -0,0 +1,82 @@
+import React, { useState, useEffect } from 'react';
+import { Wifi, WifiOff, Clock, Gauge } from 'lucide-react';
+import { NASA_API_HOST } from '../lib/requestScheduler';
+import { useI18n } from './I18nContext';
+
+// Hourly ingestion runs every few minutes, so a newest point older than this means it is behind
+const STALE_AFTER_MS = 3 * 3600000;
+
+function formatAge(ms, t) {
+    const minutes = Math.max(0, Math.round(ms / 60000));
+    if (minutes < 1) return t('freshness.justNow');
+    if (minutes < 60) return t('freshness.minutesAgo', { count: minutes });
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return t('freshness.hoursAgo', { count: hours });
+    return t('freshness.daysAgo', { count: Math.round(hours / 24) });
+}
+
+const API_NAMES = { [NASA_API_HOST]: 'NASA API' };
+// Below this share of the hourly limit the quota shows as running low
+const LOW_QUOTA_SHARE = 0.1;
+
+// One chip per API the ingestion worker budgets (apiQuota from its status document)
+function quotaChip({ host, limit, remaining, throttledUntil }, now, { t, formatTime }) {
+    const name = API_NAMES[host] || host;
+    if (throttledUntil && throttledUntil > now) {
+        return { low: true, text: t('freshness.rateLimited', { name, time: formatTime(throttledUntil) }) };
+    }
+    return { low: remaining < limit * LOW_QUOTA_SHARE, text: t('freshness.quota', { name, remaining, limit }) };
+}
+
+// How old the data on screen is: live from Firestore, or the copy saved in this browser while
+// offline or reconnecting, plus a warning when the newest data point itself is old, and how much
+// of its API allowance the ingestion worker had left after its last run.
+const DataFreshness = ({ online, fromCache, syncedAt, latestTimestamp, apiQuota = [] }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [now, setNow] = useState(Date.now());
+    useEffect(() => {
+        const intervalId = setInterval(() => setNow(Date.now()), 60000);
+        return () => clearInterval(intervalId);
+    }, []);
+
+    const latestAge = latestTimestamp ? now - new Date(latestTimestamp).valueOf() : null;
+    const synced = syncedAt ? t('freshness.synced', { age: formatAge(now - syncedAt, t) }) : t('freshness.neverSynced');
+
+    let status;
+    if (!online) {
+        status = { icon: WifiOff, className: 'border-solar-yellow text-solar-yellow bg-solar-yellow/10', text: t('freshness.offline', { synced }) };
+    } else if (fromCache) {
+        status = { icon: Wifi, className: 'border-celestial-blue text-celestial-blue bg-celestial-blue/10', text: t('freshness.reconnecting', { synced }) };
+    } else {
+        status = { icon: Wifi, className: 'border-green-500 text-green-300 bg-green-700/20', text: t('freshness.live', { synced }) };
+    }
+    const StatusIcon = status.icon;
+
+    return (
+        <div className="flex flex-wrap justify-center gap-2 mb-8 text-sm" role="status">
+            <span className={`flex items-center gap-2 px-3 py-1 rounded-full border ${status.className}`}>
+                <StatusIcon className="h-4 w-4" /> {status.text}
+            </span>
+            {latestAge !== null && latestAge > STALE_AFTER_MS && (
+                <span className="flex items-center gap-2 px-3 py-1 rounded-full border border-solar-orange text-solar-orange bg-solar-orange/10">
+                    <Clock className="h-4 w-4" /> {t('freshness.stale', { age: formatAge(latestAge, t) })}
+                </span>
+            )}
+            {apiQuota.map(quota => {
+                const { low, text } = quotaChip(quota, now, i18n);
+                return (
+                    <span
+                        key={quota.host}
+                        className={`flex items-center gap-2 px-3 py-1 rounded-full border ${low ? 'border-solar-orange text-solar-orange bg-solar-orange/10' : 'border-celestial-blue/40 text-gray-300'}`}
+                        title={quota.checkedAt ? t('freshness.reported', { age: formatAge(now - quota.checkedAt, t) }) : t('freshness.counted')}
+                    >
+                        <Gauge className="h-4 w-4" /> {text}
+                    </span>
+                );
+            })}
+        </div>
+    );
+};
+
+export default DataFreshness;
@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import { CalendarRange } from 'lucide-react';
+import { RANGE_PRESETS } from '../lib/timeRange';
+import { useI18n } from './I18nContext';
+
+const inputClass = 'bg-space-light rounded-lg px-2 py-1 text-gray-100 border border-celestial-blue/20 focus:outline-none';
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+// Preset buttons (24h, 7d, 30d, 1y) plus a custom start/end pair. Calls onChange(presetId, custom)
+// where custom is { start, end } as YYYY-MM-DD strings (UTC days; the end day is included).
+const DateRangePicker = ({ presetId, custom, onChange, error }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState({ start: toDateInput(custom?.start), end: toDateInput(custom?.end) });
+
+    const applyCustom = (e) => {
+        e.preventDefault();
+        onChange('custom', draft);
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+            <CalendarRange className="h-5 w-5 text-celestial-blue" />
+            {RANGE_PRESETS.filter(preset => preset.id !== 'custom').map(preset => (
+                <button
+                    key={preset.id}
+                    type="button"
+                    onClick={() => onChange(preset.id)}
+                    className={`px-3 py-1 rounded-full border text-sm ${presetId === preset.id ? 'border-solar-yellow text-solar-yellow' : 'border-celestial-blue/30 text-gray-300 hover:text-white'}`}
+                >
+                    {t(`range.presets.${preset.id}`, {}, preset.label)}
+                </button>
+            ))}
+            <form onSubmit={applyCustom} className="flex flex-wrap items-center gap-2 ml-2">
+                <input type="date" className={inputClass} value={draft.start} onChange={(e) => setDraft({ ...draft, start: e.target.value })} aria-label={t('range.start')} />
+                <span className="text-gray-400">{t('common.to')}</span>
+                <input type="date" className={inputClass} value={draft.end} onChange={(e) => setDraft({ ...draft, end: e.target.value })} aria-label={t('range.end')} />
+                <button
+                    type="submit"
+                    className={`px-3 py-1 rounded-full border text-sm ${presetId === 'custom' ? 'border-solar-yellow text-solar-yellow' : 'border-celestial-blue/30 text-gray-300 hover:text-white'}`}
+                >
+                    {t('range.apply')}
+                </button>
+            </form>
+            {error && <p className="w-full text-sm text-solar-red">{error}</p>}
+        </div>
+    );
+};
+
+export default DateRangePicker;
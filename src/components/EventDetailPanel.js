@@ -0,0 +1,131 @@
+import React, { useMemo } from 'react';
+import { X, ExternalLink, ArrowRight } from 'lucide-react';
+import { EVENT_TYPES, eventTimeline, resolveEventChain, eventSummary, eventTypeLabel, formatHeliographic } from '../lib/spaceWeatherEvents';
+import { formatFlux } from '../lib/flareClass';
+import { formatSpeed } from '../lib/profile';
+import { useI18n } from './I18nContext';
+
+// Label/value rows for the type-specific fields of an event, labelled in the language of `i18n`
+function eventFacts(event, i18n, speedUnit) {
+    const { t } = i18n;
+    const { details = {} } = event;
+    const facts = [];
+    const add = (label, value) => { if (value !== null && value !== undefined && value !== '') facts.push([label, value]); };
+
+    switch (event.type) {
+        case 'FLR':
+            add(t('events.facts.classType'), details.classType);
+            add(t('events.facts.peakFlux'), details.peakFlux ? formatFlux(details.peakFlux) : null);
+            add(t('events.facts.sourceLocation'), details.sourceLocation);
+            add(t('events.facts.activeRegion'), details.activeRegionNum ? t('events.summary.activeRegion', { number: String(details.activeRegionNum) }) : null);
+            break;
+        case 'CME':
+            add(t('events.facts.speed'), details.speed ? formatSpeed(details.speed, speedUnit, i18n.language) : null);
+            add(t('events.facts.halfAngle'), details.halfAngle ? `${details.halfAngle}°` : null);
+            add(t('events.facts.direction'), formatHeliographic(details.latitude, details.longitude));
+            add(t('events.facts.analysisType'), details.analysisType);
+            break;
+        case 'GST':
+            add(t('events.facts.maxKp'), details.maxKp);
+            break;
+        default:
+            add(t('events.facts.location'), details.location);
+    }
+    add(t('events.facts.instruments'), event.instruments?.length ? event.instruments.join(', ') : null);
+    add(t('events.facts.note'), event.note);
+    return facts;
+}
+
+// Detail view of one DONKI event: its fields, timeline and the chain of linked events.
+// `events` is every loaded event, used to resolve the chain; picking a link calls onSelect(id).
+const EventDetailPanel = ({ event, events, onSelect, onClose, speedUnit = 'km/s' }) => {
+    const i18n = useI18n();
+    const { t, formatTimestamp } = i18n;
+    const formatTime = (time) => (time ? formatTimestamp(time) : t('common.na'));
+    const chain = useMemo(() => (event ? resolveEventChain(event.id, events) : []), [event, events]);
+    if (!event) return null;
+
+    return (
+        <div className="bg-space-medium p-6 rounded-xl shadow-lg border border-celestial-blue/20">
+            <div className="flex justify-between items-start gap-4 mb-4">
+                <div>
+                    <p className="text-sm text-gray-400">{eventTypeLabel(event.type, i18n)}</p>
+                    <h2 className="text-2xl font-bold text-solar-yellow">{eventSummary(event, i18n, speedUnit)}</h2>
+                    <p className="text-xs text-gray-500 font-mono mt-1">{event.id}</p>
+                </div>
+                <button type="button" onClick={onClose} className="text-gray-400 hover:text-white" aria-label={t('events.close')}>
+                    <X className="h-6 w-6" />
+                </button>
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-6">
+                <div>
+                    <h3 className="text-lg font-semibold text-celestial-blue mb-2">{t('events.details')}</h3>
+                    <dl className="space-y-1 text-sm text-gray-200">
+                        {eventFacts(event, i18n, speedUnit).map(([label, value]) => (
+                            <div key={label} className="flex justify-between gap-4">
+                                <dt className="text-gray-400">{label}</dt>
+                                <dd className="text-right">{value}</dd>
+                            </div>
+                        ))}
+                    </dl>
+                    {event.link && (
+                        <a href={event.link} target="_blank" rel="noopener noreferrer" className="inline-flex items-center gap-1 mt-3 text-sm text-celestial-blue hover:text-white">
+                            {t('events.viewInDonki')} <ExternalLink className="h-4 w-4" />
+                        </a>
+                    )}
+                </div>
+
+                <div>
+                    <h3 className="text-lg font-semibold text-celestial-blue mb-2">{t('events.timeline')}</h3>
+                    <ol className="border-l border-celestial-blue/40 pl-4 space-y-2 text-sm">
+                        {eventTimeline(event, i18n, speedUnit).map(entry => (
+                            <li key={`${entry.label}-${entry.time}`}>
+                                <span className="text-gray-400">{formatTime(entry.time)}</span>
+                                <span className="block text-gray-100">{entry.label}</span>
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+            </div>
+
+            {chain.length > 1 && (
+                <div className="mt-6">
+                    <h3 className="text-lg font-semibold text-celestial-blue mb-2">{t('events.linked')}</h3>
+                    <div className="flex flex-wrap items-center gap-2 text-sm">
+                        {chain.map((linked, i) => (
+                            <React.Fragment key={linked.id}>
+                                {i > 0 && <ArrowRight className="h-4 w-4 text-gray-500" />}
+                                {linked.id === event.id ? (
+                                    <span className="px-3 py-1 rounded-full border border-solar-yellow text-solar-yellow">{eventSummary(linked, i18n, speedUnit)}</span>
+                                ) : linked.missing ? (
+                                    <span className="px-3 py-1 rounded-full border border-gray-600 text-gray-400" title={t('events.notLoaded', { id: linked.id })}>
+                                        {EVENT_TYPES[linked.type] ? eventTypeLabel(linked.type, i18n) : linked.id} · {formatTime(linked.startTime)}
+                                    </span>
+                                ) : (
+                                    <button
+                                        type="button"
+                                        onClick={() => onSelect(linked.id)}
+                                        className="px-3 py-1 rounded-full border border-celestial-blue/50 text-gray-200 hover:border-white hover:text-white"
+                                        title={formatTime(linked.startTime)}
+                                    >
+                                        {eventSummary(linked, i18n, speedUnit)}
+                                    </button>
+                                )}
+                            </React.Fragment>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            <details className="mt-6 text-sm">
+                <summary className="cursor-pointer text-gray-400 hover:text-white">{t('events.raw')}</summary>
+                <pre className="mt-2 p-3 bg-space-dark rounded-lg overflow-x-auto text-xs text-gray-300">
+                    {event.raw ? JSON.stringify(JSON.parse(event.raw), null, 2) : t('events.notAvailable')}
+                </pre>
+            </details>
+        </div>
+    );
+};
+
+export default EventDetailPanel;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { List } from 'lucide-react';
+import { eventSummary } from '../lib/spaceWeatherEvents';
+import { useI18n } from './I18nContext';
+
+// Newest-first list of DONKI events; clicking a row calls onSelect(id). When `hour` is set the
+// list only shows that hour's events (picked from a chart) and offers to clear the filter.
+const EventList = ({ events, selectedId, onSelect, hour, onClearHour, limit = 25, speedUnit = 'km/s' }) => {
+    const i18n = useI18n();
+    const { t, formatTimestamp } = i18n;
+    const formatTime = (time) => (time ? formatTimestamp(time) : t('common.na'));
+    const rows = events.slice().reverse().slice(0, limit);
+
+    return (
+        <div className="bg-space-medium p-6 rounded-xl shadow-lg border border-celestial-blue/20">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold text-solar-yellow flex items-center gap-2">
+                    <List className="h-6 w-6 text-celestial-blue" /> {hour ? t('events.around', { time: formatTime(hour) }) : t('events.recent')}
+                </h2>
+                {hour && (
+                    <button type="button" onClick={onClearHour} className="text-sm text-celestial-blue hover:text-white">
+                        {t('events.showAll')}
+                    </button>
+                )}
+            </div>
+            {rows.length ? (
+                <ul className="divide-y divide-gray-800">
+                    {rows.map(event => (
+                        <li key={event.id}>
+                            <button
+                                type="button"
+                                onClick={() => onSelect(event.id)}
+                                className={`w-full text-left py-2 px-2 rounded-lg flex justify-between gap-4 hover:bg-space-light ${event.id === selectedId ? 'bg-space-light' : ''}`}
+                            >
+                                <span className="text-gray-100">{eventSummary(event, i18n, speedUnit)}</span>
+                                <span className="text-sm text-gray-400 whitespace-nowrap">{formatTime(event.startTime)}</span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-gray-400">
+                    {hour ? t('events.noneInHour') : t('events.none')}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default EventList;
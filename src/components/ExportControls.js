@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { EXPORT_FORMATS } from '../lib/exportData';
+import { useI18n } from './I18nContext';
+
+// Download buttons for the trends panel. onExport(format) does the work and may be async;
+// its errors are shown here.
+const ExportControls = ({ onExport, disabled }) => {
+    const { t } = useI18n();
+    const [busyFormat, setBusyFormat] = useState(null);
+    const [exportError, setExportError] = useState(null);
+
+    const handleExport = async (format) => {
+        setBusyFormat(format);
+        setExportError(null);
+        try {
+            await onExport(format);
+        } catch (err) {
+            console.error(`Export as ${format} failed:`, err);
+            setExportError(err.message);
+        } finally {
+            setBusyFormat(null);
+        }
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+            <span className="flex items-center gap-1 text-gray-400"><Download className="h-4 w-4" /> {t('export.label')}</span>
+            {Object.entries(EXPORT_FORMATS).map(([format, spec]) => (
+                <button
+                    key={format}
+                    type="button"
+                    onClick={() => handleExport(format)}
+                    disabled={disabled || busyFormat !== null}
+                    className="bg-space-light hover:bg-celestial-blue disabled:opacity-50 text-gray-100 px-3 py-1 rounded-lg border border-celestial-blue/30 transition-colors duration-300"
+                >
+                    {busyFormat === format ? t('export.exporting') : spec.label}
+                </button>
+            ))}
+            {exportError && <span className="text-solar-red">{exportError}</span>}
+        </div>
+    );
+};
+
+export default ExportControls;
@@ -0,0 +1,8 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_I18N } from '../lib/i18n';
+
+// The viewer's language and time display (createI18n), provided by App from the profile.
+// Components rendered on their own, as in tests, get English with local times.
+export const I18nContext = createContext(DEFAULT_I18N);
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,59 @@
+import React, { useMemo } from 'react';
+import { ComposedChart, Bar, Cell, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { geomagneticStormScale } from '../lib/noaaScales';
+import { G1_KP, kpOf, kpColor, KP_LEVEL_COLORS } from '../lib/trendPanels';
+import { formatBucketLabel } from '../lib/timeRange';
+import { timeAxisProps, tooltipStyleProps, annotationLineProps, PANEL_MARGIN, Y_AXIS_WIDTH } from './trendChartProps';
+import { useI18n } from './I18nContext';
+
+// Kp on its own 0-9 axis, one bar per bucket coloured by the NOAA G-level it reaches. Points with
+// forecastKp and forecastKpRange (withKpOutlook) add the storm outlook as a dashed line in its
+// band. Props as for XrayFluxChart.
+const KpBarChart = ({ data, resolution = 'hour', height = 220, onClick, syncId, showTimeAxis = true, markers = [], showMarkerLabels = true }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const bars = useMemo(() => data.map(point => ({
+        timestamp: point.timestamp,
+        kp: kpOf(point),
+        forecastKp: point.forecastKp ?? null,
+        forecastKpRange: point.forecastKpRange ?? null,
+    })), [data]);
+    const hasForecast = bars.some(bar => bar.forecastKp !== null);
+    return (
+        <ResponsiveContainer width="100%" height={height}>
+            <ComposedChart data={bars} onClick={onClick} syncId={syncId} margin={PANEL_MARGIN} barCategoryGap="10%">
+                <CartesianGrid strokeDasharray="3 3" stroke="#4a5568" opacity={0.5} />
+                <XAxis {...timeAxisProps(resolution, showTimeAxis, i18n)} />
+                <YAxis
+                    domain={[0, 9]}
+                    ticks={[0, 3, 5, 7, 9]}
+                    allowDataOverflow
+                    width={Y_AXIS_WIDTH}
+                    stroke="#82ca9d"
+                    tick={{ fill: '#82ca9d', fontSize: 12 }}
+                    label={{ value: t('chart.kp.axis'), angle: -90, position: 'insideLeft', fill: '#82ca9d' }}
+                />
+                <ReferenceLine y={G1_KP} stroke={KP_LEVEL_COLORS[1]} strokeDasharray="6 3" label={{ value: 'G1', position: 'right', fill: KP_LEVEL_COLORS[1], fontSize: 12 }} />
+                {markers.map(marker => <ReferenceLine key={marker.timestamp} {...annotationLineProps(marker, showMarkerLabels)} />)}
+                <Tooltip
+                    {...tooltipStyleProps}
+                    cursor={{ fill: '#ffffff', opacity: 0.05 }}
+                    formatter={(value, name) => {
+                        if (value === null) return [t('chart.kp.noReading'), name];
+                        if (Array.isArray(value)) return [t('chart.kp.range', { low: value[0], high: value[1] }), name];
+                        const scale = geomagneticStormScale(value);
+                        return [`${i18n.formatNumber(value)}${scale ? ` (${scale.code} ${t(`noaa.names.${scale.level}`, {}, scale.name)})` : ''}`, name];
+                    }}
+                    labelFormatter={(label) => formatBucketLabel(label, resolution, i18n)}
+                />
+                <Bar dataKey="kp" name={t('chart.kp.series')} isAnimationActive={false}>
+                    {bars.map(bar => <Cell key={bar.timestamp} fill={kpColor(bar.kp)} />)}
+                </Bar>
+                {hasForecast && <Area dataKey="forecastKpRange" name={t('chart.kp.forecastRange')} stroke="none" fill="#82ca9d" fillOpacity={0.2} isAnimationActive={false} />}
+                {hasForecast && <Line dataKey="forecastKp" name={t('chart.kp.forecast')} stroke="#82ca9d" strokeDasharray="5 4" dot={false} isAnimationActive={false} />}
+            </ComposedChart>
+        </ResponsiveContainer>
+    );
+};
+
+export default KpBarChart;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { useI18n } from './I18nContext';
+
+// Badge colours by NOAA scale level (0 = below level 1)
+const LEVEL_COLORS = [
+    'bg-green-700/30 text-green-300 border-green-600',
+    'bg-yellow-600/30 text-yellow-200 border-yellow-500',
+    'bg-solar-yellow/30 text-solar-yellow border-solar-yellow',
+    'bg-solar-orange/30 text-solar-orange border-solar-orange',
+    'bg-solar-red/30 text-solar-red border-solar-red',
+    'bg-purple-700/40 text-purple-200 border-purple-400',
+];
+
+const SCALE_KEYS = ['G', 'R', 'S'];
+
+// G/R/S badges for a set of NOAA scale entries ({ G, R, S }, each null below level 1),
+// optionally followed by the standard impact description of every active scale.
+const NoaaScaleBadges = ({ scales, showImpacts = false }) => {
+    const { t } = useI18n();
+    const levelName = (entry) => t(`noaa.names.${entry.level}`, {}, entry.name);
+    return (
+        <div>
+            <div className="flex flex-wrap gap-2">
+                {SCALE_KEYS.map(key => {
+                    const entry = scales[key];
+                    const scale = t(`noaa.scales.${key}`);
+                    return (
+                        <span
+                            key={key}
+                            title={entry ? t('noaa.badgeTitle', { scale, name: levelName(entry), threshold: entry.thresholdLabel }) : t('noaa.badgeTitleNone', { scale })}
+                            className={`px-3 py-1 rounded-full border text-sm font-semibold ${LEVEL_COLORS[entry ? entry.level : 0]}`}
+                        >
+                            {entry ? `${entry.code} ${levelName(entry)}` : `${key}0 ${t('noaa.none')}`}
+                        </span>
+                    );
+                })}
+            </div>
+            {showImpacts && (
+                <ul className="mt-3 space-y-1 text-sm opacity-90">
+                    {SCALE_KEYS.filter(key => scales[key]).map(key => (
+                        <li key={key}>
+                            <span className="font-semibold">{scales[key].code} {t(`noaa.scales.${key}`)}:</span> {t(`noaa.impacts.${scales[key].code}`, {}, scales[key].impacts)}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default NoaaScaleBadges;
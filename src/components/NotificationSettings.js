@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { Bell, Save } from 'lucide-react';
+import { validateNotificationPrefs } from '../lib/notifications';
+import { notificationsSupported, pushSupported, requestNotificationPermission } from '../lib/browserNotifications';
+import { useI18n } from './I18nContext';
+
+const SEVERITIES = ['Minor', 'Moderate', 'Severe'];
+
+const inputClass = 'bg-space-light rounded-lg px-2 py-1 text-gray-100 border border-celestial-blue/20 focus:outline-none';
+
+// Notification preferences: which alerts to be told about, quiet hours, and Web Push for when no
+// tab is open. `metricFields` lists the series fields alert rules can watch ({ field: { label } }).
+// Turning push on or off calls onPushChange(true|false), which manages the browser subscription.
+const NotificationSettings = ({ prefs, metricFields, onSave, onPushChange }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [draft, setDraft] = useState(prefs);
+    const [saving, setSaving] = useState(false);
+    const [settingsError, setSettingsError] = useState(null);
+
+    useEffect(() => setDraft(prefs), [prefs]);
+
+    const update = (changes) => setDraft(current => ({ ...current, ...changes }));
+    const updateQuietHours = (changes) => setDraft(current => ({ ...current, quietHours: { ...current.quietHours, ...changes } }));
+    const toggleMetric = (field) => update({
+        metrics: draft.metrics.includes(field) ? draft.metrics.filter(m => m !== field) : [...draft.metrics, field],
+    });
+
+    const handleSave = async () => {
+        setSaving(true);
+        setSettingsError(null);
+        try {
+            if (draft.enabled) await requestNotificationPermission(i18n);
+            if (draft.push !== prefs.push) await onPushChange(draft.enabled && draft.push);
+            await onSave(draft);
+        } catch (err) {
+            setSettingsError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const errors = validateNotificationPrefs(draft, i18n);
+
+    return (
+        <div className="bg-space-medium p-6 rounded-xl shadow-lg border border-celestial-blue/20">
+            <h2 className="text-2xl font-bold text-solar-yellow mb-4 flex items-center gap-2">
+                <Bell className="h-6 w-6 text-solar-orange" /> {t('notifications.title')}
+            </h2>
+            {!notificationsSupported() && <p className="text-sm text-solar-red mb-3">{t('notifications.errors.unsupported')}</p>}
+
+            <div className="space-y-4 text-sm text-gray-200">
+                <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={draft.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+                    {t('notifications.enabled')}
+                </label>
+
+                <label className="flex items-center gap-2">
+                    {t('notifications.onlyFor')}
+                    <select className={inputClass} value={draft.minSeverity} onChange={(e) => update({ minSeverity: e.target.value })}>
+                        {SEVERITIES.map(severity => <option key={severity} value={severity}>{t('common.andAbove', { severity: t(`alerts.severities.${severity}`) })}</option>)}
+                    </select>
+                </label>
+
+                <fieldset>
+                    <legend className="mb-1 text-gray-400">{t('common.metricsAll')}</legend>
+                    <div className="flex flex-wrap gap-x-4 gap-y-1">
+                        {Object.entries(metricFields).map(([field, spec]) => (
+                            <label key={field} className="flex items-center gap-1">
+                                <input type="checkbox" checked={draft.metrics.includes(field)} onChange={() => toggleMetric(field)} />
+                                {spec.label}
+                            </label>
+                        ))}
+                    </div>
+                </fieldset>
+
+                <div className="flex flex-wrap items-center gap-2">
+                    <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={draft.quietHours.enabled} onChange={(e) => updateQuietHours({ enabled: e.target.checked, timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone })} />
+                        {t('notifications.quietHours')}
+                    </label>
+                    <input type="time" className={inputClass} value={draft.quietHours.start} onChange={(e) => updateQuietHours({ start: e.target.value })} aria-label={t('notifications.quietStart')} />
+                    <span className="text-gray-400">{t('common.to')}</span>
+                    <input type="time" className={inputClass} value={draft.quietHours.end} onChange={(e) => updateQuietHours({ end: e.target.value })} aria-label={t('notifications.quietEnd')} />
+                    <span className="text-gray-400">({draft.quietHours.timeZone})</span>
+                </div>
+
+                <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={draft.push} disabled={!pushSupported()} onChange={(e) => update({ push: e.target.checked })} />
+                    {t('notifications.push')}
+                </label>
+            </div>
+
+            {(settingsError || errors.length > 0) && <p className="mt-4 text-sm text-solar-red">{settingsError || errors.join(' ')}</p>}
+            <button
+                type="button"
+                onClick={handleSave}
+                disabled={saving || errors.length > 0}
+                className="mt-4 flex items-center gap-2 bg-celestial-blue hover:bg-celestial-purple disabled:opacity-50 text-white px-3 py-2 rounded-lg transition-colors duration-300"
+            >
+                <Save className="h-4 w-4" /> {saving ? t('common.saving') : t('notifications.save')}
+            </button>
+        </div>
+    );
+};
+
+export default NotificationSettings;
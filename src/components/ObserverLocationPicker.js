@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { MapPin, Crosshair, Search } from 'lucide-react';
+import { searchCities } from '../lib/gazetteer';
+import { locateWithBrowser, validateCoordinates } from '../lib/observerLocation';
+import { useI18n } from './I18nContext';
+
+// Observer location picker: browser geolocation, manual coordinates or a city from the offline gazetteer
+const ObserverLocationPicker = ({ observer, onChange }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [cityQuery, setCityQuery] = useState('');
+    const [latitudeInput, setLatitudeInput] = useState(String(observer.latitude));
+    const [longitudeInput, setLongitudeInput] = useState(String(observer.longitude));
+    const [locating, setLocating] = useState(false);
+    const [pickerError, setPickerError] = useState(null);
+
+    const matches = searchCities(cityQuery);
+
+    const choose = (nextObserver) => {
+        setPickerError(null);
+        setLatitudeInput(nextObserver.latitude.toFixed(4));
+        setLongitudeInput(nextObserver.longitude.toFixed(4));
+        setCityQuery('');
+        onChange(nextObserver);
+    };
+
+    const handleLocate = async () => {
+        setLocating(true);
+        try {
+            choose(await locateWithBrowser(undefined, i18n));
+        } catch (err) {
+            setPickerError(err.message);
+        } finally {
+            setLocating(false);
+        }
+    };
+
+    const handleManualSubmit = (event) => {
+        event.preventDefault();
+        const latitude = parseFloat(latitudeInput);
+        const longitude = parseFloat(longitudeInput);
+        const validationError = validateCoordinates(latitude, longitude, i18n);
+        if (validationError) {
+            setPickerError(validationError);
+            return;
+        }
+        choose({ latitude, longitude, name: `${latitude.toFixed(2)}°, ${longitude.toFixed(2)}°`, source: 'manual' });
+    };
+
+    return (
+        <div className="bg-space-medium p-6 rounded-xl shadow-lg border border-celestial-blue/20">
+            <h2 className="text-2xl font-bold text-solar-yellow mb-2 flex items-center gap-2">
+                <MapPin className="h-6 w-6 text-solar-orange" /> {t('location.title')}
+            </h2>
+            <p className="text-gray-300 mb-4">
+                {t('location.current')} <span className="font-semibold text-gray-100">{observer.name}</span>
+                <span className="font-mono text-sm ml-2">({observer.latitude.toFixed(2)}°, {observer.longitude.toFixed(2)}°)</span>
+            </p>
+
+            <div className="flex flex-col md:flex-row gap-4">
+                <button
+                    type="button"
+                    onClick={handleLocate}
+                    disabled={locating}
+                    className="flex items-center justify-center gap-2 bg-celestial-blue hover:bg-celestial-purple disabled:opacity-50 text-white px-4 py-2 rounded-lg transition-colors duration-300"
+                >
+                    <Crosshair className="h-4 w-4" /> {locating ? t('location.locating') : t('location.useMine')}
+                </button>
+
+                <div className="relative flex-1">
+                    <div className="flex items-center bg-space-light rounded-lg px-3 border border-celestial-blue/20">
+                        <Search className="h-4 w-4 text-gray-400" />
+                        <input
+                            type="text"
+                            value={cityQuery}
+                            onChange={(e) => setCityQuery(e.target.value)}
+                            placeholder={t('location.search')}
+                            className="bg-transparent flex-1 px-2 py-2 text-gray-100 focus:outline-none"
+                        />
+                    </div>
+                    {matches.length > 0 && (
+                        <ul className="absolute z-10 mt-1 w-full bg-space-light border border-celestial-blue/30 rounded-lg shadow-xl max-h-64 overflow-y-auto">
+                            {matches.map(city => (
+                                <li key={`${city.name}-${city.country}`}>
+                                    <button
+                                        type="button"
+                                        onClick={() => choose({ latitude: city.latitude, longitude: city.longitude, name: `${city.name}, ${city.country}`, source: 'gazetteer' })}
+                                        className="w-full text-left px-3 py-2 hover:bg-space-medium text-gray-200"
+                                    >
+                                        {city.name} <span className="text-gray-400 text-sm">{city.country}</span>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
+                <form onSubmit={handleManualSubmit} className="flex items-center gap-2">
+                    <input
+                        type="number"
+                        step="any"
+                        value={latitudeInput}
+                        onChange={(e) => setLatitudeInput(e.target.value)}
+                        aria-label={t('common.latitude')}
+                        placeholder={t('location.latitudeShort')}
+                        className="w-24 bg-space-light rounded-lg px-2 py-2 text-gray-100 border border-celestial-blue/20 focus:outline-none"
+                    />
+                    <input
+                        type="number"
+                        step="any"
+                        value={longitudeInput}
+                        onChange={(e) => setLongitudeInput(e.target.value)}
+                        aria-label={t('common.longitude')}
+                        placeholder={t('location.longitudeShort')}
+                        className="w-24 bg-space-light rounded-lg px-2 py-2 text-gray-100 border border-celestial-blue/20 focus:outline-none"
+                    />
+                    <button type="submit" className="bg-space-light hover:bg-celestial-blue text-gray-100 px-3 py-2 rounded-lg border border-celestial-blue/30 transition-colors duration-300">
+                        {t('location.set')}
+                    </button>
+                </form>
+            </div>
+
+            {pickerError && <p className="text-solar-red text-sm mt-3">{pickerError}</p>}
+        </div>
+    );
+};
+
+export default ObserverLocationPicker;
@@ -0,0 +1,19 @@
+import React from 'react';
+import { useI18n } from './I18nContext';
+
+const inputClass = 'bg-space-light rounded-lg px-2 py-1 text-gray-100 border border-celestial-blue/20 focus:outline-none';
+
+// Whose items a panel shows: the user's own (value '') or those of one of `teams` ({ id, name }).
+// Nothing to choose, and so nothing shown, without a team.
+const OwnerSelect = ({ teams, value, onChange, label }) => {
+    const { t } = useI18n();
+    if (!teams.length) return null;
+    return (
+        <select className={inputClass} value={value} onChange={(e) => onChange(e.target.value)} aria-label={label}>
+            <option value="">{t('team.ownerPersonal')}</option>
+            {teams.map(team => <option key={team.id} value={team.id}>{t('team.ownerTeam', { name: team.name })}</option>)}
+        </select>
+    );
+};
+
+export default OwnerSelect;
@@ -0,0 +1,59 @@
+import React from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceDot, ResponsiveContainer } from 'recharts';
+import { Orbit } from 'lucide-react';
+import { TYPICAL_CYCLE_MONTHS } from '../lib/solarCycle';
+import { tooltipStyleProps } from './trendChartProps';
+import { useI18n } from './I18nContext';
+
+const axisProps = { stroke: '#e2e8f0', tick: { fill: '#e2e8f0', fontSize: 12 } };
+
+// Where the current solar cycle stands, from solarCyclePosition()
+const SolarCyclePanel = ({ position }) => {
+    const { t, formatDate } = useI18n();
+    const formatMonth = (month) => formatDate(`${month}-01T00:00:00Z`, { timeZone: 'UTC', month: 'short', year: 'numeric' });
+    const { cycle, startMonth, monthsIntoCycle, cycleProgress, dataThrough, latest, latestSmoothed, peak, phase, prediction, series } = position;
+    const years = Math.floor(monthsIntoCycle / 12);
+    const months = monthsIntoCycle % 12;
+
+    return (
+        <div className="bg-space-medium p-6 rounded-xl shadow-lg border border-celestial-blue/20">
+            <h2 className="text-2xl font-bold text-solar-yellow mb-4 flex items-center gap-2">
+                <Orbit className="h-6 w-6 text-solar-orange" /> {t('solarCycle.title', { cycle: String(cycle) })}
+            </h2>
+            <div className="grid gap-3 sm:grid-cols-3 mb-4">
+                <div className="bg-space-light rounded-lg p-3">
+                    <p className="text-sm text-gray-400">{t('solarCycle.into')}</p>
+                    <p className="text-xl font-semibold text-gray-100">{t('solarCycle.age', { years, months })}</p>
+                    <p className="text-xs text-gray-400">{t('solarCycle.began', { month: formatMonth(startMonth), percent: Math.round(cycleProgress * 100), years: TYPICAL_CYCLE_MONTHS / 12 })}</p>
+                </div>
+                <div className="bg-space-light rounded-lg p-3">
+                    <p className="text-sm text-gray-400">{t('solarCycle.smoothed')}</p>
+                    <p className="text-xl font-semibold text-gray-100">{latestSmoothed.smoothed}</p>
+                    <p className="text-xs text-gray-400">{t('solarCycle.smoothedNote', { month: formatMonth(latestSmoothed.month), value: latest.value, latestMonth: formatMonth(latest.month) })}</p>
+                </div>
+                <div className="bg-space-light rounded-lg p-3">
+                    <p className="text-sm text-gray-400">{t('solarCycle.peak')}</p>
+                    <p className="text-xl font-semibold text-gray-100">{peak.smoothed}</p>
+                    <p className="text-xs text-gray-400">{t('solarCycle.peakNote', { month: formatMonth(peak.month), value: prediction.smoothed, predictedMonth: formatMonth(prediction.month) })}</p>
+                </div>
+            </div>
+            <p className="text-gray-200 mb-4">{t(`solarCycle.phases.${phase}`)}</p>
+
+            <ResponsiveContainer width="100%" height={240}>
+                <ComposedChart data={series} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#4a5568" opacity={0.5} />
+                    <XAxis dataKey="month" tickFormatter={formatMonth} interval="preserveStartEnd" minTickGap={40} {...axisProps} />
+                    <YAxis {...axisProps} />
+                    <Tooltip {...tooltipStyleProps} labelFormatter={formatMonth} cursor={{ fill: '#ffffff', opacity: 0.05 }} />
+                    <Legend />
+                    <Bar dataKey="value" name={t('solarCycle.monthlyMean')} fill="#667EEA" opacity={0.6} isAnimationActive={false} />
+                    <Line dataKey="smoothed" name={t('solarCycle.smoothedSeries')} stroke="#ECC94B" strokeWidth={2} dot={false} connectNulls={false} isAnimationActive={false} />
+                    <ReferenceDot x={peak.month} y={peak.smoothed} r={5} fill="#DD6B20" stroke="none" />
+                </ComposedChart>
+            </ResponsiveContainer>
+            <p className="text-xs text-gray-400 mt-2">{t('solarCycle.source', { month: formatMonth(dataThrough) })}</p>
+        </div>
+    );
+};
+
+export default SolarCyclePanel;
@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Aperture, Play, Pause, ChevronLeft, ChevronRight } from 'lucide-react';
+import {
+    IMAGE_SOURCES, DEFAULT_IMAGE_SOURCE, DEFAULT_SOLAR_IMAGE_URL, DEFAULT_FRAME_CADENCE_MINUTES,
+    MARKER_WINDOW_HOURS, solarImageUrl, frameTimes, flareMarkers, diskGeometry,
+} from '../lib/solarImagery';
+import { useI18n } from './I18nContext';
+
+const FRAME_INTERVAL_MS = 500;
+
+const formatFrameTime = (time) => `${time.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+
+// Solar disk and coronagraph frames around `time`, played as an animation, with the flares of
+// `events` marked where their source regions are at each frame. Clicking a marker calls
+// onSelectEvent(id). urlTemplate and cadenceMinutes come from the config (solarImagery.js).
+const SolarImagery = ({ time, events, selectedEventId, onSelectEvent, urlTemplate = DEFAULT_SOLAR_IMAGE_URL, cadenceMinutes = DEFAULT_FRAME_CADENCE_MINUTES }) => {
+    const { t } = useI18n();
+    const [sourceId, setSourceId] = useState(DEFAULT_IMAGE_SOURCE);
+    const [frameIndex, setFrameIndex] = useState(0);
+    const [playing, setPlaying] = useState(false);
+    const [failedUrls, setFailedUrls] = useState(() => new Set());
+
+    const timeValue = new Date(time).valueOf();
+    const { frames, selectedIndex } = useMemo(() => frameTimes(timeValue, { cadenceMinutes }), [timeValue, cadenceMinutes]);
+    const urls = useMemo(() => frames.map(frame => solarImageUrl(urlTemplate, sourceId, frame)), [frames, urlTemplate, sourceId]);
+
+    // A new time starts again at its own frame
+    useEffect(() => {
+        setFrameIndex(selectedIndex);
+        setPlaying(false);
+    }, [frames, selectedIndex]);
+
+    useEffect(() => {
+        if (!playing) return;
+        const timer = setInterval(() => setFrameIndex(index => (index + 1) % frames.length), FRAME_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [playing, frames.length]);
+
+    // Load every frame up front so the animation does not stall on each one; unmounting or
+    // switching source abandons whatever is still loading
+    useEffect(() => {
+        setFailedUrls(new Set());
+        const images = urls.map(url => {
+            const image = new Image();
+            image.onerror = () => setFailedUrls(failed => new Set(failed).add(url));
+            image.src = url;
+            return image;
+        });
+        return () => images.forEach(image => {
+            image.onerror = null;
+            image.src = '';
+        });
+    }, [urls]);
+
+    const source = IMAGE_SOURCES[sourceId];
+    const frame = frames[frameIndex] || frames[selectedIndex];
+    const url = urls[frameIndex];
+    const markers = useMemo(() => (source.kind === 'disk' ? flareMarkers(events, sourceId, frame) : []), [events, sourceId, source.kind, frame]);
+    const disk = diskGeometry(sourceId, frame);
+
+    const step = (delta) => {
+        setPlaying(false);
+        setFrameIndex(index => (index + delta + frames.length) % frames.length);
+    };
+
+    return (
+        <div className="bg-space-medium p-6 rounded-xl shadow-lg border border-celestial-blue/20">
+            <h2 className="text-2xl font-bold text-solar-yellow mb-4 flex items-center gap-2">
+                <Aperture className="h-6 w-6 text-solar-orange" /> {t('imagery.title')}
+            </h2>
+
+            <div className="flex flex-wrap gap-2 mb-4" role="group" aria-label={t('imagery.source')}>
+                {Object.entries(IMAGE_SOURCES).map(([id, spec]) => (
+                    <button
+                        key={id}
+                        type="button"
+                        onClick={() => setSourceId(id)}
+                        aria-pressed={id === sourceId}
+                        title={t(`imagery.descriptions.${id}`, {}, spec.description)}
+                        className={`text-sm px-3 py-1 rounded-lg border transition-colors duration-300 ${id === sourceId ? 'bg-celestial-blue text-white border-celestial-blue' : 'bg-space-light text-gray-300 border-celestial-blue/30 hover:text-white'}`}
+                    >
+                        {spec.label}
+                    </button>
+                ))}
+            </div>
+
+            <div className="grid gap-6 md:grid-cols-[minmax(0,512px)_1fr]">
+                <div>
+                    <div className="relative w-full aspect-square bg-black rounded-lg overflow-hidden">
+                        {failedUrls.has(url) ? (
+                            <p className="absolute inset-0 flex items-center justify-center text-sm text-gray-400 p-6 text-center">
+                                {t('imagery.noImage', { source: source.label, time: formatFrameTime(frame) })}
+                            </p>
+                        ) : (
+                            <img src={url} alt={t('imagery.image', { source: source.label, time: formatFrameTime(frame) })} className="absolute inset-0 w-full h-full" />
+                        )}
+                        <svg viewBox={`0 0 ${source.size} ${source.size}`} className="absolute inset-0 w-full h-full">
+                            {source.kind === 'coronagraph' && (
+                                <circle cx={disk.cx} cy={disk.cy} r={disk.radius} fill="none" stroke="#ECC94B" strokeDasharray="4 4" strokeWidth="1" />
+                            )}
+                            {markers.map(({ event, x, y, hoursFromFrame }) => {
+                                const selected = event.id === selectedEventId;
+                                return (
+                                    <g
+                                        key={event.id}
+                                        onClick={() => onSelectEvent(event.id)}
+                                        className="cursor-pointer"
+                                        opacity={Math.abs(hoursFromFrame) <= 1 || selected ? 1 : 0.6}
+                                        data-testid="flare-marker"
+                                    >
+                                        <title>{t('imagery.marker', { classType: event.details.classType || t('imagery.flare'), location: event.details.sourceLocation, time: formatFrameTime(new Date(event.peakTime || event.startTime)) })}</title>
+                                        <circle cx={x} cy={y} r={selected ? 14 : 10} fill="none" stroke={selected ? '#ECC94B' : '#63B3ED'} strokeWidth={selected ? 3 : 2} />
+                                        <text x={x + 16} y={y + 4} fill={selected ? '#ECC94B' : '#E2E8F0'} fontSize="13" fontWeight="bold">{event.details.classType}</text>
+                                    </g>
+                                );
+                            })}
+                        </svg>
+                    </div>
+
+                    <div className="flex items-center gap-3 mt-3">
+                        <button type="button" onClick={() => step(-1)} className="text-gray-300 hover:text-white" aria-label={t('imagery.previous')}>
+                            <ChevronLeft className="h-5 w-5" />
+                        </button>
+                        <button type="button" onClick={() => setPlaying(!playing)} className="text-gray-300 hover:text-white" aria-label={playing ? t('imagery.pause') : t('imagery.play')}>
+                            {playing ? <Pause className="h-5 w-5" /> : <Play className="h-5 w-5" />}
+                        </button>
+                        <button type="button" onClick={() => step(1)} className="text-gray-300 hover:text-white" aria-label={t('imagery.next')}>
+                            <ChevronRight className="h-5 w-5" />
+                        </button>
+                        <input
+                            type="range"
+                            min={0}
+                            max={frames.length - 1}
+                            value={frameIndex}
+                            onChange={(e) => { setPlaying(false); setFrameIndex(Number(e.target.value)); }}
+                            className="flex-1"
+                            aria-label={t('imagery.frame')}
+                        />
+                    </div>
+                    <p className="text-sm text-gray-300 mt-1">
+                        {t('imagery.frameOf', { time: formatFrameTime(frame), index: frameIndex + 1, count: frames.length })}
+                        {frameIndex === selectedIndex && <span className="text-solar-yellow">{t('imagery.selectedTime')}</span>}
+                    </p>
+                </div>
+
+                <div className="text-sm text-gray-300 space-y-3">
+                    <p>{t('imagery.cadence', { description: t(`imagery.descriptions.${sourceId}`, {}, source.description), minutes: cadenceMinutes })}</p>
+                    {source.kind === 'disk' ? (
+                        <p>
+                            {markers.length
+                                ? t(markers.length === 1 ? 'imagery.markers.one' : 'imagery.markers.other', { count: markers.length, hours: MARKER_WINDOW_HOURS })
+                                : t('imagery.noMarkers', { hours: MARKER_WINDOW_HOURS })}
+                            {' '}{t('imagery.clickMarker')}
+                        </p>
+                    ) : (
+                        <p>{t('imagery.coronagraph')}</p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SolarImagery;
@@ -0,0 +1,54 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import flares from '../../fixtures/donki/FLR.json';
+import SolarImagery from './SolarImagery';
+import { donkiFlareAdapter } from '../lib/sources/donki';
+
+const SAMPLE_TEMPLATE = 'http://localhost:4010/imagery/{source}/{year}{month}{day}_{hour}{minute}.svg';
+const events = donkiFlareAdapter.parseEvents(flares);
+const x58 = events.find(event => event.details.classType === 'X5.8');
+
+const renderViewer = (props = {}) => render(
+    <SolarImagery time={x58.peakTime} events={events} selectedEventId={x58.id} onSelectEvent={() => {}} urlTemplate={SAMPLE_TEMPLATE} {...props} />,
+);
+const frameImage = () => screen.getByRole('img', { name: /at 2024-05-11/ });
+
+describe('SolarImagery', () => {
+    it('opens on the frame of the selected time with its flares marked', () => {
+        renderViewer();
+        expect(frameImage()).toHaveAttribute('src', 'http://localhost:4010/imagery/aia-193/20240511_0112.svg');
+        expect(screen.getByText(/frame 5 of 9/)).toHaveTextContent('selected time');
+        expect(screen.getAllByTestId('flare-marker')).toHaveLength(2);
+    });
+
+    it('steps and plays through the frames', () => {
+        jest.useFakeTimers();
+        try {
+            renderViewer();
+            fireEvent.click(screen.getByRole('button', { name: 'Next frame' }));
+            expect(frameImage()).toHaveAttribute('src', 'http://localhost:4010/imagery/aia-193/20240511_0124.svg');
+            fireEvent.click(screen.getByRole('button', { name: 'Play animation' }));
+            act(() => { jest.advanceTimersByTime(2000); });
+            expect(frameImage()).toHaveAttribute('src', 'http://localhost:4010/imagery/aia-193/20240511_0024.svg');
+            fireEvent.click(screen.getByRole('button', { name: 'Pause animation' }));
+            act(() => { jest.advanceTimersByTime(2000); });
+            expect(frameImage()).toHaveAttribute('src', 'http://localhost:4010/imagery/aia-193/20240511_0024.svg');
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    it('selects a flare from its marker', () => {
+        const onSelectEvent = jest.fn();
+        renderViewer({ onSelectEvent });
+        fireEvent.click(screen.getAllByTestId('flare-marker')[0]);
+        expect(onSelectEvent).toHaveBeenCalledWith('2024-05-10T06:27:00-FLR-001');
+    });
+
+    it('shows coronagraph frames without flare markers', () => {
+        renderViewer();
+        fireEvent.click(screen.getByRole('button', { name: 'SOHO/LASCO C2' }));
+        expect(frameImage()).toHaveAttribute('src', 'http://localhost:4010/imagery/lasco-c2/20240511_0112.svg');
+        expect(screen.queryAllByTestId('flare-marker')).toHaveLength(0);
+    });
+});
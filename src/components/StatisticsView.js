@@ -0,0 +1,146 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { BarChart3 } from 'lucide-react';
+import { STATISTICS_PERIODS, FAST_CME_SPEED } from '../lib/statistics';
+import { GEOMAGNETIC_STORM_SCALE } from '../lib/noaaScales';
+import { KP_LEVEL_COLORS } from '../lib/trendPanels';
+import { formatSpeed } from '../lib/profile';
+import { tooltipStyleProps } from './trendChartProps';
+import { useI18n } from './I18nContext';
+
+const FLARE_CLASS_COLORS = { A: '#718096', B: '#667EEA', C: '#ECC94B', M: '#DD6B20', X: '#E53E3E' };
+
+const axisProps = { stroke: '#e2e8f0', tick: { fill: '#e2e8f0', fontSize: 12 } };
+
+const binLabel = ({ min, max }, speedUnit, locale) => (max === null
+    ? `≥ ${formatSpeed(min, speedUnit, locale)}`
+    : `${formatSpeed(min, speedUnit, locale)} – ${formatSpeed(max, speedUnit, locale)}`);
+
+const Section = ({ title, children }) => (
+    <div className="bg-space-light rounded-lg p-4">
+        <h3 className="text-lg font-semibold text-solar-yellow mb-3">{title}</h3>
+        {children}
+    </div>
+);
+
+// Flares by class per month, CME speeds, storm days per G-level and the same dates in earlier
+// years, as computed by lib/statistics.js. `statistics` is null while loading.
+const StatisticsView = ({ periodId, onPeriodChange, statistics, loading, error, speedUnit }) => {
+    const { t, formatDate, language } = useI18n();
+    const formatMonth = (month) => formatDate(`${month}-01T00:00:00Z`, { timeZone: 'UTC', month: 'short', year: 'numeric' });
+    const formatDay = (date) => formatDate(date, { timeZone: 'UTC', day: 'numeric', month: 'short', year: 'numeric' });
+    const speed = (kmPerSecond) => formatSpeed(kmPerSecond, speedUnit, language);
+
+    return (
+        <div className="bg-space-medium p-6 md:p-8 rounded-xl shadow-xl border border-celestial-blue/20">
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+                <h2 className="text-2xl font-bold text-solar-yellow flex items-center gap-2">
+                    <BarChart3 className="h-6 w-6 text-solar-orange" /> {t('statistics.title')}
+                </h2>
+                <label className="text-sm text-gray-300 flex items-center gap-2">
+                    {t('statistics.period')}
+                    <select
+                        value={periodId}
+                        onChange={(e) => onPeriodChange(e.target.value)}
+                        className="bg-space-light border border-celestial-blue/30 rounded px-2 py-1 text-gray-100"
+                    >
+                        {STATISTICS_PERIODS.map(period => <option key={period.id} value={period.id}>{t('statistics.last', { period: t(`statistics.periods.${period.id}`, {}, period.label) })}</option>)}
+                    </select>
+                </label>
+            </div>
+
+            {error && <p className="text-solar-red mb-4">{error}</p>}
+            {loading && <p className="text-gray-400">{t('statistics.loading')}</p>}
+
+            {statistics && (
+                <div className="grid gap-6 lg:grid-cols-2">
+                    <Section title={t('statistics.flaresByClass')}>
+                        <ResponsiveContainer width="100%" height={260}>
+                            <BarChart data={statistics.monthlyFlares} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#4a5568" opacity={0.5} />
+                                <XAxis dataKey="month" tickFormatter={formatMonth} {...axisProps} />
+                                <YAxis allowDecimals={false} {...axisProps} />
+                                <Tooltip {...tooltipStyleProps} labelFormatter={formatMonth} cursor={{ fill: '#ffffff', opacity: 0.05 }} />
+                                <Legend />
+                                {Object.entries(FLARE_CLASS_COLORS).map(([letter, color]) => (
+                                    <Bar key={letter} dataKey={letter} name={t('statistics.flareClass', { letter })} stackId="flares" fill={color} isAnimationActive={false} />
+                                ))}
+                            </BarChart>
+                        </ResponsiveContainer>
+                    </Section>
+
+                    <Section title={t('statistics.cmeSpeeds')}>
+                        <ResponsiveContainer width="100%" height={220}>
+                            <BarChart
+                                data={statistics.cmeSpeeds.bins.map(bin => ({ label: binLabel(bin, speedUnit, language), count: bin.count }))}
+                                margin={{ top: 5, right: 10, left: 0, bottom: 5 }}
+                            >
+                                <CartesianGrid strokeDasharray="3 3" stroke="#4a5568" opacity={0.5} />
+                                <XAxis dataKey="label" {...axisProps} tick={{ fill: '#e2e8f0', fontSize: 11 }} />
+                                <YAxis allowDecimals={false} {...axisProps} />
+                                <Tooltip {...tooltipStyleProps} cursor={{ fill: '#ffffff', opacity: 0.05 }} />
+                                <Bar dataKey="count" name={t('statistics.cmes')} fill="#ff7300" isAnimationActive={false} />
+                            </BarChart>
+                        </ResponsiveContainer>
+                        <p className="text-sm text-gray-300 mt-2">
+                            {statistics.cmeSpeeds.measured
+                                ? t('statistics.cmeSummary', { count: statistics.cmeSpeeds.measured, median: speed(statistics.cmeSpeeds.median), fastest: speed(statistics.cmeSpeeds.fastest) })
+                                : t('statistics.noCmeSpeeds')}
+                        </p>
+                    </Section>
+
+                    <Section title={t('statistics.stormDays')}>
+                        <div className="grid grid-cols-5 gap-2">
+                            {GEOMAGNETIC_STORM_SCALE.map(entry => (
+                                <div key={entry.code} className="rounded-lg p-3 text-center bg-space-medium border-t-4" style={{ borderColor: KP_LEVEL_COLORS[entry.level] }}>
+                                    <p className="text-2xl font-bold text-gray-100">{statistics.stormDays[entry.code]}</p>
+                                    <p className="text-xs text-gray-400">{entry.code} {t(`noaa.names.${entry.level}`, {}, entry.name)}</p>
+                                </div>
+                            ))}
+                        </div>
+                        <p className="text-sm text-gray-300 mt-3">
+                            {t('statistics.stormDaysSummary', { count: statistics.stormDays.total, days: statistics.days })}
+                        </p>
+                    </Section>
+
+                    <Section title={t('statistics.comparison')}>
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm text-left text-gray-300">
+                                <thead className="text-gray-400">
+                                    <tr>
+                                        <th className="py-1 pr-2 font-medium">{t('statistics.columns.period')}</th>
+                                        <th className="py-1 px-2 font-medium text-right">{t('statistics.columns.flares')}</th>
+                                        <th className="py-1 px-2 font-medium text-right">{t('statistics.columns.majorFlares')}</th>
+                                        <th className="py-1 px-2 font-medium text-right">{t('statistics.columns.cmes')}</th>
+                                        <th className="py-1 px-2 font-medium text-right">≥ {speed(FAST_CME_SPEED)}</th>
+                                        <th className="py-1 pl-2 font-medium text-right">{t('statistics.columns.stormDays')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {statistics.comparison.map(({ yearsBack, start, end, summary }) => (
+                                        <tr key={yearsBack} className={`border-t border-gray-700 ${yearsBack === 0 ? 'text-gray-100 font-semibold' : ''}`}>
+                                            <td className="py-1 pr-2">
+                                                {formatDay(start)} – {formatDay(end)}
+                                                {!summary.complete && <span className="ml-1 text-solar-orange" title={t('statistics.incomplete')}>*</span>}
+                                            </td>
+                                            <td className="py-1 px-2 text-right">{summary.flares}</td>
+                                            <td className="py-1 px-2 text-right">{summary.majorFlares}</td>
+                                            <td className="py-1 px-2 text-right">{summary.cmes}</td>
+                                            <td className="py-1 px-2 text-right">{summary.fastCmes}</td>
+                                            <td className="py-1 pl-2 text-right">{summary.stormDays}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        {statistics.comparison.some(row => !row.summary.complete) && (
+                            <p className="text-xs text-solar-orange mt-2">{t('statistics.incompleteNote')}</p>
+                        )}
+                    </Section>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default StatisticsView;
@@ -0,0 +1,59 @@
+import React from 'react';
+import { Wind } from 'lucide-react';
+import { geomagneticStormScale } from '../lib/noaaScales';
+import { outlookByDay } from '../lib/stormForecast';
+import { kpColor } from '../lib/trendPanels';
+import { formatSpeed } from '../lib/profile';
+import { useI18n } from './I18nContext';
+
+// 3-day Kp outlook and the CME arrivals behind it, from forecastStorms()
+const StormOutlook = ({ forecast, speedUnit }) => {
+    const { t, formatDate, formatNumber, language, timeDisplay } = useI18n();
+    if (!forecast) return null;
+    const formatKp = (kp) => formatNumber(kp, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    const formatAngle = (angle) => formatNumber(Math.round(angle));
+    const formatArrival = (time) => {
+        const text = formatDate(time, { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+        return timeDisplay === 'utc' ? `${text} UTC` : text;
+    };
+    const days = outlookByDay(forecast.outlook);
+    const { arrivals } = forecast;
+
+    return (
+        <div className="bg-space-medium p-6 rounded-xl shadow-lg border border-celestial-blue/20">
+            <h2 className="text-2xl font-bold text-solar-yellow mb-4 flex items-center gap-2">
+                <Wind className="h-6 w-6 text-solar-orange" /> {t('storm.title')}
+            </h2>
+            <div className="grid gap-3 sm:grid-cols-3 lg:grid-cols-4 mb-6">
+                {days.map(day => {
+                    const scale = geomagneticStormScale(day.kp);
+                    return (
+                        <div key={day.day} className="bg-space-light rounded-lg p-3 border-t-4" style={{ borderColor: kpColor(day.kp) }}>
+                            <p className="text-sm text-gray-400">{t('storm.day', { day: formatDate(`${day.day}T00:00:00Z`, { timeZone: 'UTC', weekday: 'short', day: 'numeric', month: 'short' }) })}</p>
+                            <p className="text-xl font-semibold text-gray-100">{t('storm.kp', { kp: formatKp(day.kp) })}{scale ? ` · ${scale.code}` : ''}</p>
+                            <p className="text-xs text-gray-400">{t('storm.likelyRange', { low: formatKp(day.kpLow), high: formatKp(day.kpHigh) })}</p>
+                        </div>
+                    );
+                })}
+            </div>
+
+            <h3 className="text-lg font-semibold text-solar-yellow mb-2">{t('storm.earthDirected')}</h3>
+            {!arrivals.length && <p className="text-gray-400 text-sm">{t('storm.noArrivals')}</p>}
+            <ul className="space-y-3">
+                {arrivals.map(arrival => (
+                    <li key={arrival.cmeId} className="text-sm text-gray-300">
+                        <p className="font-semibold text-gray-100">{arrival.cmeId}</p>
+                        <p>
+                            {t('storm.launched', { speed: formatSpeed(arrival.speed, speedUnit, language), angle: formatAngle(arrival.angle), halfAngle: formatAngle(arrival.halfAngle) })}
+                            {' '}{t('storm.arrival', { median: formatArrival(arrival.arrival.median), earliest: formatArrival(arrival.arrival.earliest), latest: formatArrival(arrival.arrival.latest) })}
+                        </p>
+                        <p>{t('storm.expected', { speed: formatSpeed(arrival.arrivalSpeed, speedUnit, language), kp: formatKp(arrival.expectedKp.median), low: formatKp(arrival.expectedKp.low), high: formatKp(arrival.expectedKp.high) })}</p>
+                    </li>
+                ))}
+            </ul>
+            <p className="text-xs text-gray-400 mt-4">{t('storm.model')}</p>
+        </div>
+    );
+};
+
+export default StormOutlook;
@@ -0,0 +1,311 @@
+import React, { useState, useId } from 'react';
+import { Users, Plus, Pin, Pencil, Trash2, Save, X, MessageSquare, LogOut } from 'lucide-react';
+import {
+    TEAM_ROLES, annotationTime, canAnnotate, canComment, canManageMembers, canChangeMember, canLeaveTeam, canEditAnnotation, canDeleteComment,
+    validateTeamName, validateMember, validateAnnotation, validateComment,
+} from '../lib/teams';
+import { eventSummary } from '../lib/spaceWeatherEvents';
+import { useI18n } from './I18nContext';
+
+const inputClass = 'bg-space-light rounded-lg px-2 py-1 text-gray-100 border border-celestial-blue/20 focus:outline-none';
+const primaryButtonClass = 'flex items-center gap-2 bg-celestial-blue hover:bg-celestial-purple disabled:opacity-50 text-white px-3 py-2 rounded-lg transition-colors duration-300';
+const iconButtonClass = 'text-gray-400 hover:text-white';
+
+// A role's name in the viewer's language; unknown roles as stored
+const roleName = (t, role) => t(`team.roles.${role}`, {}, role);
+
+// Runs a save or delete, showing what went wrong (usually the rules refusing it) instead of throwing
+const useAction = () => {
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const run = async (action) => {
+        setBusy(true);
+        setError(null);
+        try {
+            await action();
+            return true;
+        } catch (err) {
+            setError(err.message);
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    };
+    return { busy, error, run };
+};
+
+const NewTeamForm = ({ onCreate, onCancel }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [name, setName] = useState('');
+    const { busy, error, run } = useAction();
+    const errors = validateTeamName(name, i18n);
+    const handleCreate = async () => {
+        if (await run(() => onCreate(name))) setName('');
+    };
+    return (
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+            <input className={`${inputClass} w-56`} placeholder={t('team.name')} value={name} onChange={(e) => setName(e.target.value)} aria-label={t('team.name')} />
+            <button type="button" onClick={handleCreate} disabled={busy || errors.length > 0} className={primaryButtonClass}>
+                <Plus className="h-4 w-4" /> {busy ? t('team.creating') : t('team.create')}
+            </button>
+            {onCancel && <button type="button" onClick={onCancel} className="text-gray-300 hover:text-white">{t('team.cancel')}</button>}
+            {error && <p className="w-full text-solar-red">{error}</p>}
+        </div>
+    );
+};
+
+// Members with their roles; admins change roles, add people by user ID and remove them
+const MemberList = ({ members, role, userId, onAdd, onSetRole, onRemove }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [draft, setDraft] = useState({ uid: '', displayName: '', role: 'viewer' });
+    const { busy, error, run } = useAction();
+    const manage = canManageMembers(role);
+    const errors = validateMember(draft, i18n);
+
+    const handleAdd = async () => {
+        if (await run(() => onAdd(draft))) setDraft({ uid: '', displayName: '', role: 'viewer' });
+    };
+
+    return (
+        <div className="text-sm">
+            <ul className="space-y-2">
+                {members.map(member => (
+                    <li key={member.uid} className="flex flex-wrap items-center gap-3">
+                        <span className="text-gray-100">{member.displayName || member.uid}</span>
+                        {member.uid === userId && <span className="text-xs text-gray-400">{t('team.you')}</span>}
+                        {canChangeMember(role, member, userId) ? (
+                            <select className={inputClass} value={member.role} disabled={busy} onChange={(e) => run(() => onSetRole(member.uid, e.target.value))} aria-label={t('team.roleOf', { name: member.displayName || member.uid })}>
+                                {TEAM_ROLES.map(id => <option key={id} value={id}>{roleName(t, id)}</option>)}
+                            </select>
+                        ) : (
+                            <span className="text-gray-400">{roleName(t, member.role)}</span>
+                        )}
+                        {(member.uid === userId ? canLeaveTeam(role) : manage) && (
+                            <button type="button" onClick={() => run(() => onRemove(member.uid))} disabled={busy} className="ml-auto flex items-center gap-1 text-gray-400 hover:text-solar-red">
+                                {member.uid === userId ? <><LogOut className="h-4 w-4" /> {t('team.leave')}</> : <><Trash2 className="h-4 w-4" /> {t('team.remove')}</>}
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            {manage && (
+                <div className="mt-3 flex flex-wrap items-center gap-2">
+                    <input className={`${inputClass} w-64`} placeholder={t('team.userId')} value={draft.uid} onChange={(e) => setDraft({ ...draft, uid: e.target.value })} aria-label={t('team.newMemberId')} />
+                    <input className={`${inputClass} w-40`} placeholder={t('team.memberName')} value={draft.displayName} onChange={(e) => setDraft({ ...draft, displayName: e.target.value })} aria-label={t('team.newMemberName')} />
+                    <select className={inputClass} value={draft.role} onChange={(e) => setDraft({ ...draft, role: e.target.value })} aria-label={t('team.newMemberRole')}>
+                        {TEAM_ROLES.map(id => <option key={id} value={id}>{roleName(t, id)}</option>)}
+                    </select>
+                    <button type="button" onClick={handleAdd} disabled={busy || errors.length > 0} className={primaryButtonClass}>
+                        <Plus className="h-4 w-4" /> {t('team.addMember')}
+                    </button>
+                </div>
+            )}
+            {error && <p className="text-solar-red mt-2">{error}</p>}
+            {manage && <p className="mt-3 text-xs text-gray-400">{t('team.adminHint')}</p>}
+            <ul className="mt-3 text-xs text-gray-400 space-y-0.5">
+                {TEAM_ROLES.map(id => <li key={id}><span className="text-gray-300">{roleName(t, id)}:</span> {t(`team.roleDescriptions.${id}`)}</li>)}
+            </ul>
+        </div>
+    );
+};
+
+// The comments of one annotation, with a box to add one
+const CommentThread = ({ annotation, comments, role, userId, onAdd, onDelete }) => {
+    const i18n = useI18n();
+    const { t, formatTimestamp } = i18n;
+    const [text, setText] = useState('');
+    const { busy, error, run } = useAction();
+    const handleAdd = async () => {
+        if (await run(() => onAdd(text))) setText('');
+    };
+    return (
+        <div className="mt-3 pl-4 border-l border-celestial-blue/30 space-y-2">
+            {comments.length === 0 && <p className="text-gray-400">{t('team.noComments')}</p>}
+            <ul className="space-y-2">
+                {comments.map(comment => (
+                    <li key={comment.id} className="flex gap-2">
+                        <div className="grow">
+                            <p className="text-xs text-gray-400">{comment.authorName || comment.authorId} · {formatTimestamp(comment.createdAt)}</p>
+                            <p className="text-gray-200 whitespace-pre-wrap">{comment.text}</p>
+                        </div>
+                        {canDeleteComment(role, comment, annotation, userId) && (
+                            <button type="button" onClick={() => run(() => onDelete(comment.id))} className="text-gray-400 hover:text-solar-red self-start" aria-label={t('team.deleteComment')}>
+                                <Trash2 className="h-4 w-4" />
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            {canComment(role) && (
+                <div className="flex flex-wrap gap-2">
+                    <textarea className={`${inputClass} grow`} rows={2} value={text} onChange={(e) => setText(e.target.value)} placeholder={t('team.commentPlaceholder')} aria-label={t('team.comment')} />
+                    <button type="button" onClick={handleAdd} disabled={busy || validateComment(text, i18n).length > 0} className={`${primaryButtonClass} self-end`}>
+                        <MessageSquare className="h-4 w-4" /> {t('team.comment')}
+                    </button>
+                </div>
+            )}
+            {error && <p className="text-solar-red">{error}</p>}
+        </div>
+    );
+};
+
+// A team's annotations on the trends timeline, shared live between its members. Notes are pinned
+// to `pinTarget` ({ at, eventId, label }: the selected event or chart point); `onShow` selects an
+// annotation's time and event on the dashboard. Comments are loaded for the open annotation only.
+const TeamWorkspace = ({
+    userId, teams, team, onTeamChange, onCreateTeam,
+    members, onAddMember, onSetMemberRole, onRemoveMember,
+    annotations, events = [], pinTarget, onSaveAnnotation, onDeleteAnnotation, onShow,
+    openAnnotationId, onOpenAnnotation, comments, onAddComment, onDeleteComment, speedUnit = 'km/s',
+}) => {
+    const i18n = useI18n();
+    const { t, formatTimestamp } = i18n;
+    const noteId = useId();
+    const [creating, setCreating] = useState(false);
+    const [showMembers, setShowMembers] = useState(false);
+    const [note, setNote] = useState('');
+    const [editing, setEditing] = useState(null);
+    const { busy, error, run } = useAction();
+    const role = team?.role;
+
+    const handlePin = async () => {
+        if (await run(() => onSaveAnnotation({ text: note, at: pinTarget.at, eventId: pinTarget.eventId }))) setNote('');
+    };
+    const handleSaveEdit = async () => {
+        if (await run(() => onSaveAnnotation(editing))) setEditing(null);
+    };
+    const describeEvent = (eventId) => {
+        const event = events.find(e => e.id === eventId);
+        return event ? eventSummary(event, i18n, speedUnit) : eventId;
+    };
+
+    return (
+        <div className="bg-space-medium p-6 rounded-xl shadow-lg border border-celestial-blue/20">
+            <h2 className="text-2xl font-bold text-solar-yellow mb-4 flex items-center gap-2">
+                <Users className="h-6 w-6 text-solar-orange" /> {t('team.title')}
+            </h2>
+
+            {teams.length === 0 && (
+                <p className="text-sm text-gray-400 mb-3">{t('team.intro')}</p>
+            )}
+            <div className="flex flex-wrap items-center gap-3 mb-2 text-sm">
+                {teams.length > 0 && (
+                    <select className={inputClass} value={team?.id || ''} onChange={(e) => onTeamChange(e.target.value)} aria-label={t('team.select')}>
+                        {teams.map(option => <option key={option.id} value={option.id}>{t('team.option', { name: option.name, role: roleName(t, option.role) })}</option>)}
+                    </select>
+                )}
+                {teams.length > 0 && !creating && (
+                    <button type="button" onClick={() => setCreating(true)} className="flex items-center gap-1 text-celestial-blue hover:text-white">
+                        <Plus className="h-4 w-4" /> {t('team.newTeam')}
+                    </button>
+                )}
+            </div>
+            {(creating || teams.length === 0) && (
+                <NewTeamForm
+                    onCreate={async (name) => { await onCreateTeam(name); setCreating(false); }}
+                    onCancel={teams.length > 0 ? () => setCreating(false) : null}
+                />
+            )}
+            <p className="text-xs text-gray-400 mt-2">
+                {t('team.yourId')} <code className="text-gray-200 select-all">{userId}</code>
+            </p>
+
+            {team && (
+                <>
+                    <button
+                        type="button"
+                        aria-expanded={showMembers}
+                        onClick={() => setShowMembers(!showMembers)}
+                        className="mt-4 text-sm text-celestial-blue hover:text-white transition-colors duration-300"
+                    >
+                        {showMembers ? t('team.hideMembers') : t('team.members', { count: members.length })}
+                    </button>
+                    {showMembers && (
+                        <div className="mt-3">
+                            <MemberList members={members} role={role} userId={userId} onAdd={onAddMember} onSetRole={onSetMemberRole} onRemove={onRemoveMember} />
+                        </div>
+                    )}
+
+                    {canAnnotate(role) && (
+                        <div className="mt-5 text-sm">
+                            {pinTarget ? (
+                                <div className="flex flex-wrap gap-2">
+                                    <label className="w-full text-gray-300" htmlFor={noteId}>{t('team.pinTo', { target: pinTarget.label })}</label>
+                                    <textarea id={noteId} className={`${inputClass} grow`} rows={2} value={note} onChange={(e) => setNote(e.target.value)} placeholder={t('team.notePlaceholder')} />
+                                    <button type="button" onClick={handlePin} disabled={busy || validateAnnotation({ text: note, at: pinTarget.at }, i18n).length > 0} className={`${primaryButtonClass} self-end`}>
+                                        <Pin className="h-4 w-4" /> {t('team.pin')}
+                                    </button>
+                                </div>
+                            ) : (
+                                <p className="text-gray-400">{t('team.pinHint')}</p>
+                            )}
+                        </div>
+                    )}
+
+                    <ul className="mt-5 space-y-3 text-sm">
+                        {annotations.length === 0 && <li className="text-gray-400">{t('team.noNotes')}</li>}
+                        {annotations.map(annotation => {
+                            const open = openAnnotationId === annotation.id;
+                            const isEditing = editing?.id === annotation.id;
+                            const time = annotationTime(annotation);
+                            return (
+                                <li key={annotation.id} className="bg-space-light rounded-lg p-3 border-l-4 border-purple-400">
+                                    <div className="flex flex-wrap items-center gap-2 text-xs text-gray-400">
+                                        {time === null ? <span>{t('team.unknownTime')}</span> : (
+                                            <button type="button" onClick={() => onShow(annotation)} className="text-celestial-blue hover:text-white">
+                                                {formatTimestamp(time)}
+                                            </button>
+                                        )}
+                                        {annotation.eventId && <span>· {describeEvent(annotation.eventId)}</span>}
+                                        <span>· {annotation.authorName || annotation.authorId}</span>
+                                        {canEditAnnotation(role, annotation, userId) && !isEditing && (
+                                            <span className="ml-auto flex gap-3">
+                                                <button type="button" onClick={() => setEditing(annotation)} className={iconButtonClass} aria-label={t('team.editNote')}>
+                                                    <Pencil className="h-4 w-4" />
+                                                </button>
+                                                <button type="button" onClick={() => run(() => onDeleteAnnotation(annotation.id))} className="text-gray-400 hover:text-solar-red" aria-label={t('team.deleteNote')}>
+                                                    <Trash2 className="h-4 w-4" />
+                                                </button>
+                                            </span>
+                                        )}
+                                    </div>
+                                    {isEditing ? (
+                                        <div className="mt-2 flex flex-wrap gap-2">
+                                            <textarea className={`${inputClass} grow`} rows={2} value={editing.text} onChange={(e) => setEditing({ ...editing, text: e.target.value })} aria-label={t('team.note')} />
+                                            <span className="flex gap-2 self-end">
+                                                <button type="button" onClick={handleSaveEdit} disabled={busy || validateAnnotation(editing, i18n).length > 0} className={primaryButtonClass}>
+                                                    <Save className="h-4 w-4" /> {t('team.save')}
+                                                </button>
+                                                <button type="button" onClick={() => setEditing(null)} className="flex items-center gap-1 text-gray-300 hover:text-white px-2">
+                                                    <X className="h-4 w-4" /> {t('team.cancel')}
+                                                </button>
+                                            </span>
+                                        </div>
+                                    ) : (
+                                        <p className="mt-1 text-gray-100 whitespace-pre-wrap">{annotation.text}</p>
+                                    )}
+                                    <button
+                                        type="button"
+                                        aria-expanded={open}
+                                        onClick={() => onOpenAnnotation(open ? null : annotation.id)}
+                                        className="mt-2 flex items-center gap-1 text-xs text-celestial-blue hover:text-white"
+                                    >
+                                        <MessageSquare className="h-3 w-3" /> {open ? t('team.hideComments') : t('team.comments')}
+                                    </button>
+                                    {open && (
+                                        <CommentThread annotation={annotation} comments={comments} role={role} userId={userId} onAdd={onAddComment} onDelete={onDeleteComment} />
+                                    )}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                    {error && <p className="text-solar-red text-sm mt-3">{error}</p>}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default TeamWorkspace;
@@ -0,0 +1,111 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import TeamWorkspace from './TeamWorkspace';
+import { createI18n } from '../lib/i18n';
+import { I18nContext } from './I18nContext';
+
+const annotations = [
+    { id: 'a1', text: 'GPS outage reported at site B', at: '2024-05-10T21:00:00.000Z', eventId: null, authorId: 'bob', authorName: 'Bob' },
+    { id: 'a2', text: 'Grid alarm', at: '2024-05-10T22:00:00.000Z', eventId: null, authorId: 'alice', authorName: 'Alice' },
+];
+const members = [
+    { uid: 'alice', role: 'admin', displayName: 'Alice' },
+    { uid: 'bob', role: 'editor', displayName: 'Bob' },
+];
+
+const renderWorkspace = (props = {}) => {
+    const handlers = {
+        onTeamChange: jest.fn(),
+        onCreateTeam: jest.fn(() => Promise.resolve()),
+        onAddMember: jest.fn(() => Promise.resolve()),
+        onSetMemberRole: jest.fn(() => Promise.resolve()),
+        onRemoveMember: jest.fn(() => Promise.resolve()),
+        onSaveAnnotation: jest.fn(() => Promise.resolve()),
+        onDeleteAnnotation: jest.fn(() => Promise.resolve()),
+        onShow: jest.fn(),
+        onOpenAnnotation: jest.fn(),
+        onAddComment: jest.fn(() => Promise.resolve()),
+        onDeleteComment: jest.fn(() => Promise.resolve()),
+    };
+    const { language, ...rest } = props;
+    const role = props.role || 'editor';
+    const result = render(
+        <I18nContext.Provider value={createI18n({ language, timeDisplay: 'utc' })}>
+            <TeamWorkspace
+                userId="bob"
+                teams={[{ id: 'ops', name: 'Ops', role }]}
+                team={{ id: 'ops', name: 'Ops', role }}
+                members={members}
+                annotations={annotations}
+                pinTarget={null}
+                openAnnotationId={null}
+                comments={[]}
+                {...handlers}
+                {...rest}
+            />
+        </I18nContext.Provider>,
+    );
+    return { ...result, handlers };
+};
+
+describe('TeamWorkspace', () => {
+    it('offers to create a team to users without one', () => {
+        renderWorkspace({ teams: [], team: null });
+        expect(screen.getByRole('textbox', { name: 'Team name' })).toBeInTheDocument();
+        expect(screen.queryByText('GPS outage reported at site B')).not.toBeInTheDocument();
+    });
+
+    it('lets editors pin a note to the selected point and change only their own notes', async () => {
+        const { handlers } = renderWorkspace({ pinTarget: { at: '2024-05-10T21:00:00.000Z', eventId: null, label: '2024-05-10 21:00 UTC' } });
+        expect(screen.getByText('2024-05-10 21:00 UTC', { selector: 'button' })).toBeInTheDocument();
+        expect(screen.getAllByRole('button', { name: 'Edit note' })).toHaveLength(1);
+        fireEvent.change(screen.getByRole('textbox', { name: 'Pin a note to 2024-05-10 21:00 UTC' }), { target: { value: 'Ionosonde down' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Pin Note' }));
+        await waitFor(() => expect(handlers.onSaveAnnotation).toHaveBeenCalledWith({ text: 'Ionosonde down', at: '2024-05-10T21:00:00.000Z', eventId: null }));
+    });
+
+    it('lists a note with an unparseable time without crashing', () => {
+        renderWorkspace({ annotations: [...annotations, { id: 'a3', text: 'Bad pin', at: 'x', eventId: null, authorId: 'bob', authorName: 'Bob' }] });
+        expect(screen.getByText('Bad pin')).toBeInTheDocument();
+        expect(screen.getByText('Unknown time')).toBeInTheDocument();
+    });
+
+    it('lets viewers read and comment but not pin or edit', () => {
+        const { handlers } = renderWorkspace({ role: 'viewer', pinTarget: { at: '2024-05-10T21:00:00.000Z', eventId: null, label: 'x' }, openAnnotationId: 'a1' });
+        expect(screen.queryByRole('button', { name: 'Pin Note' })).not.toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Edit note' })).not.toBeInTheDocument();
+        expect(screen.getByRole('textbox', { name: 'Comment' })).toBeInTheDocument();
+        fireEvent.click(screen.getAllByRole('button', { name: 'Hide comments' })[0]);
+        expect(handlers.onOpenAnnotation).toHaveBeenCalledWith(null);
+    });
+
+    it('shows admins the member controls', async () => {
+        const { handlers } = renderWorkspace({ role: 'admin', userId: 'alice' });
+        fireEvent.click(screen.getByRole('button', { name: 'Members (2)' }));
+        fireEvent.change(screen.getByRole('combobox', { name: 'Role of Bob' }), { target: { value: 'viewer' } });
+        expect(handlers.onSetMemberRole).toHaveBeenCalledWith('bob', 'viewer');
+        await waitFor(() => expect(screen.getByRole('combobox', { name: 'Role of Bob' })).toBeEnabled());
+        expect(screen.queryByRole('combobox', { name: 'Role of Alice' })).not.toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Leave team' })).not.toBeInTheDocument();
+        expect(screen.getByRole('textbox', { name: 'User ID of the new member' })).toBeInTheDocument();
+    });
+
+    it('lets members who are not admins leave', () => {
+        renderWorkspace();
+        fireEvent.click(screen.getByRole('button', { name: 'Members (2)' }));
+        expect(screen.getByRole('button', { name: 'Leave team' })).toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Remove' })).not.toBeInTheDocument();
+    });
+
+    it('speaks the viewer\'s language, role names and validation included', () => {
+        renderWorkspace({ language: 'de', teams: [], team: null });
+        expect(screen.getByRole('heading', { name: 'Team-Arbeitsbereich' })).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Team erstellen' })).toBeDisabled();
+    });
+
+    it('has no detectable accessibility violations', async () => {
+        const { container } = renderWorkspace({ openAnnotationId: 'a1', comments: [{ id: 'c1', text: 'Seen here too', authorId: 'carol', authorName: 'Carol', createdAt: '2024-05-10T21:30:00.000Z' }] });
+        expect(await axe(container)).toHaveNoViolations();
+    });
+});
@@ -0,0 +1,66 @@
+import React, { useState, useRef } from 'react';
+import { tableColumns, formatCell, nextCell } from '../lib/dataTable';
+import { formatBucketTime } from '../lib/timeRange';
+import { useI18n } from './I18nContext';
+
+// The values behind the trend panels as a grid, one row per bucket. A single cell is in the tab
+// order; the arrow keys, Page Up/Down, Home/End and Ctrl+Home/End move focus between cells.
+const TrendDataTable = ({ id, data, resolution, panelIds, speedUnit = 'km/s' }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const tableRef = useRef(null);
+    const [focused, setFocused] = useState({ row: 0, column: 0 });
+    const columns = tableColumns(panelIds, data);
+    const rows = data.length + 1;
+    // Rows may have gone (zoom) since the cell was focused
+    const active = { row: Math.min(focused.row, rows - 1), column: Math.min(focused.column, columns.length) };
+
+    const cellProps = (row, column) => ({
+        'data-row': row,
+        'data-column': column,
+        tabIndex: row === active.row && column === active.column ? 0 : -1,
+        onFocus: () => setFocused({ row, column }),
+    });
+
+    const handleKeyDown = (event) => {
+        const next = nextCell(active, event.key, { rows, columns: columns.length + 1, ctrlKey: event.ctrlKey });
+        if (!next) return;
+        event.preventDefault();
+        setFocused(next);
+        tableRef.current.querySelector(`[data-row="${next.row}"][data-column="${next.column}"]`)?.focus();
+    };
+
+    return (
+        <div id={id} className="max-h-96 overflow-auto rounded-lg border border-gray-700">
+            <table ref={tableRef} role="grid" className="w-full text-sm text-left" onKeyDown={handleKeyDown}>
+                <caption className="text-xs text-gray-400 text-left p-2">{t('chart.table.caption')}</caption>
+                <thead className="sticky top-0 bg-table-head text-gray-300">
+                    <tr>
+                        <th scope="col" className="px-3 py-2" {...cellProps(0, 0)}>{t('chart.table.time')}</th>
+                        {columns.map((column, index) => (
+                            <th key={column.id} scope="col" className="px-3 py-2" {...cellProps(0, index + 1)}>
+                                {t(column.labelKey, {}, column.label)}
+                            </th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {data.map((point, index) => (
+                        <tr key={point.timestamp} className="border-t border-gray-700">
+                            <th scope="row" className="px-3 py-1 font-normal text-gray-300 whitespace-nowrap" {...cellProps(index + 1, 0)}>
+                                {formatBucketTime(point.timestamp, resolution, i18n)}
+                            </th>
+                            {columns.map((column, columnIndex) => (
+                                <td key={column.id} role="gridcell" className="px-3 py-1 text-gray-200" {...cellProps(index + 1, columnIndex + 1)}>
+                                    {formatCell(column, column.value(point), i18n, speedUnit)}
+                                </td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default TrendDataTable;
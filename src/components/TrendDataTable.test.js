@@ -0,0 +1,75 @@
+import fs from 'fs';
+import path from 'path';
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import TrendDataTable from './TrendDataTable';
+import { createI18n } from '../lib/i18n';
+import { I18nContext } from './I18nContext';
+
+const series = [
+    { timestamp: '2024-05-10T20:00:00.000Z', xrayFluxLong: 2e-6, geomagneticStormLevel: 6, maxCmeSpeed: 0, cmeCount: 0 },
+    { timestamp: '2024-05-10T21:00:00.000Z', xrayFluxLong: 5e-5, maxFlareFlux: 5.8e-5, planetaryKIndex: 8.67, maxCmeSpeed: 1200, cmeCount: 2 },
+];
+
+const renderTable = (props = {}) => render(
+    <I18nContext.Provider value={createI18n({ timeDisplay: 'utc' })}>
+        <TrendDataTable data={series} resolution="hour" panelIds={['xray', 'kp']} {...props} />
+    </I18nContext.Provider>,
+);
+
+// WCAG contrast ratio of two "r g b" theme colours
+const contrast = (...colors) => {
+    const luminance = (rgb) => {
+        const [r, g, b] = rgb.split(' ').map(Number).map(c => c / 255).map(c => (c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4));
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    };
+    const [light, dark] = colors.map(luminance).sort((a, b) => b - a);
+    return (light + 0.05) / (dark + 0.05);
+};
+
+// The theme's colour variables from index.css: { root: { 'gray-300': '209 213 219', ... }, 'high-contrast': {...} }
+const themeColors = () => {
+    const css = fs.readFileSync(path.resolve(__dirname, '../index.css'), 'utf8');
+    const block = (selector) => Object.fromEntries([...css.split(`${selector} {`)[1].split('}')[0].matchAll(/--color-([\w-]+): ([\d ]+);/g)].map(m => [m[1], m[2]]));
+    const root = block(':root');
+    return { root, 'high-contrast': { ...root, ...block('.high-contrast') } };
+};
+
+describe('TrendDataTable', () => {
+    it('lists every bucket with the shown panels\' values', () => {
+        renderTable();
+        expect(screen.getAllByRole('columnheader').map(cell => cell.textContent)).toEqual(['Time', 'GOES X-ray Flux (0.1-0.8 nm)', 'Flare Peak (DONKI)', 'Kp Index']);
+        const row = screen.getByRole('rowheader', { name: '2024-05-10 21:00 UTC' }).closest('tr');
+        expect(row).toHaveTextContent('M5.8');
+        expect(row).toHaveTextContent('8.67');
+        expect(screen.getAllByRole('gridcell', { name: 'no data' })).toHaveLength(1);
+    });
+
+    it('keeps one cell in the tab order and moves it with the keyboard', () => {
+        renderTable();
+        const time = screen.getByRole('columnheader', { name: 'Time' });
+        expect(time).toHaveAttribute('tabIndex', '0');
+        act(() => time.focus());
+        fireEvent.keyDown(time, { key: 'ArrowDown' });
+        const first = screen.getByRole('rowheader', { name: '2024-05-10 20:00 UTC' });
+        expect(first).toHaveFocus();
+        expect(first).toHaveAttribute('tabIndex', '0');
+        expect(time).toHaveAttribute('tabIndex', '-1');
+        fireEvent.keyDown(first, { key: 'End', ctrlKey: true });
+        expect(screen.getByRole('gridcell', { name: '8.67' })).toHaveFocus();
+    });
+
+    it('keeps the header text readable in both themes', () => {
+        renderTable();
+        expect(screen.getByRole('columnheader', { name: 'Time' }).closest('thead')).toHaveClass('bg-table-head', 'text-gray-300');
+        const colors = themeColors();
+        expect(contrast(colors.root['gray-300'], colors.root['table-head'])).toBeGreaterThanOrEqual(4.5);
+        expect(contrast(colors['high-contrast']['gray-300'], colors['high-contrast']['table-head'])).toBeGreaterThanOrEqual(7);
+    });
+
+    it('has no detectable accessibility violations', async () => {
+        const { container } = renderTable({ panelIds: ['xray', 'kp', 'cme'] });
+        expect(await axe(container)).toHaveNoViolations();
+    });
+});
@@ -0,0 +1,175 @@
+import React, { useState, useMemo, useId } from 'react';
+import { LineChart, Line, Brush, ResponsiveContainer } from 'recharts';
+import { ZoomOut, Table } from 'lucide-react';
+import { TREND_PANELS, kpOf } from '../lib/trendPanels';
+import { formatBucketTick, formatBucketLabel, formatBucketTime } from '../lib/timeRange';
+import { TABLE_COLUMNS, formatCell, columnPeak } from '../lib/dataTable';
+import { annotationMarkers } from '../lib/teams';
+import XrayFluxChart from './XrayFluxChart';
+import KpBarChart from './KpBarChart';
+import CmeSpeedChart from './CmeSpeedChart';
+import TrendDataTable from './TrendDataTable';
+import { useI18n } from './I18nContext';
+import { PANEL_MARGIN, Y_AXIS_WIDTH } from './trendChartProps';
+
+const PANEL_CHARTS = { xray: XrayFluxChart, kp: KpBarChart, cme: CmeSpeedChart };
+const SYNC_ID = 'space-weather-trends';
+
+// The trend panels stacked on one time axis. Hovering one shows the same bucket in all of them,
+// and the brush underneath zooms all of them. `visible` lists the panel ids to show and
+// onVisibleChange(ids) is called when the toggles change it. `chartsRef` receives the element
+// holding the panels (exports read their SVGs from it). CME speeds are shown in `speedUnit`.
+// Each chart is described for screen readers by a summary of its range and peak, and the data
+// table below lists every value. `annotations` (a team's, see teams.js) are marked on every panel.
+const TrendPanels = ({ data, resolution, visible, onVisibleChange, onClick, chartsRef, speedUnit = 'km/s', annotations = [] }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    // Zoom is kept as timestamps rather than indices, so it survives new points arriving
+    const [zoom, setZoom] = useState(null);
+    const [showTable, setShowTable] = useState(false);
+    const baseId = useId();
+
+    const zoomIndexes = useMemo(() => {
+        if (!zoom || !data.length) return null;
+        const startIndex = data.findIndex(point => point.timestamp >= zoom.start);
+        const after = data.findIndex(point => point.timestamp > zoom.end);
+        const endIndex = after === -1 ? data.length - 1 : after - 1;
+        return startIndex >= 0 && endIndex >= startIndex ? { startIndex, endIndex } : null;
+    }, [zoom, data]);
+    const shownData = zoomIndexes ? data.slice(zoomIndexes.startIndex, zoomIndexes.endIndex + 1) : data;
+    const markers = useMemo(() => annotationMarkers(annotations, shownData, resolution), [annotations, shownData, resolution]);
+
+    const handleBrushChange = ({ startIndex, endIndex }) => {
+        const wholeRange = startIndex === 0 && endIndex === data.length - 1;
+        setZoom(wholeRange ? null : { start: data[startIndex].timestamp, end: data[endIndex].timestamp });
+    };
+
+    const togglePanel = (id) => onVisibleChange(visible.includes(id) ? visible.filter(v => v !== id) : [...visible, id]);
+    const shownPanels = TREND_PANELS.filter(panel => visible.includes(panel.id));
+
+    // Text alternative of a panel: the points it covers and the peak of its main series
+    const describePanel = (panel) => {
+        if (!shownData.length) return '';
+        const [column] = TABLE_COLUMNS[panel.id];
+        const peak = columnPeak(column, shownData);
+        const summary = t('chart.table.summary', {
+            count: shownData.length,
+            start: formatBucketTime(shownData[0].timestamp, resolution, i18n),
+            end: formatBucketTime(shownData[shownData.length - 1].timestamp, resolution, i18n),
+        });
+        if (!peak) return summary;
+        return `${summary} ${t('chart.table.peak', {
+            label: t(column.labelKey),
+            value: formatCell(column, peak.value, i18n, speedUnit),
+            time: formatBucketTime(peak.timestamp, resolution, i18n),
+        })}`;
+    };
+
+    return (
+        <div>
+            <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+                <span className="text-gray-400">{t('chart.panelsLabel')}</span>
+                {TREND_PANELS.map(panel => (
+                    <label
+                        key={panel.id}
+                        className={`flex items-center gap-1 px-3 py-1 rounded-full border cursor-pointer ${visible.includes(panel.id) ? 'border-celestial-blue bg-celestial-blue/20 text-white' : 'border-gray-600 text-gray-400'}`}
+                    >
+                        <input type="checkbox" className="sr-only" checked={visible.includes(panel.id)} onChange={() => togglePanel(panel.id)} />
+                        {t(`chart.panels.${panel.id}`, {}, panel.title)}
+                    </label>
+                ))}
+                {zoomIndexes && (
+                    <button type="button" onClick={() => setZoom(null)} className="ml-auto flex items-center gap-1 text-celestial-blue hover:text-white transition-colors duration-300">
+                        <ZoomOut className="h-4 w-4" />
+                        {t('chart.resetZoom', {
+                            start: formatBucketLabel(shownData[0].timestamp, resolution, i18n),
+                            end: formatBucketLabel(shownData[shownData.length - 1].timestamp, resolution, i18n),
+                        })}
+                    </button>
+                )}
+            </div>
+
+            {!shownPanels.length && <p className="text-gray-400 text-sm">{t('chart.noPanels')}</p>}
+            <div ref={chartsRef}>
+                {shownPanels.map((panel, index) => {
+                    const Chart = PANEL_CHARTS[panel.id];
+                    const last = index === shownPanels.length - 1;
+                    return (
+                        <figure key={panel.id} data-chart-panel={panel.title} className="mb-2" aria-labelledby={`${baseId}-${panel.id}-title`} aria-describedby={`${baseId}-${panel.id}-summary`}>
+                            <h3 id={`${baseId}-${panel.id}-title`} className="text-lg font-semibold text-solar-yellow mb-1">{t(`chart.panels.${panel.id}`, {}, panel.title)}</h3>
+                            <p id={`${baseId}-${panel.id}-summary`} className="sr-only">{describePanel(panel)}</p>
+                            <div aria-hidden="true">
+                                <Chart
+                                    data={shownData}
+                                    resolution={resolution}
+                                    syncId={SYNC_ID}
+                                    showTimeAxis={last}
+                                    height={last ? 260 : 200}
+                                    onClick={onClick}
+                                    speedUnit={speedUnit}
+                                    markers={markers}
+                                    showMarkerLabels={index === 0}
+                                />
+                            </div>
+                        </figure>
+                    );
+                })}
+            </div>
+
+            {shownPanels.length > 0 && data.length > 1 && (
+                <div className="mt-2">
+                    <p className="text-xs text-gray-400 mb-1">{t('chart.brushHint')}</p>
+                    <ResponsiveContainer width="100%" height={50}>
+                        <LineChart data={data} margin={{ top: 0, right: PANEL_MARGIN.right, left: PANEL_MARGIN.left + Y_AXIS_WIDTH, bottom: 0 }}>
+                            <Brush
+                                dataKey="timestamp"
+                                height={40}
+                                stroke="#667EEA"
+                                fill="#0D1117"
+                                travellerWidth={10}
+                                startIndex={zoomIndexes ? zoomIndexes.startIndex : 0}
+                                endIndex={zoomIndexes ? zoomIndexes.endIndex : data.length - 1}
+                                tickFormatter={(timestamp) => formatBucketTick(timestamp, resolution, i18n)}
+                                onChange={handleBrushChange}
+                            >
+                                <LineChart data={data.map(point => ({ kp: kpOf(point) }))}>
+                                    <Line dataKey="kp" stroke="#82ca9d" dot={false} isAnimationActive={false} />
+                                </LineChart>
+                            </Brush>
+                        </LineChart>
+                    </ResponsiveContainer>
+                </div>
+            )}
+            {shownPanels.length > 0 && (
+                <p className="text-xs text-gray-400 mt-2">{t(i18n.timeDisplay === 'utc' ? 'chart.timesUtc' : 'chart.timesLocal')}</p>
+            )}
+            {shownPanels.length > 0 && shownData.length > 0 && (
+                <div className="mt-3">
+                    <button
+                        type="button"
+                        aria-expanded={showTable}
+                        aria-controls={`${baseId}-table`}
+                        onClick={() => setShowTable(shown => !shown)}
+                        className="flex items-center gap-1 text-sm text-celestial-blue hover:text-white transition-colors duration-300"
+                    >
+                        <Table className="h-4 w-4" aria-hidden="true" />
+                        {t(showTable ? 'chart.table.hide' : 'chart.table.show')}
+                    </button>
+                    {showTable && (
+                        <div className="mt-2">
+                            <TrendDataTable
+                                id={`${baseId}-table`}
+                                data={shownData}
+                                resolution={resolution}
+                                panelIds={shownPanels.map(panel => panel.id)}
+                                speedUnit={speedUnit}
+                            />
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TrendPanels;
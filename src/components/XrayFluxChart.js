@@ -0,0 +1,72 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceArea, ReferenceLine } from 'recharts';
+import { FLARE_CLASS_BANDS, formatFlux } from '../lib/flareClass';
+import { radioBlackoutScale } from '../lib/noaaScales';
+import { formatBucketLabel } from '../lib/timeRange';
+import { timeAxisProps, tooltipStyleProps, annotationLineProps, PANEL_MARGIN, Y_AXIS_WIDTH } from './trendChartProps';
+import { useI18n } from './I18nContext';
+
+// Log axis from A1 to beyond X10, one tick per class decade
+const FLUX_DOMAIN = [1e-8, 1e-2];
+const FLUX_TICKS = FLARE_CLASS_BANDS.map(band => band.min).concat(1e-3, 1e-2);
+const BAND_COLORS = { A: '#1f2937', B: '#1e3a5f', C: '#365314', M: '#78350f', X: '#7f1d1d' };
+
+const tickLabel = (flux) => {
+    const band = FLARE_CLASS_BANDS.find(b => b.min === flux);
+    return band ? `${band.letter}  ${flux.toExponential(0)}` : flux.toExponential(0);
+};
+
+// X-ray flux on a logarithmic axis with shaded A/B/C/M/X class bands: the GOES 0.1-0.8 nm
+// measurement as a line and the peak of each DONKI flare as a dot. `resolution` is the bucket size
+// of `data` (hour, day or week); `onClick` gets recharts' chart state. Charts with the same
+// `syncId` share their tooltip position; `showTimeAxis` false hides the time labels when another
+// panel below carries them. `markers` are team annotations, labelled when `showMarkerLabels`.
+const XrayFluxChart = ({ data, resolution = 'hour', height = 280, onClick, syncId, showTimeAxis = true, markers = [], showMarkerLabels = true }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    return (
+        <ResponsiveContainer width="100%" height={height}>
+            <LineChart data={data} onClick={onClick} syncId={syncId} margin={PANEL_MARGIN}>
+                {FLARE_CLASS_BANDS.map(band => (
+                    <ReferenceArea
+                        key={band.letter}
+                        yAxisId="flux"
+                        y1={band.min}
+                        y2={Math.min(band.max, FLUX_DOMAIN[1])}
+                        fill={BAND_COLORS[band.letter]}
+                        fillOpacity={0.35}
+                        label={{ value: band.letter, position: 'insideLeft', fill: '#e2e8f0', fontSize: 12 }}
+                    />
+                ))}
+                <CartesianGrid strokeDasharray="3 3" stroke="#4a5568" opacity={0.5} />
+                <XAxis {...timeAxisProps(resolution, showTimeAxis, i18n)} />
+                <YAxis
+                    yAxisId="flux"
+                    scale="log"
+                    domain={FLUX_DOMAIN}
+                    ticks={FLUX_TICKS}
+                    allowDataOverflow
+                    tickFormatter={tickLabel}
+                    width={Y_AXIS_WIDTH}
+                    stroke="#ffc658"
+                    tick={{ fill: '#ffc658', fontSize: 12 }}
+                    label={{ value: t('chart.xray.axis'), angle: -90, position: 'insideLeft', fill: '#ffc658' }}
+                />
+                <Tooltip
+                    {...tooltipStyleProps}
+                    formatter={(value, name) => {
+                        const scale = radioBlackoutScale(value);
+                        return [`${formatFlux(value)}${scale ? ` ${scale.code} ${t(`noaa.names.${scale.level}`, {}, scale.name)}` : ''}`, name];
+                    }}
+                    labelFormatter={(label) => formatBucketLabel(label, resolution, i18n)}
+                />
+                {markers.map(marker => <ReferenceLine key={marker.timestamp} yAxisId="flux" {...annotationLineProps(marker, showMarkerLabels)} />)}
+                <Legend wrapperStyle={{ paddingTop: '20px', color: '#e2e8f0' }} />
+                <Line yAxisId="flux" type="monotone" dataKey="xrayFluxLong" stroke="#ffc658" dot={false} connectNulls name={t('chart.xray.goes')} strokeWidth={2} isAnimationActive={false} />
+                <Line yAxisId="flux" dataKey="maxFlareFlux" stroke="none" dot={{ r: 4, fill: '#ff7300' }} activeDot={{ r: 6 }} name={t('chart.xray.flarePeak')} isAnimationActive={false} />
+            </LineChart>
+        </ResponsiveContainer>
+    );
+};
+
+export default XrayFluxChart;
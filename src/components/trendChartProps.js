@@ -0,0 +1,36 @@
+import { formatBucketTick } from '../lib/timeRange';
+import { DEFAULT_I18N } from '../lib/i18n';
+
+// Props shared by the stacked trend panels, so their time axes and tooltips line up and look alike
+
+export const timeAxisProps = (resolution, showTimeAxis = true, i18n = DEFAULT_I18N) => ({
+    dataKey: 'timestamp',
+    hide: !showTimeAxis,
+    tickFormatter: (timestamp) => formatBucketTick(timestamp, resolution, i18n),
+    angle: -45,
+    textAnchor: 'end',
+    height: 80,
+    interval: 'preserveStartEnd',
+    stroke: '#e2e8f0',
+    tick: { fill: '#e2e8f0', fontSize: 12 },
+});
+
+export const tooltipStyleProps = {
+    contentStyle: { backgroundColor: '#2d3748', border: 'none', borderRadius: '8px', opacity: 0.9 },
+    labelStyle: { color: '#edf2f7', fontWeight: 'bold' },
+    itemStyle: { color: '#cbd5e0' },
+};
+
+// Same left margin and axis width in every panel keeps the plot areas aligned
+export const PANEL_MARGIN = { top: 5, right: 30, left: 20, bottom: 5 };
+export const Y_AXIS_WIDTH = 90;
+
+// A team annotation marker (annotationMarkers in teams.js) as a dashed ReferenceLine at its
+// bucket; only the top panel labels them, so the labels are not repeated down the stack
+export const ANNOTATION_COLOR = '#c084fc';
+export const annotationLineProps = (marker, showLabel) => ({
+    x: marker.timestamp,
+    stroke: ANNOTATION_COLOR,
+    strokeDasharray: '2 3',
+    label: showLabel ? { value: marker.label, position: 'insideTopLeft', fill: ANNOTATION_COLOR, fontSize: 11 } : undefined,
+});
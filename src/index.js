@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client'; // Use createRoot for React 18
 import './index.css'; // Import your global CSS file for Tailwind styles
 import App from './App'; // Import your main App component
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 // Get the root element from public/index.html
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -12,3 +13,6 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Cache the app shell so the dashboard opens offline (see public/service-worker.js)
+serviceWorkerRegistration.register();
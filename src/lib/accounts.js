@@ -0,0 +1,91 @@
+// --- Sign-in: guest (anonymous) sessions, email/password and OAuth accounts ---
+// Everyone starts as a guest so Firestore rules can tell users apart. Creating an account or
+// signing in with a provider from a guest session links it to that guest user: the UID stays the
+// same, so everything saved so far (location, alert rules, integrations) carries over. Signing in
+// to an account that already exists switches users instead and leaves the guest's data behind.
+import {
+    signInAnonymously, signInWithEmailAndPassword, createUserWithEmailAndPassword,
+    signInWithPopup, signInWithCredential, linkWithCredential, linkWithPopup, sendPasswordResetEmail, signOut,
+    EmailAuthProvider, GoogleAuthProvider, GithubAuthProvider, OAuthProvider,
+} from 'firebase/auth';
+
+// OAuth providers offered on the sign-in form; each needs enabling in the Firebase console
+export const OAUTH_PROVIDERS = {
+    'google.com': { label: 'Google', create: () => new GoogleAuthProvider() },
+    'github.com': { label: 'GitHub', create: () => new GithubAuthProvider() },
+};
+
+// Plain description of the signed-in user for state and display
+export function describeAccount(user) {
+    if (!user) return null;
+    return {
+        uid: user.uid,
+        isAnonymous: user.isAnonymous,
+        email: user.email || null,
+        displayName: user.displayName || null,
+        providers: user.providerData.map(info => info.providerId),
+    };
+}
+
+// Name to show for an account, preferring the one saved in the profile
+export const accountLabel = (account, profile, guestLabel = 'Guest') => profile?.displayName || account?.displayName || account?.email || guestLabel;
+
+// Starts an anonymous guest session for whoever is not signed in
+export const startGuestSession = async (auth) => (await signInAnonymously(auth)).user;
+
+// Creates an email/password account, upgrading the current guest when there is one
+export async function createEmailAccount(auth, email, password) {
+    const guest = auth.currentUser?.isAnonymous ? auth.currentUser : null;
+    if (guest) return (await linkWithCredential(guest, EmailAuthProvider.credential(email, password))).user;
+    return (await createUserWithEmailAndPassword(auth, email, password)).user;
+}
+
+// Signs in to an existing email/password account. From a guest session that switches to another
+// user (`switched` is then true): the guest's settings stay with the guest, so the sign-in form
+// says so before anyone submits it.
+export async function signInWithEmail(auth, email, password) {
+    const switched = Boolean(auth.currentUser?.isAnonymous);
+    return { user: (await signInWithEmailAndPassword(auth, email, password)).user, switched };
+}
+
+// Signs in with an OAuth provider in a popup. A guest is linked to the provider account; if that
+// account already exists, the guest is left behind and the existing account signed in instead
+// (`switched` is then true, the guest's settings stay with the guest).
+export async function signInWithOAuth(auth, providerId) {
+    const provider = OAUTH_PROVIDERS[providerId]?.create();
+    if (!provider) throw new Error(`Unknown sign-in provider "${providerId}".`);
+    const guest = auth.currentUser?.isAnonymous ? auth.currentUser : null;
+    if (!guest) return { user: (await signInWithPopup(auth, provider)).user, switched: false };
+    try {
+        return { user: (await linkWithPopup(guest, provider)).user, switched: false };
+    } catch (error) {
+        const credential = error.code === 'auth/credential-already-in-use' ? OAuthProvider.credentialFromError(error) : null;
+        if (!credential) throw error;
+        return { user: (await signInWithCredential(auth, credential)).user, switched: true };
+    }
+}
+
+export const sendPasswordReset = (auth, email) => sendPasswordResetEmail(auth, email);
+
+// The dashboard needs a signed-in user, so whoever listens for auth changes starts a new guest
+// session (startGuestSession) once this has signed the account out
+export const signOutAccount = (auth) => signOut(auth);
+
+// Readable text for the Firebase Auth errors a user can cause
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-email': 'That email address is not valid.',
+    'auth/missing-password': 'Enter a password.',
+    'auth/weak-password': 'Choose a password of at least 6 characters.',
+    'auth/email-already-in-use': 'An account with this email already exists. Sign in instead.',
+    'auth/credential-already-in-use': 'That sign-in is already used by another account.',
+    'auth/invalid-credential': 'Wrong email or password.',
+    'auth/wrong-password': 'Wrong email or password.',
+    'auth/user-not-found': 'Wrong email or password.',
+    'auth/too-many-requests': 'Too many attempts. Wait a moment and try again.',
+    'auth/popup-closed-by-user': 'The sign-in window was closed before finishing.',
+    'auth/popup-blocked': 'The browser blocked the sign-in window. Allow popups for this site and try again.',
+    'auth/operation-not-allowed': 'This sign-in method is not enabled for the project.',
+    'auth/network-request-failed': 'Could not reach the sign-in service. Check your connection.',
+};
+
+export const authErrorMessage = (error) => AUTH_ERROR_MESSAGES[error?.code] || error?.message || 'Sign-in failed.';
@@ -0,0 +1,159 @@
+// --- Outbound alert integrations: Slack-compatible webhooks, JSON webhooks and email ---
+// Endpoints are stored in Firestore, per user or per team, and the ingestion worker delivers to
+// them whenever the alert rules newly fire (see worker/alertDispatch.mjs). An endpoint:
+//
+//   {
+//     name: 'Ops channel',
+//     kind: 'slack',                    // One of ENDPOINT_KINDS
+//     url: 'https://hooks.slack.com/services/...',   // slack and webhook
+//     headers: { Authorization: '...' },              // webhook only, optional
+//     to: ['ops@example.com'],                        // email only
+//     minSeverity: 'Moderate',          // Same filters as the browser notification preferences
+//     metrics: [],
+//     template: '',                     // Custom template; empty = the kind's default
+//     enabled: true,
+//     notifiedRuleIds: [],              // Kept by the worker, see planAlertNotification
+//   }
+//
+// Templates use {{placeholders}} from TEMPLATE_FIELDS. For slack the template is the message
+// text, for email the body, and for webhook the whole JSON body (values are JSON-escaped).
+import { SEVERITY_LEVELS } from './alertRules.js';
+import { DEFAULT_I18N } from './i18n.js';
+
+// Kinds and placeholders are translated as integrations.kinds.<kind> and integrations.fields.<name>
+export const ENDPOINT_KINDS = {
+    slack: { label: 'Slack-compatible webhook' },
+    webhook: { label: 'JSON webhook' },
+    email: { label: 'Email (SMTP)' },
+};
+
+export const TEMPLATE_FIELDS = {
+    title: 'Alert title, e.g. "Severe space weather alert: X-class flare"',
+    level: 'Overall alert level (Minor, Moderate, Severe)',
+    message: 'Message of the rule that decided the level',
+    details: 'Longer explanation of that level',
+    reasons: 'One line per newly fired rule, explaining what matched',
+    rules: 'Names of the newly fired rules, comma-separated',
+    time: 'When the alert was sent (ISO 8601, UTC)',
+    dashboardUrl: 'Link to the dashboard',
+};
+
+export const DEFAULT_TEMPLATES = {
+    slack: '*{{title}}*\n{{message}}\n{{reasons}}\n<{{dashboardUrl}}|Open the dashboard>',
+    webhook: '{"event":"space_weather_alert","level":"{{level}}","title":"{{title}}","message":"{{message}}","reasons":"{{reasons}}","rules":"{{rules}}","time":"{{time}}"}',
+    email: '{{title}}\n\n{{message}}\n{{details}}\n\nWhy:\n{{reasons}}\n\nDashboard: {{dashboardUrl}}\nSent {{time}}',
+};
+
+export const newAlertEndpoint = (kind = 'slack') => ({
+    name: '',
+    kind,
+    url: '',
+    headers: {},
+    to: [],
+    minSeverity: 'Moderate',
+    metrics: [],
+    template: '',
+    enabled: true,
+});
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+// Extra webhook headers cannot replace the ones that route and frame the request: Host, the
+// hop-by-hop headers and the body's length and type, which the worker sets itself.
+const RESERVED_HEADERS = [
+    'host', 'connection', 'keep-alive', 'proxy-connection', 'proxy-authenticate', 'proxy-authorization',
+    'te', 'trailer', 'transfer-encoding', 'upgrade', 'expect', 'content-length', 'content-type',
+];
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+export const isReservedHeader = (name) => RESERVED_HEADERS.includes(name.toLowerCase());
+
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+};
+
+// Replaces {{field}} with the value from `context`; unknown fields render empty
+export function renderTemplate(template, context, escape = (value) => value) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, field) => escape(String(context[field] ?? '')));
+}
+
+const escapeJsonString = (value) => JSON.stringify(value).slice(1, -1);
+
+// Values a template can use, from a notification planned by planAlertNotification
+export function alertTemplateContext(notification, prediction, freshRules, { now = new Date(), dashboardUrl = '' } = {}) {
+    return {
+        title: notification.title,
+        level: prediction.level,
+        message: prediction.message || '',
+        details: prediction.details || '',
+        reasons: freshRules.map(fired => fired.reason).join('\n'),
+        rules: freshRules.map(fired => fired.name).join(', '),
+        time: now.toISOString(),
+        dashboardUrl,
+    };
+}
+
+// What to send to an endpoint: { contentType, body } for slack and webhook, { subject, text } for email
+export function renderAlertPayload(endpoint, context) {
+    const template = endpoint.template?.trim() || DEFAULT_TEMPLATES[endpoint.kind];
+    switch (endpoint.kind) {
+        case 'slack':
+            return { contentType: 'application/json', body: JSON.stringify({ text: renderTemplate(template, context) }) };
+        case 'webhook':
+            return { contentType: 'application/json', body: renderTemplate(template, context, escapeJsonString) };
+        case 'email':
+            return { subject: context.title, text: renderTemplate(template, context) };
+        default:
+            throw new Error(`Unknown endpoint kind "${endpoint.kind}"`);
+    }
+}
+
+const SAMPLE_CONTEXT = {
+    title: 'Severe space weather alert: X-class flare',
+    level: 'Severe',
+    message: 'SEVERE ALERT: "quoted" text',
+    details: 'Details\non two lines',
+    reasons: 'X-ray flux >= X1.0 in the last 6 h at 2024-05-10 06:00 UTC; peak X3.9.',
+    rules: 'X-class flare',
+    time: '2024-05-10T06:00:00.000Z',
+    dashboardUrl: 'https://example.com',
+};
+
+// Returns a list of problems with an endpoint, in the language of `i18n`; empty when it is valid
+export function validateAlertEndpoint(endpoint, { t } = DEFAULT_I18N) {
+    const errors = [];
+    if (!endpoint.name || !endpoint.name.trim()) errors.push(t('integrations.errors.name'));
+    if (!ENDPOINT_KINDS[endpoint.kind]) errors.push(t('integrations.errors.kind', { kinds: Object.keys(ENDPOINT_KINDS).join(', ') }));
+    if ((endpoint.kind === 'slack' || endpoint.kind === 'webhook') && !isHttpUrl(endpoint.url)) errors.push(t('integrations.errors.url'));
+    for (const [name, value] of Object.entries(endpoint.headers || {})) {
+        if (!HEADER_NAME_PATTERN.test(name)) errors.push(t('integrations.errors.headerName', { name }));
+        else if (isReservedHeader(name)) errors.push(t('integrations.errors.headerReserved', { name }));
+        else if (typeof value !== 'string' || /[\r\n]/.test(value)) errors.push(t('integrations.errors.headerValue', { name }));
+    }
+    if (endpoint.kind === 'email' && (!endpoint.to?.length || !endpoint.to.every(address => EMAIL_PATTERN.test(address)))) {
+        errors.push(t('integrations.errors.to'));
+    }
+    if (!SEVERITY_LEVELS.includes(endpoint.minSeverity) || endpoint.minSeverity === 'Normal') errors.push(t('notifications.errors.minSeverity'));
+    if (!Array.isArray(endpoint.metrics)) errors.push(t('notifications.errors.metrics'));
+    if (endpoint.kind === 'webhook' && endpoint.template?.trim()) {
+        try {
+            JSON.parse(renderAlertPayload(endpoint, SAMPLE_CONTEXT).body);
+        } catch (error) {
+            errors.push(t('integrations.errors.template'));
+        }
+    }
+    return errors;
+}
+
+// An endpoint's filters in the shape planAlertNotification takes. Integrations have no quiet
+// hours: a team channel or inbox is read whenever someone is on duty.
+export const endpointNotificationPrefs = (endpoint) => ({
+    enabled: endpoint.enabled !== false,
+    minSeverity: endpoint.minSeverity,
+    metrics: endpoint.metrics || [],
+    quietHours: { enabled: false },
+});
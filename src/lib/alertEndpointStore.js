@@ -0,0 +1,53 @@
+// --- Alert endpoints (webhooks, email) of a user or team, and their delivery log, in Firestore ---
+// `ownerPath` is userDocPath(...) or teamDocPath(...) from spaceWeatherStore.
+import { collection, doc, onSnapshot, query, orderBy, limit, addDoc, updateDoc, deleteDoc, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { validateAlertEndpoint } from './alertDispatch.js';
+import { alertEndpointsCollectionPath, alertDeliveriesCollectionPath } from './spaceWeatherStore.js';
+
+const DELIVERY_LOG_SIZE = 25;
+
+const toIso = (value) => (value instanceof Timestamp ? value.toDate().toISOString() : value ?? null);
+
+// Calls back with the owner's endpoints ({ id, ...endpoint }), oldest first. Returns the unsubscribe function.
+export function subscribeAlertEndpoints(db, ownerPath, onEndpoints, onError) {
+    const q = query(collection(db, alertEndpointsCollectionPath(ownerPath)), orderBy('createdAt', 'asc'));
+    return onSnapshot(q, (snapshot) => {
+        onEndpoints(snapshot.docs.map(d => ({ id: d.id, ...d.data(), createdAt: toIso(d.data().createdAt) })));
+    }, onError);
+}
+
+// Only the fields a person edits are written; notifiedRuleIds belongs to the worker
+const editableFields = ({ name, kind, url, headers, to, minSeverity, metrics, template, enabled }) => ({
+    name: name.trim(), kind, url, headers: headers || {}, to: to || [], minSeverity, metrics, template, enabled,
+});
+
+// Creates the endpoint when it has no id yet, otherwise updates it. Returns its id.
+export async function saveAlertEndpoint(db, ownerPath, endpoint) {
+    const errors = validateAlertEndpoint(endpoint);
+    if (errors.length) throw new Error(errors.join(' '));
+    const fields = { ...editableFields(endpoint), updatedAt: Timestamp.now() };
+    if (endpoint.id) {
+        await updateDoc(doc(db, alertEndpointsCollectionPath(ownerPath), endpoint.id), fields);
+        return endpoint.id;
+    }
+    const ref = await addDoc(collection(db, alertEndpointsCollectionPath(ownerPath)), { ...fields, notifiedRuleIds: [], createdAt: Timestamp.now() });
+    return ref.id;
+}
+
+export async function deleteAlertEndpoint(db, ownerPath, endpointId) {
+    await deleteDoc(doc(db, alertEndpointsCollectionPath(ownerPath), endpointId));
+}
+
+// Asks the worker to send a test alert to the endpoint on its next run (the rules only accept
+// the server's time, so a request cannot be dated ahead)
+export async function requestTestDelivery(db, ownerPath, endpointId) {
+    await updateDoc(doc(db, alertEndpointsCollectionPath(ownerPath), endpointId), { testRequestedAt: serverTimestamp() });
+}
+
+// Calls back with the most recent deliveries, newest first
+export function subscribeAlertDeliveries(db, ownerPath, onDeliveries, onError) {
+    const q = query(collection(db, alertDeliveriesCollectionPath(ownerPath)), orderBy('createdAt', 'desc'), limit(DELIVERY_LOG_SIZE));
+    return onSnapshot(q, (snapshot) => {
+        onDeliveries(snapshot.docs.map(d => ({ id: d.id, ...d.data(), createdAt: toIso(d.data().createdAt) })));
+    }, onError);
+}
@@ -0,0 +1,25 @@
+// --- Per-user storage of alert rules ---
+import { doc, onSnapshot, setDoc, deleteDoc, Timestamp } from 'firebase/firestore';
+import { DEFAULT_ALERT_RULES, validateRule, migrateLegacyRule } from './alertRules.js';
+
+// The whole rule set lives in one private document, so saves are atomic
+const alertRulesDocRef = (db, appId, userId) => doc(db, `artifacts/${appId}/users/${userId}/settings/alertRules`);
+
+// Calls back with the user's rules, or the built-in defaults when none are saved. Returns the unsubscribe function.
+export function subscribeAlertRules(db, appId, userId, onRules, onError) {
+    return onSnapshot(alertRulesDocRef(db, appId, userId), (snapshot) => {
+        const rules = snapshot.exists() ? snapshot.data().rules : null;
+        onRules(Array.isArray(rules) ? rules.map(migrateLegacyRule) : DEFAULT_ALERT_RULES);
+    }, onError);
+}
+
+export async function saveAlertRules(db, appId, userId, rules) {
+    const invalid = rules.map(rule => ({ rule, errors: validateRule(rule) })).find(entry => entry.errors.length);
+    if (invalid) throw new Error(`Rule "${invalid.rule.name || invalid.rule.id}": ${invalid.errors.join(' ')}`);
+    await setDoc(alertRulesDocRef(db, appId, userId), { rules, updatedAt: Timestamp.now() });
+}
+
+// Dropping the saved document brings the built-in defaults back
+export async function resetAlertRules(db, appId, userId) {
+    await deleteDoc(alertRulesDocRef(db, appId, userId));
+}
@@ -0,0 +1,183 @@
+// --- Alert rule engine ---
+// Rules are plain data, so they can be edited in the UI and stored per user in Firestore:
+//
+//   {
+//     id: 'kp-severe',
+//     name: 'Severe geomagnetic storm',
+//     metric: 'geomagneticStormLevel',  // Field of the hourly series
+//     comparator: '>=',                 // One of COMPARATORS
+//     threshold: 7,                     // In the metric's unit (X-ray flux in W/m², so X1 is 1e-4)
+//     durationHours: 1,                 // Consecutive hours the condition must hold
+//     windowHours: 3,                   // Look-back from the latest point; null = whole series
+//     severity: 'Severe',               // Minor, Moderate or Severe
+//     message: '...', details: '...',   // Shown in the AlertBox when this rule decides the level
+//     enabled: true,
+//   }
+
+import { FLUX_FIELDS, formatFlareClass } from './flareClass.js';
+import { createI18n, DEFAULT_I18N } from './i18n.js';
+
+export const SEVERITY_LEVELS = ['Normal', 'Minor', 'Moderate', 'Severe'];
+
+export const COMPARATORS = {
+    '>': (value, threshold) => value > threshold,
+    '>=': (value, threshold) => value >= threshold,
+    '<': (value, threshold) => value < threshold,
+    '<=': (value, threshold) => value <= threshold,
+    '==': (value, threshold) => value === threshold,
+};
+
+const SEVERE_MESSAGE = {
+    message: 'SEVERE ALERT: Critical infrastructure at high risk from solar storm!',
+    details: 'Expect widespread power grid fluctuations, significant satellite outages, and severe radio/GPS interference. Prepare for emergency protocols and communication blackouts.',
+};
+const MODERATE_MESSAGE = {
+    message: 'MODERATE WATCH: Potentially disruptive space weather incoming!',
+    details: 'Possible aurora visible at mid-latitudes, minor power grid fluctuations, and occasional satellite navigation errors. Exercise caution, particularly for sensitive systems.',
+};
+const MINOR_MESSAGE = {
+    message: 'Minor Solar Activity detected. Monitoring advised.',
+    details: 'Elevated radiation levels, potential for minor radio blackouts, especially in polar regions. No immediate widespread threats, but stay informed.',
+};
+
+// Built-in rules, used until a user saves their own set
+export const DEFAULT_ALERT_RULES = [
+    { id: 'kp-severe', name: 'Severe geomagnetic storm (Kp ≥ 7)', metric: 'geomagneticStormLevel', comparator: '>=', threshold: 7, durationHours: 1, windowHours: 3, severity: 'Severe', enabled: true, ...SEVERE_MESSAGE },
+    { id: 'flare-severe', name: 'X-class flare', metric: 'maxFlareFlux', comparator: '>=', threshold: 1e-4, durationHours: 1, windowHours: 6, severity: 'Severe', enabled: true, ...SEVERE_MESSAGE },
+    { id: 'kp-moderate', name: 'Geomagnetic storm (Kp ≥ 5)', metric: 'geomagneticStormLevel', comparator: '>=', threshold: 5, durationHours: 1, windowHours: 3, severity: 'Moderate', enabled: true, ...MODERATE_MESSAGE },
+    { id: 'flare-moderate', name: 'M-class flare', metric: 'maxFlareFlux', comparator: '>=', threshold: 1e-5, durationHours: 1, windowHours: 6, severity: 'Moderate', enabled: true, ...MODERATE_MESSAGE },
+    { id: 'flare-minor', name: 'Any solar flare', metric: 'solarFlareCount', comparator: '>', threshold: 0, durationHours: 1, windowHours: 6, severity: 'Minor', enabled: true, ...MINOR_MESSAGE },
+    { id: 'cme-minor', name: 'Fast CME (> 400 km/s)', metric: 'maxCmeSpeed', comparator: '>', threshold: 400, durationHours: 1, windowHours: 12, severity: 'Minor', enabled: true, ...MINOR_MESSAGE },
+    { id: 'kp-minor', name: 'Unsettled geomagnetic field (Kp ≥ 3)', metric: 'geomagneticStormLevel', comparator: '>=', threshold: 3, durationHours: 1, windowHours: 3, severity: 'Minor', enabled: true, ...MINOR_MESSAGE },
+];
+
+const NORMAL_PREDICTION = { level: 'Normal', message: 'All systems nominal. Space weather is calm.' };
+
+// The built-in texts by level, which the AlertBox shows translated (alerts.builtIn in the catalogs)
+export const BUILT_IN_ALERT_MESSAGES = {
+    Normal: { message: NORMAL_PREDICTION.message },
+    Minor: MINOR_MESSAGE,
+    Moderate: MODERATE_MESSAGE,
+    Severe: SEVERE_MESSAGE,
+};
+
+// Reasons are written for the notifications and the worker unless told otherwise: English, UTC
+const REASON_I18N = createI18n({ timeDisplay: 'utc' });
+
+// Rules saved before flares were stored as flux watched the old "maxFlareIntensity" index, whose
+// documented cut-offs were C=20, M=40 and X=80. Those rules are carried over to the flux field.
+export function migrateLegacyRule(rule) {
+    if (rule.metric !== 'maxFlareIntensity') return rule;
+    let threshold = 1e-8;
+    if (rule.threshold >= 80) threshold = 1e-4;
+    else if (rule.threshold >= 40) threshold = 1e-5;
+    else if (rule.threshold >= 20) threshold = 1e-6;
+    else if (rule.threshold >= 10) threshold = 1e-7;
+    return { ...rule, metric: 'maxFlareFlux', threshold };
+}
+
+// Returns a list of problems with a rule, in the language of `i18n`; empty when the rule is valid
+export function validateRule(rule, { t } = DEFAULT_I18N) {
+    const errors = [];
+    if (!rule.name || !rule.name.trim()) errors.push(t('ruleEditor.errors.name'));
+    if (!rule.metric) errors.push(t('ruleEditor.errors.metric'));
+    if (!COMPARATORS[rule.comparator]) errors.push(t('ruleEditor.errors.comparator', { comparators: Object.keys(COMPARATORS).join(', ') }));
+    if (!Number.isFinite(rule.threshold)) errors.push(t('ruleEditor.errors.threshold'));
+    if (!Number.isInteger(rule.durationHours) || rule.durationHours < 1) errors.push(t('ruleEditor.errors.duration'));
+    if (rule.windowHours !== null && (!Number.isInteger(rule.windowHours) || rule.windowHours < rule.durationHours)) {
+        errors.push(t('ruleEditor.errors.window'));
+    }
+    if (!SEVERITY_LEVELS.includes(rule.severity) || rule.severity === 'Normal') errors.push(t('ruleEditor.errors.severity'));
+    return errors;
+}
+
+// Flux thresholds and peaks read better as flare classes (1e-4 -> X1.0)
+const formatMetricValue = (metric, value) => (FLUX_FIELDS.includes(metric) ? formatFlareClass(value) || value : value);
+
+// Runs of consecutive points within the rule's window that satisfy its condition for at least
+// durationHours. Each run records its start, end and peak (the most extreme matching value).
+export function findRuleMatches(rule, series) {
+    if (!series.length) return [];
+    const compare = COMPARATORS[rule.comparator];
+    const latest = new Date(series[series.length - 1].timestamp).valueOf();
+    const windowStart = rule.windowHours === null || rule.windowHours === undefined
+        ? -Infinity
+        : latest - (rule.windowHours - 1) * 3600000;
+    const prefersLow = rule.comparator === '<' || rule.comparator === '<=';
+
+    const matches = [];
+    let run = null;
+    const closeRun = () => {
+        if (run && run.hours >= rule.durationHours) matches.push(run);
+        run = null;
+    };
+
+    for (const point of series) {
+        if (new Date(point.timestamp).valueOf() < windowStart) continue;
+        const value = point[rule.metric];
+        if (value !== null && value !== undefined && compare(value, rule.threshold)) {
+            if (!run) run = { start: point.timestamp, end: point.timestamp, hours: 0, peak: value, peakAt: point.timestamp };
+            run.end = point.timestamp;
+            run.hours += 1;
+            if (prefersLow ? value < run.peak : value > run.peak) {
+                run.peak = value;
+                run.peakAt = point.timestamp;
+            }
+        } else {
+            closeRun();
+        }
+    }
+    closeRun();
+    return matches;
+}
+
+function explainMatch(rule, match, metricLabel, i18n) {
+    const { t, formatTimestamp } = i18n;
+    const window = rule.windowHours ? t('alerts.window.hours', { hours: rule.windowHours }) : t('alerts.window.series');
+    const span = match.hours > 1
+        ? t('alerts.span.run', { hours: match.hours, start: formatTimestamp(match.start), end: formatTimestamp(match.end) })
+        : t('alerts.span.single', { time: formatTimestamp(match.start) });
+    return t('alerts.reason', {
+        metric: metricLabel,
+        comparator: rule.comparator,
+        threshold: formatMetricValue(rule.metric, rule.threshold),
+        window,
+        span,
+        peak: formatMetricValue(rule.metric, match.peak),
+        peakAt: formatTimestamp(match.peakAt),
+    });
+}
+
+// Evaluates every enabled rule over the series. The prediction takes the highest severity among
+// the rules that fired, its message comes from the first such rule, and `firedRules` says why, in
+// the language and time display of `i18n`.
+export function evaluateAlertRules(rules, series, metricLabels = {}, i18n = REASON_I18N) {
+    const firedRules = [];
+    for (const rule of rules) {
+        if (!rule.enabled || validateRule(rule).length) continue;
+        const matches = findRuleMatches(rule, series);
+        if (matches.length) {
+            const latestMatch = matches[matches.length - 1];
+            firedRules.push({
+                ruleId: rule.id,
+                name: rule.name,
+                metric: rule.metric,
+                severity: rule.severity,
+                matches,
+                reason: explainMatch(rule, latestMatch, metricLabels[rule.metric] || rule.metric, i18n),
+            });
+        }
+    }
+
+    if (!firedRules.length) return { ...NORMAL_PREDICTION, firedRules };
+
+    const rank = (severity) => SEVERITY_LEVELS.indexOf(severity);
+    const level = firedRules.reduce((highest, fired) => (rank(fired.severity) > rank(highest) ? fired.severity : highest), 'Normal');
+    const decidingRule = rules.find(rule => rule.id === firedRules.find(fired => fired.severity === level).ruleId);
+    return {
+        level,
+        message: decidingRule.message || `${level} space weather conditions.`,
+        details: decidingRule.details,
+        firedRules,
+    };
+}
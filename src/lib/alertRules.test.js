@@ -0,0 +1,128 @@
+import flares from '../../fixtures/donki/FLR.json';
+import storms from '../../fixtures/donki/GST.json';
+import { DEFAULT_ALERT_RULES, evaluateAlertRules, findRuleMatches, validateRule, migrateLegacyRule } from './alertRules';
+import { mergeHourlySeries } from './sources';
+import { donkiFlareAdapter, donkiGeomagneticStormAdapter } from './sources/donki';
+
+const HOUR_MS = 3600000;
+
+// A quiet hourly series ending at 2024-05-10 12:00 UTC, with `overrides` applied to the last hours
+// (overrides[0] is the latest hour)
+function quietSeries(overrides = [], hours = 24) {
+    const end = Date.UTC(2024, 4, 10, 12);
+    return Array.from({ length: hours }, (_, i) => {
+        const hoursAgo = hours - 1 - i;
+        return {
+            timestamp: new Date(end - hoursAgo * HOUR_MS).toISOString(),
+            solarFlareCount: 0,
+            maxFlareFlux: null,
+            cmeCount: 0,
+            maxCmeSpeed: 0,
+            geomagneticStormLevel: 1,
+            ...overrides[hoursAgo],
+        };
+    });
+}
+
+const levelFor = (overrides) => evaluateAlertRules(DEFAULT_ALERT_RULES, quietSeries(overrides)).level;
+
+describe('default alert thresholds', () => {
+    it('is Normal when nothing crosses a threshold', () => {
+        const prediction = evaluateAlertRules(DEFAULT_ALERT_RULES, quietSeries());
+        expect(prediction).toMatchObject({ level: 'Normal', message: 'All systems nominal. Space weather is calm.', firedRules: [] });
+    });
+
+    it.each([
+        [2.67, 'Normal'],
+        [3, 'Minor'],
+        [4.67, 'Minor'],
+        [5, 'Moderate'],
+        [6.67, 'Moderate'],
+        [7, 'Severe'],
+        [9, 'Severe'],
+    ])('treats Kp %p as %s', (kp, level) => {
+        expect(levelFor([{ geomagneticStormLevel: kp }])).toBe(level);
+    });
+
+    it.each([
+        [5e-6, 'Minor'], // C5: any flare is Minor
+        [1e-5, 'Moderate'], // M1
+        [9.9e-5, 'Moderate'],
+        [1e-4, 'Severe'], // X1
+    ])('treats a flare of peak flux %p as %s', (flux, level) => {
+        expect(levelFor([{ solarFlareCount: 1, maxFlareFlux: flux }])).toBe(level);
+    });
+
+    it('needs a CME faster than 400 km/s', () => {
+        expect(levelFor([{ cmeCount: 1, maxCmeSpeed: 400 }])).toBe('Normal');
+        expect(levelFor([{ cmeCount: 1, maxCmeSpeed: 401 }])).toBe('Minor');
+    });
+
+    it('only looks back over each rule\'s window', () => {
+        // Kp rules look at the last 3 hours, flare rules at the last 6
+        expect(levelFor([{}, {}, {}, { geomagneticStormLevel: 8 }])).toBe('Normal');
+        expect(levelFor([{}, {}, { geomagneticStormLevel: 8 }])).toBe('Severe');
+        expect(levelFor([{}, {}, {}, {}, {}, { solarFlareCount: 1, maxFlareFlux: 2e-4 }])).toBe('Severe');
+        expect(levelFor([{}, {}, {}, {}, {}, {}, { solarFlareCount: 1, maxFlareFlux: 2e-4 }])).toBe('Normal');
+    });
+
+    it('takes the highest level and the message of the rule that decided it', () => {
+        const prediction = evaluateAlertRules(DEFAULT_ALERT_RULES, quietSeries([{ geomagneticStormLevel: 5.33, solarFlareCount: 1, maxFlareFlux: 3e-6 }]), { geomagneticStormLevel: 'Kp Index' });
+        expect(prediction.level).toBe('Moderate');
+        expect(prediction.message).toMatch(/^MODERATE WATCH/);
+        expect(prediction.firedRules.map(fired => fired.ruleId)).toEqual(['kp-moderate', 'flare-minor', 'kp-minor']);
+        expect(prediction.firedRules[0].reason).toBe('Kp Index >= 5 in the last 3 h at 2024-05-10 12:00 UTC; peak 5.33 at 2024-05-10 12:00 UTC.');
+    });
+
+    it('shows flux thresholds and peaks as flare classes', () => {
+        const [fired] = evaluateAlertRules(DEFAULT_ALERT_RULES, quietSeries([{ solarFlareCount: 1, maxFlareFlux: 5.8e-4 }])).firedRules;
+        expect(fired.reason).toContain('>= X1.0');
+        expect(fired.reason).toContain('peak X5.8');
+    });
+});
+
+describe('alerts over the recorded May 2024 storm', () => {
+    const series = mergeHourlySeries([
+        { sourceId: 'donki-flr', records: donkiFlareAdapter.parse(flares) },
+        { sourceId: 'donki-gst', records: donkiGeomagneticStormAdapter.parse(storms) },
+    ], { startDate: new Date('2024-05-08T00:00:00Z'), endDate: new Date('2024-05-11T01:59:59Z') });
+
+    it('is Severe at the height of the storm, for both the Kp and the X5.8 flare', () => {
+        const prediction = evaluateAlertRules(DEFAULT_ALERT_RULES, series);
+        expect(prediction.level).toBe('Severe');
+        expect(prediction.firedRules.filter(fired => fired.severity === 'Severe').map(fired => fired.ruleId)).toEqual(['kp-severe', 'flare-severe']);
+    });
+});
+
+describe('findRuleMatches', () => {
+    const rule = { ...DEFAULT_ALERT_RULES[0], windowHours: null, durationHours: 2 };
+
+    it('finds runs at least durationHours long, with their peak', () => {
+        const series = quietSeries([{ geomagneticStormLevel: 7 }, { geomagneticStormLevel: 8 }, {}, { geomagneticStormLevel: 9 }], 6);
+        expect(findRuleMatches(rule, series)).toEqual([{
+            start: '2024-05-10T11:00:00.000Z', end: '2024-05-10T12:00:00.000Z', hours: 2, peak: 8, peakAt: '2024-05-10T11:00:00.000Z',
+        }]);
+    });
+
+    it('ignores missing values', () => {
+        expect(findRuleMatches({ ...rule, durationHours: 1 }, quietSeries([{ geomagneticStormLevel: null }], 2))).toEqual([]);
+        expect(findRuleMatches(rule, [])).toEqual([]);
+    });
+});
+
+describe('validateRule and migrateLegacyRule', () => {
+    it('accepts the built-in rules', () => {
+        DEFAULT_ALERT_RULES.forEach(rule => expect(validateRule(rule)).toEqual([]));
+    });
+
+    it('lists every problem', () => {
+        expect(validateRule({ name: ' ', metric: '', comparator: '=>', threshold: NaN, durationHours: 0, windowHours: 0.5, severity: 'Normal' })).toHaveLength(7);
+    });
+
+    it('carries old flare intensity rules over to flux', () => {
+        expect(migrateLegacyRule({ metric: 'maxFlareIntensity', threshold: 80 })).toEqual({ metric: 'maxFlareFlux', threshold: 1e-4 });
+        expect(migrateLegacyRule({ metric: 'maxFlareIntensity', threshold: 40 }).threshold).toBe(1e-5);
+        const kpRule = { metric: 'geomagneticStormLevel', threshold: 5 };
+        expect(migrateLegacyRule(kpRule)).toBe(kpRule);
+    });
+});
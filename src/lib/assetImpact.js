@@ -0,0 +1,239 @@
+// --- Impact of current space weather on registered assets ---
+// Rates each asset Low, Elevated, High or Severe from the NOAA G, R and S levels it is exposed to,
+// and keeps the reasoning: one finding per hazard, e.g. drag for a low satellite or induced
+// currents for a grid site near the auroral oval. Exposure decides how a scale level translates
+// into risk; the tables below follow the impacts NOAA lists for each scale level
+// (https://www.swpc.noaa.gov/noaa-scales-explanation). An Earth-directed CME adds a finding for
+// the storm it is expected to bring.
+import { geomagneticStormScale, radioBlackoutScale, solarRadiationScale } from './noaaScales.js';
+import { geomagneticLatitude, auroralOvalBoundary } from './aurora.js';
+import { getSunPosition } from './ephemeris.js';
+import { formatFlareClass } from './flareClass.js';
+import { kpOf } from './trendPanels.js';
+import { DEFAULT_I18N } from './i18n.js';
+
+// Named in the other languages as assets.risks.<name>
+export const RISK_LEVELS = [
+    { level: 0, name: 'Low', color: '#22c55e' },
+    { level: 1, name: 'Elevated', color: '#ECC94B' },
+    { level: 2, name: 'High', color: '#DD6B20' },
+    { level: 3, name: 'Severe', color: '#E53E3E' },
+];
+
+// Risk (0-3) for scale levels 0-5, by how exposed the asset is
+const STRONG = [0, 1, 1, 2, 3, 3];
+const RADIATION = [0, 1, 2, 2, 3, 3];
+const HF_DAYSIDE = [0, 1, 2, 3, 3, 3];
+const MODERATE = [0, 0, 1, 1, 2, 2];
+const WEAK = [0, 0, 0, 1, 1, 2];
+const NONE = [0, 0, 0, 0, 0, 0];
+
+// Within this many degrees of geomagnetic latitude of the oval's equatorward edge, a site sees
+// auroral currents and ionospheric disturbance
+const OVAL_MARGIN = 5;
+// Polar cap absorption of HF affects paths poleward of this geomagnetic latitude
+const POLAR_CAP_LATITUDE = 60;
+// LEO satellites above this inclination spend time outside the magnetosphere's shielding
+const POLAR_INCLINATION = 50;
+
+// Space weather the assessment works from: the highest Kp, X-ray flux and proton flux over the
+// last `hours` of the series (Kp is 3-hourly), and the strongest storm expected from CMEs that
+// have not arrived yet (stormForecast arrivals)
+export function currentConditions(series, arrivals = [], { hours = 3, now = new Date() } = {}) {
+    const recent = series.slice(-hours);
+    const highest = (values) => {
+        const present = values.filter(Number.isFinite);
+        return present.length ? Math.max(...present) : null;
+    };
+    const upcoming = arrivals
+        .filter(forecast => forecast.expectedKp && new Date(forecast.arrival.latest) > now)
+        .reduce((top, forecast) => (!top || forecast.expectedKp.median > top.expectedKp.median ? forecast : top), null);
+    return {
+        kp: highest(recent.map(kpOf)),
+        xrayFlux: highest(recent.flatMap(point => [point.maxFlareFlux, point.xrayFluxLong])),
+        protonFlux: highest(recent.map(point => point.protonFlux10MeV)),
+        cmeArrival: upcoming ? { cmeId: upcoming.cmeId, arrival: upcoming.arrival.median, kp: upcoming.expectedKp.median } : null,
+        at: now,
+    };
+}
+
+const scaleLevel = (scale) => scale?.level ?? 0;
+
+const finding = (hazard, level, reason) => ({ hazard, level, reason });
+
+// Wording of the findings in the language of `i18n`. A reason reads "<measure> (<scale>);
+// <exposure> — <effect>.", e.g. "Kp 6 (G2 Moderate); the site is far from the auroral oval —
+// little effect expected."
+function findingWords({ t, formatNumber, formatTimestamp }) {
+    const scaleText = (scale, code) => (scale
+        ? t('assets.findings.scale', { code: scale.code, name: t(`noaa.names.${scale.level}`, {}, scale.name) })
+        : t('assets.findings.belowScale', { code }));
+    return {
+        t,
+        formatNumber,
+        formatTimestamp,
+        scaleText,
+        condition: (measure, scale, code) => t('assets.findings.condition', { measure, scale: scaleText(scale, code) }),
+        reason: (condition, exposure, level) => t('assets.findings.reason', { condition, exposure, effect: t(`assets.effects.${level}`) }),
+        hazard: (id) => t(`assets.hazards.${id}`),
+    };
+}
+
+// One finding from a geomagnetic hazard, plus a forecast finding when an incoming CME would make
+// it worse. describe(scale, level, kpText) gives the reason.
+function geomagneticFindings(hazardId, conditions, table, describe, words) {
+    const { t, formatNumber, formatTimestamp } = words;
+    const hazard = words.hazard(hazardId);
+    const now = geomagneticStormScale(conditions.kp);
+    const level = table[scaleLevel(now)];
+    const kpText = conditions.kp === null ? t('assets.findings.kpUnavailable') : t('assets.findings.kp', { kp: Number(conditions.kp.toFixed(2)) });
+    const findings = [finding(hazard, level, describe(now, level, kpText))];
+    const { cmeArrival } = conditions;
+    if (cmeArrival) {
+        const expected = geomagneticStormScale(cmeArrival.kp);
+        const expectedLevel = table[scaleLevel(expected)];
+        if (expectedLevel > level) {
+            const kpText = t('assets.findings.kpExpected', { kp: formatNumber(cmeArrival.kp, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) });
+            findings.push(finding(t('assets.hazards.forecast', { hazard }), expectedLevel, t('assets.findings.forecast', {
+                cmeId: cmeArrival.cmeId,
+                time: formatTimestamp(cmeArrival.arrival),
+                reason: describe(expected, expectedLevel, kpText),
+            })));
+        }
+    }
+    return findings;
+}
+
+function satelliteFindings(asset, conditions, words) {
+    const { t } = words;
+    const highOrbit = ['MEO', 'GEO', 'HEO'].includes(asset.orbit);
+    const polar = asset.orbit !== 'LEO' || asset.inclinationDeg >= POLAR_INCLINATION;
+    const findings = [];
+
+    // Surface charging from hot plasma injected in storms, worst from MEO to GEO
+    findings.push(...geomagneticFindings('surfaceCharging', conditions, highOrbit ? STRONG : WEAK, (scale, level, kpText) => words.reason(
+        words.condition(kpText, scale, 'G1'),
+        highOrbit ? t('assets.exposures.highOrbit', { orbit: asset.orbit }) : t('assets.exposures.lowOrbit'),
+        level,
+    ), words));
+
+    // Storms heat and expand the upper atmosphere: more drag, worst for the lowest orbits
+    if (asset.orbit === 'LEO' || asset.orbit === 'HEO') {
+        const low = asset.altitudeKm < 600;
+        const dragTable = low ? STRONG : (asset.altitudeKm < 1000 ? MODERATE : NONE);
+        findings.push(...geomagneticFindings('drag', conditions, dragTable, (scale, level, kpText) => words.reason(
+            words.condition(kpText, scale, 'G1'),
+            t(low ? 'assets.exposures.lowDrag' : 'assets.exposures.highDrag', { altitude: Math.round(asset.altitudeKm) }),
+            level,
+        ), words));
+    }
+
+    // Energetic protons: single-event upsets, star-tracker noise, solar-panel degradation
+    const protons = solarRadiationScale(conditions.protonFlux);
+    const protonLevel = (polar ? RADIATION : WEAK)[scaleLevel(protons)];
+    const protonText = conditions.protonFlux === null
+        ? t('assets.findings.protonsUnknown')
+        : t('assets.findings.protons', { flux: conditions.protonFlux.toPrecision(2) });
+    findings.push(finding(words.hazard('radiation'), protonLevel, words.reason(
+        words.condition(protonText, protons, 'S1'),
+        t(polar ? 'assets.exposures.polarOrbit' : 'assets.exposures.shieldedOrbit'),
+        protonLevel,
+    )));
+    return findings;
+}
+
+// Great-circle midpoint of an HF path
+function pathMidpoint(from, to) {
+    const rad = Math.PI / 180;
+    const [lat1, lon1, lat2] = [from.latitude * rad, from.longitude * rad, to.latitude * rad];
+    const dLon = (to.longitude - from.longitude) * rad;
+    const bx = Math.cos(lat2) * Math.cos(dLon);
+    const by = Math.cos(lat2) * Math.sin(dLon);
+    const latitude = Math.atan2(Math.sin(lat1) + Math.sin(lat2), Math.sqrt((Math.cos(lat1) + bx) ** 2 + by ** 2));
+    const longitude = lon1 + Math.atan2(by, Math.cos(lat1) + bx);
+    return { latitude: latitude / rad, longitude: ((longitude / rad + 540) % 360) - 180 };
+}
+
+const nearOval = (point, kp) => Math.abs(geomagneticLatitude(point.latitude, point.longitude)) >= auroralOvalBoundary(kp || 0) - OVAL_MARGIN;
+
+function hfLinkFindings(asset, conditions, words) {
+    const { t } = words;
+    const points = [asset.from, pathMidpoint(asset.from, asset.to), asset.to];
+    const sunlit = points.some(point => getSunPosition(conditions.at, point.latitude, point.longitude).altitude > 0);
+    const polarPath = points.some(point => Math.abs(geomagneticLatitude(point.latitude, point.longitude)) >= POLAR_CAP_LATITUDE);
+    const findings = [];
+
+    // Flare X-rays ionise the D layer on the sunlit side and absorb HF
+    const blackout = radioBlackoutScale(conditions.xrayFlux);
+    const blackoutLevel = (sunlit ? HF_DAYSIDE : NONE)[scaleLevel(blackout)];
+    const flareClass = formatFlareClass(conditions.xrayFlux);
+    findings.push(finding(words.hazard('blackout'), blackoutLevel, words.reason(
+        words.condition(flareClass ? t('assets.findings.xray', { flareClass }) : t('assets.findings.xrayUnknown'), blackout, 'R1'),
+        t(sunlit ? 'assets.exposures.daylightPath' : 'assets.exposures.darkPath'),
+        blackoutLevel,
+    )));
+
+    // Solar protons cause polar cap absorption lasting days
+    const protons = solarRadiationScale(conditions.protonFlux);
+    const pcaLevel = (polarPath ? HF_DAYSIDE : NONE)[scaleLevel(protons)];
+    findings.push(finding(words.hazard('polarCap'), pcaLevel, words.reason(
+        protons ? words.scaleText(protons) : t('assets.findings.noRadiationStorm'),
+        t(polarPath ? 'assets.exposures.polarPath' : 'assets.exposures.clearPath'),
+        pcaLevel,
+    )));
+
+    // Storms bring auroral absorption and depress usable frequencies near the oval
+    const exposed = points.some(point => nearOval(point, Math.max(conditions.kp || 0, conditions.cmeArrival?.kp || 0)));
+    findings.push(...geomagneticFindings('ionosphere', conditions, exposed ? STRONG : WEAK, (scale, level, kpText) => words.reason(
+        words.condition(kpText, scale, 'G1'),
+        t(exposed ? 'assets.exposures.ovalPath' : 'assets.exposures.farPath'),
+        level,
+    ), words));
+    return findings;
+}
+
+function gnssFindings(asset, conditions, words) {
+    const { t } = words;
+    const exposed = nearOval(asset, Math.max(conditions.kp || 0, conditions.cmeArrival?.kp || 0));
+    // Precision positioning (RTK, landing approaches) fails before ordinary navigation does
+    const table = (exposed ? STRONG : WEAK).map(level => (asset.precision ? Math.min(3, level + (level > 0 ? 1 : 0)) : level));
+    const exposure = t(exposed ? 'assets.exposures.ovalSite' : 'assets.exposures.farSite');
+    return geomagneticFindings('scintillation', conditions, table, (scale, level, kpText) => words.reason(
+        words.condition(kpText, scale, 'G1'),
+        asset.precision ? t('assets.exposures.precision', { exposure }) : exposure,
+        level,
+    ), words);
+}
+
+function powerGridFindings(asset, conditions, words) {
+    const { t } = words;
+    const kp = Math.max(conditions.kp || 0, conditions.cmeArrival?.kp || 0);
+    const exposed = nearOval(asset, kp);
+    const magneticLatitude = Math.abs(geomagneticLatitude(asset.latitude, asset.longitude));
+    return geomagneticFindings('inducedCurrents', conditions, exposed ? STRONG : WEAK, (scale, level, kpText) => words.reason(
+        words.condition(kpText, scale, 'G1'),
+        t(exposed ? 'assets.exposures.electrojet' : 'assets.exposures.farElectrojet', { latitude: Math.round(magneticLatitude) }),
+        level,
+    ), words);
+}
+
+const FINDINGS_BY_KIND = {
+    satellite: satelliteFindings,
+    hfLink: hfLinkFindings,
+    gnss: gnssFindings,
+    powerGrid: powerGridFindings,
+};
+
+// { asset, risk: RISK_LEVELS entry, findings: [{ hazard, level, reason }] } for each asset, the
+// highest risk first; an asset's risk is that of its worst finding. Hazards and reasons are in
+// the language of `i18n`.
+export function assessAssets(assets, conditions, i18n = DEFAULT_I18N) {
+    const words = findingWords(i18n);
+    return assets
+        .filter(asset => FINDINGS_BY_KIND[asset.kind])
+        .map(asset => {
+            const findings = FINDINGS_BY_KIND[asset.kind](asset, conditions, words).sort((a, b) => b.level - a.level);
+            return { asset, risk: RISK_LEVELS[findings[0]?.level ?? 0], findings };
+        })
+        .sort((a, b) => b.risk.level - a.risk.level);
+}
@@ -0,0 +1,105 @@
+import { currentConditions, assessAssets } from './assetImpact';
+import { createI18n } from './i18n';
+
+const NOON = new Date('2024-12-10T12:00:00Z');
+const MIDNIGHT = new Date('2024-12-10T00:00:00Z');
+
+const quiet = { kp: 2, xrayFlux: 3e-7, protonFlux: 0.5, cmeArrival: null, at: NOON };
+// Like 10-11 May 2024: Kp 9, an X5.8 flare and an S1 radiation storm
+const extreme = { kp: 9, xrayFlux: 5.8e-4, protonFlux: 50, cmeArrival: null, at: NOON };
+
+const ASSETS = {
+    lowSatellite: { id: 'leo', kind: 'satellite', name: 'Cubesat', orbit: 'LEO', altitudeKm: 420, inclinationDeg: 97.5 },
+    equatorialSatellite: { id: 'leo-eq', kind: 'satellite', name: 'Equatorial', orbit: 'LEO', altitudeKm: 1200, inclinationDeg: 10 },
+    geo: { id: 'geo', kind: 'satellite', name: 'Comsat', orbit: 'GEO', altitudeKm: 35786, inclinationDeg: 0 },
+    hfLink: { id: 'hf', kind: 'hfLink', name: 'Reykjavík-London', from: { latitude: 64.15, longitude: -21.94 }, to: { latitude: 51.5, longitude: -0.13 } },
+    rtk: { id: 'rtk', kind: 'gnss', name: 'Farm RTK', latitude: 46.8, longitude: -100.8, precision: true },
+    gridNorth: { id: 'grid-fi', kind: 'powerGrid', name: 'Helsinki substation', latitude: 60.17, longitude: 24.94 },
+    gridTropics: { id: 'grid-sg', kind: 'powerGrid', name: 'Singapore substation', latitude: 1.35, longitude: 103.82 },
+};
+
+const assess = (asset, conditions) => assessAssets([asset], conditions)[0];
+const findingFor = (assessment, hazard) => assessment.findings.find(item => item.hazard === hazard);
+
+describe('current conditions', () => {
+    const series = [
+        { timestamp: '2024-05-10T16:00:00.000Z', geomagneticStormLevel: 6, maxFlareFlux: 1e-5 },
+        { timestamp: '2024-05-10T17:00:00.000Z', planetaryKIndex: 8.33, xrayFluxLong: 2e-5, protonFlux10MeV: 12 },
+        { timestamp: '2024-05-10T18:00:00.000Z', geomagneticStormLevel: null },
+    ];
+    const now = new Date('2024-05-10T18:30:00Z');
+    const arrival = (cmeId, latest, kp) => ({ cmeId, arrival: { median: latest, latest }, expectedKp: { median: kp } });
+
+    it('take the highest readings of the last hours and the strongest CME still to come', () => {
+        const conditions = currentConditions(series, [
+            arrival('passed', '2024-05-10T12:00:00Z', 8),
+            arrival('weak', '2024-05-11T12:00:00Z', 5),
+            arrival('strong', '2024-05-12T00:00:00Z', 7),
+        ], { now });
+        expect(conditions).toEqual({
+            kp: 8.33,
+            xrayFlux: 2e-5,
+            protonFlux: 12,
+            cmeArrival: { cmeId: 'strong', arrival: '2024-05-12T00:00:00Z', kp: 7 },
+            at: now,
+        });
+    });
+
+    it('are unknown without readings', () => {
+        expect(currentConditions([], [], { now })).toMatchObject({ kp: null, xrayFlux: null, protonFlux: null, cmeArrival: null });
+    });
+});
+
+describe('asset assessments', () => {
+    it('are Low for every asset in quiet conditions, with a finding per hazard', () => {
+        const assessments = assessAssets(Object.values(ASSETS), quiet);
+        expect(assessments.map(a => a.risk.name)).toEqual(Array(7).fill('Low'));
+        expect(assess(ASSETS.lowSatellite, quiet).findings.map(item => item.hazard)).toEqual(['Surface charging', 'Atmospheric drag', 'Radiation (single-event upsets)']);
+        expect(findingFor(assess(ASSETS.gridNorth, quiet), 'Geomagnetically induced currents').reason).toMatch(/^Kp 2 \(below G1\); at \d+° geomagnetic latitude/);
+    });
+
+    it('rate exposed assets Severe in an extreme storm and sort them first', () => {
+        const assessments = assessAssets([ASSETS.gridTropics, ASSETS.lowSatellite, ASSETS.geo, ASSETS.gridNorth], extreme);
+        expect(assessments.map(a => [a.asset.id, a.risk.name])).toEqual([
+            ['leo', 'Severe'],
+            ['geo', 'Severe'],
+            ['grid-fi', 'Severe'],
+            ['grid-sg', 'High'],
+        ]);
+        expect(findingFor(assessments[0], 'Atmospheric drag')).toMatchObject({ level: 3 });
+        expect(findingFor(assessments[0], 'Atmospheric drag').reason).toContain('Kp 9 (G5 Extreme)');
+    });
+
+    it('shield low-inclination low orbits from solar protons', () => {
+        const polar = findingFor(assess(ASSETS.lowSatellite, extreme), 'Radiation (single-event upsets)');
+        const equatorial = findingFor(assess(ASSETS.equatorialSatellite, extreme), 'Radiation (single-event upsets)');
+        expect(polar.level).toBe(1);
+        expect(equatorial.level).toBe(0);
+        expect(equatorial.reason).toContain('shielded by the magnetosphere');
+    });
+
+    it('rate HF blackouts only while the path is sunlit', () => {
+        const day = findingFor(assess(ASSETS.hfLink, extreme), 'Radio blackout');
+        const night = findingFor(assess(ASSETS.hfLink, { ...extreme, at: MIDNIGHT }), 'Radio blackout');
+        expect(day).toMatchObject({ level: 3 });
+        expect(day.reason).toContain('X5.8');
+        expect(night).toMatchObject({ level: 0 });
+        expect(night.reason).toContain('darkness');
+        expect(findingFor(assess(ASSETS.hfLink, extreme), 'Polar cap absorption').level).toBe(1);
+    });
+
+    it('rate precision GNSS one level higher than ordinary positioning', () => {
+        const moderate = { ...quiet, kp: 7 };
+        expect(assess(ASSETS.rtk, moderate).risk.name).toBe('Severe');
+        expect(assess({ ...ASSETS.rtk, precision: false }, moderate).risk.name).toBe('High');
+    });
+
+    it('add a forecast finding when an incoming CME would raise the risk', () => {
+        const incoming = { ...quiet, cmeArrival: { cmeId: '2024-05-09T09:24:00-CME-001', arrival: '2024-05-10T17:00:00Z', kp: 8 } };
+        const [assessment] = assessAssets([ASSETS.gridNorth], incoming, createI18n({ timeDisplay: 'utc' }));
+        expect(assessment.risk.name).toBe('Severe');
+        expect(assessment.findings[0]).toMatchObject({ hazard: 'Geomagnetically induced currents (forecast)', level: 3 });
+        expect(assessment.findings[0].reason).toMatch(/^A CME \(2024-05-09T09:24:00-CME-001\) is expected around 2024-05-10 17:00 UTC\. Kp 8\.0 expected \(G4 Severe\)/);
+        expect(findingFor(assessment, 'Geomagnetically induced currents').level).toBe(0);
+    });
+});
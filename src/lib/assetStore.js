@@ -0,0 +1,33 @@
+// --- Registered assets of a user or team in Firestore ---
+// `ownerPath` is userDocPath(...) or teamDocPath(...) from spaceWeatherStore.
+import { collection, doc, onSnapshot, query, orderBy, addDoc, updateDoc, deleteDoc, Timestamp } from 'firebase/firestore';
+import { validateAsset, normalizeAsset } from './assets.js';
+import { assetsCollectionPath } from './spaceWeatherStore.js';
+
+// Calls back with the owner's assets ({ id, ...asset }), oldest first. Returns the unsubscribe function.
+export function subscribeAssets(db, ownerPath, onAssets, onError) {
+    const q = query(collection(db, assetsCollectionPath(ownerPath)), orderBy('createdAt', 'asc'));
+    return onSnapshot(q, (snapshot) => {
+        onAssets(snapshot.docs.map(d => {
+            const { createdAt, updatedAt, ...asset } = d.data();
+            return { id: d.id, ...asset };
+        }));
+    }, onError);
+}
+
+// Creates the asset when it has no id yet, otherwise replaces it. Returns its id.
+export async function saveAsset(db, ownerPath, asset) {
+    const errors = validateAsset(asset);
+    if (errors.length) throw new Error(errors.join(' '));
+    const { id, ...fields } = normalizeAsset(asset);
+    if (id) {
+        await updateDoc(doc(db, assetsCollectionPath(ownerPath), id), { ...fields, updatedAt: Timestamp.now() });
+        return id;
+    }
+    const ref = await addDoc(collection(db, assetsCollectionPath(ownerPath)), { ...fields, createdAt: Timestamp.now(), updatedAt: Timestamp.now() });
+    return ref.id;
+}
+
+export async function deleteAsset(db, ownerPath, assetId) {
+    await deleteDoc(doc(db, assetsCollectionPath(ownerPath), assetId));
+}
@@ -0,0 +1,150 @@
+// --- Assets a user operates, for the impact assessment (assetImpact.js) ---
+// Stored one document per asset in the owner's `assets` collection (assetsCollectionPath):
+//
+//   satellite:  { kind, name, orbit: 'LEO' | 'MEO' | 'GEO' | 'HEO', altitudeKm, inclinationDeg, tle }
+//               With a two-line element set (tle: 'line 1\nline 2') orbit, altitude and
+//               inclination are derived from it when the asset is saved.
+//   hfLink:     { kind, name, from: { latitude, longitude }, to: { latitude, longitude } }
+//   gnss:       { kind, name, latitude, longitude, precision }  // precision: RTK, surveying, landing
+//   powerGrid:  { kind, name, latitude, longitude }
+import { validateCoordinates } from './observerLocation.js';
+import { DEFAULT_I18N } from './i18n.js';
+
+// Kinds and orbit types are translated as assets.kinds.<kind> and assets.orbits.<orbit>
+export const ASSET_KINDS = {
+    satellite: { label: 'Satellite' },
+    hfLink: { label: 'HF radio link' },
+    gnss: { label: 'GNSS-dependent operation' },
+    powerGrid: { label: 'Power-grid site' },
+};
+
+export const ORBIT_TYPES = {
+    LEO: { label: 'Low Earth orbit', altitudeKm: 550 },
+    MEO: { label: 'Medium Earth orbit', altitudeKm: 20200 },
+    GEO: { label: 'Geostationary', altitudeKm: 35786 },
+    HEO: { label: 'Highly elliptical', altitudeKm: 1000 },
+};
+
+export const MAX_ASSET_NAME_LENGTH = 60;
+
+const EARTH_RADIUS_KM = 6378.137;
+const EARTH_MU = 398600.4418; // km³/s²
+
+export function newAsset(kind = 'satellite') {
+    const common = { kind, name: '' };
+    switch (kind) {
+        case 'satellite': return { ...common, orbit: 'LEO', altitudeKm: ORBIT_TYPES.LEO.altitudeKm, inclinationDeg: 53, tle: '' };
+        case 'hfLink': return { ...common, from: { latitude: '', longitude: '' }, to: { latitude: '', longitude: '' } };
+        case 'gnss': return { ...common, latitude: '', longitude: '', precision: false };
+        case 'powerGrid': return { ...common, latitude: '', longitude: '' };
+        default: throw new Error(`Unknown asset kind "${kind}"`);
+    }
+}
+
+// TLE checksum: digits count their value, minus signs count 1, the rest 0, modulo 10
+function tleChecksumOk(line) {
+    const sum = line.slice(0, 68).split('').reduce((total, c) => total + (c === '-' ? 1 : Number(c) || 0), 0);
+    return sum % 10 === Number(line[68]);
+}
+
+// Orbit of a two-line element set: { orbit, perigeeKm, apogeeKm, inclinationDeg }. Takes the two
+// element lines, with or without a name line before them. Throws when they cannot be read, with a
+// message in the language of `i18n`.
+export function parseTle(text, { t } = DEFAULT_I18N) {
+    const lines = String(text || '').split('\n').map(line => line.trimEnd()).filter(Boolean);
+    const line1 = lines.find(line => line.startsWith('1 '));
+    const line2 = lines.find(line => line.startsWith('2 '));
+    if (!line1 || !line2 || line1.length < 69 || line2.length < 69) throw new Error(t('assets.errors.tleLines'));
+    if (!tleChecksumOk(line1) || !tleChecksumOk(line2)) throw new Error(t('assets.errors.tleChecksum'));
+
+    const inclinationDeg = parseFloat(line2.slice(8, 16));
+    const eccentricity = parseFloat(`0.${line2.slice(26, 33).trim()}`);
+    const revsPerDay = parseFloat(line2.slice(52, 63));
+    if (![inclinationDeg, eccentricity, revsPerDay].every(Number.isFinite) || revsPerDay <= 0) throw new Error(t('assets.errors.tleElements'));
+
+    const meanMotion = (revsPerDay * 2 * Math.PI) / 86400; // rad/s
+    const semiMajorAxis = Math.cbrt(EARTH_MU / (meanMotion * meanMotion));
+    const perigeeKm = semiMajorAxis * (1 - eccentricity) - EARTH_RADIUS_KM;
+    const apogeeKm = semiMajorAxis * (1 + eccentricity) - EARTH_RADIUS_KM;
+
+    let orbit = 'MEO';
+    if (eccentricity > 0.25) orbit = 'HEO';
+    else if (apogeeKm < 2000) orbit = 'LEO';
+    else if (Math.abs(revsPerDay - 1.0027) < 0.01) orbit = 'GEO';
+    return { orbit, perigeeKm: Math.round(perigeeKm), apogeeKm: Math.round(apogeeKm), inclinationDeg };
+}
+
+// The asset as stored: numbers parsed, and a satellite's orbit taken from its TLE when it has one
+export function normalizeAsset(asset) {
+    const { id, kind } = asset;
+    const base = { ...(id ? { id } : {}), kind, name: String(asset.name || '').trim() };
+    const point = ({ latitude, longitude }) => ({ latitude: Number(latitude), longitude: Number(longitude) });
+    switch (kind) {
+        case 'satellite': {
+            const tle = String(asset.tle || '').trim();
+            if (tle) {
+                const { orbit, perigeeKm, inclinationDeg } = parseTle(tle);
+                return { ...base, orbit, altitudeKm: perigeeKm, inclinationDeg, tle };
+            }
+            return { ...base, orbit: asset.orbit, altitudeKm: Number(asset.altitudeKm), inclinationDeg: Number(asset.inclinationDeg), tle: '' };
+        }
+        case 'hfLink': return { ...base, from: point(asset.from), to: point(asset.to) };
+        case 'gnss': return { ...base, ...point(asset), precision: Boolean(asset.precision) };
+        case 'powerGrid': return { ...base, ...point(asset) };
+        default: return base;
+    }
+}
+
+// Problems with an asset as entered, in the language of `i18n`; empty when it can be saved
+export function validateAsset(asset, i18n = DEFAULT_I18N) {
+    const { t } = i18n;
+    const errors = [];
+    if (!ASSET_KINDS[asset.kind]) return [t('assets.errors.kind')];
+    const name = String(asset.name || '').trim();
+    if (!name || name.length > MAX_ASSET_NAME_LENGTH) errors.push(t('assets.errors.name', { max: MAX_ASSET_NAME_LENGTH }));
+
+    // Empty inputs would otherwise pass as 0
+    const checkPoint = (point, label) => {
+        const blank = [point?.latitude, point?.longitude].some(value => value === '' || value === null || value === undefined);
+        const problem = blank ? t('assets.errors.point') : validateCoordinates(Number(point.latitude), Number(point.longitude), i18n);
+        if (problem) errors.push(t('assets.errors.pointProblem', { label: t(`assets.${label}`), problem }));
+    };
+    switch (asset.kind) {
+        case 'satellite':
+            if (String(asset.tle || '').trim()) {
+                try {
+                    parseTle(asset.tle, i18n);
+                } catch (err) {
+                    errors.push(err.message);
+                }
+            } else {
+                if (!ORBIT_TYPES[asset.orbit]) errors.push(t('assets.errors.orbit'));
+                if (!(Number(asset.altitudeKm) >= 100 && Number(asset.altitudeKm) <= 100000)) errors.push(t('assets.errors.altitude', { min: 100, max: 100000 }));
+                if (!(Number(asset.inclinationDeg) >= 0 && Number(asset.inclinationDeg) <= 180)) errors.push(t('assets.errors.inclination'));
+            }
+            break;
+        case 'hfLink':
+            checkPoint(asset.from, 'transmitter');
+            checkPoint(asset.to, 'receiver');
+            break;
+        default:
+            checkPoint(asset, 'location');
+    }
+    return errors;
+}
+
+// One line describing the asset in the language of `i18n`, e.g. "LEO, 550 km, 53° inclination"
+export function describeAsset(asset, { t, formatNumber } = DEFAULT_I18N) {
+    const degrees = (value) => formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    const coordinates = ({ latitude, longitude }) => t('assets.describe.point', { latitude: degrees(latitude), longitude: degrees(longitude) });
+    switch (asset.kind) {
+        case 'satellite': {
+            const description = t('assets.describe.satellite', { orbit: asset.orbit, altitude: Math.round(asset.altitudeKm), inclination: Math.round(asset.inclinationDeg) });
+            return asset.tle ? t('assets.describe.fromTle', { description }) : description;
+        }
+        case 'hfLink': return t('assets.describe.hfLink', { from: coordinates(asset.from), to: coordinates(asset.to) });
+        case 'gnss': return asset.precision ? t('assets.describe.precision', { point: coordinates(asset) }) : coordinates(asset);
+        case 'powerGrid': return coordinates(asset);
+        default: return '';
+    }
+}
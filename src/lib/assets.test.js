@@ -0,0 +1,70 @@
+import { parseTle, normalizeAsset, validateAsset, describeAsset, newAsset } from './assets';
+
+// The ISS in September 2008, the usual TLE example (about 350 km up)
+const ISS_TLE = [
+    'ISS (ZARYA)',
+    '1 25544U 98067A   08264.51782528 -.00002182  00000-0 -11606-4 0  2927',
+    '2 25544  51.6416 247.4627 0006703 130.5360 325.0288 15.72125391563537',
+].join('\n');
+
+// Replaces columns `from`..`to` of a TLE line and fixes its checksum
+function editTleLine(line, from, value) {
+    const edited = line.slice(0, from) + value + line.slice(from + value.length, 68);
+    const sum = edited.split('').reduce((total, c) => total + (c === '-' ? 1 : Number(c) || 0), 0);
+    return edited + (sum % 10);
+}
+
+describe('two-line element sets', () => {
+    it('give the orbit of a satellite', () => {
+        const orbit = parseTle(ISS_TLE);
+        expect(orbit).toMatchObject({ orbit: 'LEO', inclinationDeg: 51.6416 });
+        expect(orbit.perigeeKm).toBeGreaterThan(330);
+        expect(orbit.apogeeKm).toBeLessThan(370);
+    });
+
+    it('classify geostationary and highly elliptical orbits', () => {
+        const [, line1, line2] = ISS_TLE.split('\n');
+        const geo = editTleLine(editTleLine(line2, 8, '  0.0500'), 52, ' 1.00270000');
+        expect(parseTle(`${line1}\n${geo}`)).toMatchObject({ orbit: 'GEO' });
+        const molniya = editTleLine(editTleLine(line2, 26, '7200000'), 52, ' 2.00600000');
+        expect(parseTle(`${line1}\n${molniya}`)).toMatchObject({ orbit: 'HEO' });
+    });
+
+    it('are rejected when incomplete or corrupted', () => {
+        expect(() => parseTle(ISS_TLE.split('\n').slice(0, 2).join('\n'))).toThrow('both element lines');
+        expect(() => parseTle(ISS_TLE.replace('51.6416', '51.6417'))).toThrow('checksum');
+    });
+});
+
+describe('asset validation', () => {
+    it('accepts complete assets of every kind', () => {
+        expect(validateAsset({ ...newAsset('satellite'), name: 'Sat-1' })).toEqual([]);
+        expect(validateAsset({ ...newAsset('satellite'), name: 'ISS', tle: ISS_TLE })).toEqual([]);
+        expect(validateAsset({ kind: 'hfLink', name: 'Link', from: { latitude: '64.1', longitude: '-21.9' }, to: { latitude: 51.5, longitude: -0.1 } })).toEqual([]);
+        expect(validateAsset({ kind: 'powerGrid', name: 'Substation', latitude: 60.2, longitude: 24.9 })).toEqual([]);
+    });
+
+    it('reports missing names, coordinates and impossible orbits', () => {
+        expect(validateAsset({ ...newAsset('gnss') })).toEqual([
+            'Give the asset a name of at most 60 characters.',
+            'Location: Enter a latitude and longitude.',
+        ]);
+        expect(validateAsset({ kind: 'hfLink', name: 'Link', from: { latitude: 95, longitude: 0 }, to: { latitude: 0, longitude: 0 } }))
+            .toEqual(['Transmitter: Latitude must be a number between -90 and 90.']);
+        expect(validateAsset({ ...newAsset('satellite'), name: 'Sat', altitudeKm: 50 })).toEqual(['Altitude must be between 100 and 100,000 km.']);
+        expect(validateAsset({ kind: 'rocket', name: 'x' })).toEqual(['Pick what kind of asset this is.']);
+    });
+});
+
+describe('stored assets', () => {
+    it('take a satellite orbit from its TLE and parse entered numbers', () => {
+        expect(normalizeAsset({ ...newAsset('satellite'), name: ' ISS ', tle: ISS_TLE })).toMatchObject({ name: 'ISS', orbit: 'LEO', inclinationDeg: 51.6416 });
+        expect(normalizeAsset({ id: 'a1', kind: 'gnss', name: 'Farm', latitude: '52.1', longitude: '5.2', precision: true }))
+            .toEqual({ id: 'a1', kind: 'gnss', name: 'Farm', latitude: 52.1, longitude: 5.2, precision: true });
+    });
+
+    it('are described in one line', () => {
+        expect(describeAsset({ kind: 'satellite', orbit: 'GEO', altitudeKm: 35786, inclinationDeg: 0.05, tle: '' })).toBe('GEO, 35,786 km, 0° inclination');
+        expect(describeAsset({ kind: 'hfLink', from: { latitude: 64.13, longitude: -21.94 }, to: { latitude: 51.5, longitude: -0.13 } })).toBe('64.1°, -21.9° to 51.5°, -0.1°');
+    });
+});
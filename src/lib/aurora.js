@@ -0,0 +1,133 @@
+// --- Aurora visibility forecast for an observer location ---
+// Turns a Kp index into an aurora-visibility verdict: geomagnetic latitude of the observer
+// against the equatorward boundary of the auroral oval for that Kp, combined with how dark
+// the sky is and how much the Moon brightens it.
+import { getSunPosition, getMoonPosition, getMoonIllumination, getSunTimes } from './ephemeris.js';
+import { DEFAULT_I18N } from './i18n.js';
+
+const RAD = Math.PI / 180;
+
+// Geomagnetic north pole of the centred-dipole field (IGRF-13, epoch 2020)
+const GEOMAGNETIC_POLE = { latitude: 80.65, longitude: -72.68 };
+
+// Equatorward edge of the auroral oval (geomagnetic latitude, degrees) for Kp 0-9
+const OVAL_BOUNDARY_BY_KP = [66.5, 64.5, 62.4, 60.4, 58.3, 56.3, 54.2, 52.2, 50.1, 48.1];
+
+// Aurora sits 100-300 km up, so it can be seen low on the poleward horizon from this many
+// degrees of geomagnetic latitude equatorward of the oval edge.
+const VIEW_LINE_MARGIN = 6;
+
+// Geomagnetic latitude (degrees) of a geographic position, centred-dipole approximation
+export function geomagneticLatitude(latitude, longitude) {
+    const phi = latitude * RAD;
+    const poleLat = GEOMAGNETIC_POLE.latitude * RAD;
+    const deltaLon = (longitude - GEOMAGNETIC_POLE.longitude) * RAD;
+    return Math.asin(Math.sin(phi) * Math.sin(poleLat) + Math.cos(phi) * Math.cos(poleLat) * Math.cos(deltaLon)) / RAD;
+}
+
+// Equatorward oval boundary for a (possibly fractional) Kp, interpolated between whole values
+export function auroralOvalBoundary(kp) {
+    const clamped = Math.min(Math.max(kp || 0, 0), 9);
+    const lower = Math.floor(clamped);
+    const upper = Math.min(lower + 1, 9);
+    const fraction = clamped - lower;
+    return OVAL_BOUNDARY_BY_KP[lower] + (OVAL_BOUNDARY_BY_KP[upper] - OVAL_BOUNDARY_BY_KP[lower]) * fraction;
+}
+
+// Lowest Kp at which the aurora reaches the horizon for the given geomagnetic latitude, or null above Kp 9
+export function minimumKpForLatitude(magneticLatitude) {
+    const absLatitude = Math.abs(magneticLatitude);
+    for (let kp = 0; kp <= 9; kp++) {
+        if (absLatitude >= OVAL_BOUNDARY_BY_KP[kp] - VIEW_LINE_MARGIN) return kp;
+    }
+    return null;
+}
+
+// How dark the sky is for the Sun's altitude (degrees), as an aurora.darkness key
+function describeDarkness(sunAltitude) {
+    if (sunAltitude > -6) return { key: 'daylight', penalty: 3 };
+    if (sunAltitude > -12) return { key: 'nautical', penalty: 1 };
+    if (sunAltitude > -18) return { key: 'astronomical', penalty: 0 };
+    return { key: 'dark', penalty: 0 };
+}
+
+// Moonlight washing out the sky: illuminated fraction weighted by whether the Moon is up
+function describeMoonlight(date, latitude, longitude) {
+    const { altitude } = getMoonPosition(date, latitude, longitude);
+    const { fraction, phaseName } = getMoonIllumination(date);
+    const brightness = altitude > 0 ? fraction : 0;
+
+    if (brightness > 0.6) return { key: 'bright', phaseName, brightness, penalty: 1 };
+    if (brightness > 0.25) return { key: 'up', phaseName, brightness, penalty: 0.5 };
+    return { key: altitude > 0 ? 'faint' : 'down', phaseName, brightness, penalty: 0 };
+}
+
+// Verdicts by score, worded by aurora.verdicts.<level>
+const VERDICTS = [
+    { minScore: 3, level: 'Good' },
+    { minScore: 2, level: 'Possible' },
+    { minScore: 1, level: 'Poor' },
+    { minScore: -Infinity, level: 'None' },
+];
+
+// Aurora-visibility verdict for the given Kp and location. If it is still light at `date`, the
+// assessment is made for tonight's nautical dusk instead, so a daytime check answers "tonight?";
+// in the morning that is the coming night's (see getNightWindow). In the light nights of high
+// summer the dusk may have passed already, and the sky is as dark as it gets at `date`.
+// The message and reasons are in the language of `i18n`.
+export function forecastAuroraVisibility(kp, latitude, longitude, date = new Date(), i18n = DEFAULT_I18N) {
+    const { t, formatNumber } = i18n;
+    const degrees = (value) => formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    let evaluatedAt = date;
+    if (getSunPosition(date, latitude, longitude).altitude > -12) {
+        const { nauticalDusk, civilDusk } = getSunTimes(date, latitude, longitude);
+        const dusk = nauticalDusk || civilDusk;
+        if (dusk && dusk.valueOf() > date.valueOf()) evaluatedAt = dusk;
+    }
+
+    const magneticLatitude = geomagneticLatitude(latitude, longitude);
+    const boundary = auroralOvalBoundary(kp);
+    const absLatitude = Math.abs(magneticLatitude);
+    const hemisphere = magneticLatitude >= 0 ? 'north' : 'south';
+    const values = { latitude: degrees(absLatitude), boundary: degrees(boundary), kp };
+    const reasons = [];
+
+    let position = 'none';
+    let score = 0;
+    if (absLatitude >= boundary) {
+        position = 'overhead';
+        score = 4;
+        reasons.push(t('aurora.inOval', values));
+    } else if (absLatitude >= boundary - VIEW_LINE_MARGIN) {
+        position = 'horizon';
+        score = 2.5;
+        reasons.push(t(`aurora.horizon.${hemisphere}`, values));
+    } else {
+        const neededKp = minimumKpForLatitude(magneticLatitude);
+        reasons.push(neededKp === null ? t('aurora.outOfReach', values) : t('aurora.needsKp', { ...values, neededKp }));
+    }
+
+    const darkness = describeDarkness(getSunPosition(evaluatedAt, latitude, longitude).altitude);
+    const moonlight = describeMoonlight(evaluatedAt, latitude, longitude);
+    const darknessLabel = t(`aurora.darkness.${darkness.key}`);
+    if (position !== 'none') {
+        score -= darkness.penalty + moonlight.penalty;
+        const phase = t(`sky.phases.${moonlight.phaseName}`, {}, moonlight.phaseName);
+        reasons.push(t('aurora.sky', { darkness: darknessLabel }));
+        reasons.push(t('aurora.moon', { moonlight: t(`aurora.moonlight.${moonlight.key}`, { phase }) }));
+    }
+
+    const verdict = VERDICTS.find(v => score >= v.minScore);
+    return {
+        kp,
+        evaluatedAt,
+        geomagneticLatitude: magneticLatitude,
+        ovalBoundary: boundary,
+        ovalPosition: position,
+        darkness: darknessLabel,
+        moonBrightness: moonlight.brightness,
+        level: verdict.level,
+        message: t(`aurora.verdicts.${verdict.level}`),
+        reasons,
+    };
+}
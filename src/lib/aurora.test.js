@@ -0,0 +1,40 @@
+import { forecastAuroraVisibility } from './aurora';
+import { createI18n } from './i18n';
+
+const BERLIN = [52.52, 13.4];
+const at = (iso) => new Date(iso);
+
+describe('forecastAuroraVisibility', () => {
+    it('answers for tonight\'s nautical dusk during the day', () => {
+        expect(forecastAuroraVisibility(7, ...BERLIN, at('2024-05-12T14:00:00Z')).evaluatedAt.toISOString()).toMatch(/^2024-05-12T20:3/);
+    });
+
+    it('answers for the coming night in the morning, not the one that just ended', () => {
+        const morning = forecastAuroraVisibility(7, ...BERLIN, at('2024-05-12T06:00:00Z'));
+        expect(morning.evaluatedAt.toISOString()).toMatch(/^2024-05-12T20:3/);
+        expect(morning.darkness).toBe('Astronomical twilight');
+    });
+
+    it('answers for now once it is dark, or as dark as a summer night gets', () => {
+        const night = at('2024-05-12T01:00:00Z');
+        expect(forecastAuroraVisibility(7, ...BERLIN, night).evaluatedAt).toBe(night);
+        // Stockholm at midsummer: the Sun stays above -12°, and the evening's civil dusk has passed
+        const summerNight = at('2024-06-15T23:00:00Z');
+        const summer = forecastAuroraVisibility(7, 59.33, 18.07, summerNight);
+        expect(summer.evaluatedAt).toBe(summerNight);
+        expect(summer.darkness).toBe('Nautical twilight');
+    });
+
+    it('rates the view by the oval\'s reach', () => {
+        const night = at('2024-05-12T01:00:00Z');
+        expect(forecastAuroraVisibility(1, ...BERLIN, night)).toMatchObject({ ovalPosition: 'none', level: 'None' });
+        expect(forecastAuroraVisibility(7, ...BERLIN, night).ovalPosition).toBe('horizon');
+    });
+
+    it('explains itself in the viewer\'s language', () => {
+        const forecast = forecastAuroraVisibility(7, ...BERLIN, at('2024-05-12T01:00:00Z'), createI18n({ language: 'de' }));
+        expect(forecast.message).toBe('Polarlichter möglich, schau Richtung Pol');
+        expect(forecast.reasons[0]).toMatch(/^Der Ovalrand bei \d+,\d° für Kp 7 ist in Sicht, tief am nördlichen Horizont\.$/);
+        expect(forecast.darkness).toBe('Astronomische Dämmerung');
+    });
+});
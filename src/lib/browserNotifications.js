@@ -0,0 +1,72 @@
+// --- Browser side of alert notifications: permission, showing them, and Web Push subscriptions ---
+import { DEFAULT_I18N } from './i18n.js';
+
+const NOTIFIED_STORAGE_KEY = 'space-weather-notified-rules';
+
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+export const pushSupported = () => typeof window !== 'undefined' && 'serviceWorker' in navigator && 'PushManager' in window;
+
+// Errors here and from subscribeToPush are worded in the language of `i18n`
+export async function requestNotificationPermission({ t } = DEFAULT_I18N) {
+    if (!notificationsSupported()) throw new Error(t('notifications.errors.unsupported'));
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') throw new Error(t('notifications.errors.blocked'));
+    return permission;
+}
+
+// The service worker is only registered in production builds; without it there is no push
+const getRegistration = () => ('serviceWorker' in navigator ? navigator.serviceWorker.getRegistration() : Promise.resolve(undefined));
+
+// Shows a notification planned by planAlertNotification. Goes through the service worker when
+// there is one, so clicking it can focus the dashboard even after the tab was closed.
+export async function showAlertNotification({ title, body, tag }) {
+    if (!notificationsSupported() || Notification.permission !== 'granted') return;
+    const options = { body, tag, icon: `${process.env.PUBLIC_URL}/logo192.png`, renotify: true };
+    const registration = await getRegistration();
+    if (registration) await registration.showNotification(title, options);
+    else new Notification(title, options); // eslint-disable-line no-new
+}
+
+// Rules this browser has already notified `userId` about (see planAlertNotification). Kept per
+// user so that signing in as someone else neither repeats nor swallows their notifications.
+const notifiedStorageKey = (userId) => `${NOTIFIED_STORAGE_KEY}:${userId}`;
+
+export function loadNotifiedRuleIds(userId) {
+    try {
+        return JSON.parse(localStorage.getItem(notifiedStorageKey(userId))) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+export function saveNotifiedRuleIds(userId, ruleIds) {
+    localStorage.setItem(notifiedStorageKey(userId), JSON.stringify(ruleIds));
+}
+
+// VAPID public keys come base64url-encoded; PushManager wants the raw bytes
+function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+    const raw = window.atob((base64String + padding).replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(raw, char => char.charCodeAt(0));
+}
+
+// Subscribes this browser to Web Push and returns the subscription as plain JSON
+export async function subscribeToPush(vapidPublicKey, { t } = DEFAULT_I18N) {
+    if (!pushSupported()) throw new Error(t('notifications.errors.pushUnsupported'));
+    if (!vapidPublicKey) throw new Error(t('notifications.errors.pushUnconfigured'));
+    const registration = await getRegistration();
+    if (!registration) throw new Error(t('notifications.errors.pushNeedsWorker'));
+    const subscription = (await registration.pushManager.getSubscription())
+        || await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: urlBase64ToUint8Array(vapidPublicKey) });
+    return subscription.toJSON();
+}
+
+// Cancels this browser's push subscription; returns its endpoint (null if there was none)
+export async function unsubscribeFromPush() {
+    const registration = await getRegistration();
+    const subscription = registration && await registration.pushManager.getSubscription();
+    if (!subscription) return null;
+    await subscription.unsubscribe();
+    return subscription.endpoint;
+}
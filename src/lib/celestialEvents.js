@@ -0,0 +1,22 @@
+// --- Tonight's sky for the Celestial Events card ---
+// The card speaks in the viewer's own calendar and clock, so the date label uses local time
+// whatever the profile's time display; the ephemeris works in absolute instants and does not care.
+import { getSkyTonight } from './ephemeris.js';
+import { DEFAULT_I18N } from './i18n.js';
+
+export function getCelestialEventsTonight(date, observer, i18n = DEFAULT_I18N) {
+    const local = { timeZone: undefined };
+    const dateLabel = i18n.t('sky.dateLabel', {
+        weekday: i18n.formatDate(date, { ...local, weekday: 'long' }),
+        month: i18n.formatDate(date, { ...local, month: 'long' }),
+        day: String(date.getDate()),
+        ordinalDay: i18n.formatOrdinal(date.getDate()),
+        year: String(date.getFullYear()),
+    });
+
+    return {
+        dateLabel,
+        locationName: observer.name,
+        ...getSkyTonight(date, observer.latitude, observer.longitude),
+    };
+}
@@ -0,0 +1,20 @@
+import { getCelestialEventsTonight } from './celestialEvents';
+import { createI18n } from './i18n';
+
+describe('getCelestialEventsTonight', () => {
+    const observer = { name: 'Fairbanks, Alaska', latitude: 64.84, longitude: -147.72 };
+
+    it('labels the local date and carries the observer along', () => {
+        const date = new Date(2024, 4, 12, 20, 0);
+        const tonight = getCelestialEventsTonight(date, observer);
+        expect(tonight.dateLabel).toMatch(/May 12th, 2024$/);
+        expect(tonight.locationName).toBe('Fairbanks, Alaska');
+        expect(tonight.moon.phaseName).toEqual(expect.any(String));
+    });
+
+    it('writes the date the way the language does', () => {
+        const date = new Date(2024, 4, 12, 20, 0);
+        expect(getCelestialEventsTonight(date, observer, createI18n({ language: 'es' })).dateLabel).toBe('domingo, 12 de mayo de 2024');
+        expect(getCelestialEventsTonight(date, observer, createI18n({ language: 'de', timeDisplay: 'utc' })).dateLabel).toBe('Sonntag, 12. Mai 2024');
+    });
+});
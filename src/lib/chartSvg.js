@@ -0,0 +1,157 @@
+// --- Standalone SVG charts for export ---
+// composeChartSvg frames a chart (the dashboard's Recharts panels, or ones drawn here) with a
+// title, the range, a legend and the data attribution. renderTrendPanelsSvg draws the trend
+// panels (trendPanels.js) without React or a DOM, for Node scripts such as worker/report.mjs.
+import { FLARE_CLASS_BANDS } from './flareClass.js';
+import { TREND_PANELS, DEFAULT_TREND_PANELS, KP_LEVEL_COLORS, G1_KP, kpOf, kpColor, cmeSpeedOf } from './trendPanels.js';
+
+// Same palette as the dashboard (tailwind.config.js)
+const COLORS = { background: '#161B22', title: '#ECC94B', text: '#e2e8f0', muted: '#a0aec0', grid: '#4a5568' };
+const FONT = 'Inter, Helvetica, Arial, sans-serif';
+const HEADER_HEIGHT = 64;
+const FOOTER_HEIGHT = 44;
+const PANEL_TITLE_HEIGHT = 24;
+const PANEL_GAP = 8;
+
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[char]));
+
+// Legend entries of the given panels, for composeChartSvg
+export const panelLegend = (ids) => TREND_PANELS.filter(panel => ids.includes(panel.id)).flatMap(panel => panel.legend);
+
+// Stacks panel charts ({ title, markup, width, height }, each markup an <svg>) under their titles.
+// Returns { markup, width, height } of the stack.
+export function stackPanelsSvg(panels) {
+    const width = Math.round(Math.max(0, ...panels.map(panel => panel.width)));
+    let y = 0;
+    const parts = [];
+    for (const panel of panels) {
+        parts.push(`<text x="16" y="${y + 16}" font-size="14" font-weight="600" fill="${COLORS.title}">${escapeXml(panel.title)}</text>`);
+        parts.push(`<g transform="translate(0, ${y + PANEL_TITLE_HEIGHT})">${panel.markup}</g>`);
+        y += PANEL_TITLE_HEIGHT + Math.round(panel.height) + PANEL_GAP;
+    }
+    return { markup: `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${y}">${parts.join('')}</svg>`, width, height: y };
+}
+
+// Wraps `chartMarkup` (an <svg> of chartWidth x chartHeight) in a self-contained SVG document.
+// Returns { markup, width, height } of the whole document.
+export function composeChartSvg(chartMarkup, { chartWidth, chartHeight, title, subtitle, attribution, legend = [] }) {
+    const width = Math.round(chartWidth);
+    const height = Math.round(chartHeight) + HEADER_HEIGHT + FOOTER_HEIGHT;
+    const footerY = HEADER_HEIGHT + Math.round(chartHeight) + 18;
+
+    let legendX = 16;
+    const legendItems = legend.map(({ name, color }) => {
+        const item = `<rect x="${legendX}" y="${footerY - 9}" width="10" height="10" fill="${color}"/>`
+            + `<text x="${legendX + 14}" y="${footerY}" font-size="12" fill="${COLORS.text}">${escapeXml(name)}</text>`;
+        legendX += 14 + name.length * 7 + 20;
+        return item;
+    });
+
+    const markup = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT}">`,
+        `<rect width="${width}" height="${height}" fill="${COLORS.background}"/>`,
+        `<text x="16" y="28" font-size="20" font-weight="bold" fill="${COLORS.title}">${escapeXml(title)}</text>`,
+        subtitle ? `<text x="16" y="50" font-size="13" fill="${COLORS.muted}">${escapeXml(subtitle)}</text>` : '',
+        `<g transform="translate(0, ${HEADER_HEIGHT})">${chartMarkup}</g>`,
+        ...legendItems,
+        attribution ? `<text x="${width - 16}" y="${height - 10}" font-size="11" text-anchor="end" fill="${COLORS.muted}">${escapeXml(attribution)}</text>` : '',
+        '</svg>',
+    ].join('');
+    return { markup, width, height };
+}
+
+// A round upper bound for an axis (1, 2 or 5 times a power of ten)
+function niceMax(value) {
+    if (!(value > 0)) return 1;
+    const magnitude = 10 ** Math.floor(Math.log10(value));
+    return [1, 2, 5, 10].map(step => step * magnitude).find(bound => bound >= value);
+}
+
+const formatUtcTick = (timestamp) => new Date(timestamp).toISOString().slice(5, 16).replace('T', ' ');
+
+// Plot area and time scale shared by every panel, so their time axes line up
+function panelFrame(series, { width, height, showTimeAxis }) {
+    const margin = { top: 10, right: 30, bottom: showTimeAxis ? 70 : 10, left: 90 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const slot = plotWidth / Math.max(series.length, 1);
+    // Points sit in the middle of equal slots, like a category axis, so bars fit between them
+    const x = (index) => margin.left + slot * (index + 0.5);
+    return { margin, plotWidth, plotHeight, slot, x, bottom: margin.top + plotHeight };
+}
+
+function gridAndTicks(frame, series, ticks, { showTimeAxis, formatTick, tickColor }) {
+    const parts = [];
+    for (const { y, label } of ticks) {
+        parts.push(`<line x1="${frame.margin.left}" x2="${frame.margin.left + frame.plotWidth}" y1="${y}" y2="${y}" stroke="${COLORS.grid}" stroke-dasharray="3 3" opacity="0.5"/>`);
+        parts.push(`<text x="${frame.margin.left - 8}" y="${y + 4}" font-size="12" text-anchor="end" fill="${tickColor}">${escapeXml(label)}</text>`);
+    }
+    if (showTimeAxis) {
+        const tickCount = Math.min(series.length, 8);
+        for (let i = 0; i < tickCount; i += 1) {
+            const index = tickCount > 1 ? Math.round((i * (series.length - 1)) / (tickCount - 1)) : 0;
+            const tickX = frame.x(index);
+            const tickY = frame.bottom + 14;
+            parts.push(`<text x="${tickX}" y="${tickY}" font-size="12" text-anchor="end" fill="${COLORS.text}" transform="rotate(-45 ${tickX} ${tickY})">${escapeXml(formatTick(series[index].timestamp))}</text>`);
+        }
+    }
+    return parts;
+}
+
+const PANEL_RENDERERS = {
+    // Log axis from A1 to X100; GOES flux as a line, DONKI flare peaks as dots
+    xray(series, frame, options) {
+        const [low, high] = [-8, -2];
+        const y = (flux) => frame.bottom - ((Math.log10(Math.min(Math.max(flux, 10 ** low), 10 ** high)) - low) / (high - low)) * frame.plotHeight;
+        const ticks = FLARE_CLASS_BANDS.map(band => ({ y: y(band.min), label: `${band.letter}  ${band.min.toExponential(0)}` }));
+        const parts = gridAndTicks(frame, series, ticks, { ...options, tickColor: '#ffc658' });
+        let path = '';
+        series.forEach((point, index) => {
+            if (Number.isFinite(point.xrayFluxLong) && point.xrayFluxLong > 0) path += `${path ? 'L' : 'M'}${frame.x(index).toFixed(1)},${y(point.xrayFluxLong).toFixed(1)}`;
+        });
+        if (path) parts.push(`<path d="${path}" fill="none" stroke="#ffc658" stroke-width="2"/>`);
+        series.forEach((point, index) => {
+            if (point.maxFlareFlux > 0) parts.push(`<circle cx="${frame.x(index).toFixed(1)}" cy="${y(point.maxFlareFlux).toFixed(1)}" r="4" fill="#ff7300"/>`);
+        });
+        return parts;
+    },
+    // Kp 0-9 as bars coloured by G-level, with the G1 threshold marked
+    kp(series, frame, options) {
+        const y = (kp) => frame.bottom - (kp / 9) * frame.plotHeight;
+        const ticks = [0, 3, 5, 7, 9].map(kp => ({ y: y(kp), label: String(kp) }));
+        const parts = gridAndTicks(frame, series, ticks, { ...options, tickColor: '#82ca9d' });
+        const barWidth = Math.max(1, frame.slot * 0.8);
+        series.forEach((point, index) => {
+            const kp = kpOf(point);
+            if (!(kp > 0)) return;
+            parts.push(`<rect x="${(frame.x(index) - barWidth / 2).toFixed(1)}" y="${y(kp).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(frame.bottom - y(kp)).toFixed(1)}" fill="${kpColor(kp)}"/>`);
+        });
+        parts.push(`<line x1="${frame.margin.left}" x2="${frame.margin.left + frame.plotWidth}" y1="${y(G1_KP)}" y2="${y(G1_KP)}" stroke="${KP_LEVEL_COLORS[1]}" stroke-dasharray="6 3"/>`);
+        return parts;
+    },
+    // One marker per bucket with a CME, at its fastest speed
+    cme(series, frame, options) {
+        const max = niceMax(Math.max(0, ...series.map(cmeSpeedOf).filter(Number.isFinite)));
+        const y = (speed) => frame.bottom - (speed / max) * frame.plotHeight;
+        const ticks = [0, 0.25, 0.5, 0.75, 1].map(share => ({ y: y(max * share), label: `${Math.round(max * share)}` }));
+        const parts = gridAndTicks(frame, series, ticks, { ...options, tickColor: '#ff7300' });
+        series.forEach((point, index) => {
+            const speed = cmeSpeedOf(point);
+            if (speed !== null) parts.push(`<circle cx="${frame.x(index).toFixed(1)}" cy="${y(speed).toFixed(1)}" r="5" fill="#ff7300" stroke="#fff" stroke-width="1"/>`);
+        });
+        return parts;
+    },
+};
+
+// The given trend panels of `series`, stacked on one time axis (labelled under the last panel).
+// Returns { markup, width, height } for composeChartSvg.
+export function renderTrendPanelsSvg(series, { panels = DEFAULT_TREND_PANELS, width = 960, panelHeight = 220, formatTick = formatUtcTick } = {}) {
+    const shown = TREND_PANELS.filter(panel => panels.includes(panel.id));
+    return stackPanelsSvg(shown.map((panel, index) => {
+        const showTimeAxis = index === shown.length - 1;
+        const height = panelHeight + (showTimeAxis ? 60 : 0);
+        const frame = panelFrame(series, { width, height, showTimeAxis });
+        const parts = PANEL_RENDERERS[panel.id](series, frame, { showTimeAxis, formatTick });
+        return { title: panel.title, width, height, markup: `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${parts.join('')}</svg>` };
+    }));
+}
@@ -0,0 +1,117 @@
+// --- Dashboard configuration from build-time environment variables ---
+// Create React App inlines REACT_APP_* variables when it builds (from the shell or .env files, see
+// .env.example). REACT_APP_ENV picks a profile:
+//
+//   development  A real Firebase project, for `npm start` (the default outside production builds)
+//   emulator     The local Auth and Firestore emulators; no project credentials needed
+//   production   A real Firebase project; emulators and demo projects are refused
+//
+// loadConfig checks everything at once and throws a ConfigError listing every problem, so a
+// misconfigured build says what to fix instead of failing on the first Firebase call.
+import { DEFAULT_SOLAR_IMAGE_URL, DEFAULT_FRAME_CADENCE_MINUTES, unknownPlaceholders } from './solarImagery.js';
+
+export const CONFIG_PROFILES = {
+    development: { label: 'Development', needsProject: true, emulators: false },
+    emulator: { label: 'Emulator', needsProject: false, emulators: true },
+    production: { label: 'Production', needsProject: true, emulators: false },
+};
+
+// Firebase web app settings (Project settings > Your apps in the Firebase console)
+const FIREBASE_VARIABLES = {
+    apiKey: 'REACT_APP_FIREBASE_API_KEY',
+    authDomain: 'REACT_APP_FIREBASE_AUTH_DOMAIN',
+    projectId: 'REACT_APP_FIREBASE_PROJECT_ID',
+    storageBucket: 'REACT_APP_FIREBASE_STORAGE_BUCKET',
+    messagingSenderId: 'REACT_APP_FIREBASE_MESSAGING_SENDER_ID',
+    appId: 'REACT_APP_FIREBASE_APP_ID',
+};
+const OPTIONAL_FIREBASE_VARIABLES = { measurementId: 'REACT_APP_FIREBASE_MEASUREMENT_ID' };
+
+// Project the emulators run as, the same one worker/ingest.mjs writes to in its emulator example;
+// "demo-" projects never reach real Firebase services
+export const EMULATOR_PROJECT_ID = 'demo-space1';
+const DEFAULT_EMULATOR_HOSTS = { auth: 'localhost:9099', firestore: 'localhost:8080' };
+
+// The app ID names the data namespace (artifacts/<appId>/...) shared with the ingestion worker's APP_ID
+const DEFAULT_APP_ID = 'default-app-id';
+const APP_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const HOST_PATTERN = /^[A-Za-z0-9.-]+:\d{1,5}$/;
+const IMAGE_URL_PATTERN = /^(https?:\/\/|\/)/;
+const TIME_PLACEHOLDER_PATTERN = /\{(date|minute)\}/;
+
+export class ConfigError extends Error {
+    constructor(profile, problems) {
+        super(`The dashboard is not configured correctly (${profile} profile):\n- ${problems.join('\n- ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+const read = (env, name) => (typeof env[name] === 'string' && env[name].trim() ? env[name].trim() : null);
+
+// Parses and checks the configuration in `env` (process.env in the app). Returns
+//   { profile, appId, firebase, emulators: { auth, firestore } | null, vapidPublicKey,
+//     solarImagery: { urlTemplate, cadenceMinutes } }
+export function loadConfig(env) {
+    const profile = read(env, 'REACT_APP_ENV') || (env.NODE_ENV === 'production' ? 'production' : 'development');
+    const spec = CONFIG_PROFILES[profile];
+    if (!spec) throw new ConfigError(profile, [`REACT_APP_ENV must be one of ${Object.keys(CONFIG_PROFILES).join(', ')}.`]);
+
+    const problems = [];
+    const appId = read(env, 'REACT_APP_APP_ID') || (profile === 'production' ? null : DEFAULT_APP_ID);
+    if (!appId) problems.push('REACT_APP_APP_ID is required in production (the worker\'s APP_ID).');
+    else if (!APP_ID_PATTERN.test(appId)) problems.push('REACT_APP_APP_ID may only contain letters, digits, "-" and "_".');
+
+    const firebase = {};
+    for (const [key, name] of Object.entries({ ...FIREBASE_VARIABLES, ...OPTIONAL_FIREBASE_VARIABLES })) {
+        const value = read(env, name);
+        if (value) firebase[key] = value;
+        else if (spec.needsProject && FIREBASE_VARIABLES[key]) problems.push(`${name} is missing.`);
+    }
+    if (!spec.needsProject) {
+        // The SDK still wants an API key and project; the emulators accept any
+        firebase.apiKey = firebase.apiKey || 'emulator-api-key';
+        firebase.projectId = firebase.projectId || EMULATOR_PROJECT_ID;
+        firebase.authDomain = firebase.authDomain || `${firebase.projectId}.firebaseapp.com`;
+    }
+    if (profile === 'production' && firebase.projectId?.startsWith('demo-')) {
+        problems.push(`REACT_APP_FIREBASE_PROJECT_ID "${firebase.projectId}" is an emulator-only demo project.`);
+    }
+
+    const emulatorHosts = {
+        auth: read(env, 'REACT_APP_AUTH_EMULATOR_HOST'),
+        firestore: read(env, 'REACT_APP_FIRESTORE_EMULATOR_HOST'),
+    };
+    let emulators = null;
+    if (spec.emulators) {
+        emulators = { auth: emulatorHosts.auth || DEFAULT_EMULATOR_HOSTS.auth, firestore: emulatorHosts.firestore || DEFAULT_EMULATOR_HOSTS.firestore };
+        for (const [name, host] of Object.entries(emulators)) {
+            if (!HOST_PATTERN.test(host)) problems.push(`REACT_APP_${name.toUpperCase()}_EMULATOR_HOST must be host:port, not "${host}".`);
+        }
+    } else if (emulatorHosts.auth || emulatorHosts.firestore) {
+        problems.push(`Emulator hosts are only used by the emulator profile; unset them or set REACT_APP_ENV=emulator.`);
+    }
+
+    // Where the imagery panel loads its frames from (solarImagery.js)
+    const solarImagery = {
+        urlTemplate: read(env, 'REACT_APP_SOLAR_IMAGE_URL') || DEFAULT_SOLAR_IMAGE_URL,
+        cadenceMinutes: DEFAULT_FRAME_CADENCE_MINUTES,
+    };
+    const unknown = unknownPlaceholders(solarImagery.urlTemplate);
+    if (!IMAGE_URL_PATTERN.test(solarImagery.urlTemplate)) problems.push('REACT_APP_SOLAR_IMAGE_URL must be an http(s) URL or a path starting with "/".');
+    else if (unknown.length) problems.push(`REACT_APP_SOLAR_IMAGE_URL has unknown placeholders: ${unknown.map(name => `{${name}}`).join(', ')}.`);
+    else if (!TIME_PLACEHOLDER_PATTERN.test(solarImagery.urlTemplate)) problems.push('REACT_APP_SOLAR_IMAGE_URL needs {date} or {year}{month}{day} {hour}{minute} so that each frame is a different image.');
+    const cadence = read(env, 'REACT_APP_SOLAR_IMAGE_CADENCE_MINUTES');
+    if (cadence !== null) {
+        solarImagery.cadenceMinutes = Number(cadence);
+        if (!Number.isInteger(solarImagery.cadenceMinutes) || solarImagery.cadenceMinutes < 1 || solarImagery.cadenceMinutes > 1440) {
+            problems.push('REACT_APP_SOLAR_IMAGE_CADENCE_MINUTES must be a whole number of minutes between 1 and 1440.');
+        }
+    }
+
+    if (problems.length) {
+        if (spec.needsProject && !firebase.projectId) problems.push('To try the dashboard without a Firebase project, set REACT_APP_ENV=emulator and run firebase emulators:start.');
+        throw new ConfigError(profile, problems);
+    }
+    return { profile, appId, firebase, emulators, vapidPublicKey: read(env, 'REACT_APP_VAPID_PUBLIC_KEY'), solarImagery };
+}
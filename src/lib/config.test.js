@@ -0,0 +1,81 @@
+import { loadConfig, ConfigError, EMULATOR_PROJECT_ID } from './config';
+import { DEFAULT_SOLAR_IMAGE_URL, DEFAULT_FRAME_CADENCE_MINUTES } from './solarImagery';
+
+const PROJECT = {
+    REACT_APP_FIREBASE_API_KEY: 'key',
+    REACT_APP_FIREBASE_AUTH_DOMAIN: 'space-prod.firebaseapp.com',
+    REACT_APP_FIREBASE_PROJECT_ID: 'space-prod',
+    REACT_APP_FIREBASE_STORAGE_BUCKET: 'space-prod.appspot.com',
+    REACT_APP_FIREBASE_MESSAGING_SENDER_ID: '1234',
+    REACT_APP_FIREBASE_APP_ID: '1:1234:web:abcd',
+};
+
+const problemsOf = (env) => {
+    try {
+        loadConfig(env);
+    } catch (error) {
+        expect(error).toBeInstanceOf(ConfigError);
+        return error.problems;
+    }
+    throw new Error('expected a ConfigError');
+};
+
+describe('profiles', () => {
+    it('default to development, or production in production builds', () => {
+        expect(loadConfig(PROJECT).profile).toBe('development');
+        expect(loadConfig({ ...PROJECT, NODE_ENV: 'production', REACT_APP_APP_ID: 'space' }).profile).toBe('production');
+    });
+
+    it('run the emulator profile without a project, on the default emulator hosts', () => {
+        const config = loadConfig({ REACT_APP_ENV: 'emulator' });
+        expect(config.appId).toBe('default-app-id');
+        expect(config.firebase).toMatchObject({ apiKey: 'emulator-api-key', projectId: EMULATOR_PROJECT_ID, authDomain: `${EMULATOR_PROJECT_ID}.firebaseapp.com` });
+        expect(config.emulators).toEqual({ auth: 'localhost:9099', firestore: 'localhost:8080' });
+        expect(config.solarImagery).toEqual({ urlTemplate: DEFAULT_SOLAR_IMAGE_URL, cadenceMinutes: DEFAULT_FRAME_CADENCE_MINUTES });
+    });
+
+    it('refuse an unknown profile', () => {
+        expect(problemsOf({ REACT_APP_ENV: 'staging' })).toEqual(['REACT_APP_ENV must be one of development, emulator, production.']);
+    });
+});
+
+describe('problems', () => {
+    it('list every missing Firebase variable at once, with a hint at the emulator profile', () => {
+        const problems = problemsOf({ REACT_APP_FIREBASE_API_KEY: 'key' });
+        expect(problems).toContain('REACT_APP_FIREBASE_PROJECT_ID is missing.');
+        expect(problems).toContain('REACT_APP_FIREBASE_APP_ID is missing.');
+        expect(problems).not.toContain('REACT_APP_FIREBASE_API_KEY is missing.');
+        expect(problems.at(-1)).toMatch(/REACT_APP_ENV=emulator/);
+        expect(() => loadConfig({})).toThrow(/development profile/);
+    });
+
+    it('refuse demo projects and a missing app ID in production', () => {
+        const problems = problemsOf({ ...PROJECT, REACT_APP_ENV: 'production', REACT_APP_FIREBASE_PROJECT_ID: 'demo-space1' });
+        expect(problems).toEqual([
+            'REACT_APP_APP_ID is required in production (the worker\'s APP_ID).',
+            'REACT_APP_FIREBASE_PROJECT_ID "demo-space1" is an emulator-only demo project.',
+        ]);
+        expect(problemsOf({ ...PROJECT, REACT_APP_APP_ID: 'space/prod' })).toEqual(['REACT_APP_APP_ID may only contain letters, digits, "-" and "_".']);
+    });
+
+    it('check emulator hosts, and refuse them outside the emulator profile', () => {
+        expect(loadConfig({ REACT_APP_ENV: 'emulator', REACT_APP_FIRESTORE_EMULATOR_HOST: '127.0.0.1:8181' }).emulators.firestore).toBe('127.0.0.1:8181');
+        expect(problemsOf({ REACT_APP_ENV: 'emulator', REACT_APP_AUTH_EMULATOR_HOST: 'http://localhost' }))
+            .toEqual(['REACT_APP_AUTH_EMULATOR_HOST must be host:port, not "http://localhost".']);
+        expect(problemsOf({ ...PROJECT, REACT_APP_FIRESTORE_EMULATOR_HOST: 'localhost:8080' }))
+            .toEqual(['Emulator hosts are only used by the emulator profile; unset them or set REACT_APP_ENV=emulator.']);
+    });
+
+    it('check the solar image URL and cadence', () => {
+        const emulator = { REACT_APP_ENV: 'emulator' };
+        expect(loadConfig({ ...emulator, REACT_APP_SOLAR_IMAGE_URL: '/imagery/{source}/{date}.png', REACT_APP_SOLAR_IMAGE_CADENCE_MINUTES: '6' }).solarImagery)
+            .toEqual({ urlTemplate: '/imagery/{source}/{date}.png', cadenceMinutes: 6 });
+        expect(problemsOf({ ...emulator, REACT_APP_SOLAR_IMAGE_URL: 'ftp://example.com/{date}.png' })).toEqual(['REACT_APP_SOLAR_IMAGE_URL must be an http(s) URL or a path starting with "/".']);
+        expect(problemsOf({ ...emulator, REACT_APP_SOLAR_IMAGE_URL: '/frames/{instrument}/{date}.png' })).toEqual(['REACT_APP_SOLAR_IMAGE_URL has unknown placeholders: {instrument}.']);
+        expect(problemsOf({ ...emulator, REACT_APP_SOLAR_IMAGE_URL: '/frames/{source}/latest.png' })[0]).toMatch(/needs \{date\}/);
+        for (const cadence of ['0', '2.5', '1441', 'hourly']) {
+            expect(problemsOf({ ...emulator, REACT_APP_SOLAR_IMAGE_CADENCE_MINUTES: cadence }))
+                .toEqual(['REACT_APP_SOLAR_IMAGE_CADENCE_MINUTES must be a whole number of minutes between 1 and 1440.']);
+        }
+    });
+});
@@ -0,0 +1,14 @@
+// --- Browser online/offline state ---
+export const isOnline = () => (typeof navigator === 'undefined' ? true : navigator.onLine !== false);
+
+// Calls back with true/false whenever the browser goes online or offline. Returns the unsubscribe function.
+export function subscribeOnlineStatus(onChange) {
+    const handleOnline = () => onChange(true);
+    const handleOffline = () => onChange(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+        window.removeEventListener('online', handleOnline);
+        window.removeEventListener('offline', handleOffline);
+    };
+}
@@ -0,0 +1,73 @@
+// --- The trend panels as a table, for screen readers and keyboards ---
+// Each panel lists the values it draws, labelled by the same catalog keys as its chart. The table
+// is an ARIA grid: one cell takes focus at a time and the arrow keys move it (nextCell).
+import { formatFlux, formatFlareClass } from './flareClass.js';
+import { formatSpeed } from './profile.js';
+import { TREND_PANELS, kpOf, cmeSpeedOf } from './trendPanels.js';
+
+export const TABLE_COLUMNS = {
+    xray: [
+        { id: 'xrayFluxLong', labelKey: 'chart.xray.goes', value: point => point.xrayFluxLong ?? null, format: 'flux' },
+        { id: 'maxFlareFlux', labelKey: 'chart.xray.flarePeak', value: point => point.maxFlareFlux ?? null, format: 'flareClass' },
+    ],
+    kp: [
+        { id: 'kp', labelKey: 'chart.kp.series', value: kpOf, format: 'kp' },
+        { id: 'forecastKp', labelKey: 'chart.kp.forecast', value: point => point.forecastKp ?? null, format: 'kp' },
+    ],
+    cme: [
+        { id: 'cmeSpeed', labelKey: 'chart.cme.series', value: cmeSpeedOf, format: 'speed' },
+        { id: 'cmeCount', labelKey: 'metrics.cmeCount', label: 'CMEs', value: point => point.cmeCount ?? 0, format: 'count' },
+    ],
+};
+
+// Columns of the shown panels, in panel order. The forecast column only appears when the data
+// reaches into the Kp outlook.
+export function tableColumns(panelIds, data) {
+    const hasForecast = data.some(point => point.forecastKp != null);
+    return TREND_PANELS
+        .filter(panel => panelIds.includes(panel.id))
+        .flatMap(panel => TABLE_COLUMNS[panel.id])
+        .filter(column => column.id !== 'forecastKp' || hasForecast);
+}
+
+// A value as the chart's tooltip shows it; null is a missing reading
+export function formatCell(column, value, i18n, speedUnit = 'km/s') {
+    if (value === null || value === undefined) return i18n.t('chart.table.noValue');
+    switch (column.format) {
+        case 'flux': return formatFlux(value);
+        case 'flareClass': return formatFlareClass(value) || i18n.t('chart.table.noValue');
+        case 'speed': return formatSpeed(value, speedUnit, i18n.language);
+        case 'kp': return i18n.formatNumber(value, { maximumFractionDigits: 2 });
+        default: return i18n.formatNumber(value);
+    }
+}
+
+// The highest value of a column and when it was reached, or null when the column is empty
+export function columnPeak(column, data) {
+    let peak = null;
+    for (const point of data) {
+        const value = column.value(point);
+        if (value !== null && value !== undefined && (!peak || value > peak.value)) peak = { value, timestamp: point.timestamp };
+    }
+    return peak;
+}
+
+const PAGE_ROWS = 10;
+
+// The cell focus moves to for a key press in a grid of `rows` x `columns` cells ({ row, column },
+// 0-based, row 0 being the header), or null for keys that do not move it
+export function nextCell({ row, column }, key, { rows, columns, ctrlKey = false }) {
+    const clampRow = (r) => Math.max(0, Math.min(rows - 1, r));
+    const clampColumn = (c) => Math.max(0, Math.min(columns - 1, c));
+    switch (key) {
+        case 'ArrowUp': return { row: clampRow(row - 1), column };
+        case 'ArrowDown': return { row: clampRow(row + 1), column };
+        case 'ArrowLeft': return { row, column: clampColumn(column - 1) };
+        case 'ArrowRight': return { row, column: clampColumn(column + 1) };
+        case 'PageUp': return { row: clampRow(row - PAGE_ROWS), column };
+        case 'PageDown': return { row: clampRow(row + PAGE_ROWS), column };
+        case 'Home': return ctrlKey ? { row: 0, column: 0 } : { row, column: 0 };
+        case 'End': return ctrlKey ? { row: rows - 1, column: columns - 1 } : { row, column: columns - 1 };
+        default: return null;
+    }
+}
@@ -0,0 +1,65 @@
+import { createI18n } from './i18n';
+import { tableColumns, formatCell, columnPeak, nextCell } from './dataTable';
+
+const english = createI18n({ timeDisplay: 'utc' });
+const series = [
+    { timestamp: '2024-05-10T20:00:00.000Z', xrayFluxLong: 2e-6, maxFlareFlux: null, geomagneticStormLevel: 6, maxCmeSpeed: 0, cmeCount: 0 },
+    { timestamp: '2024-05-10T21:00:00.000Z', xrayFluxLong: 5e-5, maxFlareFlux: 5.8e-5, planetaryKIndex: 8.67, maxCmeSpeed: 1200, cmeCount: 2 },
+];
+
+describe('table columns', () => {
+    it('follow the shown panels in panel order', () => {
+        expect(tableColumns(['cme', 'xray'], series).map(column => column.id)).toEqual(['xrayFluxLong', 'maxFlareFlux', 'cmeSpeed', 'cmeCount']);
+    });
+
+    it('include the Kp forecast only when the data reaches into it', () => {
+        expect(tableColumns(['kp'], series).map(column => column.id)).toEqual(['kp']);
+        expect(tableColumns(['kp'], [...series, { timestamp: '2024-05-11T00:00:00.000Z', forecastKp: 7 }]).map(column => column.id)).toEqual(['kp', 'forecastKp']);
+    });
+});
+
+describe('table cells', () => {
+    const column = (id) => tableColumns(['xray', 'kp', 'cme'], series).find(c => c.id === id);
+
+    it('show values as the charts do', () => {
+        expect(formatCell(column('xrayFluxLong'), 5e-5, english)).toBe('5.00e-5 W/m² (M5.0)');
+        expect(formatCell(column('maxFlareFlux'), 5.8e-5, english)).toBe('M5.8');
+        expect(formatCell(column('kp'), 8.67, english)).toBe('8.67');
+        expect(formatCell(column('cmeSpeed'), 1200, english, 'km/h')).toBe('4,320,000 km/h');
+        expect(formatCell(column('kp'), 8.67, createI18n({ language: 'de' }))).toBe('8,67');
+    });
+
+    it('mark missing readings', () => {
+        expect(formatCell(column('maxFlareFlux'), null, english)).toBe('no data');
+        expect(formatCell(column('cmeSpeed'), null, createI18n({ language: 'es' }))).toBe('sin datos');
+    });
+
+    it('find the peak of a column and when it was reached', () => {
+        expect(columnPeak(column('kp'), series)).toEqual({ value: 8.67, timestamp: '2024-05-10T21:00:00.000Z' });
+        expect(columnPeak(column('maxFlareFlux'), [series[0]])).toBeNull();
+    });
+});
+
+describe('grid keyboard navigation', () => {
+    const grid = { rows: 30, columns: 4 };
+
+    it('moves one cell with the arrow keys and stops at the edges', () => {
+        expect(nextCell({ row: 3, column: 1 }, 'ArrowDown', grid)).toEqual({ row: 4, column: 1 });
+        expect(nextCell({ row: 3, column: 1 }, 'ArrowLeft', grid)).toEqual({ row: 3, column: 0 });
+        expect(nextCell({ row: 0, column: 0 }, 'ArrowUp', grid)).toEqual({ row: 0, column: 0 });
+        expect(nextCell({ row: 29, column: 3 }, 'ArrowRight', grid)).toEqual({ row: 29, column: 3 });
+    });
+
+    it('pages by ten rows and jumps to the ends of a row or the table', () => {
+        expect(nextCell({ row: 25, column: 2 }, 'PageDown', grid)).toEqual({ row: 29, column: 2 });
+        expect(nextCell({ row: 25, column: 2 }, 'PageUp', grid)).toEqual({ row: 15, column: 2 });
+        expect(nextCell({ row: 5, column: 2 }, 'Home', grid)).toEqual({ row: 5, column: 0 });
+        expect(nextCell({ row: 5, column: 2 }, 'End', grid)).toEqual({ row: 5, column: 3 });
+        expect(nextCell({ row: 5, column: 2 }, 'Home', { ...grid, ctrlKey: true })).toEqual({ row: 0, column: 0 });
+        expect(nextCell({ row: 5, column: 2 }, 'End', { ...grid, ctrlKey: true })).toEqual({ row: 29, column: 3 });
+    });
+
+    it('ignores other keys', () => {
+        expect(nextCell({ row: 5, column: 2 }, 'a', grid)).toBeNull();
+    });
+});
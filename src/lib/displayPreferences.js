@@ -0,0 +1,31 @@
+// --- Display preferences the browser reports: contrast and motion ---
+// The profile's theme (profile.js) picks standard or high contrast; null follows the system's
+// "increase contrast" setting. Reduced motion needs no code: the animations only run under
+// Tailwind's motion-safe: variant and index.css stills everything else.
+
+export const THEMES = {
+    standard: { label: 'Standard' },
+    'high-contrast': { label: 'High contrast' },
+};
+
+export const HIGH_CONTRAST_QUERY = '(prefers-contrast: more)';
+
+// False where the browser (or jsdom) cannot tell
+export const matchesMediaQuery = (query) => (typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+    ? window.matchMedia(query).matches
+    : false);
+
+// Calls back with true/false whenever the media query starts or stops matching. Returns the unsubscribe function.
+export function subscribeMediaQuery(query, onChange) {
+    if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') return () => {};
+    const list = window.matchMedia(query);
+    const handleChange = (event) => onChange(event.matches);
+    list.addEventListener('change', handleChange);
+    return () => list.removeEventListener('change', handleChange);
+}
+
+// The profile's theme, else high contrast when the system asks for more contrast
+export function resolveTheme(preferred, systemHighContrast) {
+    if (THEMES[preferred]) return preferred;
+    return systemHighContrast ? 'high-contrast' : 'standard';
+}
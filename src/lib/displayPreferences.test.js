@@ -0,0 +1,41 @@
+import { resolveTheme, matchesMediaQuery, subscribeMediaQuery, HIGH_CONTRAST_QUERY } from './displayPreferences';
+
+describe('theme', () => {
+    it('is the profile\'s choice when it has one', () => {
+        expect(resolveTheme('standard', true)).toBe('standard');
+        expect(resolveTheme('high-contrast', false)).toBe('high-contrast');
+    });
+
+    it('follows the system contrast setting otherwise', () => {
+        expect(resolveTheme(null, true)).toBe('high-contrast');
+        expect(resolveTheme(null, false)).toBe('standard');
+        expect(resolveTheme('neon', false)).toBe('standard');
+    });
+});
+
+describe('media queries', () => {
+    afterEach(() => {
+        delete window.matchMedia;
+    });
+
+    it('do not match where the browser cannot tell', () => {
+        expect(matchesMediaQuery(HIGH_CONTRAST_QUERY)).toBe(false);
+        expect(subscribeMediaQuery(HIGH_CONTRAST_QUERY, jest.fn())).toEqual(expect.any(Function));
+    });
+
+    it('report changes until unsubscribed', () => {
+        const listeners = new Set();
+        window.matchMedia = jest.fn(() => ({
+            matches: true,
+            addEventListener: (type, listener) => listeners.add(listener),
+            removeEventListener: (type, listener) => listeners.delete(listener),
+        }));
+        const onChange = jest.fn();
+        expect(matchesMediaQuery(HIGH_CONTRAST_QUERY)).toBe(true);
+        const unsubscribe = subscribeMediaQuery(HIGH_CONTRAST_QUERY, onChange);
+        listeners.forEach(listener => listener({ matches: false }));
+        expect(onChange).toHaveBeenCalledWith(false);
+        unsubscribe();
+        expect(listeners.size).toBe(0);
+    });
+});
@@ -0,0 +1,55 @@
+// --- Browser side of exports: saving files and turning chart SVGs into PNGs ---
+import { stackPanelsSvg } from './chartSvg.js';
+
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before the URL goes away
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export const downloadText = (text, fileName, mimeType) => downloadBlob(new Blob([text], { type: mimeType }), fileName);
+
+// The Recharts panels inside `container` (elements marked data-chart-panel="<title>") stacked
+// into one SVG, { markup, width, height }. Legends are HTML outside the SVGs, so callers add
+// them back (composeChartSvg's `legend`).
+export function chartPanelsSvgFrom(container) {
+    const panels = Array.from(container?.querySelectorAll('[data-chart-panel]') || []).map(panel => {
+        const svg = panel.querySelector('svg.recharts-surface');
+        if (!svg) return null;
+        const copy = svg.cloneNode(true);
+        copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        const { width, height } = svg.getBoundingClientRect();
+        return { title: panel.dataset.chartPanel, markup: new XMLSerializer().serializeToString(copy), width, height };
+    }).filter(Boolean);
+    if (!panels.length) throw new Error('There is no chart to export. Show at least one panel.');
+    return stackPanelsSvg(panels);
+}
+
+// Draws an SVG document onto a canvas; `scale` 2 gives a sharp image on high-DPI screens and print
+export function svgToPngBlob(svgMarkup, width, height, scale = 2) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([svgMarkup], { type: 'image/svg+xml' }));
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the PNG.'))), 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not draw the chart image.'));
+        };
+        image.src = url;
+    });
+}
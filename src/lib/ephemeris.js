@@ -0,0 +1,367 @@
+// --- Ephemeris: Sun, Moon, planet and bright-star positions for an observer ---
+// Low-precision analytic formulas (after Meeus, "Astronomical Algorithms", and the
+// JPL approximate planetary elements). Accurate to a few arc-minutes for the Sun and
+// Moon and well under a degree for the planets - plenty for "what's up tonight".
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440587.5;
+const J2000 = 2451545.0;
+const OBLIQUITY = 23.4397 * RAD; // Obliquity of the ecliptic (J2000)
+const SUN_DISTANCE_KM = 149598000;
+const EARTH_RADIUS_KM = 6378.14;
+const SYNODIC_MONTH_DAYS = 29.530588853;
+const SOLAR_EQUATOR_INCLINATION = 7.25 * RAD; // To the ecliptic
+const SOLAR_RADIUS_ARCSEC = 959.63; // At 1 AU
+
+// Standard altitudes (degrees) of the Sun's centre for rise/set and the twilight limits
+export const SUN_ALTITUDES = {
+    horizon: -0.833, // Upper limb on the horizon, including refraction
+    civil: -6,
+    nautical: -12,
+    astronomical: -18,
+};
+
+const toJulian = (date) => date.valueOf() / DAY_MS + J1970;
+const toDays = (date) => toJulian(date) - J2000;
+const normalizeRadians = (angle) => ((angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+
+function eclipticToEquatorial(lambda, beta) {
+    return {
+        ra: Math.atan2(Math.sin(lambda) * Math.cos(OBLIQUITY) - Math.tan(beta) * Math.sin(OBLIQUITY), Math.cos(lambda)),
+        dec: Math.asin(Math.sin(beta) * Math.cos(OBLIQUITY) + Math.cos(beta) * Math.sin(OBLIQUITY) * Math.sin(lambda)),
+    };
+}
+
+function siderealTime(d, longitude) {
+    return RAD * (280.16 + 360.9856235 * d) + longitude * RAD;
+}
+
+// Altitude/azimuth (radians, azimuth measured clockwise from north) of an equatorial position
+function horizontalCoords(ra, dec, d, latitude, longitude) {
+    const phi = latitude * RAD;
+    const hourAngle = siderealTime(d, longitude) - ra;
+    const altitude = Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle));
+    const azimuth = Math.atan2(Math.sin(hourAngle), Math.cos(hourAngle) * Math.sin(phi) - Math.tan(dec) * Math.cos(phi)) + Math.PI;
+    return { altitude, azimuth: normalizeRadians(azimuth) };
+}
+
+function sunCoords(d) {
+    const M = RAD * (357.5291 + 0.98560028 * d); // Mean anomaly
+    const C = RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M)); // Equation of centre
+    const lambda = M + C + RAD * 102.9372 + Math.PI; // Ecliptic longitude
+    return { ...eclipticToEquatorial(lambda, 0), lambda };
+}
+
+function moonCoords(d) {
+    const L = RAD * (218.316 + 13.176396 * d); // Mean longitude
+    const M = RAD * (134.963 + 13.064993 * d); // Mean anomaly
+    const F = RAD * (93.272 + 13.229350 * d); // Mean distance from the ascending node
+    const lambda = L + RAD * 6.289 * Math.sin(M);
+    const beta = RAD * 5.128 * Math.sin(F);
+    return { ...eclipticToEquatorial(lambda, beta), distance: 385001 - 20905 * Math.cos(M) };
+}
+
+// Position of the Sun in the observer's sky (altitude/azimuth in degrees)
+export function getSunPosition(date, latitude, longitude) {
+    const d = toDays(date);
+    const { ra, dec } = sunCoords(d);
+    const { altitude, azimuth } = horizontalCoords(ra, dec, d, latitude, longitude);
+    return { altitude: altitude / RAD, azimuth: azimuth / RAD };
+}
+
+// The solar disk as seen from Earth (Meeus ch. 29): b0, the heliographic latitude of the disk
+// centre in degrees, and the disk's angular radius in arc-seconds
+export function getSolarDisk(date) {
+    const d = toDays(date);
+    const M = RAD * (357.5291 + 0.98560028 * d);
+    const { lambda } = sunCoords(d);
+    const node = RAD * (73.6667 + (1.3958333 * (toJulian(date) - 2396758)) / 36525); // Ascending node of the solar equator
+    const distanceAu = 1.00014 - 0.01671 * Math.cos(M) - 0.00014 * Math.cos(2 * M);
+    return {
+        b0: Math.asin(Math.sin(lambda - node) * Math.sin(SOLAR_EQUATOR_INCLINATION)) / RAD,
+        radiusArcsec: SOLAR_RADIUS_ARCSEC / distanceAu,
+    };
+}
+
+// Geocentric position of the Moon in the observer's sky, plus its distance in km
+export function getMoonPosition(date, latitude, longitude) {
+    const d = toDays(date);
+    const { ra, dec, distance } = moonCoords(d);
+    const { altitude, azimuth } = horizontalCoords(ra, dec, d, latitude, longitude);
+    return { altitude: altitude / RAD, azimuth: azimuth / RAD, distance };
+}
+
+// Phase name for a phase fraction (0 = new, 0.25 = first quarter, 0.5 = full, 0.75 = last quarter)
+function moonPhaseName(phase) {
+    const oneDay = 1 / SYNODIC_MONTH_DAYS;
+    if (phase < oneDay || phase > 1 - oneDay) return 'New Moon';
+    if (phase < 0.25 - oneDay) return 'Waxing Crescent';
+    if (phase <= 0.25 + oneDay) return 'First Quarter';
+    if (phase < 0.5 - oneDay) return 'Waxing Gibbous';
+    if (phase <= 0.5 + oneDay) return 'Full Moon';
+    if (phase < 0.75 - oneDay) return 'Waning Gibbous';
+    if (phase <= 0.75 + oneDay) return 'Last Quarter';
+    return 'Waning Crescent';
+}
+
+// Illuminated fraction (0-1), phase (0-1) and phase name of the Moon at a given instant
+export function getMoonIllumination(date) {
+    const d = toDays(date);
+    const sun = sunCoords(d);
+    const moon = moonCoords(d);
+
+    const elongation = Math.acos(Math.sin(sun.dec) * Math.sin(moon.dec) + Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra));
+    const phaseAngle = Math.atan2(SUN_DISTANCE_KM * Math.sin(elongation), moon.distance - SUN_DISTANCE_KM * Math.cos(elongation));
+    const positionAngle = Math.atan2(
+        Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra),
+        Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra)
+    );
+
+    const phase = 0.5 + 0.5 * phaseAngle * (positionAngle < 0 ? -1 : 1) / Math.PI;
+    return {
+        fraction: (1 + Math.cos(phaseAngle)) / 2,
+        phase,
+        phaseName: moonPhaseName(phase),
+    };
+}
+
+// --- Planets (JPL approximate Keplerian elements, valid 1800-2050) ---
+// [a (AU), e, I, L, longitude of perihelion, longitude of ascending node] and rates per Julian century
+const PLANET_ELEMENTS = {
+    Mercury: [[0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+        [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081]],
+    Venus: [[0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+        [0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418]],
+    Earth: [[1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0.0],
+        [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0.0]],
+    Mars: [[1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+        [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343]],
+    Jupiter: [[5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+        [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106]],
+    Saturn: [[9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+        [-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794]],
+};
+
+export const NAKED_EYE_PLANETS = ['Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn'];
+
+// Heliocentric ecliptic rectangular coordinates (AU) of a planet
+function heliocentricPosition(name, d) {
+    const T = d / 36525;
+    const [base, rates] = PLANET_ELEMENTS[name];
+    const [a, e, I, L, perihelion, node] = base.map((value, i) => value + rates[i] * T);
+
+    const omega = (perihelion - node) * RAD; // Argument of perihelion
+    const M = normalizeRadians((L - perihelion) * RAD);
+
+    // Solve Kepler's equation by Newton iteration
+    let E = M + e * Math.sin(M);
+    for (let i = 0; i < 10; i++) {
+        const delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+        E -= delta;
+        if (Math.abs(delta) < 1e-9) break;
+    }
+
+    const xOrbit = a * (Math.cos(E) - e);
+    const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E);
+    const cosO = Math.cos(omega), sinO = Math.sin(omega);
+    const cosN = Math.cos(node * RAD), sinN = Math.sin(node * RAD);
+    const cosI = Math.cos(I * RAD), sinI = Math.sin(I * RAD);
+
+    return {
+        x: (cosO * cosN - sinO * sinN * cosI) * xOrbit + (-sinO * cosN - cosO * sinN * cosI) * yOrbit,
+        y: (cosO * sinN + sinO * cosN * cosI) * xOrbit + (-sinO * sinN + cosO * cosN * cosI) * yOrbit,
+        z: (sinO * sinI) * xOrbit + (cosO * sinI) * yOrbit,
+    };
+}
+
+// Position of a naked-eye planet in the observer's sky, with its angular distance from the Sun
+export function getPlanetPosition(name, date, latitude, longitude) {
+    const d = toDays(date);
+    const planet = heliocentricPosition(name, d);
+    const earth = heliocentricPosition('Earth', d);
+    const x = planet.x - earth.x, y = planet.y - earth.y, z = planet.z - earth.z;
+
+    const lambda = Math.atan2(y, x);
+    const beta = Math.atan2(z, Math.sqrt(x * x + y * y));
+    const { ra, dec } = eclipticToEquatorial(lambda, beta);
+    const { altitude, azimuth } = horizontalCoords(ra, dec, d, latitude, longitude);
+
+    const sun = sunCoords(d);
+    const elongation = Math.acos(Math.sin(sun.dec) * Math.sin(dec) + Math.cos(sun.dec) * Math.cos(dec) * Math.cos(sun.ra - ra));
+
+    return { altitude: altitude / RAD, azimuth: azimuth / RAD, elongation: elongation / RAD };
+}
+
+// --- Bright stars (J2000 right ascension in hours, declination in degrees, visual magnitude) ---
+export const BRIGHT_STARS = [
+    { name: 'Sirius', ra: 6.7525, dec: -16.7161, magnitude: -1.46 },
+    { name: 'Canopus', ra: 6.3992, dec: -52.6957, magnitude: -0.74 },
+    { name: 'Rigil Kentaurus', ra: 14.6600, dec: -60.8340, magnitude: -0.27 },
+    { name: 'Arcturus', ra: 14.2610, dec: 19.1825, magnitude: -0.05 },
+    { name: 'Vega', ra: 18.6156, dec: 38.7837, magnitude: 0.03 },
+    { name: 'Capella', ra: 5.2782, dec: 45.9980, magnitude: 0.08 },
+    { name: 'Rigel', ra: 5.2423, dec: -8.2016, magnitude: 0.13 },
+    { name: 'Procyon', ra: 7.6550, dec: 5.2250, magnitude: 0.34 },
+    { name: 'Betelgeuse', ra: 5.9195, dec: 7.4071, magnitude: 0.42 },
+    { name: 'Achernar', ra: 1.6286, dec: -57.2367, magnitude: 0.46 },
+    { name: 'Hadar', ra: 14.0637, dec: -60.3730, magnitude: 0.61 },
+    { name: 'Altair', ra: 19.8464, dec: 8.8683, magnitude: 0.76 },
+    { name: 'Acrux', ra: 12.4433, dec: -63.0991, magnitude: 0.76 },
+    { name: 'Aldebaran', ra: 4.5987, dec: 16.5093, magnitude: 0.86 },
+    { name: 'Antares', ra: 16.4901, dec: -26.4320, magnitude: 0.96 },
+    { name: 'Spica', ra: 13.4199, dec: -11.1613, magnitude: 0.97 },
+    { name: 'Pollux', ra: 7.7553, dec: 28.0262, magnitude: 1.14 },
+    { name: 'Fomalhaut', ra: 22.9608, dec: -29.6222, magnitude: 1.16 },
+    { name: 'Deneb', ra: 20.6905, dec: 45.2803, magnitude: 1.25 },
+    { name: 'Regulus', ra: 10.1395, dec: 11.9672, magnitude: 1.35 },
+];
+
+export function getStarPosition(star, date, latitude, longitude) {
+    const d = toDays(date);
+    const { altitude, azimuth } = horizontalCoords(star.ra * 15 * RAD, star.dec * RAD, d, latitude, longitude);
+    return { altitude: altitude / RAD, azimuth: azimuth / RAD };
+}
+
+// --- Rise, set and twilight times ---
+const SAMPLE_STEP_MS = 10 * 60 * 1000;
+
+// Finds every instant in [start, end) where altitudeAt(t) crosses `threshold`, refined by bisection
+function findCrossings(altitudeAt, threshold, start, end) {
+    const crossings = [];
+    let previousTime = start.valueOf();
+    let previousValue = altitudeAt(new Date(previousTime)) - threshold;
+
+    for (let t = previousTime + SAMPLE_STEP_MS; t <= end.valueOf(); t += SAMPLE_STEP_MS) {
+        const value = altitudeAt(new Date(t)) - threshold;
+        if ((previousValue < 0) !== (value < 0)) {
+            let low = previousTime, high = t, lowValue = previousValue;
+            for (let i = 0; i < 12; i++) {
+                const mid = (low + high) / 2;
+                const midValue = altitudeAt(new Date(mid)) - threshold;
+                if ((lowValue < 0) === (midValue < 0)) {
+                    low = mid;
+                    lowValue = midValue;
+                } else {
+                    high = mid;
+                }
+            }
+            crossings.push({ time: new Date(Math.round((low + high) / 2)), rising: value >= 0 });
+        }
+        previousTime = t;
+        previousValue = value;
+    }
+    return crossings;
+}
+
+const firstCrossing = (crossings, rising) => crossings.find(c => c.rising === rising)?.time || null;
+
+// Local solar noon to the next local solar noon, starting on the local date of `date` or the day before
+function noonToNoon(date, longitude, dayBefore) {
+    const offsetMs = (longitude / 15) * 60 * 60 * 1000; // Local mean solar time offset from UTC
+    const local = new Date(date.valueOf() + offsetMs);
+    const noon = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), 12) - offsetMs - (dayBefore ? DAY_MS : 0);
+    return { start: new Date(noon), end: new Date(noon + DAY_MS) };
+}
+
+// Sunset, dusk, dawn and sunrise within a window (null when the Sun never crosses that altitude)
+function sunTimesIn({ start, end }, latitude, longitude) {
+    const sunAltitude = (t) => getSunPosition(t, latitude, longitude).altitude;
+    const times = {};
+
+    for (const [name, altitude] of Object.entries(SUN_ALTITUDES)) {
+        const crossings = findCrossings(sunAltitude, altitude, start, end);
+        const setting = firstCrossing(crossings, false);
+        const rising = firstCrossing(crossings, true);
+        if (name === 'horizon') {
+            times.sunset = setting;
+            times.sunrise = rising;
+        } else {
+            times[`${name}Dusk`] = setting;
+            times[`${name}Dawn`] = rising;
+        }
+    }
+    return times;
+}
+
+// The night "tonight" means at the given instant, from local solar noon to the next local solar
+// noon. Before noon that is last night until it ends at nautical dawn (falling back to civil dawn
+// and sunrise, like the dusk getSkyTonight uses), and the coming night once the morning is light.
+// Where the Sun does not rise, last night lasts until noon.
+export function getNightWindow(date, latitude, longitude) {
+    const today = noonToNoon(date, longitude, false);
+    if (date.valueOf() >= today.start.valueOf()) return today;
+    const lastNight = noonToNoon(date, longitude, true);
+    const { nauticalDawn, civilDawn, sunrise } = sunTimesIn(lastNight, latitude, longitude);
+    const dawn = nauticalDawn || civilDawn || sunrise;
+    return dawn && date.valueOf() >= dawn.valueOf() ? today : lastNight;
+}
+
+// Sunset, dusk, dawn and sunrise bounding the night window (null when the Sun never crosses that altitude)
+export function getSunTimes(date, latitude, longitude) {
+    return sunTimesIn(getNightWindow(date, latitude, longitude), latitude, longitude);
+}
+
+// Moonrise and moonset within the night window, with flags for a Moon that never rises or sets
+export function getMoonTimes(date, latitude, longitude) {
+    const { start, end } = getNightWindow(date, latitude, longitude);
+    const moonAltitude = (t) => {
+        const { altitude, distance } = getMoonPosition(t, latitude, longitude);
+        const parallax = Math.asin(EARTH_RADIUS_KM / distance) / RAD;
+        return altitude - (0.7275 * parallax - 0.5667); // Relative to the standard rise/set altitude (Meeus 15.1)
+    };
+    const crossings = findCrossings(moonAltitude, 0, start, end);
+    const startsAbove = moonAltitude(start) > 0;
+
+    return {
+        rise: firstCrossing(crossings, true),
+        set: firstCrossing(crossings, false),
+        alwaysUp: crossings.length === 0 && startsAbove,
+        alwaysDown: crossings.length === 0 && !startsAbove,
+    };
+}
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+export const compassDirection = (azimuth) => COMPASS_POINTS[Math.round(azimuth / 45) % 8];
+
+const MIN_VISIBLE_ALTITUDE = 10; // Degrees; objects lower than this are lost in haze and horizon clutter
+const MIN_PLANET_ELONGATION = 12; // Degrees from the Sun; closer than this a planet is lost in twilight
+
+// Everything needed for the "Celestial Events Tonight" card, computed for one location and the
+// night getNightWindow picks for `date` (in the morning, the coming night).
+// Planets and stars are evaluated at the reference time: nautical dusk, falling back to civil
+// dusk and then sunset; when the Sun does not set at all there is no reference time.
+export function getSkyTonight(date, latitude, longitude) {
+    const sun = getSunTimes(date, latitude, longitude);
+    const moonTimes = getMoonTimes(date, latitude, longitude);
+    const referenceTime = sun.nauticalDusk || sun.civilDusk || sun.sunset;
+
+    const moon = { ...getMoonIllumination(referenceTime || date), ...moonTimes };
+    let planets = [];
+    let stars = [];
+
+    if (referenceTime) {
+        const moonPosition = getMoonPosition(referenceTime, latitude, longitude);
+        moon.altitude = moonPosition.altitude;
+        moon.direction = compassDirection(moonPosition.azimuth);
+
+        planets = NAKED_EYE_PLANETS
+            .map(name => ({ name, ...getPlanetPosition(name, referenceTime, latitude, longitude) }))
+            .filter(p => p.altitude >= MIN_VISIBLE_ALTITUDE && p.elongation >= MIN_PLANET_ELONGATION)
+            .map(p => ({ name: p.name, altitude: p.altitude, azimuth: p.azimuth, direction: compassDirection(p.azimuth) }));
+
+        stars = BRIGHT_STARS
+            .map(star => ({ name: star.name, magnitude: star.magnitude, ...getStarPosition(star, referenceTime, latitude, longitude) }))
+            .filter(s => s.altitude >= MIN_VISIBLE_ALTITUDE)
+            .map(s => ({ ...s, direction: compassDirection(s.azimuth) }));
+    }
+
+    return {
+        observer: { latitude, longitude },
+        referenceTime,
+        sun,
+        moon,
+        planets,
+        stars,
+    };
+}
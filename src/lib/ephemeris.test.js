@@ -0,0 +1,46 @@
+import { getNightWindow, getSunTimes, getSkyTonight } from './ephemeris';
+
+// Berlin, where local solar noon is about 11:06 UTC
+const BERLIN = [52.52, 13.4];
+const at = (iso) => new Date(iso);
+const minutesFrom = (date, iso) => Math.abs(date.valueOf() - Date.parse(iso)) / 60000;
+
+describe('getNightWindow', () => {
+    it('runs from local solar noon to the next one', () => {
+        const { start, end } = getNightWindow(at('2024-05-12T20:00:00Z'), ...BERLIN);
+        expect(start.toISOString()).toBe('2024-05-12T11:06:24.000Z');
+        expect(end.valueOf() - start.valueOf()).toBe(24 * 3600000);
+    });
+
+    it('stays in last night until nautical dawn', () => {
+        expect(getNightWindow(at('2024-05-12T01:00:00Z'), ...BERLIN).start.toISOString()).toBe('2024-05-11T11:06:24.000Z');
+    });
+
+    it('moves on to the coming night once the morning is light', () => {
+        expect(getNightWindow(at('2024-05-12T06:00:00Z'), ...BERLIN).start.toISOString()).toBe('2024-05-12T11:06:24.000Z');
+    });
+
+    it('keeps last night until noon where the Sun does not rise', () => {
+        // Longyearbyen in the polar night: nautical dawn just before noon ends it
+        expect(getNightWindow(at('2024-12-20T09:00:00Z'), 78.22, 15.65).start.toISOString()).toBe('2024-12-19T10:57:24.000Z');
+        expect(getNightWindow(at('2024-12-20T10:30:00Z'), 78.22, 15.65).start.toISOString()).toBe('2024-12-20T10:57:24.000Z');
+    });
+});
+
+describe('getSkyTonight', () => {
+    it('describes the coming evening in the morning, not the night that just ended', () => {
+        const morning = at('2024-05-12T06:00:00Z');
+        const sun = getSunTimes(morning, ...BERLIN);
+        expect(minutesFrom(sun.sunset, '2024-05-12T18:52:00Z')).toBeLessThan(5);
+        expect(minutesFrom(sun.sunrise, '2024-05-13T03:14:00Z')).toBeLessThan(5);
+        const sky = getSkyTonight(morning, ...BERLIN);
+        expect(sky.referenceTime.valueOf()).toBeGreaterThan(morning.valueOf());
+        expect(sky.referenceTime).toEqual(sun.nauticalDusk);
+    });
+
+    it('describes the night under way in the small hours', () => {
+        const sky = getSkyTonight(at('2024-05-12T01:00:00Z'), ...BERLIN);
+        expect(minutesFrom(sky.sun.sunset, '2024-05-11T18:50:00Z')).toBeLessThan(5);
+        expect(minutesFrom(sky.referenceTime, '2024-05-11T20:30:00Z')).toBeLessThan(5);
+    });
+});
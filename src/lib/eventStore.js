@@ -0,0 +1,38 @@
+// --- Browser subscription to the per-type event collections written by the ingestion worker ---
+import { collection, onSnapshot, query, where, orderBy, Timestamp } from 'firebase/firestore';
+import { EVENT_TYPES } from './spaceWeatherEvents.js';
+import { spaceWeatherEventsCollectionPath } from './spaceWeatherStore.js';
+
+const toIso = (value) => (value instanceof Timestamp ? value.toDate().toISOString() : value ?? null);
+
+const fromDocument = (data) => ({
+    ...data,
+    startTime: toIso(data.startTime),
+    peakTime: toIso(data.peakTime),
+    endTime: toIso(data.endTime),
+});
+
+// Calls back with the events of every type that started within range.start..range.end (end
+// optional), oldest first, whenever any collection changes; `fromCache` is set while any of them
+// has not heard from the server, and `complete` once every collection has answered (until then
+// the events are those of the types heard so far). `types` limits it to some EVENT_TYPES.
+// Returns one function that unsubscribes from all of them.
+export function subscribeSpaceWeatherEvents(db, appId, { start, end }, onEvents, onError, types = Object.keys(EVENT_TYPES)) {
+    const eventsByType = {};
+    const fromCacheByType = {};
+    const constraints = [where('startTime', '>=', Timestamp.fromDate(start))];
+    if (end) constraints.push(where('startTime', '<=', Timestamp.fromDate(end)));
+    const unsubscribes = types.map(type => onSnapshot(
+        query(collection(db, spaceWeatherEventsCollectionPath(appId, type)), ...constraints, orderBy('startTime', 'asc')),
+        (snapshot) => {
+            eventsByType[type] = snapshot.docs.map(doc => fromDocument(doc.data()));
+            fromCacheByType[type] = snapshot.metadata.fromCache;
+            onEvents(
+                Object.values(eventsByType).flat().sort((a, b) => new Date(a.startTime) - new Date(b.startTime)),
+                { fromCache: Object.values(fromCacheByType).some(Boolean), complete: types.every(t => t in eventsByType) },
+            );
+        },
+        onError,
+    ));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+}
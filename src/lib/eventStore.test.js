@@ -0,0 +1,61 @@
+import { onSnapshot } from 'firebase/firestore';
+import { subscribeSpaceWeatherEvents } from './eventStore';
+
+// Queries become plain descriptions, and every onSnapshot listener is kept for the test to call
+jest.mock('firebase/firestore', () => {
+    class Timestamp {
+        constructor(ms) { this.ms = ms; }
+        static fromDate(date) { return new Timestamp(date.valueOf()); }
+        toDate() { return new Date(this.ms); }
+    }
+    return {
+        Timestamp,
+        collection: (db, path) => ({ path }),
+        where: (...args) => ({ where: args }),
+        orderBy: (...args) => ({ orderBy: args }),
+        query: (ref, ...constraints) => ({ path: ref.path, constraints }),
+        onSnapshot: jest.fn(),
+    };
+});
+
+const snapshot = (events, fromCache = false) => ({ docs: events.map(event => ({ data: () => event })), metadata: { fromCache } });
+
+describe('subscribeSpaceWeatherEvents', () => {
+    let listeners;
+    beforeEach(() => {
+        listeners = {};
+        onSnapshot.mockImplementation((query, onNext) => {
+            listeners[query.path.split('/').pop()] = onNext;
+            return jest.fn();
+        });
+    });
+
+    it('reports complete only once every event type has answered', () => {
+        const onEvents = jest.fn();
+        subscribeSpaceWeatherEvents({}, 'app', { start: new Date('2024-05-08T00:00:00Z') }, onEvents, jest.fn(), ['FLR', 'GST']);
+        expect(Object.keys(listeners)).toEqual(['solar_flares', 'geomagnetic_storms']);
+
+        listeners.solar_flares(snapshot([{ id: 'f1', startTime: '2024-05-10T06:27:00.000Z' }]));
+        expect(onEvents).toHaveBeenLastCalledWith([expect.objectContaining({ id: 'f1' })], { fromCache: false, complete: false });
+
+        listeners.geomagnetic_storms(snapshot([{ id: 'g1', startTime: '2024-05-10T15:00:00.000Z' }], true));
+        expect(onEvents).toHaveBeenLastCalledWith(
+            [expect.objectContaining({ id: 'f1' }), expect.objectContaining({ id: 'g1' })],
+            { fromCache: true, complete: true },
+        );
+    });
+
+    it('turns stored timestamps into ISO times, oldest first', () => {
+        const onEvents = jest.fn();
+        subscribeSpaceWeatherEvents({}, 'app', { start: new Date('2024-05-08T00:00:00Z') }, onEvents, jest.fn(), ['CME']);
+        const { Timestamp } = jest.requireMock('firebase/firestore');
+        listeners.coronal_mass_ejections(snapshot([
+            { id: 'c2', startTime: Timestamp.fromDate(new Date('2024-05-09T09:24:00Z')), peakTime: null },
+            { id: 'c1', startTime: Timestamp.fromDate(new Date('2024-05-08T05:36:00Z')), peakTime: null },
+        ]));
+        expect(onEvents.mock.calls[0][0].map(event => [event.id, event.startTime])).toEqual([
+            ['c1', '2024-05-08T05:36:00.000Z'],
+            ['c2', '2024-05-09T09:24:00.000Z'],
+        ]);
+    });
+});
@@ -0,0 +1,67 @@
+// --- Export of the hourly (or aggregated) series as CSV and JSON ---
+// Plain functions over the series and field specs, so the dashboard's export buttons and Node
+// scripts (worker/report.mjs) produce the same files.
+import { describeFields, getSource } from './sources/index.js';
+
+export const EXPORT_FORMATS = {
+    csv: { label: 'CSV', mimeType: 'text/csv;charset=utf-8', extension: 'csv' },
+    json: { label: 'JSON', mimeType: 'application/json', extension: 'json' },
+    svg: { label: 'SVG', mimeType: 'image/svg+xml', extension: 'svg' },
+    png: { label: 'PNG', mimeType: 'image/png', extension: 'png' },
+};
+
+// Label and unit of each exported field, in the order given; unknown fields are left out
+export function exportFieldSpecs(fieldNames, sourceIds) {
+    const specs = describeFields(sourceIds);
+    return Object.fromEntries(fieldNames.filter(field => specs[field]).map(field => [field, { label: specs[field].label, unit: specs[field].unit }]));
+}
+
+// "Data: NASA DONKI, NOAA SWPC" for the providers of the sources behind the exported fields
+export function dataAttribution(fieldNames, sourceIds) {
+    const providers = new Set();
+    for (const id of sourceIds) {
+        const source = getSource(id);
+        if (source && Object.keys(source.fields || {}).some(field => fieldNames.includes(field))) providers.add(source.provider || source.name);
+    }
+    return `Data: ${[...providers].join(', ')}`;
+}
+
+// "2024-05-07 00:00 to 2024-05-14 00:00 UTC"
+export function formatExportRange({ start, end }) {
+    const format = (date) => new Date(date).toISOString().slice(0, 16).replace('T', ' ');
+    return `${format(start)} to ${format(end)} UTC`;
+}
+
+// space-weather_2024-05-07_2024-05-14.csv
+export const exportFileName = ({ start, end }, format) => `space-weather_${new Date(start).toISOString().slice(0, 10)}_${new Date(end).toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+
+const csvCell = (value) => {
+    if (value === null || value === undefined || Number.isNaN(value)) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per point: an ISO 8601 UTC timestamp, then each field, with the unit in its header
+export function seriesToCsv(series, fieldSpecs) {
+    const fields = Object.keys(fieldSpecs);
+    const header = ['timestamp', ...fields.map(field => `${fieldSpecs[field].label} (${fieldSpecs[field].unit})`)];
+    const rows = series.map(point => [new Date(point.timestamp).toISOString(), ...fields.map(field => point[field])]);
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// The points with their metadata: what each field means, the range, the bucket size and the source
+export function seriesToJson(series, fieldSpecs, { title, range, resolution, attribution, generatedAt = new Date() }) {
+    const fields = Object.keys(fieldSpecs);
+    return JSON.stringify({
+        title,
+        range: { start: new Date(range.start).toISOString(), end: new Date(range.end).toISOString() },
+        resolution,
+        generatedAt: generatedAt.toISOString(),
+        attribution,
+        fields: fieldSpecs,
+        points: series.map(point => ({
+            timestamp: new Date(point.timestamp).toISOString(),
+            ...Object.fromEntries(fields.map(field => [field, point[field] ?? null])),
+        })),
+    }, null, 2);
+}
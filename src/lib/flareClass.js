@@ -0,0 +1,51 @@
+// --- Solar flare X-ray classes ---
+// A flare class is a letter for the decade of the GOES 0.1-0.8 nm peak flux plus a multiplier:
+// C3.4 means 3.4 × 10⁻⁶ W/m². Classes are stored as flux so they sort and compare correctly
+// (an M1 is ten times a C1, and a C9.9 is still below an M1); these helpers convert both ways.
+
+// Class letters with the lower edge of their flux decade, in W/m²
+export const FLARE_CLASS_BANDS = [
+    { letter: 'A', min: 1e-8, max: 1e-7 },
+    { letter: 'B', min: 1e-7, max: 1e-6 },
+    { letter: 'C', min: 1e-6, max: 1e-5 },
+    { letter: 'M', min: 1e-5, max: 1e-4 },
+    { letter: 'X', min: 1e-4, max: Infinity },
+];
+
+const CLASS_BASE_FLUX = Object.fromEntries(FLARE_CLASS_BANDS.map(band => [band.letter, band.min]));
+
+// Peak X-ray flux in W/m² for a class string such as "M2.5", or null if it cannot be parsed
+export function flareClassToFlux(classType) {
+    const match = /^\s*([ABCMX])\s*(\d+(?:\.\d+)?)?\s*$/i.exec(classType || '');
+    if (!match) return null;
+    const multiplier = match[2] === undefined ? 1 : parseFloat(match[2]);
+    return CLASS_BASE_FLUX[match[1].toUpperCase()] * multiplier;
+}
+
+// Class band of a flux value; fluxes below A1 count as A, everything above X1 stays X (X10, X28...)
+export function flareClassBand(flux) {
+    return FLARE_CLASS_BANDS.find(band => flux < band.max) || FLARE_CLASS_BANDS[FLARE_CLASS_BANDS.length - 1];
+}
+
+// Class string for a flux, the inverse of flareClassToFlux at DONKI's one-decimal precision:
+// formatFlareClass(flareClassToFlux('M9.8')) === 'M9.8'. Returns null for missing or non-positive flux.
+export function formatFlareClass(flux) {
+    if (!Number.isFinite(flux) || flux <= 0) return null;
+    let band = flareClassBand(flux);
+    let multiplier = Math.round((flux / band.min) * 10) / 10;
+    // Rounding can carry into the next decade (9.96e-6 -> "C10.0"), which is really M1.0
+    if (multiplier >= 10 && band.letter !== 'X') {
+        band = FLARE_CLASS_BANDS[FLARE_CLASS_BANDS.indexOf(band) + 1];
+        multiplier = Math.round((flux / band.min) * 10) / 10;
+    }
+    return `${band.letter}${multiplier.toFixed(1)}`;
+}
+
+// Flux with its class, e.g. "3.98e-4 W/m² (X4.0)"
+export function formatFlux(flux) {
+    if (!Number.isFinite(flux) || flux <= 0) return 'N/A';
+    return `${flux.toExponential(2)} W/m² (${formatFlareClass(flux)})`;
+}
+
+// Series fields that hold X-ray flux in W/m² and should be shown as flare classes
+export const FLUX_FIELDS = ['maxFlareFlux', 'xrayFluxLong', 'xrayFluxShort'];
@@ -0,0 +1,94 @@
+// --- Offline gazetteer of cities for the observer-location picker ---
+// Bundled so a location can be chosen without a network geocoding service.
+// Biased towards aurora country at high latitudes, plus major cities worldwide.
+export const CITIES = [
+    { name: 'Tromsø', country: 'Norway', latitude: 69.6492, longitude: 18.9553 },
+    { name: 'Oslo', country: 'Norway', latitude: 59.9139, longitude: 10.7522 },
+    { name: 'Kiruna', country: 'Sweden', latitude: 67.8558, longitude: 20.2253 },
+    { name: 'Stockholm', country: 'Sweden', latitude: 59.3293, longitude: 18.0686 },
+    { name: 'Rovaniemi', country: 'Finland', latitude: 66.5039, longitude: 25.7294 },
+    { name: 'Helsinki', country: 'Finland', latitude: 60.1699, longitude: 24.9384 },
+    { name: 'Reykjavík', country: 'Iceland', latitude: 64.1466, longitude: -21.9426 },
+    { name: 'Nuuk', country: 'Greenland', latitude: 64.1814, longitude: -51.6941 },
+    { name: 'Murmansk', country: 'Russia', latitude: 68.9585, longitude: 33.0827 },
+    { name: 'Moscow', country: 'Russia', latitude: 55.7558, longitude: 37.6173 },
+    { name: 'Edinburgh', country: 'United Kingdom', latitude: 55.9533, longitude: -3.1883 },
+    { name: 'London', country: 'United Kingdom', latitude: 51.5074, longitude: -0.1278 },
+    { name: 'Dublin', country: 'Ireland', latitude: 53.3498, longitude: -6.2603 },
+    { name: 'Copenhagen', country: 'Denmark', latitude: 55.6761, longitude: 12.5683 },
+    { name: 'Amsterdam', country: 'Netherlands', latitude: 52.3676, longitude: 4.9041 },
+    { name: 'Berlin', country: 'Germany', latitude: 52.5200, longitude: 13.4050 },
+    { name: 'Warsaw', country: 'Poland', latitude: 52.2297, longitude: 21.0122 },
+    { name: 'Paris', country: 'France', latitude: 48.8566, longitude: 2.3522 },
+    { name: 'Madrid', country: 'Spain', latitude: 40.4168, longitude: -3.7038 },
+    { name: 'Rome', country: 'Italy', latitude: 41.9028, longitude: 12.4964 },
+    { name: 'Athens', country: 'Greece', latitude: 37.9838, longitude: 23.7275 },
+    { name: 'Istanbul', country: 'Turkey', latitude: 41.0082, longitude: 28.9784 },
+    { name: 'Cairo', country: 'Egypt', latitude: 30.0444, longitude: 31.2357 },
+    { name: 'Nairobi', country: 'Kenya', latitude: -1.2921, longitude: 36.8219 },
+    { name: 'Cape Town', country: 'South Africa', latitude: -33.9249, longitude: 18.4241 },
+    { name: 'Dubai', country: 'United Arab Emirates', latitude: 25.2048, longitude: 55.2708 },
+    { name: 'Mumbai', country: 'India', latitude: 19.0760, longitude: 72.8777 },
+    { name: 'Delhi', country: 'India', latitude: 28.7041, longitude: 77.1025 },
+    { name: 'Hyderabad', country: 'India', latitude: 17.3850, longitude: 78.4867 },
+    { name: 'Bengaluru', country: 'India', latitude: 12.9716, longitude: 77.5946 },
+    { name: 'Singapore', country: 'Singapore', latitude: 1.3521, longitude: 103.8198 },
+    { name: 'Beijing', country: 'China', latitude: 39.9042, longitude: 116.4074 },
+    { name: 'Shanghai', country: 'China', latitude: 31.2304, longitude: 121.4737 },
+    { name: 'Seoul', country: 'South Korea', latitude: 37.5665, longitude: 126.9780 },
+    { name: 'Tokyo', country: 'Japan', latitude: 35.6762, longitude: 139.6503 },
+    { name: 'Sapporo', country: 'Japan', latitude: 43.0618, longitude: 141.3545 },
+    { name: 'Sydney', country: 'Australia', latitude: -33.8688, longitude: 151.2093 },
+    { name: 'Melbourne', country: 'Australia', latitude: -37.8136, longitude: 144.9631 },
+    { name: 'Hobart', country: 'Australia', latitude: -42.8821, longitude: 147.3272 },
+    { name: 'Perth', country: 'Australia', latitude: -31.9505, longitude: 115.8605 },
+    { name: 'Auckland', country: 'New Zealand', latitude: -36.8485, longitude: 174.7633 },
+    { name: 'Christchurch', country: 'New Zealand', latitude: -43.5321, longitude: 172.6362 },
+    { name: 'Dunedin', country: 'New Zealand', latitude: -45.8788, longitude: 170.5028 },
+    { name: 'Fairbanks', country: 'United States', latitude: 64.8378, longitude: -147.7164 },
+    { name: 'Anchorage', country: 'United States', latitude: 61.2181, longitude: -149.9003 },
+    { name: 'Seattle', country: 'United States', latitude: 47.6062, longitude: -122.3321 },
+    { name: 'Minneapolis', country: 'United States', latitude: 44.9778, longitude: -93.2650 },
+    { name: 'Chicago', country: 'United States', latitude: 41.8781, longitude: -87.6298 },
+    { name: 'New York', country: 'United States', latitude: 40.7128, longitude: -74.0060 },
+    { name: 'Boston', country: 'United States', latitude: 42.3601, longitude: -71.0589 },
+    { name: 'Denver', country: 'United States', latitude: 39.7392, longitude: -104.9903 },
+    { name: 'Los Angeles', country: 'United States', latitude: 34.0522, longitude: -118.2437 },
+    { name: 'Houston', country: 'United States', latitude: 29.7604, longitude: -95.3698 },
+    { name: 'Miami', country: 'United States', latitude: 25.7617, longitude: -80.1918 },
+    { name: 'Yellowknife', country: 'Canada', latitude: 62.4540, longitude: -114.3718 },
+    { name: 'Whitehorse', country: 'Canada', latitude: 60.7212, longitude: -135.0568 },
+    { name: 'Edmonton', country: 'Canada', latitude: 53.5461, longitude: -113.4938 },
+    { name: 'Winnipeg', country: 'Canada', latitude: 49.8951, longitude: -97.1384 },
+    { name: 'Vancouver', country: 'Canada', latitude: 49.2827, longitude: -123.1207 },
+    { name: 'Toronto', country: 'Canada', latitude: 43.6532, longitude: -79.3832 },
+    { name: 'Montreal', country: 'Canada', latitude: 45.5017, longitude: -73.5673 },
+    { name: 'Mexico City', country: 'Mexico', latitude: 19.4326, longitude: -99.1332 },
+    { name: 'Bogotá', country: 'Colombia', latitude: 4.7110, longitude: -74.0721 },
+    { name: 'Lima', country: 'Peru', latitude: -12.0464, longitude: -77.0428 },
+    { name: 'São Paulo', country: 'Brazil', latitude: -23.5505, longitude: -46.6333 },
+    { name: 'Buenos Aires', country: 'Argentina', latitude: -34.6037, longitude: -58.3816 },
+    { name: 'Santiago', country: 'Chile', latitude: -33.4489, longitude: -70.6693 },
+    { name: 'Ushuaia', country: 'Argentina', latitude: -54.8019, longitude: -68.3030 },
+];
+
+// Removes accents so "tromso" finds "Tromsø" and "sao paulo" finds "São Paulo"
+const foldText = (text) => text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/ø/g, 'o');
+
+// Cities whose name or country matches the query; name-prefix matches come first
+export function searchCities(queryText, limit = 8) {
+    const needle = foldText(queryText.trim());
+    if (!needle) return [];
+
+    const scored = [];
+    for (const city of CITIES) {
+        const name = foldText(city.name);
+        if (name.startsWith(needle)) scored.push({ city, score: 0 });
+        else if (name.includes(needle)) scored.push({ city, score: 1 });
+        else if (foldText(city.country).includes(needle)) scored.push({ city, score: 2 });
+    }
+    return scored
+        .sort((a, b) => a.score - b.score || a.city.name.localeCompare(b.city.name))
+        .slice(0, limit)
+        .map(entry => entry.city);
+}
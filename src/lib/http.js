@@ -0,0 +1,53 @@
+// --- Utility: retries with exponential backoff, and reading JSON responses ---
+
+const abortError = () => Object.assign(new Error('The request was cancelled.'), { name: 'AbortError' });
+
+// Waits `ms`, or rejects with an AbortError as soon as `signal` is aborted
+export function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(abortError());
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            reject(abortError());
+        };
+        const timeoutId = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// DONKI answers an empty body rather than [] when there are no events in the range
+export async function readJsonBody(response) {
+    const text = await response.text();
+    return text.trim() ? JSON.parse(text) : [];
+}
+
+// The same schedule for any operation: up to `retries` more attempts after the first, waiting
+// `delay` ms and doubling it each time, while shouldRetry(error) says the failure is transient.
+// `jitter` (0-1) spreads each wait randomly by up to that fraction, so clients that failed
+// together do not all retry together; the jittered wait is then capped at `maxDelay`. An error
+// with `retryAfterMs` (a server's Retry-After) waits that long instead. No wait of either kind is
+// longer than `maxWaitMs`, so a server asking for an hour cannot hold the caller for retries × an
+// hour. Aborting `signal` stops waiting.
+// The error that ends the attempts is thrown with `attempts` set on it.
+export async function retryWithBackoff(operation, {
+    retries = 5, delay = 1000, maxDelay = Infinity, maxWaitMs = Infinity, jitter = 0, shouldRetry = () => true, signal,
+} = {}) {
+    for (let attempt = 1; ; attempt += 1) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (attempt > retries || signal?.aborted || !shouldRetry(error)) {
+                error.attempts = attempt;
+                throw error;
+            }
+            const backoff = Math.min(delay * (1 - jitter + 2 * jitter * Math.random()), maxDelay);
+            const wait = Math.min(error.retryAfterMs ?? backoff, maxWaitMs);
+            console.warn(`Attempt ${attempt} failed (${error.message}). Retrying in ${Math.round(wait / 100) / 10}s... (Retries left: ${retries - attempt + 1})`);
+            await sleep(wait, signal);
+            delay *= 2; // Exponential backoff
+        }
+    }
+}
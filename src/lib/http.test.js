@@ -0,0 +1,50 @@
+import { retryWithBackoff, readJsonBody } from './http';
+
+// An operation failing with `errors` in turn, then answering 'done'
+const failing = (...errors) => jest.fn(async () => {
+    if (errors.length) throw errors.shift();
+    return 'done';
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('retryWithBackoff', () => {
+    it('retries until the operation succeeds', async () => {
+        const operation = failing(new Error('a'), new Error('b'));
+        await expect(retryWithBackoff(operation, { delay: 1 })).resolves.toBe('done');
+        expect(operation).toHaveBeenCalledTimes(3);
+    });
+
+    it('gives up after `retries`, or at once when shouldRetry says no', async () => {
+        await expect(retryWithBackoff(failing(new Error('a'), new Error('b')), { retries: 1, delay: 1 })).rejects.toMatchObject({ message: 'b', attempts: 2 });
+        const permanent = Object.assign(new Error('bad request'), { retryable: false });
+        await expect(retryWithBackoff(failing(permanent), { shouldRetry: error => error.retryable !== false })).rejects.toMatchObject({ attempts: 1 });
+    });
+
+    it('waits as long as Retry-After says, but never longer than maxWaitMs', async () => {
+        const retryAfter = (ms) => Object.assign(new Error('slow down'), { retryAfterMs: ms });
+        const started = Date.now();
+        await expect(retryWithBackoff(failing(retryAfter(3600000), retryAfter(3600000)), { maxWaitMs: 5 })).resolves.toBe('done');
+        expect(Date.now() - started).toBeLessThan(1000);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Retrying in 0s'));
+    });
+
+    it('caps the wait after adding jitter', async () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.99);
+        const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+        await retryWithBackoff(failing(new Error('a')), { delay: 8, maxDelay: 4, jitter: 0.5 });
+        await retryWithBackoff(failing(new Error('a')), { delay: 2, maxWaitMs: 2, jitter: 0.5 });
+        expect(setTimeoutSpy.mock.calls.map(([, ms]) => ms)).toEqual([4, 2]);
+        Math.random.mockRestore();
+        setTimeoutSpy.mockRestore();
+    });
+});
+
+describe('readJsonBody', () => {
+    it('reads an empty body as an empty list', async () => {
+        expect(await readJsonBody({ text: async () => '  ' })).toEqual([]);
+        expect(await readJsonBody({ text: async () => '[{"id":1}]' })).toEqual([{ id: 1 }]);
+    });
+});
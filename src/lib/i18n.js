@@ -0,0 +1,72 @@
+// --- Translations and locale-aware formatting ---
+// Messages live in one catalog per language (src/lib/messages), nested by area and looked up by
+// dotted key: t('conditions.title'). `{name}` in a message is replaced by values.name, numbers
+// formatted for the language. Keys missing from a catalog fall back to English.
+//
+// The same object formats dates and numbers for its language, in the viewer's local time zone or
+// in UTC (the profile's time display, see profile.js).
+import en from './messages/en.js';
+import es from './messages/es.js';
+import de from './messages/de.js';
+
+export const LANGUAGES = {
+    en: { label: 'English', catalog: en },
+    es: { label: 'Español', catalog: es },
+    de: { label: 'Deutsch', catalog: de },
+};
+export const DEFAULT_LANGUAGE = 'en';
+
+// The profile's language, else the first of the browser's languages we have, else English
+export function resolveLanguage(preferred, browserLanguages = []) {
+    if (LANGUAGES[preferred]) return preferred;
+    const match = browserLanguages.map(tag => String(tag).toLowerCase().split('-')[0]).find(code => LANGUAGES[code]);
+    return match || DEFAULT_LANGUAGE;
+}
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+export function createI18n({ language = DEFAULT_LANGUAGE, timeDisplay = 'local' } = {}) {
+    const code = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+    const { catalog } = LANGUAGES[code];
+    const utc = timeDisplay === 'utc';
+    const timeZone = utc ? 'UTC' : undefined;
+    const ordinal = new Intl.PluralRules(code, { type: 'ordinal' });
+
+    const formatNumber = (value, options) => Number(value).toLocaleString(code, options);
+    const interpolate = (message, values) => message.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in values)) return match;
+        return typeof values[name] === 'number' ? formatNumber(values[name]) : String(values[name]);
+    });
+
+    // The message for `key`, or `fallback` (the key itself if none) when no catalog has it
+    const t = (key, values = {}, fallback = key) => {
+        const message = lookup(catalog, key) ?? lookup(en, key);
+        return typeof message === 'string' ? interpolate(message, values) : fallback;
+    };
+
+    // 1st, 2nd, 3rd... in English, 1.º in Spanish, 1. in German. The catalog's `ordinal` has a form
+    // for each Intl.PluralRules ordinal category the language uses ({ one, two, few, other }).
+    const formatOrdinal = (n) => {
+        const forms = lookup(catalog, 'ordinal');
+        return interpolate(forms[ordinal.select(n)] ?? forms.other, { n });
+    };
+
+    // Intl date formatting in the chosen time zone; an explicit options.timeZone wins
+    const formatDate = (date, options = {}) => new Intl.DateTimeFormat(code, { timeZone, ...options }).format(new Date(date));
+
+    // Clock time, marked when it is UTC
+    const formatTime = (date) => {
+        const time = formatDate(date, { hour: '2-digit', minute: '2-digit', hourCycle: utc ? 'h23' : undefined });
+        return utc ? `${time} UTC` : time;
+    };
+
+    // Date and time of a reading. UTC reads "2024-05-10 12:00 UTC", as space weather centres write it.
+    const formatTimestamp = (date) => (utc
+        ? `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`
+        : formatDate(date, { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }));
+
+    return { language: code, timeDisplay: utc ? 'utc' : 'local', timeZone, t, formatNumber, formatOrdinal, formatDate, formatTime, formatTimestamp };
+}
+
+// English with local times, for code that is not told otherwise
+export const DEFAULT_I18N = createI18n();
@@ -0,0 +1,71 @@
+import { createI18n, resolveLanguage, LANGUAGES } from './i18n';
+import en from './messages/en';
+
+// Every dotted key of a catalog that holds a message
+const keysOf = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) => (
+    typeof value === 'string' ? [`${prefix}${key}`] : keysOf(value, `${prefix}${key}.`)
+));
+
+describe('ordinals', () => {
+    const english = createI18n();
+
+    it.each([
+        [1, '1st'], [2, '2nd'], [3, '3rd'], [4, '4th'],
+        [11, '11th'], [12, '12th'], [13, '13th'],
+        [21, '21st'], [22, '22nd'], [23, '23rd'], [30, '30th'], [31, '31st'],
+    ])('writes %p as %s in English', (day, expected) => {
+        expect(english.formatOrdinal(day)).toBe(expected);
+    });
+
+    it('follow the language', () => {
+        expect(createI18n({ language: 'es' }).formatOrdinal(2)).toBe('2.º');
+        expect(createI18n({ language: 'de' }).formatOrdinal(2)).toBe('2.');
+    });
+});
+
+describe('messages', () => {
+    it('fill in values, formatting numbers for the language', () => {
+        expect(createI18n().t('chart.kp.range', { low: 1234.5, high: 2 })).toBe('1,234.5 to 2');
+        expect(createI18n({ language: 'de' }).t('chart.kp.range', { low: 1234.5, high: 2 })).toBe('1.234,5 bis 2');
+    });
+
+    it('fall back to English, then to the given text', () => {
+        const spanish = createI18n({ language: 'es' });
+        expect(spanish.t('conditions.title')).toBe('Condiciones espaciales actuales');
+        expect(spanish.t('metrics.unknownField', {}, 'Unknown Field')).toBe('Unknown Field');
+        expect(createI18n().t('alerts.rules.kp-severe', {}, 'Severe geomagnetic storm (Kp ≥ 7)')).toBe('Severe geomagnetic storm (Kp ≥ 7)');
+    });
+
+    // Ordinal forms are per language, so they are left out
+    it.each(Object.keys(LANGUAGES).filter(code => code !== 'en'))('cover every English message in %s', (code) => {
+        const translated = keysOf(LANGUAGES[code].catalog);
+        expect(keysOf(en).filter(key => !key.startsWith('ordinal.') && !translated.includes(key))).toEqual([]);
+    });
+});
+
+describe('times', () => {
+    const at = '2024-05-10T21:05:00Z';
+
+    it('are written in UTC, marked as such, when the profile asks for it', () => {
+        const utc = createI18n({ timeDisplay: 'utc' });
+        expect(utc.formatTimestamp(at)).toBe('2024-05-10 21:05 UTC');
+        expect(utc.formatTime(at)).toBe('21:05 UTC');
+        expect(createI18n({ language: 'de', timeDisplay: 'utc' }).formatDate(at, { weekday: 'long' })).toBe('Freitag');
+    });
+
+    it('are written in the local time zone otherwise', () => {
+        const local = createI18n();
+        const expected = new Date(at).toLocaleTimeString('en', { hour: '2-digit', minute: '2-digit' });
+        expect(local.formatTime(at)).toBe(expected);
+        expect(local.formatTimestamp(at)).not.toMatch(/UTC/);
+    });
+});
+
+describe('resolveLanguage', () => {
+    it('prefers the profile, then the browser, then English', () => {
+        expect(resolveLanguage('de', ['es-ES'])).toBe('de');
+        expect(resolveLanguage(null, ['fr-FR', 'es-MX', 'en'])).toBe('es');
+        expect(resolveLanguage(null, ['fr-FR'])).toBe('en');
+        expect(resolveLanguage('xx')).toBe('en');
+    });
+});
@@ -0,0 +1,726 @@
+// German messages (see en.js for the keys of texts that come with data)
+const de = {
+    ordinal: { other: '{n}.' },
+    common: {
+        na: 'k. A.',
+        saving: 'Wird gespeichert...',
+        cancel: 'Abbrechen',
+        edit: '{name} bearbeiten',
+        delete: '{name} löschen',
+        to: 'bis',
+        latitude: 'Breite',
+        longitude: 'Länge',
+        andAbove: '{severity} und höher',
+        metricsAll: 'Messgrößen (keine angehakt = alle)',
+    },
+
+    header: {
+        title: 'Weltraumwetter-Zentrale',
+        views: { dashboard: 'Übersicht', statistics: 'Statistik' },
+        guest: 'Gast',
+        signIn: 'Anmelden',
+    },
+    app: {
+        loading: 'Tiefraum-Scan wird gestartet... Echtzeitdaten werden geladen.',
+        warning: 'Achtung!',
+        dashboardTitle: 'Universelles Weltraumwetter-Dashboard',
+    },
+
+    alerts: {
+        levels: {
+            Normal: 'Normale Bedingungen',
+            Minor: 'Hinweis auf geringe Sonnenaktivität',
+            Moderate: 'Vorwarnung: mäßiges Weltraumwetter',
+            Severe: 'WARNUNG VOR SCHWEREM WELTRAUMWETTER!',
+        },
+        severities: { Normal: 'Normal', Minor: 'Gering', Moderate: 'Mäßig', Severe: 'Schwer' },
+        why: 'Grund der Warnung:',
+        announce: 'Warnstufe des Weltraumwetters geändert: {title}. {message}',
+        reason: '{metric} {comparator} {threshold} {window}{span}; Höchstwert {peak} um {peakAt}.',
+        window: { hours: 'in den letzten {hours} h', series: 'in der geladenen Reihe' },
+        span: { run: ' über {hours} h ({start} bis {end})', single: ' um {time}' },
+        builtIn: {
+            Normal: { message: 'Alle Systeme normal. Das Weltraumwetter ist ruhig.' },
+            Minor: {
+                message: 'Geringe Sonnenaktivität festgestellt. Beobachtung empfohlen.',
+                details: 'Erhöhte Strahlungswerte, mögliche kleinere Funkausfälle, vor allem in Polarregionen. Keine unmittelbare großflächige Gefahr, aber bleiben Sie informiert.',
+            },
+            Moderate: {
+                message: 'MÄSSIGE VORWARNUNG: Möglicherweise störendes Weltraumwetter im Anmarsch!',
+                details: 'Polarlichter in mittleren Breiten möglich, kleinere Schwankungen im Stromnetz und gelegentliche Fehler der Satellitennavigation. Vorsicht besonders bei empfindlichen Systemen.',
+            },
+            Severe: {
+                message: 'SCHWERE WARNUNG: Kritische Infrastruktur durch Sonnensturm stark gefährdet!',
+                details: 'Großflächige Schwankungen im Stromnetz, erhebliche Satellitenausfälle und starke Funk- und GPS-Störungen zu erwarten. Notfallpläne und Kommunikationsausfälle vorbereiten.',
+            },
+        },
+        rules: {
+            'kp-severe': 'Schwerer geomagnetischer Sturm (Kp ≥ 7)',
+            'flare-severe': 'Flare der Klasse X',
+            'kp-moderate': 'Geomagnetischer Sturm (Kp ≥ 5)',
+            'flare-moderate': 'Flare der Klasse M',
+            'flare-minor': 'Jeder Sonnenflare',
+            'cme-minor': 'Schneller CME (> 400 km/s)',
+            'kp-minor': 'Unruhiges Erdmagnetfeld (Kp ≥ 3)',
+        },
+    },
+
+    metrics: {
+        solarFlareCount: 'Sonnenflares',
+        maxFlareFlux: 'Höchster Flare-Spitzenfluss',
+        cmeCount: 'CMEs',
+        maxCmeSpeed: 'Höchste CME-Geschwindigkeit',
+        geomagneticStormLevel: 'Kp-Index',
+        planetaryKIndex: 'Planetarer Kp',
+        xrayFluxLong: 'GOES-Röntgenfluss (0,1-0,8 nm)',
+        xrayFluxShort: 'GOES-Röntgenfluss (0,05-0,4 nm)',
+        solarWindSpeed: 'Sonnenwindgeschwindigkeit',
+        solarWindDensity: 'Sonnenwinddichte',
+        solarWindTemperature: 'Sonnenwindtemperatur',
+        imfBz: 'IMF Bz (GSM, südlichster Wert)',
+        imfBt: 'IMF Bt',
+        protonFlux10MeV: 'Protonenfluss (≥10 MeV)',
+    },
+
+    noaa: {
+        scales: { G: 'Geomagnetischer Sturm', R: 'Funkausfall', S: 'Solarer Strahlungssturm' },
+        names: { 1: 'Gering', 2: 'Mäßig', 3: 'Stark', 4: 'Schwer', 5: 'Extrem' },
+        none: 'Keiner',
+        badgeTitle: '{scale}: {name} ({threshold}+)',
+        badgeTitleNone: '{scale}: keiner',
+        impacts: {
+            G1: 'Schwache Schwankungen im Stromnetz möglich. Geringe Auswirkungen auf den Satellitenbetrieb. Polarlichter in hohen Breiten häufig sichtbar.',
+            G2: 'Spannungsalarme in Stromnetzen hoher Breiten möglich. Satelliten brauchen eventuell Lagekorrekturen; stärkere Abbremsung beeinträchtigt Bahnvorhersagen. Kurzwellenfunk kann in höheren Breiten schwinden.',
+            G3: 'Spannungskorrekturen können nötig werden, einige Schutzeinrichtungen lösen eventuell Fehlalarm aus. Oberflächenaufladung von Satelliten und mehr Abbremsung im niedrigen Orbit. Zeitweise Probleme bei Satellitennavigation und Kurzwellenfunk.',
+            G4: 'Großflächige Probleme bei der Spannungsregelung möglich; Schutzsysteme können wichtige Netzteile abschalten. Oberflächenaufladung und Bahnverfolgungsprobleme bei Satelliten. Satellitennavigation stundenlang beeinträchtigt; Kurzwellenfunk sporadisch.',
+            G5: 'Großflächige Probleme bei der Spannungsregelung; einige Netze können zusammenbrechen. Starke Aufladung, Lage- und Bahnverfolgungsprobleme bei Satelliten. Kurzwellenfunk 1-2 Tage unmöglich; Satellitennavigation tagelang beeinträchtigt.',
+            R1: 'Schwache oder geringe Beeinträchtigung des Kurzwellenfunks auf der Tagseite, gelegentlicher Verbindungsverlust. Langwellen-Navigationssignale kurz gestört.',
+            R2: 'Begrenzter Kurzwellenausfall auf der Tagseite, Verbindungsverlust für einige zehn Minuten. Langwellennavigation für einige zehn Minuten gestört.',
+            R3: 'Großflächiger Kurzwellenausfall, Verbindungsverlust für etwa eine Stunde auf der Tagseite. Langwellennavigation für etwa eine Stunde gestört.',
+            R4: 'Kurzwellenausfall auf dem größten Teil der Tagseite für 1-2 Stunden. Ausfälle der Langwellennavigation vergrößern Positionsfehler; geringe Störung der Satellitennavigation möglich.',
+            R5: 'Vollständiger Kurzwellenausfall auf der gesamten Tagseite für Stunden. Langwellennavigation in See- und Luftfahrt für viele Stunden ausgefallen; mehr Fehler der Satellitennavigation.',
+            S1: 'Geringe Auswirkungen auf den Kurzwellenfunk in Polarregionen. Keine biologischen Auswirkungen und keine auf den Satellitenbetrieb.',
+            S2: 'Erhöhtes Strahlungsrisiko für Besatzung und Passagiere auf Flügen in hohen Breiten. Vereinzelte Einzelereignis-Störungen an Satelliten. Kleine Auswirkungen auf die polare Kurzwellenausbreitung.',
+            S3: 'Astronauten bei Außeneinsätzen sollten Strahlung meiden. Einzelereignis-Störungen, Bildrauschen und leichte Alterung der Solarzellen wahrscheinlich. Polarer Kurzwellenfunk und Navigation beeinträchtigt.',
+            S4: 'Unvermeidbare Strahlungsgefahr für Astronauten bei Außeneinsätzen. Speicherfehler, Probleme mit Sternsensoren und Lageregelung bei Satelliten, gealterte Solarzellen. Polarer Kurzwellenausfall und Navigationsfehler über mehrere Tage.',
+            S5: 'Hohe Strahlungsgefahr für Astronauten und Flüge in hohen Breiten. Satelliten können unbrauchbar werden; dauerhafte Schäden an Solarzellen möglich. Vollständiger polarer Kurzwellenausfall; Navigation äußerst schwierig.',
+        },
+    },
+
+    conditions: {
+        title: 'Aktuelle Weltraumbedingungen',
+        timestamp: 'Zeitpunkt:',
+        flares: 'Sonnenflares (letzte Std.):',
+        maxFlareClass: 'Höchste Flare-Klasse:',
+        cmes: 'CMEs (letzte Std.):',
+        maxCmeSpeed: 'Höchste CME-Geschwindigkeit:',
+        kp: 'Geomagnetischer Kp-Index:',
+        protons: 'Protonenfluss ≥10 MeV (pfu):',
+        scales: 'NOAA-Skalen (diese Stunde):',
+    },
+
+    sky: {
+        title: 'Himmelsereignisse heute Nacht',
+        dateLabel: '{weekday}, {ordinalDay} {month} {year}',
+        moon: 'Mond',
+        moonLit: '{phase}, zu {percent} % beleuchtet',
+        moonRiseSet: 'Mondaufgang / Monduntergang',
+        upAllNight: 'Die ganze Nacht sichtbar',
+        belowHorizon: 'Unter dem Horizont',
+        sunsetSunrise: 'Sonnenuntergang / Sonnenaufgang',
+        civilDusk: 'Ende der bürgerlichen Dämmerung',
+        darkness: 'Astronomische Dunkelheit',
+        noDarkness: 'Nicht in dieser Nacht',
+        planetsAt: 'Planeten um {time}:',
+        brightStars: 'Helle Sterne:',
+        noneAbove: 'keine über dem Horizont',
+        midnightSun: 'Die Sonne geht an diesem Ort heute Nacht nicht unter.',
+        computedFor: 'Berechnet für {location} ({latitude}°, {longitude}°).',
+        timesLocal: 'Zeiten in deiner lokalen Zeitzone.',
+        timesUtc: 'Zeiten in UTC.',
+        phases: {
+            'New Moon': 'Neumond',
+            'Waxing Crescent': 'Zunehmende Sichel',
+            'First Quarter': 'Erstes Viertel',
+            'Waxing Gibbous': 'Zunehmender Mond',
+            'Full Moon': 'Vollmond',
+            'Waning Gibbous': 'Abnehmender Mond',
+            'Last Quarter': 'Letztes Viertel',
+            'Waning Crescent': 'Abnehmende Sichel',
+        },
+        planets: { Mercury: 'Merkur', Venus: 'Venus', Mars: 'Mars', Jupiter: 'Jupiter', Saturn: 'Saturn' },
+        compass: { N: 'N', NE: 'NO', E: 'O', SE: 'SO', S: 'S', SW: 'SW', W: 'W', NW: 'NW' },
+    },
+
+    aurora: {
+        title: 'Polarlicht-Sichtbarkeit',
+        levels: { Good: 'Gut', Possible: 'Möglich', Poor: 'Gering', None: 'Keine' },
+        verdicts: {
+            Good: 'Gute Chancen, Polarlichter zu sehen',
+            Possible: 'Polarlichter möglich, schau Richtung Pol',
+            Poor: 'Polarlichter kaum wahrnehmbar',
+            None: 'Von diesem Ort aus keine Polarlichter sichtbar',
+        },
+        inOval: 'Die geomagnetische Breite von {latitude}° liegt im Polarlichtoval (Rand bei {boundary}° für Kp {kp}).',
+        horizon: {
+            north: 'Der Ovalrand bei {boundary}° für Kp {kp} ist in Sicht, tief am nördlichen Horizont.',
+            south: 'Der Ovalrand bei {boundary}° für Kp {kp} ist in Sicht, tief am südlichen Horizont.',
+        },
+        outOfReach: 'Die geomagnetische Breite von {latitude}° ist für jede Sturmstärke zu weit von der Polarlichtzone entfernt.',
+        needsKp: 'Die geomagnetische Breite von {latitude}° braucht etwa Kp {neededKp} oder mehr; aktuell ist Kp {kp}.',
+        sky: 'Himmel: {darkness}.',
+        moon: 'Mond: {moonlight}.',
+        darkness: {
+            daylight: 'Tageslicht oder bürgerliche Dämmerung',
+            nautical: 'Nautische Dämmerung',
+            astronomical: 'Astronomische Dämmerung',
+            dark: 'Völlig dunkel',
+        },
+        moonlight: {
+            bright: '{phase}, hell und über dem Horizont',
+            up: '{phase}, über dem Horizont',
+            faint: '{phase}, schwach',
+            down: 'unter dem Horizont',
+        },
+        summary: '{location} · Kp {kp} · geomagnetische Breite {latitude}° · bewertet für {time}',
+    },
+
+    location: {
+        title: 'Beobachtungsort',
+        current: 'Aktuell:',
+        locating: 'Standort wird ermittelt...',
+        useMine: 'Meinen Standort verwenden',
+        search: 'Stadt suchen...',
+        latitudeShort: 'Br.',
+        longitudeShort: 'Lä.',
+        set: 'Setzen',
+        errors: {
+            latitude: 'Die Breite muss eine Zahl zwischen -90 und 90 sein.',
+            longitude: 'Die Länge muss eine Zahl zwischen -180 und 180 sein.',
+            unsupported: 'Dieser Browser unterstützt keine Standortbestimmung.',
+            failed: 'Dein Standort konnte nicht ermittelt werden.',
+        },
+    },
+
+    chart: {
+        title: 'Weltraumwetter-Verläufe ({range})',
+        points: '{resolution} · {count} Punkte',
+        panelsLabel: 'Diagramme',
+        noPanels: 'Keine Diagramme ausgewählt. Wähle oben eines, um die Verläufe zu sehen.',
+        resetZoom: 'Zoom zurücksetzen ({start} bis {end})',
+        brushHint: 'Ziehe die Griffe oder das schattierte Fenster, um alle Diagramme zu zoomen.',
+        pointHint: 'Klicke auf einen Punkt in einem beliebigen Diagramm, um die Ereignisse dahinter zu sehen.',
+        timesLocal: 'Stündliche Zeiten sind in deiner lokalen Zeitzone; Tage und Wochen beginnen um Mitternacht UTC.',
+        timesUtc: 'Alle Zeiten in UTC.',
+        bucket: { hour: 'Zeit: {time}', day: 'Tag: {date} (UTC)', week: 'Woche ab: {date} (UTC)' },
+        table: {
+            show: 'Datentabelle anzeigen',
+            hide: 'Datentabelle ausblenden',
+            caption: 'Werte der angezeigten Diagramme. Pfeiltasten wechseln die Zelle; Pos1 und Ende springen an die Enden einer Zeile, Strg+Pos1 und Strg+Ende an die der Tabelle.',
+            time: 'Zeit',
+            noValue: 'keine Daten',
+            summary: '{count} Punkte von {start} bis {end}.',
+            peak: 'Höchster Wert von {label}: {value} am {time}.',
+        },
+        panels: {
+            xray: 'Röntgenfluss und Flare-Klassen',
+            kp: 'Kp-Index nach NOAA-G-Skala',
+            cme: 'CME-Geschwindigkeiten',
+        },
+        xray: {
+            axis: 'Röntgenfluss (W/m²)',
+            goes: 'GOES-Röntgenfluss (0,1-0,8 nm)',
+            flarePeak: 'Flare-Maximum (DONKI)',
+        },
+        kp: {
+            axis: 'Kp',
+            series: 'Kp-Index',
+            noReading: 'kein Messwert',
+            range: '{low} bis {high}',
+            forecast: 'Kp-Vorhersage',
+            forecastRange: 'Vorhersagebereich',
+        },
+        cme: {
+            axis: 'Geschwindigkeit ({unit})',
+            series: 'CME-Geschwindigkeit',
+            none: 'kein CME',
+            fastestOf: '{speed} (schnellster von {count})',
+        },
+    },
+
+    range: {
+        last: 'Letzte {range}',
+        start: 'Startdatum',
+        end: 'Enddatum',
+        apply: 'Anwenden',
+        presets: { '24h': '24 Stunden', '7d': '7 Tage', '30d': '30 Tage', '1y': '12 Monate', custom: 'Benutzerdefiniert' },
+        resolutions: { hour: 'Stundenwerte', day: 'Tageswerte', week: 'Wochenwerte' },
+        errors: {
+            dates: 'Wähle ein Start- und ein Enddatum.',
+            order: 'Das Startdatum muss vor dem Enddatum liegen.',
+        },
+    },
+
+    export: {
+        label: 'Exportieren',
+        exporting: 'Wird exportiert...',
+    },
+
+    backfill: {
+        running: 'Verlauf wird nachgeladen',
+        missingTitle: 'Ein Teil dieses Zeitraums wurde nicht erfasst',
+        span: '{start} bis {end}',
+        progress: '{done} von {total} Abschnitten fertig',
+        statuses: { pending: 'wartend', running: 'läuft' },
+        missing: 'Es fehlen: {gaps}. Flares, CMEs und Stürme lassen sich aus NASA DONKI nachladen; die Echtzeitmessungen von NOAA reichen nur wenige Tage zurück.',
+        requesting: 'Wird angefordert…',
+        request: 'Diesen Zeitraum nachladen',
+    },
+
+    freshness: {
+        justNow: 'gerade eben',
+        minutesAgo: 'vor {count} Min.',
+        hoursAgo: 'vor {count} Std.',
+        daysAgo: 'vor {count} Tagen',
+        synced: 'zuletzt synchronisiert {age}',
+        neverSynced: 'auf diesem Gerät nie synchronisiert',
+        offline: 'Offline · gespeicherte Daten, {synced}',
+        reconnecting: 'Verbindung wird wiederhergestellt · gespeicherte Daten, {synced}',
+        live: 'Live · {synced}',
+        stale: 'Neuester Datenpunkt: {age}',
+        rateLimited: '{name}: gedrosselt bis {time}',
+        quota: '{name}: noch {remaining} von {limit} Anfragen in dieser Stunde',
+        reported: 'Von der API gemeldet {age}',
+        counted: 'Vom Erfassungsdienst gezählt',
+    },
+
+    events: {
+        recent: 'Neueste Ereignisse',
+        around: 'Ereignisse um {time}',
+        showAll: 'Alle Ereignisse zeigen',
+        noneInHour: 'In dieser Stunde wurden keine Ereignisse erfasst.',
+        none: 'Noch keine Flares, CMEs oder Stürme geladen.',
+        close: 'Ereignisdetails schließen',
+        details: 'Details',
+        timeline: 'Zeitverlauf',
+        linked: 'Verknüpfte Ereignisse',
+        notLoaded: '{id} ist nicht in den geladenen Daten',
+        viewInDonki: 'In DONKI ansehen',
+        raw: 'DONKI-Rohdatensatz',
+        notAvailable: 'Nicht verfügbar',
+        event: 'Ereignis',
+        types: {
+            FLR: 'Sonnenflare',
+            CME: 'Koronaler Massenauswurf',
+            GST: 'Geomagnetischer Sturm',
+            SEP: 'Solare energiereiche Teilchen',
+            IPS: 'Interplanetare Stoßwelle',
+            RBE: 'Verstärkung der Strahlungsgürtel',
+            HSS: 'Schneller Sonnenwindstrom',
+        },
+        facts: {
+            classType: 'Klasse',
+            peakFlux: 'Spitzenfluss',
+            sourceLocation: 'Quellregion',
+            activeRegion: 'Aktive Region',
+            speed: 'Geschwindigkeit',
+            halfAngle: 'Halbwinkel',
+            direction: 'Richtung',
+            analysisType: 'Analyseart',
+            maxKp: 'Höchster Kp',
+            location: 'Ort',
+            instruments: 'Instrumente',
+            note: 'Hinweis',
+        },
+        moments: {
+            flareBegan: 'Beginn des Flares',
+            peak: 'Maximum',
+            peakClass: 'Maximum ({classType})',
+            flareEnded: 'Ende des Flares',
+            cmeSeen: 'CME erstmals gesehen',
+            front: 'Front bei 21,5 Sonnenradien',
+            frontSpeed: 'Front bei 21,5 Sonnenradien ({speed})',
+            stormBegan: 'Beginn des Sturms',
+            kp: 'Kp {kp}',
+            kpSource: 'Kp {kp} ({source})',
+            ended: 'Ende',
+        },
+        summary: {
+            activeRegion: 'AR {number}',
+            halfAngle: 'Halbwinkel {angle}°',
+            towards: 'Richtung {direction}',
+            maxKp: 'höchster Kp {kp}',
+            at: 'bei {location}',
+        },
+    },
+
+    storm: {
+        title: 'Sturmausblick',
+        day: '{day} (UTC)',
+        kp: 'Kp {kp}',
+        likelyRange: 'Wahrscheinlich Kp {low} bis {high}',
+        earthDirected: 'Auf die Erde gerichtete CMEs',
+        noArrivals: 'Kein in den letzten Tagen analysierter CME ist auf dem Weg zur Erde.',
+        launched: 'Gestartet mit {speed}, {angle}° neben der Linie Sonne-Erde (halbe Breite {halfAngle}°).',
+        arrival: 'Ankunft {median}, Zeitfenster {earliest} bis {latest}.',
+        expected: 'Erwartet mit etwa {speed}, höchster Kp {kp} ({low} bis {high}).',
+        model: 'Widerstandsmodell, gerechnet über eine Bandbreite von Sonnenwindbedingungen. Die Spannen decken 10-90 % der Läufe ab, plus 1 Kp für das unbekannte Magnetfeld des CME; bei schnellen oder sich gegenseitig beeinflussenden CMEs sind Fehler von einem Tag und mehreren Kp zu erwarten.',
+    },
+
+    imagery: {
+        title: 'Sonnenbilder',
+        source: 'Bildquelle',
+        noImage: 'Kein Bild von {source} für {time}.',
+        image: '{source} um {time}',
+        marker: '{classType} bei {location}, Maximum {time}',
+        flare: 'Flare',
+        previous: 'Vorheriges Bild',
+        play: 'Animation abspielen',
+        pause: 'Animation anhalten',
+        next: 'Nächstes Bild',
+        frame: 'Bild',
+        frameOf: '{time} · Bild {index} von {count}',
+        selectedTime: ' · gewählte Zeit',
+        cadence: '{description}. Bilder alle {minutes} Minuten um den gewählten Flare, Diagrammpunkt oder das Ende des Zeitraums.',
+        markers: {
+            one: '{count} Flare innerhalb von {hours} Stunden um dieses Bild, markiert dort, wohin die Sonnenrotation seine Quellregion getragen hat.',
+            other: '{count} Flares innerhalb von {hours} Stunden um dieses Bild, markiert dort, wohin die Sonnenrotation ihre Quellregionen getragen hat.',
+        },
+        noMarkers: 'Kein Flare mit Quellort innerhalb von {hours} Stunden um dieses Bild liegt auf der sichtbaren Scheibe.',
+        clickMarker: 'Klicke auf eine Markierung für die Details.',
+        coronagraph: 'Der gestrichelte Kreis ist die Sonnenscheibe hinter der Blende. Flare-Markierungen erscheinen auf den Bildern der Scheibe.',
+        descriptions: {
+            'aia-193': 'Korona und Flare-Plasma',
+            'aia-131': 'Heißestes Flare-Plasma',
+            'aia-304': 'Chromosphäre und Protuberanzen',
+            'hmi-continuum': 'Sonnenflecken im sichtbaren Licht',
+            'lasco-c2': 'Koronograph, bis 6 Sonnenradien',
+            'lasco-c3': 'Koronograph, bis 30 Sonnenradien',
+        },
+    },
+
+    statistics: {
+        contextTitle: 'Weltraumwetter im Zusammenhang',
+        noSunspots: 'Der Erfassungsdienst hat die monatlichen Sonnenfleckenzahlen noch nicht gespeichert.',
+        loadFailed: 'Der gespeicherte Verlauf konnte nicht geladen werden: {error}',
+        title: 'Aktivitätsstatistik',
+        period: 'Zeitraum',
+        last: 'Letzte {period}',
+        loading: 'Gespeicherter Verlauf wird geladen...',
+        periods: { '30d': '30 Tage', '90d': '90 Tage', '1y': '12 Monate' },
+        flaresByClass: 'Flares pro Monat nach Klasse',
+        flareClass: 'Klasse {letter}',
+        cmeSpeeds: 'CME-Geschwindigkeiten',
+        cmes: 'CMEs',
+        cmeSummary: '{count} CMEs mit gemessener Geschwindigkeit · Median {median} · schnellster {fastest}',
+        noCmeSpeeds: 'Kein CME mit gemessener Geschwindigkeit in diesem Zeitraum.',
+        stormDays: 'Sturmtage nach G-Stufe',
+        stormDaysSummary: '{count} von {days} Tagen erreichten G1 oder mehr. Jeder Tag zählt nach seiner stärksten Stunde (UTC-Tage).',
+        comparison: 'Im Vergleich mit früheren Jahren',
+        columns: { period: 'Zeitraum', flares: 'Flares', majorFlares: 'M/X', cmes: 'CMEs', stormDays: 'Sturmtage' },
+        incomplete: 'Ein Teil dieses Zeitraums wurde nicht erfasst, daher sind die Zahlen zu niedrig.',
+        incompleteNote: '* Noch nicht vollständig erfasst; fordere im Verlaufsdiagramm das Nachladen dieser Daten an, um sie zu vervollständigen.',
+    },
+
+    solarCycle: {
+        title: 'Sonnenzyklus {cycle}',
+        into: 'Im Zyklus seit',
+        age: '{years} J. {months} M.',
+        began: 'Begonnen {month}; etwa {percent} % eines typischen {years}-jährigen Zyklus',
+        smoothed: 'Geglättete Sonnenfleckenzahl',
+        smoothedNote: '{month}; Monatsmittel {value} im {latestMonth}',
+        peak: 'Bisheriges Maximum',
+        peakNote: '{month}; vorhergesagt {value} um {predictedMonth}',
+        phases: {
+            rising: 'Anstiegsphase: Die Aktivität nimmt noch bis zum Sonnenmaximum zu.',
+            maximum: 'Um das Sonnenmaximum: Die geglättete Sonnenfleckenzahl liegt nahe ihrem bisherigen Höchstwert; große Flares und CMEs sind jetzt am häufigsten.',
+            declining: 'Abstiegsphase: Das Maximum ist vorbei, doch einige der stärksten Stürme eines Zyklus kommen erst im Abstieg.',
+        },
+        monthlyMean: 'Monatsmittel',
+        smoothedSeries: '13-Monats-Glättung',
+        source: 'Sonnenfleckenzahlen: WDC-SILSO, Königliche Sternwarte von Belgien, Brüssel (Daten bis {month}; der geglättete Wert hinkt 6 Monate hinterher).',
+    },
+
+    ruleEditor: {
+        title: 'Alarmregeln',
+        show: 'Alarmregeln bearbeiten',
+        hide: 'Alarmregeln ausblenden',
+        columns: {
+            enabled: 'An',
+            name: 'Name',
+            metric: 'Messgröße',
+            condition: 'Bedingung',
+            duration: 'Dauer (h)',
+            window: 'Fenster (h)',
+            severity: 'Schwere',
+        },
+        newRule: 'Neue Regel',
+        enabled: 'Aktiv',
+        name: 'Regelname',
+        comparator: 'Vergleich',
+        threshold: 'Schwellenwert',
+        duration: 'Dauer in Stunden',
+        window: 'Fenster in Stunden',
+        wholeSeries: 'alle',
+        add: 'Regel hinzufügen',
+        save: 'Regeln speichern',
+        reset: 'Auf Standard zurücksetzen',
+        errors: {
+            name: 'Ein Name ist erforderlich.',
+            metric: 'Eine Messgröße ist erforderlich.',
+            comparator: 'Der Vergleich muss einer von {comparators} sein.',
+            threshold: 'Der Schwellenwert muss eine Zahl sein.',
+            duration: 'Die Dauer muss eine ganze Zahl von Stunden sein (1 oder mehr).',
+            window: 'Das Fenster muss leer sein (ganze Reihe) oder eine ganze Zahl von Stunden, nicht kürzer als die Dauer.',
+            severity: 'Die Schwere muss Gering, Mäßig oder Schwer sein.',
+        },
+    },
+
+    notifications: {
+        title: 'Benachrichtigungen',
+        show: 'Benachrichtigungseinstellungen',
+        hide: 'Benachrichtigungseinstellungen ausblenden',
+        enabled: 'Benachrichtige mich, wenn die Alarmstufe steigt',
+        onlyFor: 'Nur für',
+        quietHours: 'Ruhezeit',
+        quietStart: 'Beginn der Ruhezeit',
+        quietEnd: 'Ende der Ruhezeit',
+        push: 'Dieses Gerät auch benachrichtigen, wenn das Dashboard geschlossen ist (Web Push)',
+        save: 'Benachrichtigungseinstellungen speichern',
+        errors: {
+            minSeverity: 'Die Mindestschwere muss Gering, Mäßig oder Schwer sein.',
+            metrics: 'Die Messgrößen müssen eine Liste sein.',
+            quietHours: 'Die Ruhezeit braucht eine Start- und Endzeit im Format HH:MM.',
+            timeZone: 'Unbekannte Zeitzone „{timeZone}“.',
+            unsupported: 'Dieser Browser unterstützt keine Benachrichtigungen.',
+            blocked: 'Benachrichtigungen sind für diese Seite blockiert. Erlaube sie in den Browsereinstellungen.',
+            pushUnsupported: 'Dieser Browser unterstützt kein Web Push.',
+            pushUnconfigured: 'Web Push ist nicht eingerichtet (kein öffentlicher VAPID-Schlüssel).',
+            pushNeedsWorker: 'Web Push braucht den Service Worker, der nur in Produktions-Builds läuft.',
+        },
+    },
+
+    integrations: {
+        title: 'Alarm-Integrationen',
+        show: 'Webhooks und E-Mail',
+        hide: 'Integrationen ausblenden',
+        owner: 'Integrationen von',
+        teamRules: 'Team-Ziele folgen den eingebauten Alarmregeln; deine eigenen folgen den Regeln, die du bearbeitest.',
+        empty: 'Noch keine Ziele. Alarme können an Slack-kompatible Webhooks, JSON-Webhooks und E-Mail gehen.',
+        test: 'Testen',
+        sendTest: 'Testalarm an {name} senden',
+        add: 'Ziel hinzufügen',
+        name: 'Name',
+        endpointName: 'Name des Ziels',
+        kind: 'Art des Ziels',
+        minSeverity: 'Mindestschwere',
+        enabled: 'Aktiv',
+        recipients: 'E-Mail-Empfänger',
+        url: 'Webhook-URL',
+        headers: 'Zusätzliche Header, einer pro Zeile',
+        template: 'Vorlage (leer = Standard)',
+        placeholders: 'Platzhalter:',
+        save: 'Ziel speichern',
+        deliveries: 'Letzte Zustellungen',
+        noDeliveries: 'Noch nichts gesendet.',
+        columns: { time: 'Zeit', endpoint: 'Ziel', alert: 'Alarm', status: 'Status', attempts: 'Versuche' },
+        testAlert: 'Test',
+        statuses: { delivered: 'zugestellt', failed: 'fehlgeschlagen' },
+        kinds: { slack: 'Slack-kompatibler Webhook', webhook: 'JSON-Webhook', email: 'E-Mail (SMTP)' },
+        fields: {
+            title: 'Alarmtitel, z. B. "Severe space weather alert: X-class flare"',
+            level: 'Gesamte Alarmstufe (Minor, Moderate, Severe)',
+            message: 'Meldung der Regel, die die Stufe bestimmt hat',
+            details: 'Längere Erklärung dieser Stufe',
+            reasons: 'Eine Zeile je neu ausgelöster Regel mit dem, was zutraf',
+            rules: 'Namen der neu ausgelösten Regeln, durch Kommas getrennt',
+            time: 'Wann der Alarm gesendet wurde (ISO 8601, UTC)',
+            dashboardUrl: 'Link zum Dashboard',
+        },
+        errors: {
+            name: 'Ein Name ist erforderlich.',
+            kind: 'Die Art muss eine von {kinds} sein.',
+            url: 'Die URL muss eine http(s)-Adresse sein.',
+            headerName: '„{name}“ ist kein gültiger Header-Name.',
+            headerReserved: 'Der Header {name} wird vom Dienst gesetzt und kann nicht geändert werden.',
+            headerValue: 'Der Header {name} muss eine einzelne Textzeile sein.',
+            to: 'Gib eine oder mehrere E-Mail-Adressen an.',
+            template: 'Die Webhook-Vorlage muss gültiges JSON ergeben (Platzhalter in Anführungszeichen lassen).',
+        },
+    },
+
+    assets: {
+        title: 'Auswirkungen auf Anlagen',
+        owner: 'Anlagen von',
+        readOnly: 'Die Anlagen des Teams tragen Team-Bearbeiter und -Administratoren ein.',
+        teamEmpty: 'Das Team hat noch keine Anlagen eingetragen.',
+        empty: 'Trage die Satelliten, KW-Funkstrecken, GNSS-Anwendungen und Netzstandorte ein, die du betreibst, um zu sehen, wie die aktuellen Bedingungen sie betreffen.',
+        add: 'Anlage hinzufügen',
+        name: 'Name',
+        assetName: 'Name der Anlage',
+        kind: 'Art der Anlage',
+        save: 'Anlage speichern',
+        orbit: 'Bahntyp',
+        altitude: 'Höhe (km)',
+        inclination: 'Inklination (°)',
+        tle: 'Oder einen Zweizeilen-Bahnelementsatz einfügen (ersetzt die Bahn oben)',
+        transmitter: 'Sender',
+        receiver: 'Empfänger',
+        location: 'Standort',
+        pointLatitude: '{label}: Breite',
+        pointLongitude: '{label}: Länge',
+        precision: 'Präzisionspositionierung (RTK, Vermessung, Präzisionslandwirtschaft, Landeanflüge)',
+        disclaimer: 'Grobe Einschätzung aus den NOAA-Skalen, dem Polarlichtoval beim aktuellen Kp und der Exposition jeder Anlage; eigene Schwellen und Modelle der Betreiber haben Vorrang.',
+        kinds: { satellite: 'Satellit', hfLink: 'KW-Funkstrecke', gnss: 'GNSS-abhängige Anwendung', powerGrid: 'Standort im Stromnetz' },
+        orbits: { LEO: 'Niedrige Erdumlaufbahn', MEO: 'Mittlere Erdumlaufbahn', GEO: 'Geostationär', HEO: 'Hochelliptisch' },
+        risks: { Low: 'Gering', Elevated: 'Erhöht', High: 'Hoch', Severe: 'Schwer' },
+        describe: {
+            satellite: '{orbit}, {altitude} km, {inclination}° Inklination',
+            fromTle: '{description} (aus TLE)',
+            point: '{latitude}°, {longitude}°',
+            hfLink: '{from} bis {to}',
+            precision: '{point}, Präzisionspositionierung',
+        },
+        hazards: {
+            surfaceCharging: 'Oberflächenaufladung',
+            drag: 'Atmosphärischer Widerstand',
+            radiation: 'Strahlung (Einzelereignisfehler)',
+            blackout: 'Funkausfall',
+            polarCap: 'Polkappenabsorption',
+            ionosphere: 'Ionosphärensturm',
+            scintillation: 'Szintillation und Positionsfehler',
+            inducedCurrents: 'Geomagnetisch induzierte Ströme',
+            forecast: '{hazard} (Vorhersage)',
+        },
+        findings: {
+            reason: '{condition}; {exposure} — {effect}.',
+            condition: '{measure} ({scale})',
+            scale: '{code} {name}',
+            belowScale: 'unter {code}',
+            noRadiationStorm: 'Kein Strahlungssturm',
+            kp: 'Kp {kp}',
+            kpUnavailable: 'Kp nicht verfügbar',
+            kpExpected: 'Kp {kp} erwartet',
+            protons: 'Protonen ≥10 MeV bei {flux} pfu',
+            protonsUnknown: 'Protonen ≥10 MeV unbekannt',
+            xray: 'Röntgenfluss bei {flareClass}',
+            xrayUnknown: 'Röntgenfluss unbekannt',
+            forecast: 'Ein CME ({cmeId}) wird um {time} erwartet. {reason}',
+        },
+        exposures: {
+            highOrbit: '{orbit}-Bahnen liegen bei Stürmen in der Plasmaschicht',
+            lowOrbit: 'niedrige Bahnen laden sich außerhalb der Polarlichtzonen kaum auf',
+            lowDrag: 'in {altitude} km steigert die Sturmheizung den Widerstand stark und Bahnvorhersagen driften',
+            highDrag: 'in {altitude} km begrenzt die dünne Atmosphäre den zusätzlichen Widerstand',
+            polarOrbit: 'diese Bahn liegt außerhalb des Schutzes der Magnetosphäre',
+            shieldedOrbit: 'eine niedrige Bahn mit kleiner Inklination ist von der Magnetosphäre geschützt',
+            daylightPath: 'ein Teil der Strecke liegt im Tageslicht',
+            darkPath: 'die ganze Strecke liegt im Dunkeln, außer Reichweite der Flare-Röntgenstrahlung',
+            polarPath: 'die Strecke quert die Polkappe',
+            clearPath: 'die Strecke bleibt abseits der Polkappe',
+            ovalPath: 'die Strecke verläuft nahe dem Polarlichtoval, wo Absorption und Schwund am stärksten sind',
+            farPath: 'die Strecke ist weit vom Polarlichtoval entfernt',
+            ovalSite: 'der Standort liegt nahe dem Polarlichtoval, wo die Ionosphäre unruhig wird',
+            farSite: 'der Standort ist weit vom Polarlichtoval entfernt',
+            precision: '{exposure}, und Präzisionspositionierung leidet als Erstes',
+            electrojet: 'bei {latitude}° geomagnetischer Breite liegt der Standort nahe dem polaren Elektrojet, der Ströme in langen Leitungen und Transformatoren induziert',
+            farElectrojet: 'bei {latitude}° geomagnetischer Breite ist der Standort weit vom polaren Elektrojet entfernt',
+        },
+        effects: {
+            0: 'kaum Auswirkungen erwartet',
+            1: 'einige Auswirkungen möglich',
+            2: 'deutliche Auswirkungen wahrscheinlich',
+            3: 'ernste Störungen wahrscheinlich',
+        },
+        errors: {
+            kind: 'Wähle, welche Art von Anlage das ist.',
+            name: 'Gib der Anlage einen Namen mit höchstens {max} Zeichen.',
+            point: 'Gib eine Breite und eine Länge ein.',
+            pointProblem: '{label}: {problem}',
+            orbit: 'Wähle einen Bahntyp.',
+            altitude: 'Die Höhe muss zwischen {min} und {max} km liegen.',
+            inclination: 'Die Inklination muss zwischen 0° und 180° liegen.',
+            tleLines: 'Ein TLE braucht beide Elementzeilen (beginnend mit "1 " und "2 "), je 69 Zeichen lang.',
+            tleChecksum: 'Die TLE-Prüfsumme stimmt nicht; prüfe, ob er vollständig kopiert wurde.',
+            tleElements: 'Die TLE-Elemente konnten nicht gelesen werden.',
+        },
+    },
+
+    profile: {
+        language: 'Sprache',
+        browserLanguage: 'Wie im Browser',
+        contrast: 'Kontrast',
+        systemTheme: 'Systemeinstellung',
+        themes: { standard: 'Standard', 'high-contrast': 'Hoher Kontrast' },
+        speedUnit: 'Geschwindigkeiten in',
+        timeDisplay: 'Zeiten in',
+        timeDisplays: { local: 'Ortszeit', utc: 'UTC' },
+        errors: {
+            displayName: 'Der Anzeigename darf höchstens {max} Zeichen lang sein.',
+            language: 'Wähle eine Sprache.',
+            theme: 'Wähle ein Design.',
+            speedUnit: 'Wähle eine Geschwindigkeitseinheit.',
+            timeDisplay: 'Wähle Ortszeit oder UTC.',
+        },
+    },
+
+    team: {
+        title: 'Team-Arbeitsbereich',
+        intro: 'Erstelle ein Team, um mit Kollegen Notizen an die Zeitachse zu heften, oder bitte einen Team-Admin, dich hinzuzufügen.',
+        select: 'Team',
+        option: '{name} ({role})',
+        newTeam: 'Neues Team',
+        name: 'Teamname',
+        create: 'Team erstellen',
+        creating: 'Wird erstellt...',
+        cancel: 'Abbrechen',
+        yourId: 'Deine Benutzer-ID, damit ein Team-Admin dich hinzufügen kann:',
+        members: 'Mitglieder ({count})',
+        hideMembers: 'Mitglieder ausblenden',
+        you: '(du)',
+        roleOf: 'Rolle von {name}',
+        leave: 'Team verlassen',
+        remove: 'Entfernen',
+        userId: 'Benutzer-ID',
+        memberName: 'Name (optional)',
+        newMemberId: 'Benutzer-ID des neuen Mitglieds',
+        newMemberName: 'Name des neuen Mitglieds',
+        newMemberRole: 'Rolle des neuen Mitglieds',
+        addMember: 'Mitglied hinzufügen',
+        adminHint: 'Ein anderer Admin kann deine Rolle ändern oder dich aus dem Team entfernen.',
+        roles: { viewer: 'Leser', editor: 'Bearbeiter', admin: 'Admin' },
+        roleDescriptions: {
+            viewer: 'Liest die Notizen und Kommentare dazu',
+            editor: 'Heftet außerdem Notizen an, ändert die eigenen und erfasst die Anlagen des Teams',
+            admin: 'Ändert außerdem jede Notiz und jeden Kommentar und verwaltet die Mitglieder sowie die Webhooks und E-Mails des Teams',
+        },
+        pinTo: 'Notiz anheften an {target}',
+        notePlaceholder: 'z. B. GPS-Ausfall an Standort B',
+        pin: 'Notiz anheften',
+        pinHint: 'Klicke auf einen Punkt der Verläufe oder wähle ein Ereignis, um eine Notiz daran zu heften.',
+        noNotes: 'Noch keine Notizen auf der Zeitachse.',
+        unknownTime: 'Unbekannte Zeit',
+        editNote: 'Notiz bearbeiten',
+        deleteNote: 'Notiz löschen',
+        note: 'Notiz',
+        save: 'Speichern',
+        comments: 'Kommentare',
+        hideComments: 'Kommentare ausblenden',
+        noComments: 'Noch keine Kommentare.',
+        comment: 'Kommentieren',
+        commentPlaceholder: 'Kommentar hinzufügen',
+        deleteComment: 'Kommentar löschen',
+        ownerPersonal: 'Persönlich',
+        ownerTeam: 'Team: {name}',
+        errors: {
+            name: 'Gib dem Team einen Namen mit höchstens {max} Zeichen.',
+            memberId: 'Gib die Benutzer-ID der Person ein, die du hinzufügen willst.',
+            role: 'Wähle eine Rolle.',
+            note: 'Schreibe eine Notiz mit höchstens {max} Zeichen.',
+            pin: 'Wähle eine Zeit oder ein Ereignis, an das die Notiz geheftet wird.',
+            comment: 'Schreibe einen Kommentar mit höchstens {max} Zeichen.',
+        },
+    },
+};
+
+export default de;
@@ -0,0 +1,634 @@
+// English messages (see i18n.js). Texts that come with data stay in English where the data is
+// defined and are translated in the other catalogs under these keys:
+//   alerts.builtIn.<level>.message/details  Built-in alert messages (alertRules.js)
+//   alerts.rules.<rule id>                  Built-in rule names (alertRules.js)
+//   metrics.<field>                         Series field labels (sources/)
+//   noaa.impacts.<code>                     NOAA scale impacts (noaaScales.js)
+//   chart.panels.<panel id>                 Trend panel titles (trendPanels.js)
+//   sky.phases.<name>, sky.planets.<name>,  Moon phases, planets and compass points (ephemeris.js)
+//   sky.compass.<point>
+//   profile.themes.<theme id>               Contrast themes (displayPreferences.js)
+//   profile.timeDisplays.<id>               Local time or UTC (profile.js)
+//   events.types.<type>                     Event types (spaceWeatherEvents.js)
+//   range.presets.<preset id>,              Range presets and chart resolutions (timeRange.js)
+//   range.resolutions.<resolution>
+//   statistics.periods.<period id>          Statistics periods (statistics.js)
+//   integrations.kinds.<kind>,              Endpoint kinds and template placeholders (alertDispatch.js)
+//   integrations.fields.<placeholder>
+//   assets.kinds.<kind>, assets.orbits.<id> Asset kinds and orbit types (assets.js)
+//   assets.risks.<name>                     Risk levels (assetImpact.js)
+//   imagery.descriptions.<source id>        Image sources (solarImagery.js)
+const en = {
+    ordinal: { one: '{n}st', two: '{n}nd', few: '{n}rd', other: '{n}th' },
+    common: {
+        na: 'N/A',
+        saving: 'Saving...',
+        cancel: 'Cancel',
+        edit: 'Edit {name}',
+        delete: 'Delete {name}',
+        to: 'to',
+        latitude: 'Latitude',
+        longitude: 'Longitude',
+        andAbove: '{severity} and above',
+        metricsAll: 'Metrics (none ticked = all)',
+    },
+
+    header: {
+        title: 'Space Weather HQ',
+        views: { dashboard: 'Dashboard', statistics: 'Statistics' },
+        guest: 'Guest',
+        signIn: 'Sign in',
+    },
+    app: {
+        loading: 'Initiating Deep Space Scan... Fetching Real-time Data.',
+        warning: 'Warning!',
+        dashboardTitle: 'Universal Space Weather Dashboard',
+    },
+
+    alerts: {
+        levels: {
+            Normal: 'Nominal Conditions',
+            Minor: 'Minor Solar Activity Advisory',
+            Moderate: 'Moderate Space Weather Watch',
+            Severe: 'SEVERE SPACE WEATHER ALERT!',
+        },
+        severities: { Normal: 'Normal', Minor: 'Minor', Moderate: 'Moderate', Severe: 'Severe' },
+        why: 'Why this alert:',
+        announce: 'Space weather alert level changed: {title}. {message}',
+        reason: '{metric} {comparator} {threshold} {window}{span}; peak {peak} at {peakAt}.',
+        window: { hours: 'in the last {hours} h', series: 'in the loaded series' },
+        span: { run: ' for {hours} h ({start} to {end})', single: ' at {time}' },
+    },
+
+    noaa: {
+        scales: { G: 'Geomagnetic Storm', R: 'Radio Blackout', S: 'Solar Radiation Storm' },
+        names: { 1: 'Minor', 2: 'Moderate', 3: 'Strong', 4: 'Severe', 5: 'Extreme' },
+        none: 'None',
+        badgeTitle: '{scale}: {name} ({threshold}+)',
+        badgeTitleNone: '{scale}: none',
+    },
+
+    conditions: {
+        title: 'Current Space Conditions',
+        timestamp: 'Timestamp:',
+        flares: 'Solar Flares (past hr):',
+        maxFlareClass: 'Max Flare Class:',
+        cmes: 'CMEs (past hr):',
+        maxCmeSpeed: 'Max CME Speed:',
+        kp: 'Geomagnetic Kp Index:',
+        protons: 'Proton Flux ≥10 MeV (pfu):',
+        scales: 'NOAA Scales (this hour):',
+    },
+
+    sky: {
+        title: 'Celestial Events Tonight',
+        dateLabel: '{weekday}, {month} {ordinalDay}, {year}',
+        moon: 'Moon',
+        moonLit: '{phase}, {percent}% lit',
+        moonRiseSet: 'Moonrise / Moonset',
+        upAllNight: 'Up all night',
+        belowHorizon: 'Below horizon',
+        sunsetSunrise: 'Sunset / Sunrise',
+        civilDusk: 'Civil Twilight Ends',
+        darkness: 'Astronomical Darkness',
+        noDarkness: 'None tonight',
+        planetsAt: 'Planets at {time}:',
+        brightStars: 'Bright stars:',
+        noneAbove: 'none above the horizon',
+        midnightSun: 'The Sun does not set tonight at this location.',
+        computedFor: 'Computed for {location} ({latitude}°, {longitude}°).',
+        timesLocal: 'Times shown in your local time zone.',
+        timesUtc: 'Times shown in UTC.',
+    },
+
+    aurora: {
+        title: 'Aurora Visibility',
+        levels: { Good: 'Good', Possible: 'Possible', Poor: 'Poor', None: 'None' },
+        verdicts: {
+            Good: 'Good chance of seeing aurora',
+            Possible: 'Aurora possible, look towards the pole',
+            Poor: 'Aurora unlikely to be noticeable',
+            None: 'Aurora not visible from this location',
+        },
+        inOval: 'Geomagnetic latitude {latitude}° is inside the auroral oval (edge at {boundary}° for Kp {kp}).',
+        horizon: {
+            north: 'Oval edge at {boundary}° for Kp {kp} is within view, low on the northern horizon.',
+            south: 'Oval edge at {boundary}° for Kp {kp} is within view, low on the southern horizon.',
+        },
+        outOfReach: 'Geomagnetic latitude {latitude}° is too far from the auroral zone for any storm level.',
+        needsKp: 'Geomagnetic latitude {latitude}° needs about Kp {neededKp} or higher; current Kp is {kp}.',
+        sky: 'Sky: {darkness}.',
+        moon: 'Moon: {moonlight}.',
+        darkness: {
+            daylight: 'Daylight or civil twilight',
+            nautical: 'Nautical twilight',
+            astronomical: 'Astronomical twilight',
+            dark: 'Fully dark',
+        },
+        moonlight: {
+            bright: '{phase}, bright and above the horizon',
+            up: '{phase}, above the horizon',
+            faint: '{phase}, faint',
+            down: 'below the horizon',
+        },
+        summary: '{location} · Kp {kp} · geomagnetic latitude {latitude}° · assessed for {time}',
+    },
+
+    location: {
+        title: 'Observer Location',
+        current: 'Currently:',
+        locating: 'Locating...',
+        useMine: 'Use My Location',
+        search: 'Search city...',
+        latitudeShort: 'Lat',
+        longitudeShort: 'Lon',
+        set: 'Set',
+        errors: {
+            latitude: 'Latitude must be a number between -90 and 90.',
+            longitude: 'Longitude must be a number between -180 and 180.',
+            unsupported: 'Geolocation is not supported by this browser.',
+            failed: 'Unable to determine your location.',
+        },
+    },
+
+    chart: {
+        title: 'Space Weather Trends ({range})',
+        points: '{resolution} values · {count} points',
+        panelsLabel: 'Panels',
+        noPanels: 'No panels selected. Pick one above to see the trends.',
+        resetZoom: 'Reset zoom ({start} to {end})',
+        brushHint: 'Drag the handles or the shaded window to zoom all panels.',
+        pointHint: 'Click a point on any panel to see the events behind it.',
+        timesLocal: 'Hourly times are in your local time zone; days and weeks start at midnight UTC.',
+        timesUtc: 'All times are UTC.',
+        bucket: { hour: 'Time: {time}', day: 'Day: {date} (UTC)', week: 'Week of: {date} (UTC)' },
+        table: {
+            show: 'Show data table',
+            hide: 'Hide data table',
+            caption: 'Values of the shown panels. Arrow keys move between cells; Home and End go to the ends of a row, Ctrl+Home and Ctrl+End to the ends of the table.',
+            time: 'Time',
+            noValue: 'no data',
+            summary: '{count} points from {start} to {end}.',
+            peak: 'Highest {label}: {value} at {time}.',
+        },
+        xray: {
+            axis: 'X-ray Flux (W/m²)',
+            goes: 'GOES X-ray Flux (0.1-0.8 nm)',
+            flarePeak: 'Flare Peak (DONKI)',
+        },
+        kp: {
+            axis: 'Kp',
+            series: 'Kp Index',
+            noReading: 'no reading',
+            range: '{low} to {high}',
+            forecast: 'Forecast Kp',
+            forecastRange: 'Forecast range',
+        },
+        cme: {
+            axis: 'Speed ({unit})',
+            series: 'CME Speed',
+            none: 'no CME',
+            fastestOf: '{speed} (fastest of {count})',
+        },
+    },
+
+    range: {
+        last: 'Last {range}',
+        start: 'Start date',
+        end: 'End date',
+        apply: 'Apply',
+        errors: {
+            dates: 'Pick both a start and an end date.',
+            order: 'The start date must be before the end date.',
+        },
+    },
+
+    export: {
+        label: 'Export',
+        exporting: 'Exporting...',
+    },
+
+    backfill: {
+        running: 'Backfilling history',
+        missingTitle: 'Part of this range has not been ingested',
+        span: '{start} to {end}',
+        progress: '{done} of {total} chunks done',
+        statuses: { pending: 'pending', running: 'running' },
+        missing: 'Missing: {gaps}. Flares, CMEs and storms can be backfilled from NASA DONKI; NOAA real-time measurements only reach back a few days.',
+        requesting: 'Requesting…',
+        request: 'Backfill this range',
+    },
+
+    freshness: {
+        justNow: 'just now',
+        minutesAgo: '{count} min ago',
+        hoursAgo: '{count} h ago',
+        daysAgo: '{count} days ago',
+        synced: 'last synced {age}',
+        neverSynced: 'never synced on this device',
+        offline: 'Offline · showing saved data, {synced}',
+        reconnecting: 'Reconnecting · showing saved data, {synced}',
+        live: 'Live · {synced}',
+        stale: 'Newest data point: {age}',
+        rateLimited: '{name}: rate limited until {time}',
+        quota: '{name}: {remaining} of {limit} requests left this hour',
+        reported: 'Reported by the API {age}',
+        counted: 'Counted by the ingestion worker',
+    },
+
+    events: {
+        recent: 'Recent Events',
+        around: 'Events around {time}',
+        showAll: 'Show all events',
+        noneInHour: 'No events recorded in this hour.',
+        none: 'No flares, CMEs or storms loaded yet.',
+        close: 'Close event details',
+        details: 'Details',
+        timeline: 'Timeline',
+        linked: 'Linked events',
+        notLoaded: '{id} is not in the loaded data',
+        viewInDonki: 'View in DONKI',
+        raw: 'Raw DONKI record',
+        notAvailable: 'Not available',
+        event: 'Event',
+        facts: {
+            classType: 'Class',
+            peakFlux: 'Peak flux',
+            sourceLocation: 'Source region',
+            activeRegion: 'Active region',
+            speed: 'Speed',
+            halfAngle: 'Half-angle',
+            direction: 'Direction',
+            analysisType: 'Analysis type',
+            maxKp: 'Max Kp',
+            location: 'Location',
+            instruments: 'Instruments',
+            note: 'Note',
+        },
+        moments: {
+            flareBegan: 'Flare began',
+            peak: 'Peak',
+            peakClass: 'Peak ({classType})',
+            flareEnded: 'Flare ended',
+            cmeSeen: 'CME first seen',
+            front: 'Front at 21.5 solar radii',
+            frontSpeed: 'Front at 21.5 solar radii ({speed})',
+            stormBegan: 'Storm began',
+            kp: 'Kp {kp}',
+            kpSource: 'Kp {kp} ({source})',
+            ended: 'Ended',
+        },
+        summary: {
+            activeRegion: 'AR {number}',
+            halfAngle: 'half-angle {angle}°',
+            towards: 'towards {direction}',
+            maxKp: 'max Kp {kp}',
+            at: 'at {location}',
+        },
+    },
+
+    storm: {
+        title: 'Storm Outlook',
+        day: '{day} (UTC)',
+        kp: 'Kp {kp}',
+        likelyRange: 'Likely range Kp {low} to {high}',
+        earthDirected: 'Earth-directed CMEs',
+        noArrivals: 'No CME analysed in the last days is heading for Earth.',
+        launched: 'Launched at {speed}, {angle}° off the Sun-Earth line (half-width {halfAngle}°).',
+        arrival: 'Arrival {median}, window {earliest} to {latest}.',
+        expected: 'Expected at about {speed}, peak Kp {kp} ({low} to {high}).',
+        model: 'Drag-based model run over a range of solar wind conditions. Ranges cover 10-90% of the runs plus 1 Kp for the unknown magnetic field of the CME; expect errors of a day and several Kp for fast or interacting CMEs.',
+    },
+
+    imagery: {
+        title: 'Solar Imagery',
+        source: 'Image source',
+        noImage: 'No {source} image for {time}.',
+        image: '{source} at {time}',
+        marker: '{classType} at {location}, peak {time}',
+        flare: 'Flare',
+        previous: 'Previous frame',
+        play: 'Play animation',
+        pause: 'Pause animation',
+        next: 'Next frame',
+        frame: 'Frame',
+        frameOf: '{time} · frame {index} of {count}',
+        selectedTime: ' · selected time',
+        cadence: '{description}. Frames every {minutes} minutes around the selected flare, chart point or the end of the range.',
+        markers: {
+            one: '{count} flare within {hours} hours of this frame, marked where the Sun\'s rotation has carried its source region.',
+            other: '{count} flares within {hours} hours of this frame, marked where the Sun\'s rotation has carried their source regions.',
+        },
+        noMarkers: 'No flares with a source location within {hours} hours of this frame are on the visible disk.',
+        clickMarker: 'Click a marker for its details.',
+        coronagraph: 'The dashed circle is the solar disk behind the occulter. Flare markers are shown on the disk images.',
+    },
+
+    statistics: {
+        contextTitle: 'Space Weather in Context',
+        noSunspots: 'The ingestion worker has not stored the monthly sunspot numbers yet.',
+        loadFailed: 'Could not load the stored history: {error}',
+        title: 'Activity Statistics',
+        period: 'Period',
+        last: 'Last {period}',
+        loading: 'Loading the stored history...',
+        flaresByClass: 'Flares per month by class',
+        flareClass: '{letter}-class',
+        cmeSpeeds: 'CME speeds',
+        cmes: 'CMEs',
+        cmeSummary: '{count} CMEs with a measured speed · median {median} · fastest {fastest}',
+        noCmeSpeeds: 'No CME with a measured speed in this period.',
+        stormDays: 'Storm days by G-level',
+        stormDaysSummary: '{count} of {days} days reached G1 or more. Each day counts under its strongest hour (UTC days).',
+        comparison: 'Compared with earlier years',
+        columns: { period: 'Period', flares: 'Flares', majorFlares: 'M/X', cmes: 'CMEs', stormDays: 'Storm days' },
+        incomplete: 'Part of this period has not been ingested, so the counts are too low.',
+        incompleteNote: '* Not fully ingested yet; request a backfill of these dates from the trends chart to complete them.',
+    },
+
+    solarCycle: {
+        title: 'Solar Cycle {cycle}',
+        into: 'Into the cycle',
+        age: '{years} yr {months} mo',
+        began: 'Began {month}; about {percent}% of a typical {years}-year cycle',
+        smoothed: 'Smoothed sunspot number',
+        smoothedNote: '{month}; monthly mean {value} in {latestMonth}',
+        peak: 'Peak so far',
+        peakNote: '{month}; predicted {value} around {predictedMonth}',
+        phases: {
+            rising: 'Rising phase: activity is still building towards solar maximum.',
+            maximum: 'Around solar maximum: the smoothed sunspot number is close to its peak so far, when big flares and CMEs are most frequent.',
+            declining: 'Declining phase: past the peak, though some of the largest storms of a cycle come on the way down.',
+        },
+        monthlyMean: 'Monthly mean',
+        smoothedSeries: '13-month smoothed',
+        source: 'Sunspot numbers: WDC-SILSO, Royal Observatory of Belgium, Brussels (data through {month}; the smoothed value trails by 6 months).',
+    },
+
+    ruleEditor: {
+        title: 'Alert Rules',
+        show: 'Edit alert rules',
+        hide: 'Hide alert rules',
+        columns: {
+            enabled: 'On',
+            name: 'Name',
+            metric: 'Metric',
+            condition: 'Condition',
+            duration: 'For (h)',
+            window: 'Window (h)',
+            severity: 'Severity',
+        },
+        newRule: 'New rule',
+        enabled: 'Enabled',
+        name: 'Rule name',
+        comparator: 'Comparator',
+        threshold: 'Threshold',
+        duration: 'Duration in hours',
+        window: 'Window in hours',
+        wholeSeries: 'all',
+        add: 'Add Rule',
+        save: 'Save Rules',
+        reset: 'Reset to Defaults',
+        errors: {
+            name: 'Name is required.',
+            metric: 'Metric is required.',
+            comparator: 'Comparator must be one of {comparators}.',
+            threshold: 'Threshold must be a number.',
+            duration: 'Duration must be a whole number of hours (1 or more).',
+            window: 'Window must be empty (whole series) or a whole number of hours no shorter than the duration.',
+            severity: 'Severity must be Minor, Moderate or Severe.',
+        },
+    },
+
+    notifications: {
+        title: 'Notifications',
+        show: 'Notification settings',
+        hide: 'Hide notification settings',
+        enabled: 'Notify me when the alert level rises',
+        onlyFor: 'Only for',
+        quietHours: 'Quiet hours',
+        quietStart: 'Quiet hours start',
+        quietEnd: 'Quiet hours end',
+        push: 'Also notify this device when the dashboard is closed (Web Push)',
+        save: 'Save Notification Settings',
+        errors: {
+            minSeverity: 'Minimum severity must be Minor, Moderate or Severe.',
+            metrics: 'Metrics must be a list.',
+            quietHours: 'Quiet hours need a start and end time as HH:MM.',
+            timeZone: 'Unknown time zone "{timeZone}".',
+            unsupported: 'This browser does not support notifications.',
+            blocked: 'Notifications are blocked for this site. Allow them in the browser settings.',
+            pushUnsupported: 'This browser does not support Web Push.',
+            pushUnconfigured: 'Web Push is not configured (no VAPID public key).',
+            pushNeedsWorker: 'Web Push needs the service worker, which only runs in production builds.',
+        },
+    },
+
+    integrations: {
+        title: 'Alert Integrations',
+        show: 'Webhooks and email',
+        hide: 'Hide integrations',
+        owner: 'Whose integrations',
+        teamRules: 'Team endpoints follow the built-in alert rules; your own follow the rules you edit.',
+        empty: 'No endpoints yet. Alerts can go to Slack-compatible webhooks, JSON webhooks and email.',
+        test: 'Test',
+        sendTest: 'Send a test alert to {name}',
+        add: 'Add Endpoint',
+        name: 'Name',
+        endpointName: 'Endpoint name',
+        kind: 'Endpoint kind',
+        minSeverity: 'Minimum severity',
+        enabled: 'Enabled',
+        recipients: 'Email recipients',
+        url: 'Webhook URL',
+        headers: 'Extra headers, one per line',
+        template: 'Template (empty = default)',
+        placeholders: 'Placeholders:',
+        save: 'Save Endpoint',
+        deliveries: 'Recent Deliveries',
+        noDeliveries: 'Nothing sent yet.',
+        columns: { time: 'Time', endpoint: 'Endpoint', alert: 'Alert', status: 'Status', attempts: 'Attempts' },
+        testAlert: 'Test',
+        statuses: { delivered: 'delivered', failed: 'failed' },
+        errors: {
+            name: 'Name is required.',
+            kind: 'Kind must be one of {kinds}.',
+            url: 'URL must be an http(s) address.',
+            headerName: '"{name}" is not a valid header name.',
+            headerReserved: 'The {name} header is set by the worker and cannot be changed.',
+            headerValue: 'The {name} header must be a single line of text.',
+            to: 'Give one or more email addresses.',
+            template: 'The webhook template must render to valid JSON (keep placeholders inside quotes).',
+        },
+    },
+
+    assets: {
+        title: 'Asset Impact',
+        owner: 'Whose assets',
+        readOnly: 'Team editors and admins register the team\'s assets.',
+        teamEmpty: 'The team has no assets registered yet.',
+        empty: 'Register the satellites, HF links, GNSS operations and grid sites you run to see how current conditions affect them.',
+        add: 'Add Asset',
+        name: 'Name',
+        assetName: 'Asset name',
+        kind: 'Asset kind',
+        save: 'Save Asset',
+        orbit: 'Orbit type',
+        altitude: 'Altitude (km)',
+        inclination: 'Inclination (°)',
+        tle: 'Or paste a two-line element set (overrides the orbit above)',
+        transmitter: 'Transmitter',
+        receiver: 'Receiver',
+        location: 'Location',
+        pointLatitude: '{label} latitude',
+        pointLongitude: '{label} longitude',
+        precision: 'Precision positioning (RTK, surveying, precision agriculture, landing approaches)',
+        disclaimer: 'Rough guidance from the NOAA scales, the auroral oval for the current Kp and each asset\'s exposure; operators\' own thresholds and models take precedence.',
+        describe: {
+            satellite: '{orbit}, {altitude} km, {inclination}° inclination',
+            fromTle: '{description} (from TLE)',
+            point: '{latitude}°, {longitude}°',
+            hfLink: '{from} to {to}',
+            precision: '{point}, precision positioning',
+        },
+        hazards: {
+            surfaceCharging: 'Surface charging',
+            drag: 'Atmospheric drag',
+            radiation: 'Radiation (single-event upsets)',
+            blackout: 'Radio blackout',
+            polarCap: 'Polar cap absorption',
+            ionosphere: 'Ionospheric storm',
+            scintillation: 'Scintillation and positioning errors',
+            inducedCurrents: 'Geomagnetically induced currents',
+            forecast: '{hazard} (forecast)',
+        },
+        findings: {
+            reason: '{condition}; {exposure} — {effect}.',
+            condition: '{measure} ({scale})',
+            scale: '{code} {name}',
+            belowScale: 'below {code}',
+            noRadiationStorm: 'No radiation storm',
+            kp: 'Kp {kp}',
+            kpUnavailable: 'Kp unavailable',
+            kpExpected: 'Kp {kp} expected',
+            protons: '≥10 MeV protons at {flux} pfu',
+            protonsUnknown: '≥10 MeV protons unknown',
+            xray: 'X-ray flux at {flareClass}',
+            xrayUnknown: 'X-ray flux unknown',
+            forecast: 'A CME ({cmeId}) is expected around {time}. {reason}',
+        },
+        exposures: {
+            highOrbit: '{orbit} orbits sit in the storm-time plasma sheet',
+            lowOrbit: 'low orbits see little charging outside the auroral zones',
+            lowDrag: 'at {altitude} km storm heating raises drag sharply and orbit predictions drift',
+            highDrag: 'at {altitude} km the thin atmosphere limits extra drag',
+            polarOrbit: 'this orbit is exposed outside the magnetosphere\'s shielding',
+            shieldedOrbit: 'a low-inclination low orbit is shielded by the magnetosphere',
+            daylightPath: 'part of the path is in daylight',
+            darkPath: 'the whole path is in darkness, out of reach of flare X-rays',
+            polarPath: 'the path crosses the polar cap',
+            clearPath: 'the path stays clear of the polar cap',
+            ovalPath: 'the path runs near the auroral oval, where absorption and fading are worst',
+            farPath: 'the path is far from the auroral oval',
+            ovalSite: 'the site is near the auroral oval, where the ionosphere turns irregular',
+            farSite: 'the site is far from the auroral oval',
+            precision: '{exposure}, and precision positioning is the first to degrade',
+            electrojet: 'at {latitude}° geomagnetic latitude the site is near the auroral electrojet, which drives induced currents in long lines and transformers',
+            farElectrojet: 'at {latitude}° geomagnetic latitude the site is far from the auroral electrojet',
+        },
+        effects: {
+            0: 'little effect expected',
+            1: 'some effect possible',
+            2: 'significant effect likely',
+            3: 'serious disruption likely',
+        },
+        errors: {
+            kind: 'Pick what kind of asset this is.',
+            name: 'Give the asset a name of at most {max} characters.',
+            point: 'Enter a latitude and longitude.',
+            pointProblem: '{label}: {problem}',
+            orbit: 'Pick an orbit type.',
+            altitude: 'Altitude must be between {min} and {max} km.',
+            inclination: 'Inclination must be between 0° and 180°.',
+            tleLines: 'A TLE needs both element lines (starting "1 " and "2 "), 69 characters each.',
+            tleChecksum: 'The TLE checksum does not match; check that it was copied completely.',
+            tleElements: 'The TLE elements could not be read.',
+        },
+    },
+
+    profile: {
+        language: 'Language',
+        browserLanguage: 'Browser default',
+        contrast: 'Contrast',
+        systemTheme: 'System setting',
+        speedUnit: 'Show speeds in',
+        timeDisplay: 'Show times in',
+        errors: {
+            displayName: 'Display name must be at most {max} characters.',
+            language: 'Pick a language.',
+            theme: 'Pick a theme.',
+            speedUnit: 'Pick a speed unit.',
+            timeDisplay: 'Pick local time or UTC.',
+        },
+    },
+
+    team: {
+        title: 'Team Workspace',
+        intro: 'Create a team to pin notes to the timeline with colleagues, or ask a team admin to add you.',
+        select: 'Team',
+        option: '{name} ({role})',
+        newTeam: 'New team',
+        name: 'Team name',
+        create: 'Create Team',
+        creating: 'Creating...',
+        cancel: 'Cancel',
+        yourId: 'Your user ID, for a team admin to add you:',
+        members: 'Members ({count})',
+        hideMembers: 'Hide members',
+        you: '(you)',
+        roleOf: 'Role of {name}',
+        leave: 'Leave team',
+        remove: 'Remove',
+        userId: 'User ID',
+        memberName: 'Name (optional)',
+        newMemberId: 'User ID of the new member',
+        newMemberName: 'Name of the new member',
+        newMemberRole: 'Role of the new member',
+        addMember: 'Add Member',
+        adminHint: 'Another admin can change your role or remove you from the team.',
+        roles: { viewer: 'Viewer', editor: 'Editor', admin: 'Admin' },
+        roleDescriptions: {
+            viewer: 'Reads the annotations and comments on them',
+            editor: 'Also pins annotations and changes their own, and registers the team\'s assets',
+            admin: 'Also changes any annotation or comment, manages members and the team\'s webhooks and email',
+        },
+        pinTo: 'Pin a note to {target}',
+        notePlaceholder: 'e.g. GPS outage reported at site B',
+        pin: 'Pin Note',
+        pinHint: 'Click a point on the trends or pick an event to pin a note to it.',
+        noNotes: 'No notes on the timeline yet.',
+        unknownTime: 'Unknown time',
+        editNote: 'Edit note',
+        deleteNote: 'Delete note',
+        note: 'Note',
+        save: 'Save',
+        comments: 'Comments',
+        hideComments: 'Hide comments',
+        noComments: 'No comments yet.',
+        comment: 'Comment',
+        commentPlaceholder: 'Add a comment',
+        deleteComment: 'Delete comment',
+        ownerPersonal: 'Personal',
+        ownerTeam: 'Team: {name}',
+        errors: {
+            name: 'Give the team a name of at most {max} characters.',
+            memberId: 'Enter the user ID of the person to add.',
+            role: 'Pick a role.',
+            note: 'Write a note of at most {max} characters.',
+            pin: 'Pick a time or event to pin the note to.',
+            comment: 'Write a comment of at most {max} characters.',
+        },
+    },
+};
+
+export default en;
@@ -0,0 +1,726 @@
+// Spanish messages (see en.js for the keys of texts that come with data)
+const es = {
+    ordinal: { other: '{n}.º' },
+    common: {
+        na: 'N/D',
+        saving: 'Guardando...',
+        cancel: 'Cancelar',
+        edit: 'Editar {name}',
+        delete: 'Eliminar {name}',
+        to: 'a',
+        latitude: 'Latitud',
+        longitude: 'Longitud',
+        andAbove: '{severity} o más',
+        metricsAll: 'Métricas (ninguna marcada = todas)',
+    },
+
+    header: {
+        title: 'Centro de Clima Espacial',
+        views: { dashboard: 'Panel', statistics: 'Estadísticas' },
+        guest: 'Invitado',
+        signIn: 'Iniciar sesión',
+    },
+    app: {
+        loading: 'Iniciando escaneo del espacio profundo... Obteniendo datos en tiempo real.',
+        warning: '¡Atención!',
+        dashboardTitle: 'Panel universal de clima espacial',
+    },
+
+    alerts: {
+        levels: {
+            Normal: 'Condiciones nominales',
+            Minor: 'Aviso de actividad solar menor',
+            Moderate: 'Vigilancia de clima espacial moderado',
+            Severe: '¡ALERTA DE CLIMA ESPACIAL SEVERO!',
+        },
+        severities: { Normal: 'Normal', Minor: 'Menor', Moderate: 'Moderada', Severe: 'Severa' },
+        why: 'Motivo de la alerta:',
+        announce: 'Cambio de nivel de alerta de clima espacial: {title}. {message}',
+        reason: '{metric} {comparator} {threshold} {window}{span}; máximo {peak} a las {peakAt}.',
+        window: { hours: 'en las últimas {hours} h', series: 'en la serie cargada' },
+        span: { run: ' durante {hours} h ({start} a {end})', single: ' a las {time}' },
+        builtIn: {
+            Normal: { message: 'Todos los sistemas en orden. El clima espacial está en calma.' },
+            Minor: {
+                message: 'Actividad solar menor detectada. Se recomienda seguimiento.',
+                details: 'Niveles de radiación elevados, posibles apagones de radio menores, sobre todo en las regiones polares. Sin amenazas generalizadas inmediatas, pero manténgase informado.',
+            },
+            Moderate: {
+                message: 'VIGILANCIA MODERADA: ¡se aproxima clima espacial potencialmente perturbador!',
+                details: 'Posibles auroras visibles en latitudes medias, pequeñas fluctuaciones en la red eléctrica y errores ocasionales de navegación por satélite. Precaución, especialmente con los sistemas sensibles.',
+            },
+            Severe: {
+                message: 'ALERTA SEVERA: ¡infraestructuras críticas en alto riesgo por tormenta solar!',
+                details: 'Se esperan fluctuaciones generalizadas en la red eléctrica, cortes importantes de satélites e interferencias graves de radio y GPS. Prepare los protocolos de emergencia y posibles cortes de comunicaciones.',
+            },
+        },
+        rules: {
+            'kp-severe': 'Tormenta geomagnética severa (Kp ≥ 7)',
+            'flare-severe': 'Fulguración de clase X',
+            'kp-moderate': 'Tormenta geomagnética (Kp ≥ 5)',
+            'flare-moderate': 'Fulguración de clase M',
+            'flare-minor': 'Cualquier fulguración solar',
+            'cme-minor': 'EMC rápida (> 400 km/s)',
+            'kp-minor': 'Campo geomagnético inestable (Kp ≥ 3)',
+        },
+    },
+
+    metrics: {
+        solarFlareCount: 'Fulguraciones solares',
+        maxFlareFlux: 'Flujo máximo de fulguración',
+        cmeCount: 'EMC',
+        maxCmeSpeed: 'Velocidad máxima de EMC',
+        geomagneticStormLevel: 'Índice Kp',
+        planetaryKIndex: 'Kp planetario',
+        xrayFluxLong: 'Flujo de rayos X GOES (0,1-0,8 nm)',
+        xrayFluxShort: 'Flujo de rayos X GOES (0,05-0,4 nm)',
+        solarWindSpeed: 'Velocidad del viento solar',
+        solarWindDensity: 'Densidad del viento solar',
+        solarWindTemperature: 'Temperatura del viento solar',
+        imfBz: 'Bz del CMI (GSM, mínimo)',
+        imfBt: 'Bt del CMI',
+        protonFlux10MeV: 'Flujo de protones (≥10 MeV)',
+    },
+
+    noaa: {
+        scales: { G: 'Tormenta geomagnética', R: 'Apagón de radio', S: 'Tormenta de radiación solar' },
+        names: { 1: 'Menor', 2: 'Moderada', 3: 'Fuerte', 4: 'Severa', 5: 'Extrema' },
+        none: 'Ninguna',
+        badgeTitle: '{scale}: {name} ({threshold}+)',
+        badgeTitleNone: '{scale}: ninguna',
+        impacts: {
+            G1: 'Pueden producirse fluctuaciones débiles en la red eléctrica. Impacto menor en la operación de satélites. Auroras visibles con frecuencia en latitudes altas.',
+            G2: 'Posibles alarmas de tensión en redes de latitudes altas. Los satélites pueden necesitar correcciones de orientación; el mayor arrastre afecta a las predicciones de órbita. La radio HF puede desvanecerse en latitudes altas.',
+            G3: 'Pueden ser necesarias correcciones de tensión y algunas protecciones pueden dar falsas alarmas. Carga superficial en satélites y más arrastre en órbita baja. Problemas intermitentes de navegación por satélite y radio HF.',
+            G4: 'Posibles problemas generalizados de control de tensión; las protecciones pueden desconectar elementos clave de la red. Carga superficial y problemas de seguimiento de satélites. Navegación por satélite degradada durante horas; radio HF esporádica.',
+            G5: 'Problemas generalizados de control de tensión; algunas redes pueden colapsar o quedar a oscuras. Carga extensa de satélites y problemas de orientación y seguimiento. La radio HF puede ser imposible durante 1-2 días; navegación por satélite degradada durante días.',
+            R1: 'Degradación débil o menor de la radio HF en el lado iluminado, pérdidas ocasionales de contacto. Señales de navegación de baja frecuencia degradadas brevemente.',
+            R2: 'Apagón limitado de radio HF en el lado iluminado, pérdida de contacto durante decenas de minutos. Navegación de baja frecuencia degradada durante decenas de minutos.',
+            R3: 'Apagón de radio HF en una zona amplia, pérdida de contacto durante cerca de una hora en el lado iluminado. Navegación de baja frecuencia degradada durante cerca de una hora.',
+            R4: 'Apagón de radio HF en la mayor parte del lado iluminado durante 1-2 horas. Los cortes de navegación de baja frecuencia aumentan los errores de posición; posible alteración menor de la navegación por satélite.',
+            R5: 'Apagón total de radio HF en todo el lado iluminado durante horas. Navegación marítima y aérea de baja frecuencia sin servicio durante muchas horas; más errores de navegación por satélite.',
+            S1: 'Impactos menores en la radio HF de las regiones polares. Sin impacto biológico ni en la operación de satélites.',
+            S2: 'Mayor riesgo de radiación para tripulación y pasajeros en vuelos de latitudes altas. Fallos puntuales por eventos aislados en satélites. Pequeños efectos en la propagación HF polar.',
+            S3: 'Se recomienda evitar la radiación a los astronautas en actividad extravehicular. Probables fallos por eventos aislados, ruido en imágenes y ligera degradación de paneles solares. Radio HF y navegación polares degradadas.',
+            S4: 'Riesgo de radiación inevitable para astronautas en actividad extravehicular. Problemas de memoria, de seguidores estelares y de orientación en satélites; paneles solares degradados. Apagón HF polar y errores de navegación durante varios días.',
+            S5: 'Alto riesgo de radiación para astronautas y vuelos de latitudes altas. Los satélites pueden quedar inutilizados; posibles daños permanentes en paneles solares. Apagón HF polar total; navegación extremadamente difícil.',
+        },
+    },
+
+    conditions: {
+        title: 'Condiciones espaciales actuales',
+        timestamp: 'Fecha y hora:',
+        flares: 'Fulguraciones solares (última hora):',
+        maxFlareClass: 'Clase máxima de fulguración:',
+        cmes: 'EMC (última hora):',
+        maxCmeSpeed: 'Velocidad máxima de EMC:',
+        kp: 'Índice geomagnético Kp:',
+        protons: 'Flujo de protones ≥10 MeV (pfu):',
+        scales: 'Escalas NOAA (esta hora):',
+    },
+
+    sky: {
+        title: 'Eventos celestes de esta noche',
+        dateLabel: '{weekday}, {day} de {month} de {year}',
+        moon: 'Luna',
+        moonLit: '{phase}, iluminada al {percent} %',
+        moonRiseSet: 'Salida / puesta de la Luna',
+        upAllNight: 'Visible toda la noche',
+        belowHorizon: 'Bajo el horizonte',
+        sunsetSunrise: 'Puesta / salida del Sol',
+        civilDusk: 'Fin del crepúsculo civil',
+        darkness: 'Oscuridad astronómica',
+        noDarkness: 'No esta noche',
+        planetsAt: 'Planetas a las {time}:',
+        brightStars: 'Estrellas brillantes:',
+        noneAbove: 'ninguna sobre el horizonte',
+        midnightSun: 'El Sol no se pone esta noche en este lugar.',
+        computedFor: 'Calculado para {location} ({latitude}°, {longitude}°).',
+        timesLocal: 'Horas en tu zona horaria local.',
+        timesUtc: 'Horas en UTC.',
+        phases: {
+            'New Moon': 'Luna nueva',
+            'Waxing Crescent': 'Luna creciente',
+            'First Quarter': 'Cuarto creciente',
+            'Waxing Gibbous': 'Gibosa creciente',
+            'Full Moon': 'Luna llena',
+            'Waning Gibbous': 'Gibosa menguante',
+            'Last Quarter': 'Cuarto menguante',
+            'Waning Crescent': 'Luna menguante',
+        },
+        planets: { Mercury: 'Mercurio', Venus: 'Venus', Mars: 'Marte', Jupiter: 'Júpiter', Saturn: 'Saturno' },
+        compass: { N: 'N', NE: 'NE', E: 'E', SE: 'SE', S: 'S', SW: 'SO', W: 'O', NW: 'NO' },
+    },
+
+    aurora: {
+        title: 'Visibilidad de auroras',
+        levels: { Good: 'Buena', Possible: 'Posible', Poor: 'Escasa', None: 'Nula' },
+        verdicts: {
+            Good: 'Buenas posibilidades de ver auroras',
+            Possible: 'Auroras posibles, mira hacia el polo',
+            Poor: 'Es poco probable que la aurora se aprecie',
+            None: 'Auroras no visibles desde este lugar',
+        },
+        inOval: 'La latitud geomagnética de {latitude}° está dentro del óvalo auroral (borde a {boundary}° con Kp {kp}).',
+        horizon: {
+            north: 'El borde del óvalo, a {boundary}° con Kp {kp}, queda a la vista, bajo sobre el horizonte norte.',
+            south: 'El borde del óvalo, a {boundary}° con Kp {kp}, queda a la vista, bajo sobre el horizonte sur.',
+        },
+        outOfReach: 'La latitud geomagnética de {latitude}° está demasiado lejos de la zona auroral para cualquier nivel de tormenta.',
+        needsKp: 'La latitud geomagnética de {latitude}° necesita un Kp de {neededKp} o más; el Kp actual es {kp}.',
+        sky: 'Cielo: {darkness}.',
+        moon: 'Luna: {moonlight}.',
+        darkness: {
+            daylight: 'Día o crepúsculo civil',
+            nautical: 'Crepúsculo náutico',
+            astronomical: 'Crepúsculo astronómico',
+            dark: 'Noche cerrada',
+        },
+        moonlight: {
+            bright: '{phase}, brillante y sobre el horizonte',
+            up: '{phase}, sobre el horizonte',
+            faint: '{phase}, tenue',
+            down: 'bajo el horizonte',
+        },
+        summary: '{location} · Kp {kp} · latitud geomagnética {latitude}° · evaluado para {time}',
+    },
+
+    location: {
+        title: 'Ubicación del observador',
+        current: 'Ahora:',
+        locating: 'Localizando...',
+        useMine: 'Usar mi ubicación',
+        search: 'Buscar ciudad...',
+        latitudeShort: 'Lat',
+        longitudeShort: 'Lon',
+        set: 'Fijar',
+        errors: {
+            latitude: 'La latitud debe ser un número entre -90 y 90.',
+            longitude: 'La longitud debe ser un número entre -180 y 180.',
+            unsupported: 'Este navegador no admite la geolocalización.',
+            failed: 'No se pudo determinar tu ubicación.',
+        },
+    },
+
+    chart: {
+        title: 'Tendencias del clima espacial ({range})',
+        points: 'Valores {resolution} · {count} puntos',
+        panelsLabel: 'Paneles',
+        noPanels: 'No hay paneles seleccionados. Elige uno arriba para ver las tendencias.',
+        resetZoom: 'Restablecer zoom ({start} a {end})',
+        brushHint: 'Arrastra los controles o la ventana sombreada para ampliar todos los paneles.',
+        pointHint: 'Haz clic en un punto de cualquier panel para ver los eventos que hay detrás.',
+        timesLocal: 'Las horas están en tu zona horaria local; los días y semanas empiezan a medianoche UTC.',
+        timesUtc: 'Todas las horas están en UTC.',
+        bucket: { hour: 'Hora: {time}', day: 'Día: {date} (UTC)', week: 'Semana del {date} (UTC)' },
+        table: {
+            show: 'Mostrar tabla de datos',
+            hide: 'Ocultar tabla de datos',
+            caption: 'Valores de los paneles mostrados. Las flechas mueven entre celdas; Inicio y Fin van a los extremos de una fila, Ctrl+Inicio y Ctrl+Fin a los de la tabla.',
+            time: 'Hora',
+            noValue: 'sin datos',
+            summary: '{count} puntos de {start} a {end}.',
+            peak: 'Máximo de {label}: {value} en {time}.',
+        },
+        panels: {
+            xray: 'Flujo de rayos X y clases de fulguración',
+            kp: 'Índice Kp por escala G de NOAA',
+            cme: 'Velocidades de EMC',
+        },
+        xray: {
+            axis: 'Flujo de rayos X (W/m²)',
+            goes: 'Flujo de rayos X GOES (0,1-0,8 nm)',
+            flarePeak: 'Pico de fulguración (DONKI)',
+        },
+        kp: {
+            axis: 'Kp',
+            series: 'Índice Kp',
+            noReading: 'sin lectura',
+            range: '{low} a {high}',
+            forecast: 'Kp previsto',
+            forecastRange: 'Rango previsto',
+        },
+        cme: {
+            axis: 'Velocidad ({unit})',
+            series: 'Velocidad de EMC',
+            none: 'sin EMC',
+            fastestOf: '{speed} (la más rápida de {count})',
+        },
+    },
+
+    range: {
+        last: '{range} hasta ahora',
+        start: 'Fecha de inicio',
+        end: 'Fecha de fin',
+        apply: 'Aplicar',
+        presets: { '24h': '24 horas', '7d': '7 días', '30d': '30 días', '1y': '1 año', custom: 'Personalizado' },
+        resolutions: { hour: 'horarios', day: 'diarios', week: 'semanales' },
+        errors: {
+            dates: 'Elige una fecha de inicio y una de fin.',
+            order: 'La fecha de inicio debe ser anterior a la de fin.',
+        },
+    },
+
+    export: {
+        label: 'Exportar',
+        exporting: 'Exportando...',
+    },
+
+    backfill: {
+        running: 'Completando el historial',
+        missingTitle: 'Parte de este rango no se ha ingerido',
+        span: '{start} a {end}',
+        progress: '{done} de {total} bloques hechos',
+        statuses: { pending: 'pendiente', running: 'en curso' },
+        missing: 'Falta: {gaps}. Las fulguraciones, EMC y tormentas se pueden completar desde NASA DONKI; las mediciones en tiempo real de NOAA solo llegan a unos pocos días atrás.',
+        requesting: 'Solicitando…',
+        request: 'Completar este rango',
+    },
+
+    freshness: {
+        justNow: 'ahora mismo',
+        minutesAgo: 'hace {count} min',
+        hoursAgo: 'hace {count} h',
+        daysAgo: 'hace {count} días',
+        synced: 'sincronizado {age}',
+        neverSynced: 'nunca sincronizado en este dispositivo',
+        offline: 'Sin conexión · datos guardados, {synced}',
+        reconnecting: 'Reconectando · datos guardados, {synced}',
+        live: 'En directo · {synced}',
+        stale: 'Dato más reciente: {age}',
+        rateLimited: '{name}: limitada hasta las {time}',
+        quota: '{name}: quedan {remaining} de {limit} peticiones esta hora',
+        reported: 'Informado por la API {age}',
+        counted: 'Contado por el servicio de ingesta',
+    },
+
+    events: {
+        recent: 'Eventos recientes',
+        around: 'Eventos en torno a {time}',
+        showAll: 'Mostrar todos los eventos',
+        noneInHour: 'No hay eventos registrados en esta hora.',
+        none: 'Aún no se han cargado fulguraciones, EMC ni tormentas.',
+        close: 'Cerrar los detalles del evento',
+        details: 'Detalles',
+        timeline: 'Cronología',
+        linked: 'Eventos relacionados',
+        notLoaded: '{id} no está en los datos cargados',
+        viewInDonki: 'Ver en DONKI',
+        raw: 'Registro DONKI original',
+        notAvailable: 'No disponible',
+        event: 'Evento',
+        types: {
+            FLR: 'Fulguración solar',
+            CME: 'Eyección de masa coronal',
+            GST: 'Tormenta geomagnética',
+            SEP: 'Partículas solares energéticas',
+            IPS: 'Choque interplanetario',
+            RBE: 'Intensificación de los cinturones de radiación',
+            HSS: 'Corriente de alta velocidad',
+        },
+        facts: {
+            classType: 'Clase',
+            peakFlux: 'Flujo máximo',
+            sourceLocation: 'Región de origen',
+            activeRegion: 'Región activa',
+            speed: 'Velocidad',
+            halfAngle: 'Semiángulo',
+            direction: 'Dirección',
+            analysisType: 'Tipo de análisis',
+            maxKp: 'Kp máximo',
+            location: 'Ubicación',
+            instruments: 'Instrumentos',
+            note: 'Nota',
+        },
+        moments: {
+            flareBegan: 'Inicio de la fulguración',
+            peak: 'Máximo',
+            peakClass: 'Máximo ({classType})',
+            flareEnded: 'Fin de la fulguración',
+            cmeSeen: 'EMC vista por primera vez',
+            front: 'Frente a 21,5 radios solares',
+            frontSpeed: 'Frente a 21,5 radios solares ({speed})',
+            stormBegan: 'Inicio de la tormenta',
+            kp: 'Kp {kp}',
+            kpSource: 'Kp {kp} ({source})',
+            ended: 'Fin',
+        },
+        summary: {
+            activeRegion: 'RA {number}',
+            halfAngle: 'semiángulo {angle}°',
+            towards: 'hacia {direction}',
+            maxKp: 'Kp máximo {kp}',
+            at: 'en {location}',
+        },
+    },
+
+    storm: {
+        title: 'Previsión de tormentas',
+        day: '{day} (UTC)',
+        kp: 'Kp {kp}',
+        likelyRange: 'Rango probable Kp {low} a {high}',
+        earthDirected: 'EMC dirigidas a la Tierra',
+        noArrivals: 'Ninguna EMC analizada en los últimos días se dirige a la Tierra.',
+        launched: 'Lanzada a {speed}, a {angle}° de la línea Sol-Tierra (semiancho {halfAngle}°).',
+        arrival: 'Llegada {median}, ventana de {earliest} a {latest}.',
+        expected: 'Prevista a unos {speed}, Kp máximo {kp} ({low} a {high}).',
+        model: 'Modelo de arrastre calculado sobre una gama de condiciones del viento solar. Los rangos cubren el 10-90 % de las ejecuciones más 1 Kp por el campo magnético desconocido de la EMC; cabe esperar errores de un día y de varios Kp en EMC rápidas o que interactúan.',
+    },
+
+    imagery: {
+        title: 'Imágenes solares',
+        source: 'Fuente de imagen',
+        noImage: 'No hay imagen de {source} para {time}.',
+        image: '{source} a las {time}',
+        marker: '{classType} en {location}, máximo {time}',
+        flare: 'Fulguración',
+        previous: 'Fotograma anterior',
+        play: 'Reproducir animación',
+        pause: 'Pausar animación',
+        next: 'Fotograma siguiente',
+        frame: 'Fotograma',
+        frameOf: '{time} · fotograma {index} de {count}',
+        selectedTime: ' · hora seleccionada',
+        cadence: '{description}. Fotogramas cada {minutes} minutos en torno a la fulguración o el punto seleccionados, o al final del rango.',
+        markers: {
+            one: '{count} fulguración a menos de {hours} horas de este fotograma, marcada donde la rotación del Sol ha llevado su región de origen.',
+            other: '{count} fulguraciones a menos de {hours} horas de este fotograma, marcadas donde la rotación del Sol ha llevado sus regiones de origen.',
+        },
+        noMarkers: 'Ninguna fulguración con región de origen a menos de {hours} horas de este fotograma está en el disco visible.',
+        clickMarker: 'Haz clic en una marca para ver sus detalles.',
+        coronagraph: 'El círculo discontinuo es el disco solar tras el ocultador. Las marcas de fulguraciones se muestran en las imágenes del disco.',
+        descriptions: {
+            'aia-193': 'Corona y plasma de fulguraciones',
+            'aia-131': 'El plasma más caliente de las fulguraciones',
+            'aia-304': 'Cromosfera y protuberancias',
+            'hmi-continuum': 'Manchas solares en luz visible',
+            'lasco-c2': 'Coronógrafo, hasta 6 radios solares',
+            'lasco-c3': 'Coronógrafo, hasta 30 radios solares',
+        },
+    },
+
+    statistics: {
+        contextTitle: 'El clima espacial en contexto',
+        noSunspots: 'El servicio de ingesta aún no ha guardado los números mensuales de manchas solares.',
+        loadFailed: 'No se pudo cargar el historial guardado: {error}',
+        title: 'Estadísticas de actividad',
+        period: 'Periodo',
+        last: '{period} hasta hoy',
+        loading: 'Cargando el historial guardado...',
+        periods: { '30d': '30 días', '90d': '90 días', '1y': '1 año' },
+        flaresByClass: 'Fulguraciones por mes y clase',
+        flareClass: 'Clase {letter}',
+        cmeSpeeds: 'Velocidades de EMC',
+        cmes: 'EMC',
+        cmeSummary: '{count} EMC con velocidad medida · mediana {median} · la más rápida {fastest}',
+        noCmeSpeeds: 'Ninguna EMC con velocidad medida en este periodo.',
+        stormDays: 'Días de tormenta por nivel G',
+        stormDaysSummary: '{count} de {days} días alcanzaron G1 o más. Cada día cuenta según su hora más intensa (días UTC).',
+        comparison: 'Comparado con años anteriores',
+        columns: { period: 'Periodo', flares: 'Fulguraciones', majorFlares: 'M/X', cmes: 'EMC', stormDays: 'Días de tormenta' },
+        incomplete: 'Parte de este periodo no se ha ingerido, así que los recuentos se quedan cortos.',
+        incompleteNote: '* Aún no ingerido del todo; solicita completar estas fechas desde el gráfico de tendencias.',
+    },
+
+    solarCycle: {
+        title: 'Ciclo solar {cycle}',
+        into: 'Tiempo de ciclo',
+        age: '{years} a {months} m',
+        began: 'Comenzó en {month}; cerca del {percent} % de un ciclo típico de {years} años',
+        smoothed: 'Número de manchas suavizado',
+        smoothedNote: '{month}; media mensual {value} en {latestMonth}',
+        peak: 'Máximo hasta ahora',
+        peakNote: '{month}; previsto {value} hacia {predictedMonth}',
+        phases: {
+            rising: 'Fase ascendente: la actividad aún crece hacia el máximo solar.',
+            maximum: 'En torno al máximo solar: el número de manchas suavizado está cerca de su máximo hasta ahora, cuando las grandes fulguraciones y EMC son más frecuentes.',
+            declining: 'Fase descendente: pasado el máximo, aunque algunas de las mayores tormentas de un ciclo llegan en la bajada.',
+        },
+        monthlyMean: 'Media mensual',
+        smoothedSeries: 'Suavizado de 13 meses',
+        source: 'Números de manchas: WDC-SILSO, Real Observatorio de Bélgica, Bruselas (datos hasta {month}; el valor suavizado va 6 meses por detrás).',
+    },
+
+    ruleEditor: {
+        title: 'Reglas de alerta',
+        show: 'Editar reglas de alerta',
+        hide: 'Ocultar reglas de alerta',
+        columns: {
+            enabled: 'Activa',
+            name: 'Nombre',
+            metric: 'Métrica',
+            condition: 'Condición',
+            duration: 'Durante (h)',
+            window: 'Ventana (h)',
+            severity: 'Gravedad',
+        },
+        newRule: 'Nueva regla',
+        enabled: 'Activa',
+        name: 'Nombre de la regla',
+        comparator: 'Comparador',
+        threshold: 'Umbral',
+        duration: 'Duración en horas',
+        window: 'Ventana en horas',
+        wholeSeries: 'todo',
+        add: 'Añadir regla',
+        save: 'Guardar reglas',
+        reset: 'Restablecer valores predeterminados',
+        errors: {
+            name: 'El nombre es obligatorio.',
+            metric: 'La métrica es obligatoria.',
+            comparator: 'El comparador debe ser uno de {comparators}.',
+            threshold: 'El umbral debe ser un número.',
+            duration: 'La duración debe ser un número entero de horas (1 o más).',
+            window: 'La ventana debe estar vacía (toda la serie) o ser un número entero de horas no menor que la duración.',
+            severity: 'La gravedad debe ser Menor, Moderada o Severa.',
+        },
+    },
+
+    notifications: {
+        title: 'Notificaciones',
+        show: 'Ajustes de notificaciones',
+        hide: 'Ocultar ajustes de notificaciones',
+        enabled: 'Avisarme cuando suba el nivel de alerta',
+        onlyFor: 'Solo para',
+        quietHours: 'Horas de silencio',
+        quietStart: 'Inicio de las horas de silencio',
+        quietEnd: 'Fin de las horas de silencio',
+        push: 'Avisar también a este dispositivo con el panel cerrado (Web Push)',
+        save: 'Guardar ajustes de notificaciones',
+        errors: {
+            minSeverity: 'La gravedad mínima debe ser Menor, Moderada o Severa.',
+            metrics: 'Las métricas deben ser una lista.',
+            quietHours: 'Las horas de silencio necesitan una hora de inicio y de fin en formato HH:MM.',
+            timeZone: 'Zona horaria desconocida "{timeZone}".',
+            unsupported: 'Este navegador no admite notificaciones.',
+            blocked: 'Las notificaciones están bloqueadas para este sitio. Permítelas en los ajustes del navegador.',
+            pushUnsupported: 'Este navegador no admite Web Push.',
+            pushUnconfigured: 'Web Push no está configurado (falta la clave pública VAPID).',
+            pushNeedsWorker: 'Web Push necesita el service worker, que solo funciona en las versiones de producción.',
+        },
+    },
+
+    integrations: {
+        title: 'Integraciones de alertas',
+        show: 'Webhooks y correo',
+        hide: 'Ocultar integraciones',
+        owner: 'Integraciones de',
+        teamRules: 'Los destinos del equipo siguen las reglas de alerta integradas; los tuyos siguen las reglas que edites.',
+        empty: 'Aún no hay destinos. Las alertas pueden ir a webhooks compatibles con Slack, webhooks JSON y correo.',
+        test: 'Probar',
+        sendTest: 'Enviar una alerta de prueba a {name}',
+        add: 'Añadir destino',
+        name: 'Nombre',
+        endpointName: 'Nombre del destino',
+        kind: 'Tipo de destino',
+        minSeverity: 'Gravedad mínima',
+        enabled: 'Activo',
+        recipients: 'Destinatarios del correo',
+        url: 'URL del webhook',
+        headers: 'Cabeceras adicionales, una por línea',
+        template: 'Plantilla (vacía = predeterminada)',
+        placeholders: 'Marcadores:',
+        save: 'Guardar destino',
+        deliveries: 'Envíos recientes',
+        noDeliveries: 'Aún no se ha enviado nada.',
+        columns: { time: 'Hora', endpoint: 'Destino', alert: 'Alerta', status: 'Estado', attempts: 'Intentos' },
+        testAlert: 'Prueba',
+        statuses: { delivered: 'entregado', failed: 'fallido' },
+        kinds: { slack: 'Webhook compatible con Slack', webhook: 'Webhook JSON', email: 'Correo (SMTP)' },
+        fields: {
+            title: 'Título de la alerta, p. ej. "Alerta de clima espacial severo: fulguración de clase X"',
+            level: 'Nivel general de alerta (Minor, Moderate, Severe)',
+            message: 'Mensaje de la regla que decidió el nivel',
+            details: 'Explicación más larga de ese nivel',
+            reasons: 'Una línea por cada regla recién disparada, con lo que se cumplió',
+            rules: 'Nombres de las reglas recién disparadas, separados por comas',
+            time: 'Cuándo se envió la alerta (ISO 8601, UTC)',
+            dashboardUrl: 'Enlace al panel',
+        },
+        errors: {
+            name: 'El nombre es obligatorio.',
+            kind: 'El tipo debe ser uno de {kinds}.',
+            url: 'La URL debe ser una dirección http(s).',
+            headerName: '"{name}" no es un nombre de cabecera válido.',
+            headerReserved: 'La cabecera {name} la fija el servicio y no se puede cambiar.',
+            headerValue: 'La cabecera {name} debe ser una sola línea de texto.',
+            to: 'Indica una o más direcciones de correo.',
+            template: 'La plantilla del webhook debe generar JSON válido (deja los marcadores entre comillas).',
+        },
+    },
+
+    assets: {
+        title: 'Impacto en activos',
+        owner: 'Activos de',
+        readOnly: 'Los editores y administradores del equipo registran sus activos.',
+        teamEmpty: 'El equipo aún no tiene activos registrados.',
+        empty: 'Registra los satélites, enlaces HF, operaciones GNSS y subestaciones que gestionas para ver cómo les afectan las condiciones actuales.',
+        add: 'Añadir activo',
+        name: 'Nombre',
+        assetName: 'Nombre del activo',
+        kind: 'Tipo de activo',
+        save: 'Guardar activo',
+        orbit: 'Tipo de órbita',
+        altitude: 'Altitud (km)',
+        inclination: 'Inclinación (°)',
+        tle: 'O pega un conjunto de elementos de dos líneas (sustituye a la órbita de arriba)',
+        transmitter: 'Transmisor',
+        receiver: 'Receptor',
+        location: 'Ubicación',
+        pointLatitude: 'Latitud de {label}',
+        pointLongitude: 'Longitud de {label}',
+        precision: 'Posicionamiento de precisión (RTK, topografía, agricultura de precisión, aproximaciones de aterrizaje)',
+        disclaimer: 'Orientación aproximada a partir de las escalas de NOAA, el óvalo auroral para el Kp actual y la exposición de cada activo; los umbrales y modelos propios de los operadores tienen prioridad.',
+        kinds: { satellite: 'Satélite', hfLink: 'Enlace de radio HF', gnss: 'Operación dependiente de GNSS', powerGrid: 'Instalación de la red eléctrica' },
+        orbits: { LEO: 'Órbita terrestre baja', MEO: 'Órbita terrestre media', GEO: 'Geoestacionaria', HEO: 'Muy elíptica' },
+        risks: { Low: 'Bajo', Elevated: 'Elevado', High: 'Alto', Severe: 'Severo' },
+        describe: {
+            satellite: '{orbit}, {altitude} km, {inclination}° de inclinación',
+            fromTle: '{description} (del TLE)',
+            point: '{latitude}°, {longitude}°',
+            hfLink: '{from} a {to}',
+            precision: '{point}, posicionamiento de precisión',
+        },
+        hazards: {
+            surfaceCharging: 'Carga superficial',
+            drag: 'Arrastre atmosférico',
+            radiation: 'Radiación (fallos por eventos aislados)',
+            blackout: 'Apagón de radio',
+            polarCap: 'Absorción del casquete polar',
+            ionosphere: 'Tormenta ionosférica',
+            scintillation: 'Centelleo y errores de posicionamiento',
+            inducedCurrents: 'Corrientes inducidas geomagnéticamente',
+            forecast: '{hazard} (previsión)',
+        },
+        findings: {
+            reason: '{condition}; {exposure} — {effect}.',
+            condition: '{measure} ({scale})',
+            scale: '{code} {name}',
+            belowScale: 'por debajo de {code}',
+            noRadiationStorm: 'Sin tormenta de radiación',
+            kp: 'Kp {kp}',
+            kpUnavailable: 'Kp no disponible',
+            kpExpected: 'Kp {kp} previsto',
+            protons: 'Protones ≥10 MeV a {flux} pfu',
+            protonsUnknown: 'Protones ≥10 MeV desconocidos',
+            xray: 'Flujo de rayos X en {flareClass}',
+            xrayUnknown: 'Flujo de rayos X desconocido',
+            forecast: 'Se espera una EMC ({cmeId}) hacia {time}. {reason}',
+        },
+        exposures: {
+            highOrbit: 'las órbitas {orbit} están en la lámina de plasma en las tormentas',
+            lowOrbit: 'las órbitas bajas apenas se cargan fuera de las zonas aurorales',
+            lowDrag: 'a {altitude} km el calentamiento de la tormenta dispara el arrastre y las predicciones de órbita se desvían',
+            highDrag: 'a {altitude} km la atmósfera tenue limita el arrastre adicional',
+            polarOrbit: 'esta órbita queda expuesta fuera del escudo de la magnetosfera',
+            shieldedOrbit: 'una órbita baja de poca inclinación está protegida por la magnetosfera',
+            daylightPath: 'parte del trayecto está de día',
+            darkPath: 'todo el trayecto está de noche, fuera del alcance de los rayos X de las fulguraciones',
+            polarPath: 'el trayecto cruza el casquete polar',
+            clearPath: 'el trayecto se mantiene lejos del casquete polar',
+            ovalPath: 'el trayecto pasa cerca del óvalo auroral, donde la absorción y los desvanecimientos son peores',
+            farPath: 'el trayecto está lejos del óvalo auroral',
+            ovalSite: 'el lugar está cerca del óvalo auroral, donde la ionosfera se vuelve irregular',
+            farSite: 'el lugar está lejos del óvalo auroral',
+            precision: '{exposure}, y el posicionamiento de precisión es el primero en degradarse',
+            electrojet: 'a {latitude}° de latitud geomagnética el lugar está cerca del electrochorro auroral, que induce corrientes en líneas largas y transformadores',
+            farElectrojet: 'a {latitude}° de latitud geomagnética el lugar está lejos del electrochorro auroral',
+        },
+        effects: {
+            0: 'se espera poco efecto',
+            1: 'es posible algún efecto',
+            2: 'es probable un efecto importante',
+            3: 'es probable una alteración grave',
+        },
+        errors: {
+            kind: 'Elige qué tipo de activo es.',
+            name: 'Pon al activo un nombre de como máximo {max} caracteres.',
+            point: 'Escribe una latitud y una longitud.',
+            pointProblem: '{label}: {problem}',
+            orbit: 'Elige un tipo de órbita.',
+            altitude: 'La altitud debe estar entre {min} y {max} km.',
+            inclination: 'La inclinación debe estar entre 0° y 180°.',
+            tleLines: 'Un TLE necesita las dos líneas de elementos (que empiezan por "1 " y "2 "), de 69 caracteres cada una.',
+            tleChecksum: 'La suma de control del TLE no coincide; comprueba que se copió completo.',
+            tleElements: 'No se pudieron leer los elementos del TLE.',
+        },
+    },
+
+    profile: {
+        language: 'Idioma',
+        browserLanguage: 'El del navegador',
+        contrast: 'Contraste',
+        systemTheme: 'Ajuste del sistema',
+        themes: { standard: 'Estándar', 'high-contrast': 'Alto contraste' },
+        speedUnit: 'Mostrar velocidades en',
+        timeDisplay: 'Mostrar horas en',
+        timeDisplays: { local: 'Hora local', utc: 'UTC' },
+        errors: {
+            displayName: 'El nombre visible puede tener como máximo {max} caracteres.',
+            language: 'Elige un idioma.',
+            theme: 'Elige un tema.',
+            speedUnit: 'Elige una unidad de velocidad.',
+            timeDisplay: 'Elige hora local o UTC.',
+        },
+    },
+
+    team: {
+        title: 'Espacio de equipo',
+        intro: 'Crea un equipo para fijar notas en la línea de tiempo con tus colegas, o pide a un administrador de un equipo que te añada.',
+        select: 'Equipo',
+        option: '{name} ({role})',
+        newTeam: 'Nuevo equipo',
+        name: 'Nombre del equipo',
+        create: 'Crear equipo',
+        creating: 'Creando...',
+        cancel: 'Cancelar',
+        yourId: 'Tu ID de usuario, para que un administrador del equipo te añada:',
+        members: 'Miembros ({count})',
+        hideMembers: 'Ocultar miembros',
+        you: '(tú)',
+        roleOf: 'Rol de {name}',
+        leave: 'Salir del equipo',
+        remove: 'Quitar',
+        userId: 'ID de usuario',
+        memberName: 'Nombre (opcional)',
+        newMemberId: 'ID de usuario del nuevo miembro',
+        newMemberName: 'Nombre del nuevo miembro',
+        newMemberRole: 'Rol del nuevo miembro',
+        addMember: 'Añadir miembro',
+        adminHint: 'Otro administrador puede cambiar tu rol o quitarte del equipo.',
+        roles: { viewer: 'Lector', editor: 'Editor', admin: 'Administrador' },
+        roleDescriptions: {
+            viewer: 'Lee las notas y sus comentarios',
+            editor: 'Además fija notas y cambia las suyas, y registra los activos del equipo',
+            admin: 'Además cambia cualquier nota o comentario y gestiona los miembros y los webhooks y correos del equipo',
+        },
+        pinTo: 'Fijar una nota en {target}',
+        notePlaceholder: 'p. ej. caída del GPS en el sitio B',
+        pin: 'Fijar nota',
+        pinHint: 'Haz clic en un punto de las tendencias o elige un evento para fijarle una nota.',
+        noNotes: 'Aún no hay notas en la línea de tiempo.',
+        unknownTime: 'Hora desconocida',
+        editNote: 'Editar nota',
+        deleteNote: 'Eliminar nota',
+        note: 'Nota',
+        save: 'Guardar',
+        comments: 'Comentarios',
+        hideComments: 'Ocultar comentarios',
+        noComments: 'Aún no hay comentarios.',
+        comment: 'Comentar',
+        commentPlaceholder: 'Añade un comentario',
+        deleteComment: 'Eliminar comentario',
+        ownerPersonal: 'Personal',
+        ownerTeam: 'Equipo: {name}',
+        errors: {
+            name: 'Pon al equipo un nombre de como máximo {max} caracteres.',
+            memberId: 'Escribe el ID de usuario de la persona que quieres añadir.',
+            role: 'Elige un rol.',
+            note: 'Escribe una nota de como máximo {max} caracteres.',
+            pin: 'Elige una hora o un evento donde fijar la nota.',
+            comment: 'Escribe un comentario de como máximo {max} caracteres.',
+        },
+    },
+};
+
+export default es;
@@ -0,0 +1,78 @@
+// --- NOAA Space Weather Scales ---
+// Official NOAA SWPC scales: G (geomagnetic storms) from Kp, R (radio blackouts) from the
+// GOES 0.1-0.8 nm peak X-ray flux, S (solar radiation storms) from the ≥10 MeV proton flux.
+// Impact text is condensed from https://www.swpc.noaa.gov/noaa-scales-explanation.
+
+// Kp thresholds use NOAA's thirds (5- = 4.67); Kp 9- still counts as G4, only 9o is G5
+export const GEOMAGNETIC_STORM_SCALE = [
+    { level: 1, code: 'G1', name: 'Minor', threshold: 4.67, thresholdLabel: 'Kp 5',
+        impacts: 'Weak power grid fluctuations can occur. Minor impact on satellite operations. Aurora commonly visible at high latitudes.' },
+    { level: 2, code: 'G2', name: 'Moderate', threshold: 5.67, thresholdLabel: 'Kp 6',
+        impacts: 'High-latitude power systems may see voltage alarms. Spacecraft may need orientation corrections; increased drag affects orbit predictions. HF radio can fade at higher latitudes.' },
+    { level: 3, code: 'G3', name: 'Strong', threshold: 6.67, thresholdLabel: 'Kp 7',
+        impacts: 'Voltage corrections may be required and some protection devices may false-alarm. Surface charging on satellites and more drag in low-Earth orbit. Intermittent satellite navigation and HF radio problems.' },
+    { level: 4, code: 'G4', name: 'Severe', threshold: 7.67, thresholdLabel: 'Kp 8 (incl. 9-)',
+        impacts: 'Possible widespread voltage control problems; protective systems may trip key grid assets. Satellite surface charging and tracking problems. Satellite navigation degraded for hours; HF radio sporadic.' },
+    { level: 5, code: 'G5', name: 'Extreme', threshold: 9, thresholdLabel: 'Kp 9',
+        impacts: 'Widespread voltage control problems; some grids may collapse or black out. Extensive satellite charging, orientation and tracking problems. HF radio may be impossible for 1-2 days; satellite navigation degraded for days.' },
+];
+
+export const RADIO_BLACKOUT_SCALE = [
+    { level: 1, code: 'R1', name: 'Minor', threshold: 1e-5, thresholdLabel: 'M1',
+        impacts: 'Weak or minor degradation of HF radio on the sunlit side, occasional loss of radio contact. Low-frequency navigation signals degraded briefly.' },
+    { level: 2, code: 'R2', name: 'Moderate', threshold: 5e-5, thresholdLabel: 'M5',
+        impacts: 'Limited HF radio blackout on the sunlit side, loss of contact for tens of minutes. Low-frequency navigation degraded for tens of minutes.' },
+    { level: 3, code: 'R3', name: 'Strong', threshold: 1e-4, thresholdLabel: 'X1',
+        impacts: 'Wide-area HF radio blackout, loss of contact for about an hour on the sunlit side. Low-frequency navigation degraded for about an hour.' },
+    { level: 4, code: 'R4', name: 'Severe', threshold: 1e-3, thresholdLabel: 'X10',
+        impacts: 'HF radio blackout on most of the sunlit side for 1-2 hours. Low-frequency navigation outages increase positioning errors; minor satellite navigation disruption possible.' },
+    { level: 5, code: 'R5', name: 'Extreme', threshold: 2e-3, thresholdLabel: 'X20',
+        impacts: 'Complete HF radio blackout on the entire sunlit side for hours. Maritime and aviation low-frequency navigation out for many hours; increased satellite navigation errors.' },
+];
+
+export const SOLAR_RADIATION_SCALE = [
+    { level: 1, code: 'S1', name: 'Minor', threshold: 10, thresholdLabel: '10 pfu',
+        impacts: 'Minor impacts on HF radio in the polar regions. No biological or satellite operations impact.' },
+    { level: 2, code: 'S2', name: 'Moderate', threshold: 100, thresholdLabel: '100 pfu',
+        impacts: 'Elevated radiation risk for crew and passengers on high-latitude flights. Infrequent single-event upsets on satellites. Small effects on polar HF propagation.' },
+    { level: 3, code: 'S3', name: 'Strong', threshold: 1e3, thresholdLabel: '1,000 pfu',
+        impacts: 'Radiation hazard avoidance recommended for astronauts on EVA. Single-event upsets, imaging noise and slight solar panel degradation likely. Degraded polar HF radio and navigation.' },
+    { level: 4, code: 'S4', name: 'Severe', threshold: 1e4, thresholdLabel: '10,000 pfu',
+        impacts: 'Unavoidable radiation hazard to astronauts on EVA. Satellite memory problems, star-tracker and orientation problems, degraded solar panels. Polar HF blackout and navigation errors over several days.' },
+    { level: 5, code: 'S5', name: 'Extreme', threshold: 1e5, thresholdLabel: '100,000 pfu',
+        impacts: 'High radiation hazard to astronauts and high-latitude flights. Satellites may be rendered useless; permanent solar panel damage possible. Complete polar HF blackout; navigation extremely difficult.' },
+];
+
+// Highest scale entry whose threshold the value reaches, or null below level 1
+function scaleFor(scale, value) {
+    if (value === null || value === undefined || Number.isNaN(value)) return null;
+    return scale.reduce((reached, entry) => (value >= entry.threshold ? entry : reached), null);
+}
+
+export const geomagneticStormScale = (kp) => scaleFor(GEOMAGNETIC_STORM_SCALE, kp);
+export const radioBlackoutScale = (xrayFlux) => scaleFor(RADIO_BLACKOUT_SCALE, xrayFlux);
+export const solarRadiationScale = (protonFlux) => scaleFor(SOLAR_RADIATION_SCALE, protonFlux);
+
+// Largest non-null value, or null when there is none
+const maxOf = (...values) => {
+    const present = values.filter(v => v !== null && v !== undefined && !Number.isNaN(v));
+    return present.length ? Math.max(...present) : null;
+};
+
+// G, R and S levels of one hourly point. Kp comes from DONKI storms or the SWPC planetary index,
+// X-ray flux from DONKI flare classes or the GOES measurement, whichever is larger.
+export function getNoaaScales(point) {
+    return {
+        G: geomagneticStormScale(maxOf(point.geomagneticStormLevel, point.planetaryKIndex)),
+        R: radioBlackoutScale(maxOf(point.maxFlareFlux, point.xrayFluxLong)),
+        S: solarRadiationScale(point.protonFlux10MeV),
+    };
+}
+
+// Highest G, R and S levels over the last `hours` points of the series (Kp is 3-hourly, so the
+// default looks back far enough to always include the latest Kp reading)
+export function currentNoaaScales(series, hours = 3) {
+    const recent = series.slice(-hours).map(getNoaaScales);
+    const highest = (key) => recent.reduce((top, scales) => (scales[key] && (!top || scales[key].level > top.level) ? scales[key] : top), null);
+    return { G: highest('G'), R: highest('R'), S: highest('S') };
+}
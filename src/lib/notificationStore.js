@@ -0,0 +1,39 @@
+// --- Per-user notification preferences and Web Push subscriptions in Firestore ---
+import { doc, onSnapshot, setDoc, deleteDoc, Timestamp } from 'firebase/firestore';
+import { DEFAULT_NOTIFICATION_PREFS, validateNotificationPrefs } from './notifications.js';
+import { userSettingsDocPath, pushSubscriptionsCollectionPath, toPushSubscriptionDocId } from './spaceWeatherStore.js';
+
+const prefsDocRef = (db, appId, userId) => doc(db, userSettingsDocPath(appId, userId, 'notifications'));
+
+// Calls back with the user's preferences merged over the defaults. Returns the unsubscribe function.
+export function subscribeNotificationPrefs(db, appId, userId, onPrefs, onError) {
+    return onSnapshot(prefsDocRef(db, appId, userId), (snapshot) => {
+        const saved = snapshot.exists() ? snapshot.data() : {};
+        onPrefs({
+            ...DEFAULT_NOTIFICATION_PREFS,
+            ...saved,
+            quietHours: { ...DEFAULT_NOTIFICATION_PREFS.quietHours, ...saved.quietHours },
+        });
+    }, onError);
+}
+
+export async function saveNotificationPrefs(db, appId, userId, prefs) {
+    const errors = validateNotificationPrefs(prefs);
+    if (errors.length) throw new Error(errors.join(' '));
+    const { enabled, minSeverity, metrics, quietHours, push } = prefs;
+    await setDoc(prefsDocRef(db, appId, userId), { enabled, minSeverity, metrics, quietHours, push, updatedAt: Timestamp.now() });
+}
+
+// Stores a PushSubscription (as from subscription.toJSON()) for the worker to deliver to
+export async function savePushSubscription(db, appId, userId, subscription) {
+    await setDoc(doc(db, pushSubscriptionsCollectionPath(appId, userId), toPushSubscriptionDocId(subscription.endpoint)), {
+        endpoint: subscription.endpoint,
+        keys: subscription.keys,
+        userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+        createdAt: Timestamp.now(),
+    });
+}
+
+export async function deletePushSubscription(db, appId, userId, endpoint) {
+    await deleteDoc(doc(db, pushSubscriptionsCollectionPath(appId, userId), toPushSubscriptionDocId(endpoint)));
+}
@@ -0,0 +1,98 @@
+// --- Alert notifications: who gets told what, and when ---
+// Shared by the dashboard (Notifications API while the tab is open) and the ingestion worker
+// (Web Push when it is not). Preferences are stored per user:
+//
+//   {
+//     enabled: true,
+//     minSeverity: 'Moderate',          // Notify for rules of this severity and above
+//     metrics: [],                      // Only rules watching these fields; empty = every metric
+//     quietHours: { enabled: true, start: '22:00', end: '07:00', timeZone: 'Europe/London' },
+//     push: true,                       // Also deliver through Web Push when no tab is open
+//   }
+//
+// De-duplication works on rules rather than refreshes: a rule notifies when it starts firing and
+// not again until it has stopped and fired anew. The IDs of rules already notified (and still
+// firing) are the only state to keep between evaluations.
+import { SEVERITY_LEVELS } from './alertRules.js';
+import { DEFAULT_I18N } from './i18n.js';
+
+export const DEFAULT_NOTIFICATION_PREFS = {
+    enabled: false,
+    minSeverity: 'Moderate',
+    metrics: [],
+    quietHours: { enabled: false, start: '22:00', end: '07:00', timeZone: 'UTC' },
+    push: false,
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Returns a list of problems with the preferences, in the language of `i18n`; empty when they are
+// valid
+export function validateNotificationPrefs(prefs, { t } = DEFAULT_I18N) {
+    const errors = [];
+    if (!SEVERITY_LEVELS.includes(prefs.minSeverity) || prefs.minSeverity === 'Normal') errors.push(t('notifications.errors.minSeverity'));
+    if (!Array.isArray(prefs.metrics)) errors.push(t('notifications.errors.metrics'));
+    const { quietHours } = prefs;
+    if (quietHours?.enabled) {
+        if (!TIME_PATTERN.test(quietHours.start) || !TIME_PATTERN.test(quietHours.end)) errors.push(t('notifications.errors.quietHours'));
+        try {
+            new Intl.DateTimeFormat('en-GB', { timeZone: quietHours.timeZone });
+        } catch (error) {
+            errors.push(t('notifications.errors.timeZone', { timeZone: quietHours.timeZone }));
+        }
+    }
+    return errors;
+}
+
+const toMinutes = (hhmm) => {
+    const [, hours, minutes] = TIME_PATTERN.exec(hhmm);
+    return Number(hours) * 60 + Number(minutes);
+};
+
+// True when `date` falls inside the quiet hours, read on the clock of their time zone.
+// A window whose end is before its start (22:00-07:00) runs over midnight.
+export function isInQuietHours(quietHours, date = new Date()) {
+    if (!quietHours?.enabled) return false;
+    const clock = new Intl.DateTimeFormat('en-GB', { timeZone: quietHours.timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(date);
+    const now = toMinutes(clock);
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+// Fired rules (from evaluateAlertRules) that this user wants to hear about
+export function relevantFiredRules(prediction, prefs) {
+    const minRank = SEVERITY_LEVELS.indexOf(prefs.minSeverity);
+    return (prediction.firedRules || []).filter(fired => SEVERITY_LEVELS.indexOf(fired.severity) >= minRank
+        && (!prefs.metrics?.length || prefs.metrics.includes(fired.metric)));
+}
+
+// Decides whether the latest prediction warrants a notification. Returns the notification to show
+// (or null), the newly fired rules it is about, and the rule IDs to remember as notified for the
+// next evaluation. During quiet hours
+// nothing is shown and new rules are not marked, so they are delivered once quiet hours end if
+// they are still firing.
+export function planAlertNotification(prediction, prefs, notifiedRuleIds = [], now = new Date()) {
+    const firing = prefs.enabled ? relevantFiredRules(prediction, prefs) : [];
+    const firingIds = firing.map(fired => fired.ruleId);
+    const stillNotified = notifiedRuleIds.filter(id => firingIds.includes(id));
+    const fresh = firing.filter(fired => !stillNotified.includes(fired.ruleId));
+
+    if (!fresh.length || isInQuietHours(prefs.quietHours, now)) {
+        return { notification: null, freshRules: [], notifiedRuleIds: stillNotified };
+    }
+
+    const rank = (severity) => SEVERITY_LEVELS.indexOf(severity);
+    const top = fresh.reduce((highest, fired) => (rank(fired.severity) > rank(highest.severity) ? fired : highest));
+    return {
+        notification: {
+            title: `${top.severity} space weather alert: ${top.name}`,
+            body: [prediction.message, ...fresh.map(fired => fired.reason)].filter(Boolean).join('\n'),
+            level: prediction.level,
+            // The same tag from the open tab and from Web Push makes the browser show it only once
+            tag: `space-weather-${fresh.map(fired => fired.ruleId).sort().join('+')}`,
+        },
+        freshRules: fresh,
+        notifiedRuleIds: firingIds,
+    };
+}
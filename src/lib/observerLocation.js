@@ -0,0 +1,68 @@
+// --- Observer location: defaults, validation, browser geolocation and per-user storage ---
+import { doc, getDoc, setDoc, Timestamp } from 'firebase/firestore';
+import { userSettingsDocPath } from './spaceWeatherStore.js';
+import { profileDocRef } from './profileStore.js';
+import { DEFAULT_I18N } from './i18n.js';
+
+// Default observer until a location is chosen: Royal Observatory, Greenwich
+export const DEFAULT_OBSERVER = { latitude: 51.4779, longitude: -0.0015, name: 'Greenwich, UK', source: 'default' };
+
+// Returns an error message for out-of-range coordinates in the language of `i18n`, or null if they
+// are valid
+export function validateCoordinates(latitude, longitude, { t } = DEFAULT_I18N) {
+    if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) return t('location.errors.latitude');
+    if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) return t('location.errors.longitude');
+    return null;
+}
+
+// Current position from the browser's Geolocation API, as an observer object
+export function locateWithBrowser(timeoutMs = 15000, { t } = DEFAULT_I18N) {
+    return new Promise((resolve, reject) => {
+        if (typeof navigator === 'undefined' || !navigator.geolocation) {
+            reject(new Error(t('location.errors.unsupported')));
+            return;
+        }
+        navigator.geolocation.getCurrentPosition(
+            (position) => resolve({
+                latitude: position.coords.latitude,
+                longitude: position.coords.longitude,
+                name: 'My location',
+                source: 'geolocation',
+            }),
+            (error) => reject(new Error(error.message || t('location.errors.failed'))),
+            { enableHighAccuracy: false, timeout: timeoutMs, maximumAge: 10 * 60 * 1000 }
+        );
+    });
+}
+
+// The location is kept in the user's profile document; older versions saved it to its own
+// settings document, which is still read until the location is saved again
+const legacyObserverDocRef = (db, appId, userId) => doc(db, userSettingsDocPath(appId, userId, 'observerLocation'));
+
+const toObserver = (saved) => {
+    if (!saved) return null;
+    const { latitude, longitude, name, source } = saved;
+    if (validateCoordinates(latitude, longitude)) return null; // Ignore a corrupt record rather than fail
+    return { latitude, longitude, name: name || 'Saved location', source: source || 'manual' };
+};
+
+export async function loadObserverLocation(db, appId, userId) {
+    const profile = await getDoc(profileDocRef(db, appId, userId));
+    if (profile.exists() && profile.data().location) return toObserver(profile.data().location);
+    const legacy = await getDoc(legacyObserverDocRef(db, appId, userId));
+    return legacy.exists() ? toObserver(legacy.data()) : null;
+}
+
+export async function saveObserverLocation(db, appId, userId, observer) {
+    const error = validateCoordinates(observer.latitude, observer.longitude);
+    if (error) throw new Error(error);
+    await setDoc(profileDocRef(db, appId, userId), {
+        location: {
+            latitude: observer.latitude,
+            longitude: observer.longitude,
+            name: observer.name,
+            source: observer.source,
+        },
+        updatedAt: Timestamp.now(),
+    }, { merge: true });
+}
@@ -0,0 +1,85 @@
+// --- IndexedDB cache of the last data the dashboard received ---
+// Every live snapshot is saved under a key ('recentSeries', 'range:7d', 'events:7d'...), so the
+// next visit can show the last known state at once, even with no network. Entries are
+// { key, value, savedAt } with savedAt in epoch milliseconds.
+
+const DB_NAME = 'space-weather-cache';
+const DB_VERSION = 1;
+const STORE = 'snapshots';
+
+let dbPromise = null;
+
+function openCache() {
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available'));
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'key' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // A failed open (private mode, quota) should not stop later attempts
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+function run(mode, operation) {
+    return openCache().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE, mode);
+        const request = operation(transaction.objectStore(STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    }));
+}
+
+// The cached entry for `key` ({ value, savedAt }), or null when nothing is cached
+export async function loadCachedSnapshot(key) {
+    const entry = await run('readonly', store => store.get(key));
+    return entry ? { value: entry.value, savedAt: entry.savedAt } : null;
+}
+
+export function saveCachedSnapshot(key, value) {
+    return run('readwrite', store => store.put({ key, value, savedAt: Date.now() }));
+}
+
+export function clearCachedSnapshots() {
+    return run('readwrite', store => store.clear());
+}
+
+// Wraps a live subscription (`subscribe(onValue)` returning its unsubscribe function, with
+// onValue(value, { fromCache, complete })) so that:
+//   - the cached value under `key` is delivered first, if nothing live has arrived yet,
+//   - every complete value from the server is saved under `key`; a subscription that combines
+//     several queries reports complete: false until all of them have answered, and such a partial
+//     value is neither saved nor shown over cached data,
+//   - an empty snapshot Firestore makes up while offline does not replace cached data (with no
+//     cached data it is passed on, so the caller can stop waiting).
+// onData(value, { fromCache, savedAt }) gets savedAt = when the shown data last came from the server.
+// `store` ({ load(key), save(key, value) }) replaces IndexedDB, for tests.
+export function subscribeWithOfflineCache(key, subscribe, onData, store = { load: loadCachedSnapshot, save: saveCachedSnapshot }) {
+    let liveReceived = false;
+    let cacheDelivered = false;
+    let cancelled = false;
+
+    store.load(key)
+        .then(entry => {
+            if (!entry || liveReceived || cancelled) return;
+            cacheDelivered = true;
+            onData(entry.value, { fromCache: true, savedAt: entry.savedAt });
+        })
+        .catch(error => console.warn(`Offline cache unavailable for ${key}:`, error));
+
+    const unsubscribe = subscribe((value, { fromCache, complete = true } = {}) => {
+        const empty = Array.isArray(value) && value.length === 0;
+        if (cacheDelivered && ((fromCache && empty) || !complete)) return;
+        liveReceived = true;
+        onData(value, { fromCache: Boolean(fromCache), savedAt: fromCache ? null : Date.now() });
+        if (!fromCache && complete) store.save(key, value).catch(error => console.warn(`Could not cache ${key}:`, error));
+    });
+
+    return () => {
+        cancelled = true;
+        unsubscribe();
+    };
+}
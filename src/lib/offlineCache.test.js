@@ -0,0 +1,107 @@
+import { subscribeWithOfflineCache } from './offlineCache';
+
+// An in-memory stand-in for the IndexedDB store, holding `entries` ({ [key]: { value, savedAt } })
+const memoryStore = (entries = {}) => ({
+    entries,
+    load: jest.fn(async (key) => entries[key] || null),
+    save: jest.fn(async (key, value) => { entries[key] = { value, savedAt: Date.now() }; }),
+});
+
+// A subscription the test feeds by hand through `push(value, metadata)`
+const manualSubscription = () => {
+    const subscription = { unsubscribe: jest.fn() };
+    subscription.subscribe = (onValue) => {
+        subscription.push = onValue;
+        return subscription.unsubscribe;
+    };
+    return subscription;
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('subscribeWithOfflineCache', () => {
+    it('shows the cached value first, then saves and shows what the server sends', async () => {
+        const store = memoryStore({ events: { value: ['cached'], savedAt: 1000 } });
+        const live = manualSubscription();
+        const onData = jest.fn();
+        subscribeWithOfflineCache('events', live.subscribe, onData, store);
+        await flush();
+        expect(onData).toHaveBeenLastCalledWith(['cached'], { fromCache: true, savedAt: 1000 });
+
+        live.push(['flare', 'storm'], { fromCache: false, complete: true });
+        expect(onData).toHaveBeenLastCalledWith(['flare', 'storm'], { fromCache: false, savedAt: expect.any(Number) });
+        await flush();
+        expect(store.entries.events.value).toEqual(['flare', 'storm']);
+    });
+
+    it('never saves a partial value, and does not show one over cached data', async () => {
+        const store = memoryStore({ events: { value: ['flare', 'storm'], savedAt: 1000 } });
+        const live = manualSubscription();
+        const onData = jest.fn();
+        subscribeWithOfflineCache('events', live.subscribe, onData, store);
+        await flush();
+
+        live.push(['flare'], { fromCache: false, complete: false });
+        expect(onData).toHaveBeenCalledTimes(1);
+        live.push(['flare', 'storm', 'cme'], { fromCache: false, complete: true });
+        expect(onData).toHaveBeenLastCalledWith(['flare', 'storm', 'cme'], expect.objectContaining({ fromCache: false }));
+        await flush();
+        expect(store.save).toHaveBeenCalledTimes(1);
+        expect(store.entries.events.value).toEqual(['flare', 'storm', 'cme']);
+    });
+
+    it('shows a partial value when nothing is cached, without saving it', async () => {
+        const store = memoryStore();
+        const live = manualSubscription();
+        const onData = jest.fn();
+        subscribeWithOfflineCache('events', live.subscribe, onData, store);
+        await flush();
+
+        live.push(['flare'], { fromCache: false, complete: false });
+        expect(onData).toHaveBeenLastCalledWith(['flare'], expect.objectContaining({ fromCache: false }));
+        await flush();
+        expect(store.save).not.toHaveBeenCalled();
+    });
+
+    it('keeps cached data over the empty snapshot Firestore makes up offline, and saves nothing from its cache', async () => {
+        const store = memoryStore({ recentSeries: { value: [{ kp: 5 }], savedAt: 1000 } });
+        const live = manualSubscription();
+        const onData = jest.fn();
+        subscribeWithOfflineCache('recentSeries', live.subscribe, onData, store);
+        await flush();
+
+        live.push([], { fromCache: true });
+        expect(onData).toHaveBeenCalledTimes(1);
+        live.push([{ kp: 6 }], { fromCache: true });
+        expect(onData).toHaveBeenLastCalledWith([{ kp: 6 }], { fromCache: true, savedAt: null });
+        await flush();
+        expect(store.save).not.toHaveBeenCalled();
+    });
+
+    it('drops a cached value that loads after live data or after unsubscribing', async () => {
+        const store = memoryStore({ events: { value: ['cached'], savedAt: 1000 } });
+        const live = manualSubscription();
+        const onData = jest.fn();
+        subscribeWithOfflineCache('events', live.subscribe, onData, store);
+        live.push(['live'], { fromCache: false });
+        await flush();
+        expect(onData.mock.calls.map(([value]) => value)).toEqual([['live']]);
+
+        const later = jest.fn();
+        const unsubscribe = subscribeWithOfflineCache('events', manualSubscription().subscribe, later, store);
+        unsubscribe();
+        await flush();
+        expect(later).not.toHaveBeenCalled();
+    });
+
+    it('works on without IndexedDB', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const live = manualSubscription();
+        const onData = jest.fn();
+        subscribeWithOfflineCache('events', live.subscribe, onData);
+        await flush();
+        expect(console.warn).toHaveBeenCalledWith('Offline cache unavailable for events:', expect.any(Error));
+        live.push(['live'], { fromCache: false });
+        expect(onData).toHaveBeenLastCalledWith(['live'], expect.objectContaining({ fromCache: false }));
+    });
+});
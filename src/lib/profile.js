@@ -0,0 +1,56 @@
+// --- User profile: display name, language, theme, preferred units and home location ---
+// Stored on the user's own document (userDocPath), next to the settings subcollection that holds
+// the alert rules and notification preferences:
+//
+//   {
+//     displayName: 'Ada',
+//     language: 'de',                                    // null follows the browser (i18n.js)
+//     theme: 'high-contrast',                            // null follows the system (displayPreferences.js)
+//     units: { speed: 'km/s', time: 'utc' },
+//     location: { latitude, longitude, name, source },  // Observer location, see observerLocation.js
+//     updatedAt,
+//   }
+import { LANGUAGES, DEFAULT_I18N } from './i18n.js';
+import { THEMES } from './displayPreferences.js';
+
+export const SPEED_UNITS = {
+    'km/s': { label: 'km/s', factor: 1, digits: 0 },
+    'km/h': { label: 'km/h', factor: 3600, digits: 0 },
+};
+
+// Whether times are shown in the viewer's time zone or in UTC
+export const TIME_DISPLAYS = {
+    local: { label: 'Local time' },
+    utc: { label: 'UTC' },
+};
+
+export const DEFAULT_PROFILE = { displayName: '', language: null, theme: null, units: { speed: 'km/s', time: 'local' }, location: null };
+
+export const MAX_DISPLAY_NAME_LENGTH = 50;
+
+// Returns a list of problems with the editable profile fields, in the language of `i18n`; empty
+// when they are valid
+export function validateProfile(profile, { t } = DEFAULT_I18N) {
+    const errors = [];
+    if (typeof profile.displayName !== 'string' || profile.displayName.trim().length > MAX_DISPLAY_NAME_LENGTH) {
+        errors.push(t('profile.errors.displayName', { max: MAX_DISPLAY_NAME_LENGTH }));
+    }
+    if (profile.language != null && !LANGUAGES[profile.language]) errors.push(t('profile.errors.language'));
+    if (profile.theme != null && !THEMES[profile.theme]) errors.push(t('profile.errors.theme'));
+    if (!SPEED_UNITS[profile.units?.speed]) errors.push(t('profile.errors.speedUnit'));
+    if (!TIME_DISPLAYS[profile.units?.time]) errors.push(t('profile.errors.timeDisplay'));
+    return errors;
+}
+
+// Saved profile data merged over the defaults
+export const withProfileDefaults = (saved = {}) => ({
+    ...DEFAULT_PROFILE,
+    ...saved,
+    units: { ...DEFAULT_PROFILE.units, ...saved.units },
+});
+
+// A speed given in km/s, in the profile's unit
+export function formatSpeed(kmPerSecond, unit = 'km/s', locale = undefined) {
+    const { label, factor, digits } = SPEED_UNITS[unit] || SPEED_UNITS['km/s'];
+    return `${(kmPerSecond * factor).toLocaleString(locale, { maximumFractionDigits: digits })} ${label}`;
+}
@@ -0,0 +1,24 @@
+// --- The user's profile document in Firestore ---
+import { doc, onSnapshot, setDoc, Timestamp } from 'firebase/firestore';
+import { validateProfile, withProfileDefaults } from './profile.js';
+import { userDocPath } from './spaceWeatherStore.js';
+
+export const profileDocRef = (db, appId, userId) => doc(db, userDocPath(appId, userId));
+
+// Calls back with the profile merged over the defaults. Returns the unsubscribe function.
+export function subscribeProfile(db, appId, userId, onProfile, onError) {
+    return onSnapshot(profileDocRef(db, appId, userId), (snapshot) => onProfile(withProfileDefaults(snapshot.exists() ? snapshot.data() : {})), onError);
+}
+
+// Saves the display name, language, theme and units; the location is saved by the location picker
+export async function saveProfile(db, appId, userId, profile) {
+    const errors = validateProfile(profile);
+    if (errors.length) throw new Error(errors.join(' '));
+    await setDoc(profileDocRef(db, appId, userId), {
+        displayName: profile.displayName.trim(),
+        language: profile.language ?? null,
+        theme: profile.theme ?? null,
+        units: { speed: profile.units.speed, time: profile.units.time },
+        updatedAt: Timestamp.now(),
+    }, { merge: true });
+}
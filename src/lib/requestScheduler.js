@@ -0,0 +1,162 @@
+// --- Shared request layer for the upstream APIs: cache, rate-limit budget and retries ---
+// Every data-source request goes through one scheduler, which
+//   - reuses a response younger than `ttlMs`, and revalidates older ones with the ETag or
+//     Last-Modified the server sent (a 304 answers from the cache),
+//   - spends a token per request from an hourly budget per host (NASA keys are limited per hour
+//     across all endpoints), waiting for the next token rather than going over, and trusts the
+//     server's X-RateLimit-Remaining when it is lower than its own count,
+//   - retries 429s (after Retry-After, waiting at most `maxDelay` at a time), 5xx responses and
+//     network errors with jittered backoff,
+//   - gives up on a request as soon as its AbortSignal is aborted.
+import { retryWithBackoff, readJsonBody, sleep } from './http.js';
+
+const HOUR_MS = 3600000;
+
+// api.nasa.gov allows 30 requests an hour (and 50 a day) with DEMO_KEY, 1,000 an hour with a key
+export const NASA_API_HOST = 'api.nasa.gov';
+export const nasaHourlyLimit = (apiKey) => (!apiKey || apiKey === 'DEMO_KEY' ? 30 : 1000);
+
+// API keys stay out of cache keys and log lines
+const withoutApiKey = (url) => url.replace(/([?&])api_key=[^&]*/, '$1api_key=***');
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(header, now) {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Token bucket holding `perHour` tokens, refilled continuously
+function createBudget(perHour, now) {
+    const budget = { limit: perHour, tokens: perHour, updatedAt: now(), checkedAt: null, blockedUntil: 0 };
+    budget.refill = () => {
+        const t = now();
+        budget.tokens = Math.min(budget.limit, budget.tokens + ((t - budget.updatedAt) * budget.limit) / HOUR_MS);
+        budget.updatedAt = t;
+    };
+    // Takes a token and returns 0, or returns how long to wait for one
+    budget.take = () => {
+        budget.refill();
+        const blocked = budget.blockedUntil - now();
+        if (blocked > 0) return blocked;
+        if (budget.tokens >= 1) {
+            budget.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil(((1 - budget.tokens) * HOUR_MS) / budget.limit);
+    };
+    // What the server says is left this hour
+    budget.sync = ({ limit, remaining }) => {
+        budget.refill();
+        if (limit > 0) budget.limit = limit;
+        if (remaining !== null) {
+            budget.tokens = Math.min(budget.tokens, remaining);
+            budget.checkedAt = now();
+        }
+    };
+    return budget;
+}
+
+const headerNumber = (headers, name) => {
+    const value = headers.get(name);
+    return value === null || value === '' || Number.isNaN(Number(value)) ? null : Number(value);
+};
+
+export function createRequestScheduler({
+    fetchImpl = (...args) => fetch(...args),
+    limits = {}, // { [host]: requests per hour }; hosts not listed are not budgeted
+    ttlMs = 5 * 60000,
+    maxEntries = 200,
+    retries = 4,
+    delay = 1000,
+    maxDelay = 60000,
+    maxWaitMs = 15 * 60000, // Longest wait for a token before the request fails instead
+    now = Date.now,
+} = {}) {
+    const cache = new Map();
+    const budgets = new Map(Object.entries(limits).map(([host, perHour]) => [host, createBudget(perHour, now)]));
+
+    const remember = (key, entry) => {
+        cache.delete(key);
+        cache.set(key, entry);
+        if (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+    };
+
+    async function waitForToken(budget, url, signal) {
+        for (;;) {
+            const wait = budget.take();
+            if (wait === 0) return;
+            if (wait > maxWaitMs) {
+                throw Object.assign(new Error(`Request budget for ${new URL(url).host} is used up; the next request is possible in ${Math.ceil(wait / 60000)} min.`), { budgetExhausted: true });
+            }
+            await sleep(wait, signal);
+        }
+    }
+
+    async function attempt(url, key, cached, signal) {
+        const budget = budgets.get(new URL(url).host);
+        if (budget) await waitForToken(budget, url, signal);
+
+        const headers = {};
+        if (cached?.etag) headers['If-None-Match'] = cached.etag;
+        if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+        let response;
+        try {
+            response = await fetchImpl(url, { headers, signal });
+        } catch (error) {
+            if (error.name !== 'AbortError') error.retryable = true; // Network failure
+            throw error;
+        }
+
+        if (budget) budget.sync({ limit: headerNumber(response.headers, 'X-RateLimit-Limit'), remaining: headerNumber(response.headers, 'X-RateLimit-Remaining') });
+
+        if (response.status === 304 && cached) {
+            remember(key, { ...cached, storedAt: now() });
+            return cached.body;
+        }
+        if (response.ok) {
+            const body = await readJsonBody(response);
+            remember(key, { body, storedAt: now(), etag: response.headers.get('ETag'), lastModified: response.headers.get('Last-Modified') });
+            return body;
+        }
+
+        const error = new Error(`HTTP error! status: ${response.status} (${withoutApiKey(url)})`);
+        error.status = response.status;
+        error.retryable = response.status === 429 || response.status >= 500;
+        if (response.status === 429 || response.status === 503) {
+            error.retryAfterMs = retryAfterMs(response.headers.get('Retry-After'), now());
+            if (budget && response.status === 429) budget.blockedUntil = now() + (error.retryAfterMs ?? delay);
+        }
+        throw error;
+    }
+
+    // GETs `url` as JSON. `ttlMs` overrides the scheduler's for this request (0 always asks the server).
+    async function fetchJson(url, { signal, ttlMs: requestTtlMs = ttlMs } = {}) {
+        const key = withoutApiKey(url);
+        const cached = cache.get(key);
+        if (cached && now() - cached.storedAt < requestTtlMs) return cached.body;
+        return retryWithBackoff(() => attempt(url, key, cache.get(key), signal), {
+            retries, delay, maxDelay, maxWaitMs: maxDelay, jitter: 0.5, signal, shouldRetry: error => error.retryable === true,
+        });
+    }
+
+    // Where each budgeted host stands: { host, limit, remaining, checkedAt, throttledUntil }, with
+    // times as ms since the epoch (checkedAt is null until the server has reported anything)
+    function quotaStatus() {
+        return Array.from(budgets.entries()).map(([host, budget]) => {
+            budget.refill();
+            return {
+                host,
+                limit: budget.limit,
+                remaining: Math.floor(budget.tokens),
+                checkedAt: budget.checkedAt,
+                throttledUntil: budget.blockedUntil > now() ? budget.blockedUntil : null,
+            };
+        });
+    }
+
+    return { fetchJson, quotaStatus, clearCache: () => cache.clear() };
+}
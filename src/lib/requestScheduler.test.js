@@ -0,0 +1,205 @@
+import { createRequestScheduler, nasaHourlyLimit, NASA_API_HOST } from './requestScheduler';
+
+const URL_A = 'https://api.nasa.gov/DONKI/FLR?startDate=2024-05-01&endDate=2024-05-02&api_key=SECRET';
+const URL_B = 'https://api.nasa.gov/DONKI/CME?startDate=2024-05-01&endDate=2024-05-02&api_key=SECRET';
+
+// A fetch Response stand-in: `body` is JSON-encoded unless it is already a string
+function response(status, body = '', headers = {}) {
+    const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)]));
+    return {
+        status,
+        ok: status >= 200 && status < 300,
+        headers: { get: (name) => lowerCased[name.toLowerCase()] ?? null },
+        text: async () => (typeof body === 'string' ? body : JSON.stringify(body)),
+    };
+}
+
+// fetchImpl answering from `replies` in order (an Error is thrown), recording each call
+function scriptedFetch(...replies) {
+    const fetchImpl = jest.fn(async () => {
+        const reply = replies.shift();
+        if (!reply) throw new Error('No more scripted replies');
+        if (reply instanceof Error) throw reply;
+        return reply;
+    });
+    return fetchImpl;
+}
+
+// A clock the test moves by hand
+function fakeClock(start = Date.UTC(2024, 4, 10, 12)) {
+    let time = start;
+    const now = () => time;
+    now.advance = (ms) => { time += ms; };
+    return now;
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('response cache', () => {
+    it('answers from the cache within the TTL and asks again after it', async () => {
+        const now = fakeClock();
+        const fetchImpl = scriptedFetch(response(200, [{ id: 1 }]), response(200, [{ id: 2 }]));
+        const scheduler = createRequestScheduler({ fetchImpl, now, ttlMs: 60000 });
+
+        await expect(scheduler.fetchJson(URL_A)).resolves.toEqual([{ id: 1 }]);
+        now.advance(59000);
+        await expect(scheduler.fetchJson(URL_A)).resolves.toEqual([{ id: 1 }]);
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+        now.advance(2000);
+        await expect(scheduler.fetchJson(URL_A)).resolves.toEqual([{ id: 2 }]);
+        expect(fetchImpl).toHaveBeenCalledTimes(2);
+    });
+
+    it('revalidates with the ETag and reuses the cached body on 304', async () => {
+        const now = fakeClock();
+        const fetchImpl = scriptedFetch(
+            response(200, [{ id: 1 }], { ETag: '"v1"', 'Last-Modified': 'Fri, 10 May 2024 11:00:00 GMT' }),
+            response(304),
+        );
+        const scheduler = createRequestScheduler({ fetchImpl, now, ttlMs: 1000 });
+
+        await scheduler.fetchJson(URL_A);
+        now.advance(5000);
+        await expect(scheduler.fetchJson(URL_A)).resolves.toEqual([{ id: 1 }]);
+        expect(fetchImpl.mock.calls[1][1].headers).toEqual({ 'If-None-Match': '"v1"', 'If-Modified-Since': 'Fri, 10 May 2024 11:00:00 GMT' });
+    });
+
+    it('keeps entries for different URLs apart and reads an empty body as no events', async () => {
+        const fetchImpl = scriptedFetch(response(200, [{ id: 1 }]), response(200, ''));
+        const scheduler = createRequestScheduler({ fetchImpl });
+
+        await expect(scheduler.fetchJson(URL_A)).resolves.toEqual([{ id: 1 }]);
+        await expect(scheduler.fetchJson(URL_B)).resolves.toEqual([]);
+    });
+
+    it('always asks the server when the request TTL is 0', async () => {
+        const fetchImpl = scriptedFetch(response(200, [1]), response(200, [2]));
+        const scheduler = createRequestScheduler({ fetchImpl });
+
+        await scheduler.fetchJson(URL_A);
+        await expect(scheduler.fetchJson(URL_A, { ttlMs: 0 })).resolves.toEqual([2]);
+    });
+});
+
+describe('retries', () => {
+    it('retries 5xx responses and network errors, then succeeds', async () => {
+        const fetchImpl = scriptedFetch(response(502), new TypeError('Failed to fetch'), response(200, [{ id: 1 }]));
+        const scheduler = createRequestScheduler({ fetchImpl, delay: 1 });
+
+        await expect(scheduler.fetchJson(URL_A)).resolves.toEqual([{ id: 1 }]);
+        expect(fetchImpl).toHaveBeenCalledTimes(3);
+    });
+
+    it('does not retry other client errors, and keeps the API key out of the message', async () => {
+        const fetchImpl = scriptedFetch(response(404), response(200, []));
+        const scheduler = createRequestScheduler({ fetchImpl, delay: 1 });
+
+        const error = await scheduler.fetchJson(URL_A).catch(e => e);
+        expect(error).toMatchObject({ status: 404, retryable: false, attempts: 1 });
+        expect(error.message).toContain('api_key=***');
+        expect(error.message).not.toContain('SECRET');
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+
+    it('gives up after the configured retries', async () => {
+        const fetchImpl = scriptedFetch(response(500), response(500), response(500));
+        const scheduler = createRequestScheduler({ fetchImpl, retries: 2, delay: 1 });
+
+        await expect(scheduler.fetchJson(URL_A)).rejects.toMatchObject({ status: 500, attempts: 3 });
+    });
+
+    it('waits as long as Retry-After says on 429 and reports the host as throttled', async () => {
+        const now = fakeClock();
+        const fetchImpl = scriptedFetch(response(429, '', { 'Retry-After': '120' }));
+        const scheduler = createRequestScheduler({ fetchImpl, now, retries: 0, limits: { [NASA_API_HOST]: 1000 } });
+
+        await expect(scheduler.fetchJson(URL_A)).rejects.toMatchObject({ status: 429, retryAfterMs: 120000 });
+        expect(scheduler.quotaStatus()[0].throttledUntil).toBe(now() + 120000);
+    });
+
+    it('retries a 429 once Retry-After has passed', async () => {
+        const fetchImpl = scriptedFetch(response(429, '', { 'Retry-After': '0' }), response(200, [{ id: 1 }]));
+        const scheduler = createRequestScheduler({ fetchImpl, delay: 1, limits: { [NASA_API_HOST]: 1000 } });
+
+        await expect(scheduler.fetchJson(URL_A)).resolves.toEqual([{ id: 1 }]);
+        expect(fetchImpl).toHaveBeenCalledTimes(2);
+    });
+
+    it('waits at most maxDelay however long Retry-After asks for', async () => {
+        const fetchImpl = scriptedFetch(response(503, '', { 'Retry-After': '3600' }), response(200, [{ id: 1 }]));
+        const scheduler = createRequestScheduler({ fetchImpl, delay: 1, maxDelay: 5 });
+
+        await expect(scheduler.fetchJson(URL_A)).resolves.toEqual([{ id: 1 }]);
+        expect(fetchImpl).toHaveBeenCalledTimes(2);
+    });
+
+    it('fails instead of waiting out a long 429 on a budgeted host', async () => {
+        const fetchImpl = scriptedFetch(response(429, '', { 'Retry-After': '3600' }), response(200, []));
+        const scheduler = createRequestScheduler({ fetchImpl, delay: 1, maxDelay: 5, limits: { [NASA_API_HOST]: 1000 } });
+
+        await expect(scheduler.fetchJson(URL_A)).rejects.toMatchObject({ budgetExhausted: true, attempts: 2 });
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+
+    it('stops when the request is aborted', async () => {
+        const controller = new AbortController();
+        const fetchImpl = scriptedFetch(response(503), response(200, []));
+        const scheduler = createRequestScheduler({ fetchImpl, delay: 60000 });
+
+        const pending = scheduler.fetchJson(URL_A, { signal: controller.signal });
+        await new Promise(resolve => setTimeout(resolve, 0));
+        controller.abort();
+        await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('rate-limit budget', () => {
+    it('knows the NASA hourly limits', () => {
+        expect(nasaHourlyLimit('DEMO_KEY')).toBe(30);
+        expect(nasaHourlyLimit(undefined)).toBe(30);
+        expect(nasaHourlyLimit('abc123')).toBe(1000);
+    });
+
+    it('spends a token per request and trusts a lower X-RateLimit-Remaining', async () => {
+        const now = fakeClock();
+        const fetchImpl = scriptedFetch(
+            response(200, [], { 'X-RateLimit-Limit': '1000', 'X-RateLimit-Remaining': '995' }),
+            response(200, []),
+        );
+        const scheduler = createRequestScheduler({ fetchImpl, now, limits: { [NASA_API_HOST]: 1000 } });
+
+        expect(scheduler.quotaStatus()).toEqual([{ host: NASA_API_HOST, limit: 1000, remaining: 1000, checkedAt: null, throttledUntil: null }]);
+        await scheduler.fetchJson(URL_A);
+        expect(scheduler.quotaStatus()[0]).toMatchObject({ remaining: 995, checkedAt: now() });
+        await scheduler.fetchJson(URL_B);
+        expect(scheduler.quotaStatus()[0].remaining).toBe(994);
+    });
+
+    it('does not spend tokens on cache hits or unbudgeted hosts', async () => {
+        const fetchImpl = scriptedFetch(response(200, []), response(200, []));
+        const scheduler = createRequestScheduler({ fetchImpl, limits: { [NASA_API_HOST]: 30 } });
+
+        await scheduler.fetchJson(URL_A);
+        await scheduler.fetchJson(URL_A);
+        await scheduler.fetchJson('https://services.swpc.noaa.gov/json/goes/primary/xrays-1-day.json');
+        expect(scheduler.quotaStatus()[0].remaining).toBe(29);
+    });
+
+    it('refuses a request it would have to wait too long for, and refills over the hour', async () => {
+        const now = fakeClock();
+        const fetchImpl = scriptedFetch(response(200, []), response(200, []));
+        const scheduler = createRequestScheduler({ fetchImpl, now, limits: { [NASA_API_HOST]: 2 }, maxWaitMs: 60000 });
+
+        await scheduler.fetchJson(URL_A);
+        await scheduler.fetchJson(URL_B);
+        await expect(scheduler.fetchJson(URL_A, { ttlMs: 0 })).rejects.toMatchObject({ budgetExhausted: true });
+        expect(fetchImpl).toHaveBeenCalledTimes(2);
+
+        now.advance(30 * 60000);
+        expect(scheduler.quotaStatus()[0].remaining).toBe(1);
+    });
+});
@@ -0,0 +1,98 @@
+// --- Browser queries for the hourly series, its coverage, daily statistics, sunspot numbers and backfill requests ---
+import { collection, doc, onSnapshot, getDoc, getDocs, query, where, orderBy, setDoc, serverTimestamp, Timestamp } from 'firebase/firestore';
+import {
+    spaceWeatherCollectionPath, ingestionStatusDocPath, ingestionCoverageDocPath, backfillRequestsCollectionPath, dailyStatisticsCollectionPath,
+    sunspotNumbersDocPath,
+} from './spaceWeatherStore.js';
+import { chunkRange } from './timeRange.js';
+
+const toIso = (value) => (value instanceof Timestamp ? value.toDate().toISOString() : value);
+
+// Calls back with the hourly points between range.start and range.end (end optional: open-ended
+// ranges keep receiving new hours), oldest first, and { fromCache } from the snapshot metadata.
+// Returns the unsubscribe function.
+export function subscribeSeriesRange(db, appId, { start, end }, onPoints, onError) {
+    const constraints = [where('timestamp', '>=', Timestamp.fromDate(start))];
+    if (end) constraints.push(where('timestamp', '<=', Timestamp.fromDate(end)));
+    const q = query(collection(db, spaceWeatherCollectionPath(appId)), ...constraints, orderBy('timestamp', 'asc'));
+    return onSnapshot(q, (snapshot) => {
+        onPoints(snapshot.docs.map(d => ({ id: d.id, ...d.data(), timestamp: toIso(d.data().timestamp) })), { fromCache: snapshot.metadata.fromCache });
+    }, onError);
+}
+
+// Calls back with the ingested ranges ([{ start, end }], ISO strings)
+export function subscribeCoverage(db, appId, onRanges, onError) {
+    return onSnapshot(doc(db, ingestionCoverageDocPath(appId)), (snapshot) => {
+        onRanges(snapshot.exists() ? snapshot.data().ranges || [] : []);
+    }, onError);
+}
+
+// The ingested ranges once, for pages that do not need to follow every run
+export async function fetchCoverage(db, appId) {
+    const snapshot = await getDoc(doc(db, ingestionCoverageDocPath(appId)));
+    return snapshot.exists() ? snapshot.data().ranges || [] : [];
+}
+
+// The daily summaries of every UTC day `range` touches that the worker has summarised, oldest first
+export async function fetchDailyStatistics(db, appId, { start, end }) {
+    const q = query(
+        collection(db, dailyStatisticsCollectionPath(appId)),
+        where('day', '>=', start.toISOString().slice(0, 10)),
+        where('day', '<=', end.toISOString().slice(0, 10)),
+        orderBy('day', 'asc'),
+    );
+    const snapshot = await getDocs(q);
+    return snapshot.docs.map(d => {
+        const { updatedAt, ...summary } = d.data();
+        return summary;
+    });
+}
+
+// The monthly sunspot numbers ([{ month, value }], oldest first), empty before the worker's first run
+export async function fetchSunspotNumbers(db, appId) {
+    const snapshot = await getDoc(doc(db, sunspotNumbersDocPath(appId)));
+    return snapshot.exists() ? snapshot.data().months || [] : [];
+}
+
+// Calls back with the outcome of the worker's latest run: { lastRunAt, lastSuccessAt, lastError,
+// apiQuota } (times as ISO strings; apiQuota as reported by the worker's request scheduler), or
+// null before its first run
+export function subscribeIngestionStatus(db, appId, onStatus, onError) {
+    return onSnapshot(doc(db, ingestionStatusDocPath(appId)), (snapshot) => {
+        if (!snapshot.exists()) return onStatus(null);
+        const { lastRunAt, lastSuccessAt, lastError = null, apiQuota = null } = snapshot.data();
+        onStatus({ lastRunAt: toIso(lastRunAt) || null, lastSuccessAt: toIso(lastSuccessAt) || null, lastError, apiQuota });
+    }, onError);
+}
+
+// The user's backfill while the worker has not finished it ([] or [request]), so the dashboard
+// can show its progress. Requests are readable by their requester only.
+export function subscribeOpenBackfillRequests(db, appId, userId, onRequests, onError) {
+    return onSnapshot(doc(db, backfillRequestsCollectionPath(appId), userId), (snapshot) => {
+        const request = snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+        onRequests(request && ['pending', 'running'].includes(request.status) ? [request] : []);
+    }, onError);
+}
+
+// A queued backfill spans at most MAX_BACKFILL_REQUEST_DAYS and starts no earlier than DONKI's
+// records, and each user has one request at a time (its document ID is the user ID);
+// firestore.rules refuses anything else, so nobody can tie up the shared NASA quota for long
+export const MAX_BACKFILL_REQUEST_DAYS = 366;
+export const BACKFILL_HISTORY_START = new Date('2010-01-01T00:00:00Z');
+
+// Queues a backfill of `range` for the ingestion worker: the part since BACKFILL_HISTORY_START and
+// up to now, its first MAX_BACKFILL_REQUEST_DAYS if it is longer (the rest can be requested once
+// that has finished). Replaces the user's finished request; fails while it is still open.
+export async function requestBackfill(db, appId, userId, { start, end }, now = new Date()) {
+    const from = new Date(Math.max(start, BACKFILL_HISTORY_START));
+    const to = new Date(Math.min(end, now));
+    if (from >= to) return;
+    const [chunk] = chunkRange({ start: from, end: to }, MAX_BACKFILL_REQUEST_DAYS);
+    await setDoc(doc(db, backfillRequestsCollectionPath(appId), userId), {
+        start: chunk.start.toISOString(),
+        end: chunk.end.toISOString(),
+        status: 'pending',
+        requestedBy: userId,
+        requestedAt: serverTimestamp(),
+    });
+}
@@ -0,0 +1,61 @@
+import { onSnapshot, setDoc } from 'firebase/firestore';
+import { requestBackfill, subscribeOpenBackfillRequests } from './seriesStore';
+
+// Documents become their paths; writes and listeners are recorded for the test to inspect
+jest.mock('firebase/firestore', () => ({
+    Timestamp: class Timestamp {},
+    collection: (db, path) => ({ path }),
+    doc: (db, path, id) => ({ path: `${path}/${id}` }),
+    serverTimestamp: () => 'server time',
+    setDoc: jest.fn(async () => {}),
+    onSnapshot: jest.fn(),
+}));
+
+const NOW = new Date('2024-06-01T00:00:00Z');
+
+describe('requestBackfill', () => {
+    beforeEach(() => setDoc.mockClear());
+
+    it('writes the user\'s one request, under their user ID', async () => {
+        await requestBackfill({}, 'app', 'alice', { start: new Date('2024-05-01T00:00:00Z'), end: new Date('2024-05-03T00:00:00Z') }, NOW);
+        expect(setDoc).toHaveBeenCalledTimes(1);
+        expect(setDoc).toHaveBeenCalledWith({ path: 'artifacts/app/public/data/backfill_requests/alice' }, {
+            start: '2024-05-01T00:00:00.000Z',
+            end: '2024-05-03T00:00:00.000Z',
+            status: 'pending',
+            requestedBy: 'alice',
+            requestedAt: 'server time',
+        });
+    });
+
+    it('asks for the first 366 days of a longer range, since 2010 and up to now', async () => {
+        await requestBackfill({}, 'app', 'alice', { start: new Date('2005-01-01T00:00:00Z'), end: new Date('2030-01-01T00:00:00Z') }, NOW);
+        expect(setDoc.mock.calls[0][1]).toMatchObject({ start: '2010-01-01T00:00:00.000Z', end: '2011-01-02T00:00:00.000Z' });
+    });
+
+    it('asks for nothing when the range lies in the future', async () => {
+        await requestBackfill({}, 'app', 'alice', { start: new Date('2025-01-01T00:00:00Z'), end: new Date('2025-02-01T00:00:00Z') }, NOW);
+        expect(setDoc).not.toHaveBeenCalled();
+    });
+});
+
+describe('subscribeOpenBackfillRequests', () => {
+    it('lists the user\'s request while it is pending or running', () => {
+        let listener;
+        onSnapshot.mockImplementation((ref, onNext) => {
+            listener = onNext;
+            return jest.fn();
+        });
+        const onRequests = jest.fn();
+        subscribeOpenBackfillRequests({}, 'app', 'alice', onRequests, jest.fn());
+        expect(onSnapshot.mock.calls[0][0]).toEqual({ path: 'artifacts/app/public/data/backfill_requests/alice' });
+
+        const snapshot = (data) => ({ id: 'alice', exists: () => Boolean(data), data: () => data });
+        listener(snapshot({ status: 'running', start: 's', end: 'e' }));
+        expect(onRequests).toHaveBeenLastCalledWith([{ id: 'alice', status: 'running', start: 's', end: 'e' }]);
+        listener(snapshot({ status: 'done' }));
+        expect(onRequests).toHaveBeenLastCalledWith([]);
+        listener(snapshot(null));
+        expect(onRequests).toHaveBeenLastCalledWith([]);
+    });
+});
@@ -0,0 +1,76 @@
+// --- Solar Cycle 25 from the monthly sunspot number ---
+// Monthly mean total sunspot numbers (version 2.0) from WDC-SILSO, Royal Observatory of Belgium,
+// Brussels, as NOAA SWPC republishes them (sources/swpc.js). The worker stores the months since
+// SUNSPOT_SERIES_START in one document; the page reads it rather than shipping numbers that go
+// stale. SILSO revises the last few months for a while after publishing them.
+
+// Cycle 25 began at the smoothed minimum of December 2019 (SILSO). The NOAA/NASA prediction panel
+// (2019) expected a smoothed maximum of 115 in July 2025, give or take 8 months.
+export const SOLAR_CYCLE_25 = {
+    cycle: 25,
+    startMonth: '2019-12',
+    prediction: { month: '2025-07', smoothed: 115, uncertaintyMonths: 8 },
+};
+
+// Cycles have lasted 9 to 14 years, about 11 on average; the maximum usually comes 3 to 6 years in
+export const TYPICAL_CYCLE_MONTHS = 132;
+// A year before the cycle began, so the smoothing has neighbours at its start
+export const SUNSPOT_SERIES_START = '2019-01';
+const EARLIEST_MAXIMUM_MONTHS = 36;
+// Within this share of the highest smoothed value so far counts as "at maximum"
+const NEAR_PEAK_SHARE = 0.85;
+
+const pad = (n) => String(n).padStart(2, '0');
+export const monthKey = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`;
+const monthIndex = (key) => {
+    const [year, month] = key.split('-').map(Number);
+    return year * 12 + month - 1;
+};
+export const monthsBetween = (fromKey, toKey) => monthIndex(toKey) - monthIndex(fromKey);
+
+// Adds the 13-month smoothed number (SILSO's tapered running mean: the months 6 before and 6 after
+// count half) to each month; null for the last and first 6 months, which lack neighbours
+export function smoothSunspotNumbers(monthly) {
+    return monthly.map((entry, i) => {
+        if (i < 6 || i + 6 >= monthly.length) return { ...entry, smoothed: null };
+        let sum = (monthly[i - 6].value + monthly[i + 6].value) / 2;
+        for (let j = i - 5; j <= i + 5; j += 1) sum += monthly[j].value;
+        return { ...entry, smoothed: Math.round((sum / 12) * 10) / 10 };
+    });
+}
+
+// Where Cycle 25 stands on `now`, from the monthly numbers ([{ month: 'YYYY-MM', value }], oldest
+// first), or null while there are too few months to smooth:
+//   { cycle, startMonth, monthsIntoCycle, cycleProgress (share of a typical cycle), dataThrough,
+//     latest: { month, value }, latestSmoothed: { month, smoothed }, peak: { month, smoothed },
+//     phase: 'rising' | 'maximum' | 'declining', prediction, series }
+// `series` holds the cycle's months with their smoothed values, for charting.
+export function solarCyclePosition(now, monthly) {
+    const { cycle, startMonth, prediction } = SOLAR_CYCLE_25;
+    const series = smoothSunspotNumbers(monthly).filter(entry => entry.month >= startMonth);
+    const smoothed = series.filter(entry => entry.smoothed !== null);
+    if (!smoothed.length) return null;
+    const latestSmoothed = smoothed[smoothed.length - 1];
+    const peak = smoothed.reduce((top, entry) => (entry.smoothed > top.smoothed ? entry : top), smoothed[0]);
+    const latest = series[series.length - 1];
+
+    let phase = 'rising';
+    const nearPeak = latestSmoothed.smoothed >= peak.smoothed * NEAR_PEAK_SHARE;
+    if (!nearPeak) phase = 'declining';
+    else if (monthsBetween(startMonth, latestSmoothed.month) >= EARLIEST_MAXIMUM_MONTHS) phase = 'maximum';
+
+    const monthsIntoCycle = monthsBetween(startMonth, monthKey(now));
+    return {
+        cycle,
+        startMonth,
+        monthsIntoCycle,
+        cycleProgress: monthsIntoCycle / TYPICAL_CYCLE_MONTHS,
+        dataThrough: latest.month,
+        latest: { month: latest.month, value: latest.value },
+        latestSmoothed: { month: latestSmoothed.month, smoothed: latestSmoothed.smoothed },
+        peak: { month: peak.month, smoothed: peak.smoothed },
+        phase,
+        prediction,
+        series,
+    };
+}
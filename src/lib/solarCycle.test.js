@@ -0,0 +1,69 @@
+import indices from '../../fixtures/swpc/json/solar-cycle/observed-solar-cycle-indices.json';
+import { smoothSunspotNumbers, solarCyclePosition, monthsBetween, SOLAR_CYCLE_25 } from './solarCycle';
+import { parseSolarCycleIndices } from './sources';
+
+// A made-up cycle: `values` by month from January 2019
+const monthly = (values) => values.map((value, i) => ({
+    month: `${2019 + Math.floor(i / 12)}-${String((i % 12) + 1).padStart(2, '0')}`,
+    value,
+}));
+
+describe('SWPC sunspot numbers', () => {
+    const numbers = parseSolarCycleIndices(indices);
+
+    it('run month by month without gaps, from before the cycle minimum', () => {
+        expect(numbers[0].month).toBe('2019-01');
+        numbers.slice(1).forEach((entry, i) => expect(monthsBetween(numbers[i].month, entry.month)).toBe(1));
+        expect(numbers.every(entry => Number.isFinite(entry.value) && entry.value >= 0)).toBe(true);
+    });
+
+    it('leave out months without a number and sort the rest', () => {
+        expect(parseSolarCycleIndices([
+            { 'time-tag': '2025-05', ssn: 79.2 },
+            { 'time-tag': '2025-04', ssn: 140.6 },
+            { 'time-tag': '2025-06', ssn: -1 },
+            { 'time-tag': '2025-07', ssn: null },
+        ])).toEqual([{ month: '2025-04', value: 140.6 }, { month: '2025-05', value: 79.2 }]);
+    });
+
+    it('reproduce the published smoothed minimum and maximum of Cycle 25', () => {
+        const smoothed = smoothSunspotNumbers(numbers);
+        const at = (month) => smoothed.find(entry => entry.month === month).smoothed;
+        expect(at('2019-12')).toBeCloseTo(1.8, 0);
+        expect(at('2024-10')).toBeCloseTo(160.9, -1);
+    });
+});
+
+describe('13-month smoothing', () => {
+    it('weights the outermost months half and leaves the edges empty', () => {
+        const smoothed = smoothSunspotNumbers(monthly([24, ...Array(11).fill(12), 0]));
+        expect(smoothed[6].smoothed).toBe(12);
+        expect(smoothed[5].smoothed).toBeNull();
+        expect(smoothed[7].smoothed).toBeNull();
+    });
+});
+
+describe('cycle position', () => {
+    it('counts months since the cycle began', () => {
+        const position = solarCyclePosition(new Date('2026-10-19T00:00:00Z'), parseSolarCycleIndices(indices));
+        expect(position.startMonth).toBe(SOLAR_CYCLE_25.startMonth);
+        expect(position.monthsIntoCycle).toBe(82);
+        expect(position.cycleProgress).toBeCloseTo(82 / 132);
+        expect(position.series[0].month).toBe('2019-12');
+        expect(position.dataThrough).toBe('2025-04');
+    });
+
+    it('is unknown until a month of the cycle can be smoothed', () => {
+        expect(solarCyclePosition(new Date('2020-06-01'), monthly([1, 2, 3]))).toBeNull();
+    });
+
+    it('is rising early on, at maximum near the peak, and declining well below it', () => {
+        const rise = Array.from({ length: 60 }, (_, i) => i * 4);
+        expect(solarCyclePosition(new Date('2021-06-01'), monthly(rise.slice(0, 30))).phase).toBe('rising');
+        expect(solarCyclePosition(new Date('2024-01-01'), monthly(rise)).phase).toBe('maximum');
+        const declined = [...rise, ...Array.from({ length: 24 }, (_, i) => 236 - i * 8)];
+        const position = solarCyclePosition(new Date('2026-01-01'), monthly(declined));
+        expect(position.phase).toBe('declining');
+        expect(position.peak.month).toBe('2023-11');
+    });
+});
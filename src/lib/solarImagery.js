@@ -0,0 +1,140 @@
+// --- Solar disk and coronagraph imagery, and flare positions on the disk ---
+// Frames come from a URL template (REACT_APP_SOLAR_IMAGE_URL, see config.js) so any archive that
+// serves one image per time can be used. The default asks Helioviewer to render SDO and SOHO
+// images centred on the Sun; a directory of sample frames served by scripts/stub-server.js stands
+// in for it locally, e.g. http://localhost:4010/imagery/{source}/{year}{month}{day}_{hour}{minute}.svg
+//
+// Template placeholders: {source} (an IMAGE_SOURCES id), {date} (ISO 8601 UTC), {year}, {month},
+// {day}, {hour}, {minute} (UTC, zero-padded), and {layers}, {scale} and {size} from the source.
+// Every frame is expected to show the Sun's centre in the middle of a {size} x {size} image at
+// {scale} arc-seconds per pixel with solar north up, which is what the markers are drawn against.
+import { getSolarDisk } from './ephemeris.js';
+
+const MINUTE_MS = 60000;
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+const RAD = Math.PI / 180;
+
+// layers are Helioviewer's [observatory,instrument,detector,measurement,visible,opacity]; descriptions
+// are translated as imagery.descriptions.<id>, labels are instrument names and stay as they are
+export const IMAGE_SOURCES = {
+    'aia-193': { label: 'SDO/AIA 193 Å', description: 'Corona and flare plasma', kind: 'disk', layers: '[SDO,AIA,AIA,193,1,100]', scale: 4.8, size: 512 },
+    'aia-131': { label: 'SDO/AIA 131 Å', description: 'Hottest flare plasma', kind: 'disk', layers: '[SDO,AIA,AIA,131,1,100]', scale: 4.8, size: 512 },
+    'aia-304': { label: 'SDO/AIA 304 Å', description: 'Chromosphere and prominences', kind: 'disk', layers: '[SDO,AIA,AIA,304,1,100]', scale: 4.8, size: 512 },
+    'hmi-continuum': { label: 'SDO/HMI continuum', description: 'Visible-light sunspots', kind: 'disk', layers: '[SDO,HMI,HMI,continuum,1,100]', scale: 4.8, size: 512 },
+    'lasco-c2': { label: 'SOHO/LASCO C2', description: 'Coronagraph, out to 6 solar radii', kind: 'coronagraph', layers: '[SOHO,LASCO,C2,white-light,1,100]', scale: 24, size: 512 },
+    'lasco-c3': { label: 'SOHO/LASCO C3', description: 'Coronagraph, out to 30 solar radii', kind: 'coronagraph', layers: '[SOHO,LASCO,C3,white-light,1,100]', scale: 120, size: 512 },
+};
+export const DEFAULT_IMAGE_SOURCE = 'aia-193';
+
+export const DEFAULT_SOLAR_IMAGE_URL = 'https://api.helioviewer.org/v2/takeScreenshot/?date={date}&layers={layers}&imageScale={scale}&x0=0&y0=0&width={size}&height={size}&display=true&watermark=false';
+export const SOLAR_IMAGE_URL_PLACEHOLDERS = ['source', 'date', 'year', 'month', 'day', 'hour', 'minute', 'layers', 'scale', 'size'];
+export const DEFAULT_FRAME_CADENCE_MINUTES = 12; // LASCO's cadence; AIA has far more frames than needed
+export const DEFAULT_FRAME_COUNT = 9;
+
+// Flares this close in time to a frame are marked on it
+export const MARKER_WINDOW_HOURS = 24;
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+// Placeholders in a template that solarImageUrl does not know
+export const unknownPlaceholders = (template) =>
+    [...template.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]).filter(name => !SOLAR_IMAGE_URL_PLACEHOLDERS.includes(name));
+
+export function solarImageUrl(template, sourceId, time) {
+    const source = IMAGE_SOURCES[sourceId];
+    if (!source) throw new Error(`Unknown image source "${sourceId}"`);
+    const date = new Date(time);
+    const pad = (value) => String(value).padStart(2, '0');
+    const values = {
+        source: sourceId,
+        date: date.toISOString().replace(/\.\d{3}Z$/, 'Z'),
+        year: date.getUTCFullYear(),
+        month: pad(date.getUTCMonth() + 1),
+        day: pad(date.getUTCDate()),
+        hour: pad(date.getUTCHours()),
+        minute: pad(date.getUTCMinutes()),
+        layers: source.layers,
+        scale: source.scale,
+        size: source.size,
+    };
+    return template.replace(PLACEHOLDER_PATTERN, (match, name) => (name in values ? encodeURIComponent(values[name]) : match));
+}
+
+// Frame times around `time`, on multiples of the cadence (UTC) so that sample frames can be named
+// after them. The selected time's frame sits in the middle unless that would run past `now`.
+// Returns { frames: [Date], selectedIndex }.
+export function frameTimes(time, { cadenceMinutes = DEFAULT_FRAME_CADENCE_MINUTES, count = DEFAULT_FRAME_COUNT, now = new Date() } = {}) {
+    const cadence = cadenceMinutes * MINUTE_MS;
+    const selected = Math.floor(Math.min(new Date(time), now) / cadence) * cadence;
+    const latest = Math.floor(now / cadence) * cadence;
+    const before = Math.floor(count / 2);
+    const overrun = Math.max(0, selected + (count - 1 - before) * cadence - latest);
+    const first = selected - before * cadence - overrun;
+    return {
+        frames: Array.from({ length: count }, (_, i) => new Date(first + i * cadence)),
+        selectedIndex: (selected - first) / cadence,
+    };
+}
+
+// DONKI's "S15W45" (south 15°, 45° west of the central meridian) as { latitude: -15, longitude: 45 }
+export function parseSourceLocation(location) {
+    const match = /^([NS])(\d{1,2})([EW])(\d{1,3})$/i.exec(String(location || '').trim());
+    if (!match) return null;
+    const latitude = Number(match[2]) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+    const longitude = Number(match[4]) * (match[3].toUpperCase() === 'E' ? -1 : 1);
+    return latitude <= 90 && Math.abs(longitude) <= 180 ? { latitude, longitude } : null;
+}
+
+// Synodic rotation rate (degrees a day) at a heliographic latitude: the photospheric differential
+// rotation (Snodgrass 1983) less the Earth's motion around the Sun
+function synodicRotationRate(latitude) {
+    const s = Math.sin(latitude * RAD) ** 2;
+    return 14.713 - 2.396 * s - 1.787 * s * s - 0.9856;
+}
+
+// Where a region seen at `location` at `from` is at `to`: the Sun turns it towards the west limb
+export function rotateLocation({ latitude, longitude }, from, to) {
+    const days = (new Date(to) - new Date(from)) / DAY_MS;
+    const rotated = longitude + synodicRotationRate(latitude) * days;
+    return { latitude, longitude: ((rotated + 540) % 360) - 180 };
+}
+
+// Position on the disk in solar radii from its centre, x towards the west limb and y towards
+// solar north, for a disk centre at heliographic latitude b0. Points on the far side are not visible.
+export function diskPosition({ latitude, longitude }, b0 = 0) {
+    const [lat, lon, b] = [latitude * RAD, longitude * RAD, b0 * RAD];
+    return {
+        x: Math.cos(lat) * Math.sin(lon),
+        y: Math.sin(lat) * Math.cos(b) - Math.cos(lat) * Math.cos(lon) * Math.sin(b),
+        visible: Math.sin(lat) * Math.sin(b) + Math.cos(lat) * Math.cos(lon) * Math.cos(b) > 0,
+    };
+}
+
+// The Sun in a frame of `sourceId` at `time`: centre and radius in image pixels
+export function diskGeometry(sourceId, time) {
+    const { size, scale } = IMAGE_SOURCES[sourceId];
+    const { b0, radiusArcsec } = getSolarDisk(new Date(time));
+    return { cx: size / 2, cy: size / 2, radius: radiusArcsec / scale, b0 };
+}
+
+// Markers for the flares within MARKER_WINDOW_HOURS of a frame, each rotated from where it was at
+// its peak to where that region is at the frame's time. Flares without a usable source location
+// or on the far side of the Sun are left out.
+// Returns [{ event, x, y, hoursFromFrame }] with x and y in image pixels.
+export function flareMarkers(events, sourceId, time) {
+    const frameTime = new Date(time);
+    const { cx, cy, radius, b0 } = diskGeometry(sourceId, frameTime);
+    return events
+        .filter(event => event.type === 'FLR')
+        .map(event => {
+            const flareTime = new Date(event.peakTime || event.startTime);
+            const hoursFromFrame = (flareTime - frameTime) / HOUR_MS;
+            const location = parseSourceLocation(event.details?.sourceLocation);
+            if (!location || Math.abs(hoursFromFrame) > MARKER_WINDOW_HOURS) return null;
+            const position = diskPosition(rotateLocation(location, flareTime, frameTime), b0);
+            if (!position.visible) return null;
+            return { event, x: cx + position.x * radius, y: cy - position.y * radius, hoursFromFrame };
+        })
+        .filter(Boolean);
+}
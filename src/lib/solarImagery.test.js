@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import flares from '../../fixtures/donki/FLR.json';
+import { donkiFlareAdapter } from './sources/donki';
+import { getSolarDisk } from './ephemeris';
+import {
+    solarImageUrl, unknownPlaceholders, frameTimes, parseSourceLocation, rotateLocation, diskPosition, flareMarkers,
+    DEFAULT_SOLAR_IMAGE_URL,
+} from './solarImagery';
+
+// Sample frames around the X5.8 flare of 11 May 2024 (peak 01:23 UTC), as stub-server.js serves them
+const FIXTURES_DIR = path.resolve(__dirname, '../../fixtures/imagery');
+const SAMPLE_TEMPLATE = 'http://localhost:4010/imagery/{source}/{year}{month}{day}_{hour}{minute}.svg';
+const X58_PEAK = '2024-05-11T01:23:00Z';
+const NOW = new Date('2024-05-20T00:00:00Z');
+
+const events = donkiFlareAdapter.parseEvents(flares);
+
+describe('image URLs', () => {
+    it('fill in the time and source', () => {
+        expect(solarImageUrl(SAMPLE_TEMPLATE, 'lasco-c2', new Date('2024-05-11T01:12:00Z')))
+            .toBe('http://localhost:4010/imagery/lasco-c2/20240511_0112.svg');
+        expect(solarImageUrl(DEFAULT_SOLAR_IMAGE_URL, 'aia-193', new Date('2024-05-11T01:12:00Z'))).toBe(
+            'https://api.helioviewer.org/v2/takeScreenshot/?date=2024-05-11T01%3A12%3A00Z&layers=%5BSDO%2CAIA%2CAIA%2C193%2C1%2C100%5D&imageScale=4.8&x0=0&y0=0&width=512&height=512&display=true&watermark=false',
+        );
+    });
+
+    it('report placeholders they do not know', () => {
+        expect(unknownPlaceholders(SAMPLE_TEMPLATE)).toEqual([]);
+        expect(unknownPlaceholders('/frames/{instrument}/{date}.png')).toEqual(['instrument']);
+    });
+
+    it('find a sample frame for every frame around the flare', () => {
+        const { frames } = frameTimes(X58_PEAK, { now: NOW });
+        for (const source of ['aia-193', 'lasco-c2']) {
+            for (const frame of frames) {
+                const file = solarImageUrl(SAMPLE_TEMPLATE, source, frame).replace('http://localhost:4010/imagery', FIXTURES_DIR);
+                expect(fs.existsSync(file)).toBe(true);
+            }
+        }
+    });
+});
+
+describe('frame times', () => {
+    it('are aligned to the cadence with the selected time in the middle', () => {
+        const { frames, selectedIndex } = frameTimes(X58_PEAK, { cadenceMinutes: 12, count: 5, now: NOW });
+        expect(frames.map(frame => frame.toISOString().slice(11, 16))).toEqual(['00:48', '01:00', '01:12', '01:24', '01:36']);
+        expect(selectedIndex).toBe(2);
+    });
+
+    it('do not run past now', () => {
+        const { frames, selectedIndex } = frameTimes('2024-05-11T01:30:00Z', { cadenceMinutes: 10, count: 5, now: new Date('2024-05-11T01:45:00Z') });
+        expect(frames.map(frame => frame.toISOString().slice(11, 16))).toEqual(['01:00', '01:10', '01:20', '01:30', '01:40']);
+        expect(selectedIndex).toBe(3);
+    });
+});
+
+describe('positions on the disk', () => {
+    it('read DONKI source locations', () => {
+        expect(parseSourceLocation('S15W45')).toEqual({ latitude: -15, longitude: 45 });
+        expect(parseSourceLocation('N27E52')).toEqual({ latitude: 27, longitude: -52 });
+        expect(parseSourceLocation('')).toBeNull();
+        expect(parseSourceLocation('behind limb')).toBeNull();
+    });
+
+    it('follow the tilt of the solar equator through the year', () => {
+        expect(getSolarDisk(new Date('2024-03-06T00:00:00Z')).b0).toBeCloseTo(-7.25, 1);
+        expect(getSolarDisk(new Date('2024-09-08T00:00:00Z')).b0).toBeCloseTo(7.25, 1);
+        expect(getSolarDisk(new Date('2024-01-03T00:00:00Z')).radiusArcsec).toBeCloseTo(975.5, 0);
+    });
+
+    it('put the central meridian in the middle and the 90th meridian on the limb', () => {
+        expect(diskPosition({ latitude: 0, longitude: 0 })).toEqual({ x: 0, y: 0, visible: true });
+        expect(diskPosition({ latitude: 0, longitude: 90 }).x).toBeCloseTo(1);
+        expect(diskPosition({ latitude: 0, longitude: 100 }).visible).toBe(false);
+        // With the north pole tipped towards us the equator appears below the centre
+        expect(diskPosition({ latitude: 0, longitude: 0 }, 7).y).toBeCloseTo(-Math.sin(7 * Math.PI / 180));
+    });
+
+    it('turn regions west by about 13 degrees a day, slower near the poles', () => {
+        const day = (latitude) => rotateLocation({ latitude, longitude: 0 }, '2024-05-10T00:00:00Z', '2024-05-11T00:00:00Z').longitude;
+        expect(day(0)).toBeCloseTo(13.73, 2);
+        expect(day(60)).toBeLessThan(day(15));
+        expect(rotateLocation({ latitude: 0, longitude: 170 }, '2024-05-10T00:00:00Z', '2024-05-11T00:00:00Z').longitude).toBeLessThan(-170);
+    });
+});
+
+describe('flare markers', () => {
+    it('show the flares near a frame where their regions have rotated to', () => {
+        const markers = flareMarkers(events, 'aia-193', new Date('2024-05-11T01:12:00Z'));
+        expect(markers.map(marker => marker.event.details.classType)).toEqual(['X3.9', 'X5.8']);
+        const [x39, x58] = markers;
+        // AR 13664 moved west between the two flares, so the later one sits further right
+        expect(x58.x).toBeGreaterThan(x39.x);
+        expect(x58.y).toBeGreaterThan(256); // Southern hemisphere, below the centre
+        expect(x58.hoursFromFrame).toBeCloseTo(11 / 60);
+    });
+
+    it('leave out flares behind the limb by the frame time', () => {
+        const markers = flareMarkers(events, 'aia-193', new Date('2024-05-15T12:00:00Z'));
+        expect(markers).toEqual([]);
+    });
+});
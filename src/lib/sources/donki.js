@@ -0,0 +1,151 @@
+// --- NASA DONKI (Space Weather Database Of Notifications, Knowledge, Information) adapters ---
+// DONKI feeds are event lists: every record is one flare, CME, storm etc. with an event time.
+import { flareClassToFlux, formatFlareClass } from '../flareClass.js';
+import { toIsoTime, activityIdTime, linkedEventIdsOf, instrumentNamesOf } from '../spaceWeatherEvents.js';
+
+export const NASA_DONKI_BASE_URL = 'https://api.nasa.gov/DONKI';
+
+// Longest startDate..endDate span to ask DONKI for in one request; backfills page in chunks of this
+export const DONKI_MAX_RANGE_DAYS = 30;
+
+const formatDate = (date) => new Date(date).toISOString().split('T')[0];
+
+// Shared URL builder: DONKI takes whole dates and the NASA API key on every endpoint
+const donkiUrl = (endpoint, extraParams = '') => ({ startDate, endDate, config }) =>
+    `${config.donkiBaseUrl || NASA_DONKI_BASE_URL}/${endpoint}?startDate=${formatDate(startDate)}&endDate=${formatDate(endDate)}${extraParams}&api_key=${config.nasaApiKey}`;
+
+// Fields every DONKI event shares; `overrides` fills in the type-specific ones
+const toEvent = (type, id, record, overrides) => ({
+    id,
+    type,
+    startTime: null,
+    peakTime: null,
+    endTime: null,
+    link: record.link || null,
+    note: record.note || '',
+    instruments: instrumentNamesOf(record),
+    linkedEventIds: linkedEventIdsOf(record),
+    details: {},
+    raw: JSON.stringify(record),
+    ...overrides,
+});
+
+// Events are stored under their activity ID, so a record without one (DONKI has sent such
+// half-entered records) is skipped with a warning rather than failing the whole run
+function withActivityIds(type, records, idOf) {
+    const kept = records.filter(record => idOf(record));
+    if (kept.length < records.length) console.warn(`Skipped ${records.length - kept.length} DONKI ${type} record(s) without an activity ID.`);
+    return kept;
+}
+
+// Adapter for the simple DONKI feeds that only need counting per hour
+const eventCountAdapter = (id, endpoint, name, field, label, idField) => ({
+    id,
+    name,
+    provider: 'NASA DONKI',
+    cadenceMinutes: null,
+    fields: {
+        [field]: { label, unit: 'count', aggregate: 'sum', fill: 0 },
+    },
+    buildUrl: donkiUrl(endpoint),
+    parse: (events) => events.map(event => ({ time: event.eventTime, values: { [field]: 1 } })),
+    parseEvents: (events) => withActivityIds(endpoint, events, event => event[idField] || event.activityID).map(event => toEvent(endpoint, event[idField] || event.activityID, event, {
+        startTime: toIsoTime(event.eventTime),
+        details: event.location ? { location: event.location } : {},
+    })),
+});
+
+export const donkiFlareAdapter = {
+    id: 'donki-flr',
+    name: 'NASA DONKI Solar Flares',
+    provider: 'NASA DONKI',
+    cadenceMinutes: null,
+    fields: {
+        solarFlareCount: { label: 'Solar Flares', unit: 'count', aggregate: 'sum', fill: 0 },
+        maxFlareFlux: { label: 'Max Flare Peak Flux', unit: 'W/m²', aggregate: 'max', fill: null },
+    },
+    buildUrl: donkiUrl('FLR'),
+    // The class (e.g. C3.4) becomes its real peak X-ray flux so flares compare correctly
+    parse: (flares) => flares.map(flare => ({
+        time: flare.beginTime,
+        values: { solarFlareCount: 1, maxFlareFlux: flareClassToFlux(flare.classType) },
+    })),
+    // The class string of the hour's strongest flare, kept alongside its flux
+    finalizePoint: (point) => ({ maxFlareClass: formatFlareClass(point.maxFlareFlux) }),
+    parseEvents: (flares) => withActivityIds('FLR', flares, flare => flare.flrID).map(flare => toEvent('FLR', flare.flrID, flare, {
+        startTime: toIsoTime(flare.beginTime),
+        peakTime: toIsoTime(flare.peakTime),
+        endTime: toIsoTime(flare.endTime),
+        details: {
+            classType: flare.classType || null,
+            peakFlux: flareClassToFlux(flare.classType),
+            sourceLocation: flare.sourceLocation || null,
+            activeRegionNum: flare.activeRegionNum ?? null,
+        },
+    })),
+};
+
+export const donkiCmeAdapter = {
+    id: 'donki-cme',
+    name: 'NASA DONKI CME Analyses',
+    provider: 'NASA DONKI',
+    cadenceMinutes: null,
+    fields: {
+        cmeCount: { label: 'CMEs', unit: 'count', aggregate: 'sum', fill: 0 },
+        maxCmeSpeed: { label: 'Max CME Speed', unit: 'km/s', aggregate: 'max', fill: 0 },
+    },
+    buildUrl: donkiUrl('CMEAnalysis', '&mostAccurateOnly=true&speed=0&halfAngle=0'),
+    // Analyses carry the time the CME front reached 21.5 solar radii rather than a start time
+    parse: (analyses) => analyses.map(cme => ({
+        time: cme.time21_5 || cme.startTime,
+        values: cme.speed ? { cmeCount: 1, maxCmeSpeed: cme.speed } : { cmeCount: 1 },
+    })),
+    // An analysis belongs to a CME; the event takes the CME's ID, whose start time it embeds.
+    // Analyses carry no linkedEvents of their own, the flares and storms link to the CME instead.
+    parseEvents: (analyses) => withActivityIds('CME', analyses, cme => cme.associatedCMEID).map(cme => toEvent('CME', cme.associatedCMEID, cme, {
+        startTime: activityIdTime(cme.associatedCMEID) || toIsoTime(cme.startTime),
+        details: {
+            speed: cme.speed ?? null,
+            halfAngle: cme.halfAngle ?? null,
+            latitude: cme.latitude ?? null,
+            longitude: cme.longitude ?? null,
+            analysisType: cme.type || null,
+            time21_5: toIsoTime(cme.time21_5),
+        },
+    })),
+};
+
+export const donkiGeomagneticStormAdapter = {
+    id: 'donki-gst',
+    name: 'NASA DONKI Geomagnetic Storms',
+    provider: 'NASA DONKI',
+    cadenceMinutes: null,
+    fields: {
+        geomagneticStormLevel: { label: 'Kp Index', unit: 'Kp', aggregate: 'max', fill: 0 },
+    },
+    buildUrl: donkiUrl('GST'),
+    // Each storm lists its 3-hourly Kp readings; each reading lands in its own hour
+    parse: (storms) => storms.flatMap(storm => (storm.allKpIndex || []).map(reading => ({
+        time: reading.observedTime,
+        values: { geomagneticStormLevel: reading.kpIndex },
+    }))),
+    parseEvents: (storms) => withActivityIds('GST', storms, storm => storm.gstID).map(storm => {
+        const kpIndex = (storm.allKpIndex || []).map(reading => ({
+            observedTime: toIsoTime(reading.observedTime),
+            kpIndex: reading.kpIndex,
+            source: reading.source || null,
+        }));
+        const peak = kpIndex.reduce((max, reading) => (!max || reading.kpIndex > max.kpIndex ? reading : max), null);
+        return toEvent('GST', storm.gstID, storm, {
+            startTime: toIsoTime(storm.startTime),
+            peakTime: peak ? peak.observedTime : null,
+            endTime: kpIndex.length ? kpIndex[kpIndex.length - 1].observedTime : null,
+            details: { maxKp: peak ? peak.kpIndex : null, kpIndex },
+        });
+    }),
+};
+
+export const donkiSepAdapter = eventCountAdapter('donki-sep', 'SEP', 'NASA DONKI Solar Energetic Particles', 'sepEventCount', 'SEP Events', 'sepID');
+export const donkiIpsAdapter = eventCountAdapter('donki-ips', 'IPS', 'NASA DONKI Interplanetary Shocks', 'ipsEventCount', 'Interplanetary Shocks', 'activityID');
+export const donkiRbeAdapter = eventCountAdapter('donki-rbe', 'RBE', 'NASA DONKI Radiation Belt Enhancements', 'rbeEventCount', 'Radiation Belt Enhancements', 'rbeID');
+export const donkiHssAdapter = eventCountAdapter('donki-hss', 'HSS', 'NASA DONKI High Speed Streams', 'hssEventCount', 'High Speed Streams', 'hssID');
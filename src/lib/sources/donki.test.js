@@ -0,0 +1,131 @@
+import flares from '../../../fixtures/donki/FLR.json';
+import cmeAnalyses from '../../../fixtures/donki/CMEAnalysis.json';
+import storms from '../../../fixtures/donki/GST.json';
+import { donkiFlareAdapter, donkiCmeAdapter, donkiGeomagneticStormAdapter, donkiSepAdapter } from './donki';
+
+// The fixtures are DONKI responses recorded around the May 2024 storms
+
+describe('DONKI URLs', () => {
+    it('asks for whole UTC dates with the API key', () => {
+        const url = donkiFlareAdapter.buildUrl({
+            startDate: new Date('2024-05-08T23:30:00-05:00'),
+            endDate: new Date('2024-05-10T12:00:00Z'),
+            config: { nasaApiKey: 'KEY' },
+        });
+        expect(url).toBe('https://api.nasa.gov/DONKI/FLR?startDate=2024-05-09&endDate=2024-05-10&api_key=KEY');
+    });
+
+    it('uses the configured base URL', () => {
+        const url = donkiCmeAdapter.buildUrl({ startDate: '2024-05-08', endDate: '2024-05-09', config: { donkiBaseUrl: 'http://localhost:9000', nasaApiKey: 'DEMO_KEY' } });
+        expect(url.startsWith('http://localhost:9000/CMEAnalysis?startDate=2024-05-08&endDate=2024-05-09&mostAccurateOnly=true')).toBe(true);
+    });
+});
+
+describe('donkiFlareAdapter', () => {
+    it('turns flare classes into peak flux', () => {
+        const records = donkiFlareAdapter.parse(flares);
+        expect(records).toHaveLength(flares.length);
+        expect(records[0]).toEqual({ time: '2024-05-08T01:41Z', values: { solarFlareCount: 1, maxFlareFlux: expect.closeTo(1.9e-5, 10) } });
+        expect(records[1].values.maxFlareFlux).toBeCloseTo(1e-4, 10);
+    });
+
+    it('keeps each flare as an event with its class and source region', () => {
+        const [first] = donkiFlareAdapter.parseEvents(flares);
+        expect(first).toMatchObject({
+            id: '2024-05-08T01:41:00-FLR-001',
+            type: 'FLR',
+            startTime: '2024-05-08T01:41:00.000Z',
+            peakTime: '2024-05-08T02:27:00.000Z',
+            endTime: '2024-05-08T02:47:00.000Z',
+            instruments: ['GOES-P: EXIS 1.0-8.0'],
+            linkedEventIds: ['2024-05-08T02:36:00-CME-001'],
+            details: { classType: 'M1.9', sourceLocation: 'S19W08', activeRegionNum: 13664 },
+        });
+        expect(JSON.parse(first.raw)).toEqual(flares[0]);
+    });
+
+    it('labels the strongest flare of an hour', () => {
+        expect(donkiFlareAdapter.finalizePoint({ maxFlareFlux: 1.1e-4 })).toEqual({ maxFlareClass: 'X1.1' });
+        expect(donkiFlareAdapter.finalizePoint({ maxFlareFlux: null }).maxFlareClass).toBeFalsy();
+    });
+});
+
+describe('donkiCmeAdapter', () => {
+    it('counts CMEs at the time they reach 21.5 solar radii', () => {
+        const records = donkiCmeAdapter.parse(cmeAnalyses);
+        expect(records[0]).toEqual({ time: '2024-05-08T05:46Z', values: { cmeCount: 1, maxCmeSpeed: 678 } });
+    });
+
+    it('counts an analysis without a speed without inventing one', () => {
+        expect(donkiCmeAdapter.parse([{ time21_5: '2024-05-08T05:46Z', speed: null }])[0].values).toEqual({ cmeCount: 1 });
+    });
+
+    it('files the analysis under its CME, starting when the CME ID says', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const events = donkiCmeAdapter.parseEvents([...cmeAnalyses, { time21_5: '2024-05-20T00:00Z', speed: 500 }]);
+        expect(events).toHaveLength(cmeAnalyses.length);
+        expect(console.warn).toHaveBeenCalledWith('Skipped 1 DONKI CME record(s) without an activity ID.');
+        expect(events[3]).toMatchObject({
+            id: '2024-05-09T09:24:00-CME-001',
+            type: 'CME',
+            startTime: '2024-05-09T09:24:00.000Z',
+            details: { speed: 1280, time21_5: '2024-05-09T11:46:00.000Z' },
+        });
+    });
+});
+
+describe('donkiGeomagneticStormAdapter', () => {
+    it('puts every 3-hourly Kp reading in its own hour', () => {
+        const records = donkiGeomagneticStormAdapter.parse(storms);
+        expect(records).toHaveLength(storms[0].allKpIndex.length);
+        expect(records[1]).toEqual({ time: '2024-05-10T21:00Z', values: { geomagneticStormLevel: 9 } });
+    });
+
+    it('reports the storm peak and the end of its readings', () => {
+        const [storm] = donkiGeomagneticStormAdapter.parseEvents(storms);
+        expect(storm).toMatchObject({
+            id: '2024-05-10T15:00:00-GST-001',
+            startTime: '2024-05-10T15:00:00.000Z',
+            peakTime: '2024-05-10T21:00:00.000Z',
+            endTime: '2024-05-12T09:00:00.000Z',
+            details: { maxKp: 9 },
+        });
+    });
+
+    it('handles a storm without readings', () => {
+        expect(donkiGeomagneticStormAdapter.parse([{ gstID: 'x' }])).toEqual([]);
+        expect(donkiGeomagneticStormAdapter.parseEvents([{ gstID: 'x', startTime: '2024-05-10T15:00Z' }])[0]).toMatchObject({ peakTime: null, endTime: null });
+    });
+});
+
+describe('event count adapters', () => {
+    it('count one per event at its event time', () => {
+        const events = [{ sepID: '2024-05-10T13:30:00-SEP-001', eventTime: '2024-05-10T13:30Z' }];
+        expect(donkiSepAdapter.parse(events)).toEqual([{ time: '2024-05-10T13:30Z', values: { sepEventCount: 1 } }]);
+        expect(donkiSepAdapter.parseEvents(events)[0]).toMatchObject({ id: '2024-05-10T13:30:00-SEP-001', type: 'SEP' });
+    });
+});
+
+describe('records without an activity ID', () => {
+    // The recorded responses with the ID taken off one record, as DONKI sends half-entered ones
+    const withoutId = (records, idField) => [...records, { ...records[0], [idField]: undefined }];
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    it('are skipped as events, with a warning, and the rest are kept', () => {
+        expect(donkiFlareAdapter.parseEvents(withoutId(flares, 'flrID')).map(event => event.id)).toEqual(flares.map(flare => flare.flrID));
+        expect(donkiGeomagneticStormAdapter.parseEvents(withoutId(storms, 'gstID')).map(event => event.id)).toEqual(['2024-05-10T15:00:00-GST-001']);
+        expect(donkiSepAdapter.parseEvents([{ eventTime: '2024-05-10T13:30Z' }])).toEqual([]);
+        expect(console.warn.mock.calls.map(([message]) => message)).toEqual([
+            'Skipped 1 DONKI FLR record(s) without an activity ID.',
+            'Skipped 1 DONKI GST record(s) without an activity ID.',
+            'Skipped 1 DONKI SEP record(s) without an activity ID.',
+        ]);
+    });
+
+    it('still count in the hourly series', () => {
+        expect(donkiFlareAdapter.parse(withoutId(flares, 'flrID'))).toHaveLength(flares.length + 1);
+    });
+});
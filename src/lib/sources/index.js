@@ -0,0 +1,60 @@
+// --- Space weather data sources: built-in adapters and the combined hourly fetch ---
+import { registerSource, getSource, fetchSources, mergeHourlySeries } from './registry.js';
+import {
+    donkiFlareAdapter, donkiCmeAdapter, donkiGeomagneticStormAdapter,
+    donkiSepAdapter, donkiIpsAdapter, donkiRbeAdapter, donkiHssAdapter,
+} from './donki.js';
+import {
+    swpcPlanetaryKIndexAdapter, swpcXrayFluxAdapter, swpcProtonFluxAdapter, swpcSolarWindPlasmaAdapter, swpcSolarWindMagAdapter,
+} from './swpc.js';
+
+export { registerSource, getSource, listSources, describeFields, fetchSources, mergeHourlySeries, aggregateSeries, hourKey } from './registry.js';
+export { NASA_DONKI_BASE_URL, DONKI_MAX_RANGE_DAYS } from './donki.js';
+export { NOAA_SWPC_BASE_URL, solarCycleIndicesUrl, parseSolarCycleIndices } from './swpc.js';
+
+[
+    donkiFlareAdapter, donkiCmeAdapter, donkiGeomagneticStormAdapter,
+    donkiSepAdapter, donkiIpsAdapter, donkiRbeAdapter, donkiHssAdapter,
+    swpcPlanetaryKIndexAdapter, swpcXrayFluxAdapter, swpcProtonFluxAdapter, swpcSolarWindPlasmaAdapter, swpcSolarWindMagAdapter,
+].forEach(registerSource);
+
+// Sources fetched unless the caller picks its own. The extra DONKI feeds are opt-in because every
+// DONKI call counts against the shared NASA key's hourly quota; SWPC needs no key.
+export const DEFAULT_SOURCE_IDS = ['donki-flr', 'donki-cme', 'donki-gst', 'swpc-kp', 'swpc-xray', 'swpc-protons', 'swpc-plasma', 'swpc-mag'];
+
+// SWPC products only hold the last few days, so older ranges can only be backfilled from DONKI
+export const canBackfill = (sourceId) => getSource(sourceId)?.provider === 'NASA DONKI';
+
+// Fetches the chosen sources (the last 7 days by default) and merges them into one hourly series,
+// alongside the individual events of the sources that report them (deduplicated by event ID).
+// Throws only when every source failed; partial failures are logged, the rest is returned and
+// `failedSources` lists the IDs of the sources that are missing from it.
+export async function fetchSpaceWeather({
+    sources = DEFAULT_SOURCE_IDS,
+    config = {},
+    endDate = new Date(),
+    startDate = new Date(new Date(endDate).valueOf() - 7 * 24 * 60 * 60 * 1000), // Last 7 days for historical context
+    fetchJson,
+    signal,
+} = {}) {
+    const { results, failures } = await fetchSources(sources, { startDate, endDate, config, fetchJson, signal });
+    if (results.length === 0 && failures.length > 0) {
+        throw new Error(`All data sources failed (${failures.map(f => `${f.sourceId}: ${f.error.message}`).join('; ')})`);
+    }
+    if (failures.length > 0) {
+        console.warn(`Some data sources failed and were skipped: ${failures.map(f => f.sourceId).join(', ')}`);
+    }
+    const events = new Map();
+    results.forEach(result => result.events.forEach(event => events.set(event.id, event)));
+    return {
+        series: mergeHourlySeries(results, { startDate, endDate }),
+        events: Array.from(events.values()),
+        failedSources: failures.map(failure => failure.sourceId),
+    };
+}
+
+// Just the hourly series of fetchSpaceWeather
+export async function fetchAndProcessSpaceWeatherData(options) {
+    const { series } = await fetchSpaceWeather(options);
+    return series;
+}
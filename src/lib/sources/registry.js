@@ -0,0 +1,156 @@
+// --- Data-source adapter registry ---
+// An adapter describes one upstream feed and how to turn its response into timestamped values:
+//
+//   {
+//     id: 'donki-flr',                  // Unique id, used to enable/disable the source
+//     name: 'NASA DONKI Solar Flares',  // Human-readable name
+//     cadenceMinutes: null,             // Sampling interval of the feed, or null for event lists
+//     fields: {                         // Every field the adapter produces
+//       solarFlareCount: { label: 'Solar Flares', unit: 'count', aggregate: 'sum', fill: 0 },
+//     },
+//     buildUrl({ startDate, endDate, config }) -> string,
+//     parse(json) -> [{ time, values: { [field]: number } }],
+//     finalizePoint(point) -> { ... },  // Optional: extra values derived from the merged hour
+//     parseEvents(json) -> [event],     // Optional: individual events (see spaceWeatherEvents.js)
+//   }
+//
+// `aggregate` says how several values in one hour combine (sum, max, min, mean or last) and
+// `fill` is the value written for hours with no data (null leaves a gap in the chart).
+import { createRequestScheduler } from '../requestScheduler.js';
+import { RESOLUTIONS } from '../timeRange.js';
+
+const adapters = new Map();
+const AGGREGATES = ['sum', 'max', 'min', 'mean', 'last'];
+
+export function registerSource(adapter) {
+    if (!adapter.id || typeof adapter.buildUrl !== 'function' || typeof adapter.parse !== 'function') {
+        throw new Error(`Invalid data-source adapter "${adapter.id}": id, buildUrl and parse are required.`);
+    }
+    for (const [field, spec] of Object.entries(adapter.fields || {})) {
+        if (!AGGREGATES.includes(spec.aggregate)) {
+            throw new Error(`Adapter "${adapter.id}" field "${field}" has unknown aggregate "${spec.aggregate}".`);
+        }
+    }
+    adapters.set(adapter.id, adapter);
+}
+
+export const getSource = (id) => adapters.get(id);
+export const listSources = () => Array.from(adapters.values());
+
+// Field specs of the given sources, keyed by field name
+export function describeFields(sourceIds) {
+    const fields = {};
+    for (const id of sourceIds) {
+        const adapter = adapters.get(id);
+        if (adapter) Object.assign(fields, adapter.fields);
+    }
+    return fields;
+}
+
+// Requests made without a scheduler of the caller's own share this one (cache and retries, no budget)
+const defaultScheduler = createRequestScheduler();
+
+// Fetches each source in turn (gentle on the shared NASA key) and parses it into records, plus
+// individual events for adapters that provide them.
+// One failing source does not stop the others; failures are reported alongside the results.
+// `fetchJson(url, { signal })` is usually a request scheduler's; aborting `signal` stops everything.
+export async function fetchSources(sourceIds, { startDate, endDate, config, fetchJson = defaultScheduler.fetchJson, signal }) {
+    const results = [];
+    const failures = [];
+    for (const id of sourceIds) {
+        const adapter = adapters.get(id);
+        if (!adapter) {
+            failures.push({ sourceId: id, error: new Error(`Unknown data source "${id}"`) });
+            continue;
+        }
+        try {
+            const json = await fetchJson(adapter.buildUrl({ startDate, endDate, config }), { signal });
+            results.push({ sourceId: id, records: adapter.parse(json), events: adapter.parseEvents ? adapter.parseEvents(json) : [] });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error(`Data source ${id} failed:`, error);
+            failures.push({ sourceId: id, error });
+        }
+    }
+    return { results, failures };
+}
+
+// Start of the UTC hour containing `time`, as an ISO string
+export function hourKey(time) {
+    const date = new Date(time);
+    if (Number.isNaN(date.valueOf())) return null;
+    return new Date(Math.floor(date.valueOf() / 3600000) * 3600000).toISOString();
+}
+
+function combine(aggregate, values) {
+    switch (aggregate) {
+        case 'sum': return values.reduce((a, b) => a + b, 0);
+        case 'max': return Math.max(...values);
+        case 'min': return Math.min(...values);
+        case 'mean': return values.reduce((a, b) => a + b, 0) / values.length;
+        default: return values[values.length - 1];
+    }
+}
+
+// Merges parsed records from several sources into one continuous hourly series between
+// startDate and endDate, aggregating within each hour according to the field specs.
+export function mergeHourlySeries(results, { startDate, endDate }) {
+    const buckets = {};
+    const fields = describeFields(results.map(r => r.sourceId));
+
+    for (const { records } of results) {
+        for (const { time, values } of records) {
+            const key = hourKey(time);
+            if (!key) continue;
+            if (!buckets[key]) buckets[key] = {};
+            for (const [field, value] of Object.entries(values)) {
+                if (!fields[field] || value === null || value === undefined || Number.isNaN(value)) continue;
+                (buckets[key][field] = buckets[key][field] || []).push(value);
+            }
+        }
+    }
+
+    const finalizers = results.map(r => adapters.get(r.sourceId)?.finalizePoint).filter(Boolean);
+
+    const series = [];
+    const end = new Date(endDate).valueOf();
+    for (let t = new Date(hourKey(startDate)).valueOf(); t <= end; t += 3600000) {
+        const timestamp = new Date(t).toISOString();
+        const point = { timestamp };
+        for (const [field, spec] of Object.entries(fields)) {
+            const values = buckets[timestamp]?.[field];
+            point[field] = values ? combine(spec.aggregate, values) : (spec.fill ?? null);
+        }
+        finalizers.forEach(finalize => Object.assign(point, finalize(point)));
+        series.push(point);
+    }
+    return series;
+}
+
+// Re-buckets an hourly series into days or weeks (see RESOLUTIONS), combining each field with its
+// own aggregate so counts add up and peaks stay peaks. Each point gets the number of hours it holds.
+export function aggregateSeries(series, resolution, sourceIds) {
+    if (resolution === 'hour') return series;
+    const { bucketStart } = RESOLUTIONS[resolution];
+    const fields = describeFields(sourceIds);
+    const finalizers = sourceIds.map(id => adapters.get(id)?.finalizePoint).filter(Boolean);
+
+    const buckets = new Map();
+    for (const point of series) {
+        const key = bucketStart(new Date(point.timestamp).valueOf());
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(point);
+    }
+
+    return Array.from(buckets.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([key, points]) => {
+            const bucket = { timestamp: new Date(key).toISOString(), hours: points.length };
+            for (const [field, spec] of Object.entries(fields)) {
+                const values = points.map(p => p[field]).filter(v => v !== null && v !== undefined && !Number.isNaN(v));
+                bucket[field] = values.length ? combine(spec.aggregate, values) : (spec.fill ?? null);
+            }
+            finalizers.forEach(finalize => Object.assign(bucket, finalize(bucket)));
+            return bucket;
+        });
+}
@@ -0,0 +1,119 @@
+import flares from '../../../fixtures/donki/FLR.json';
+import cmeAnalyses from '../../../fixtures/donki/CMEAnalysis.json';
+import storms from '../../../fixtures/donki/GST.json';
+import { hourKey, mergeHourlySeries, aggregateSeries, fetchSpaceWeather } from './index';
+import { donkiFlareAdapter, donkiCmeAdapter, donkiGeomagneticStormAdapter } from './donki';
+
+const DONKI_SOURCES = ['donki-flr', 'donki-cme', 'donki-gst'];
+
+const fixtureResults = () => [
+    { sourceId: 'donki-flr', records: donkiFlareAdapter.parse(flares), events: [] },
+    { sourceId: 'donki-cme', records: donkiCmeAdapter.parse(cmeAnalyses), events: [] },
+    { sourceId: 'donki-gst', records: donkiGeomagneticStormAdapter.parse(storms), events: [] },
+];
+
+const pointAt = (series, timestamp) => series.find(point => point.timestamp === timestamp);
+
+describe('hourKey', () => {
+    it('buckets by the UTC hour whatever offset the time is written in', () => {
+        expect(hourKey('2024-05-10T17:23Z')).toBe('2024-05-10T17:00:00.000Z');
+        // India (+05:30) and Nepal (+05:45) are not whole hours from UTC
+        expect(hourKey('2024-05-10T22:53:00+05:30')).toBe('2024-05-10T17:00:00.000Z');
+        expect(hourKey('2024-05-10T23:08:00+05:45')).toBe('2024-05-10T17:00:00.000Z');
+        expect(hourKey('2024-05-10T13:53:00-03:30')).toBe('2024-05-10T17:00:00.000Z');
+    });
+
+    it('returns null for times it cannot read', () => {
+        expect(hourKey('not a time')).toBeNull();
+        expect(hourKey(undefined)).toBeNull();
+    });
+});
+
+describe('mergeHourlySeries', () => {
+    const range = { startDate: new Date('2024-05-08T00:00:00Z'), endDate: new Date('2024-05-14T23:59:59Z') };
+
+    it('produces one point per UTC hour of the range', () => {
+        const series = mergeHourlySeries(fixtureResults(), range);
+        expect(series).toHaveLength(7 * 24);
+        expect(series[0].timestamp).toBe('2024-05-08T00:00:00.000Z');
+        expect(series[series.length - 1].timestamp).toBe('2024-05-14T23:00:00.000Z');
+    });
+
+    it('starts at the UTC hour of a start time that is not on the hour', () => {
+        const series = mergeHourlySeries(fixtureResults(), { startDate: new Date('2024-05-10T05:45:00+05:30'), endDate: new Date('2024-05-10T03:00:00Z') });
+        expect(series.map(point => point.timestamp)).toEqual(['2024-05-10T00:00:00.000Z', '2024-05-10T01:00:00.000Z', '2024-05-10T02:00:00.000Z', '2024-05-10T03:00:00.000Z']);
+    });
+
+    it('adds up counts and keeps the peaks of each hour', () => {
+        const series = mergeHourlySeries(fixtureResults(), range);
+        // X1.1 at 17:23 and C9.9 at 17:51
+        expect(pointAt(series, '2024-05-09T17:00:00.000Z')).toMatchObject({ solarFlareCount: 2, maxFlareClass: 'X1.1' });
+        expect(pointAt(series, '2024-05-09T17:00:00.000Z').maxFlareFlux).toBeCloseTo(1.1e-4, 10);
+        expect(pointAt(series, '2024-05-11T03:00:00.000Z')).toMatchObject({ cmeCount: 1, maxCmeSpeed: 1715, geomagneticStormLevel: 8.67 });
+    });
+
+    it('fills hours without data from the field specs', () => {
+        const quiet = pointAt(mergeHourlySeries(fixtureResults(), range), '2024-05-13T10:00:00.000Z');
+        expect(quiet).toMatchObject({ solarFlareCount: 0, maxFlareFlux: null, cmeCount: 0, maxCmeSpeed: 0, geomagneticStormLevel: 0 });
+    });
+});
+
+describe('aggregateSeries', () => {
+    const hourly = mergeHourlySeries(fixtureResults(), { startDate: new Date('2024-05-08T00:00:00Z'), endDate: new Date('2024-05-14T23:59:59Z') });
+
+    it('leaves hourly data alone', () => {
+        expect(aggregateSeries(hourly, 'hour', DONKI_SOURCES)).toBe(hourly);
+    });
+
+    it('makes UTC days, summing counts and keeping peaks', () => {
+        const days = aggregateSeries(hourly, 'day', DONKI_SOURCES);
+        expect(days.map(day => day.timestamp.slice(0, 10))).toEqual(['2024-05-08', '2024-05-09', '2024-05-10', '2024-05-11', '2024-05-12', '2024-05-13', '2024-05-14']);
+        expect(days.every(day => day.hours === 24)).toBe(true);
+        expect(days[1]).toMatchObject({ solarFlareCount: 3, maxFlareClass: 'X2.2', cmeCount: 3, maxCmeSpeed: 1280 });
+        expect(days[2].geomagneticStormLevel).toBe(9);
+    });
+
+    it('starts weeks on Monday', () => {
+        const weeks = aggregateSeries(hourly, 'week', DONKI_SOURCES);
+        // 2024-05-08 is a Wednesday
+        expect(weeks.map(week => [week.timestamp, week.hours])).toEqual([['2024-05-06T00:00:00.000Z', 5 * 24], ['2024-05-13T00:00:00.000Z', 2 * 24]]);
+    });
+});
+
+describe('fetchSpaceWeather', () => {
+    const responses = { FLR: flares, CMEAnalysis: cmeAnalyses, GST: storms };
+    const fetchFixture = (url) => {
+        const endpoint = new URL(url).pathname.split('/').pop();
+        return responses[endpoint] ? Promise.resolve(responses[endpoint]) : Promise.reject(new Error(`HTTP 503 for ${endpoint}`));
+    };
+    const options = {
+        sources: DONKI_SOURCES,
+        config: { nasaApiKey: 'TEST' },
+        startDate: new Date('2024-05-08T00:00:00Z'),
+        endDate: new Date('2024-05-14T23:59:59Z'),
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    it('merges the recorded responses and collects their events', async () => {
+        const { series, events } = await fetchSpaceWeather({ ...options, fetchJson: fetchFixture });
+        expect(series).toHaveLength(7 * 24);
+        expect(events.filter(event => event.type === 'FLR')).toHaveLength(flares.length);
+        expect(events.filter(event => event.type === 'GST')).toHaveLength(1);
+    });
+
+    it('skips a failing source and keeps the rest', async () => {
+        const { series, failedSources } = await fetchSpaceWeather({ ...options, sources: [...DONKI_SOURCES, 'donki-sep'], fetchJson: fetchFixture });
+        expect(pointAt(series, '2024-05-09T17:00:00.000Z').solarFlareCount).toBe(2);
+        expect(failedSources).toEqual(['donki-sep']);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('donki-sep'));
+    });
+
+    it('fails when every source fails', async () => {
+        await expect(fetchSpaceWeather({ ...options, fetchJson: () => Promise.reject(new Error('offline')) }))
+            .rejects.toThrow('All data sources failed');
+    });
+});
@@ -0,0 +1,116 @@
+// --- NOAA SWPC (Space Weather Prediction Center) JSON product adapters ---
+// SWPC products are sampled time series covering roughly the last 7 days; no API key needed.
+export const NOAA_SWPC_BASE_URL = 'https://services.swpc.noaa.gov';
+
+// SWPC "products" files are a header row followed by rows of strings,
+// with UTC timestamps written as "2024-05-10 00:00:00.000".
+function parseTable(rows) {
+    const [header, ...data] = rows;
+    return data.map(row => Object.fromEntries(header.map((column, i) => [column, row[i]])));
+}
+
+const swpcTime = (timeTag) => (timeTag.includes('T') ? timeTag : `${timeTag.replace(' ', 'T')}Z`);
+
+const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+const swpcUrl = (path) => ({ config }) => `${config.swpcBaseUrl || NOAA_SWPC_BASE_URL}${path}`;
+
+export const swpcPlanetaryKIndexAdapter = {
+    id: 'swpc-kp',
+    name: 'NOAA SWPC Planetary K-index',
+    provider: 'NOAA SWPC',
+    cadenceMinutes: 180,
+    fields: {
+        planetaryKIndex: { label: 'Planetary Kp', unit: 'Kp', aggregate: 'max', fill: null },
+    },
+    buildUrl: swpcUrl('/products/noaa-planetary-k-index.json'),
+    parse: (rows) => parseTable(rows).map(row => ({
+        time: swpcTime(row.time_tag),
+        values: { planetaryKIndex: toNumber(row.Kp) },
+    })),
+};
+
+export const swpcXrayFluxAdapter = {
+    id: 'swpc-xray',
+    name: 'NOAA SWPC GOES X-ray Flux',
+    provider: 'NOAA SWPC',
+    cadenceMinutes: 1,
+    fields: {
+        xrayFluxLong: { label: 'GOES X-ray Flux (0.1-0.8 nm)', unit: 'W/m²', aggregate: 'max', fill: null },
+        xrayFluxShort: { label: 'GOES X-ray Flux (0.05-0.4 nm)', unit: 'W/m²', aggregate: 'max', fill: null },
+    },
+    buildUrl: swpcUrl('/json/goes/primary/xrays-7-day.json'),
+    parse: (samples) => samples.map(sample => ({
+        time: sample.time_tag,
+        values: sample.energy === '0.1-0.8nm'
+            ? { xrayFluxLong: toNumber(sample.flux) }
+            : { xrayFluxShort: toNumber(sample.flux) },
+    })),
+};
+
+export const swpcSolarWindPlasmaAdapter = {
+    id: 'swpc-plasma',
+    name: 'NOAA SWPC Solar Wind Plasma',
+    provider: 'NOAA SWPC',
+    cadenceMinutes: 1,
+    fields: {
+        solarWindSpeed: { label: 'Solar Wind Speed', unit: 'km/s', aggregate: 'mean', fill: null },
+        solarWindDensity: { label: 'Solar Wind Density', unit: 'p/cm³', aggregate: 'mean', fill: null },
+        solarWindTemperature: { label: 'Solar Wind Temperature', unit: 'K', aggregate: 'mean', fill: null },
+    },
+    buildUrl: swpcUrl('/products/solar-wind/plasma-7-day.json'),
+    parse: (rows) => parseTable(rows).map(row => ({
+        time: swpcTime(row.time_tag),
+        values: {
+            solarWindSpeed: toNumber(row.speed),
+            solarWindDensity: toNumber(row.density),
+            solarWindTemperature: toNumber(row.temperature),
+        },
+    })),
+};
+
+export const swpcSolarWindMagAdapter = {
+    id: 'swpc-mag',
+    name: 'NOAA SWPC Solar Wind Magnetic Field',
+    provider: 'NOAA SWPC',
+    cadenceMinutes: 1,
+    fields: {
+        imfBz: { label: 'IMF Bz (GSM, most southward)', unit: 'nT', aggregate: 'min', fill: null },
+        imfBt: { label: 'IMF Bt', unit: 'nT', aggregate: 'max', fill: null },
+    },
+    buildUrl: swpcUrl('/products/solar-wind/mag-7-day.json'),
+    parse: (rows) => parseTable(rows).map(row => ({
+        time: swpcTime(row.time_tag),
+        values: { imfBz: toNumber(row.bz_gsm), imfBt: toNumber(row.bt) },
+    })),
+};
+
+export const swpcProtonFluxAdapter = {
+    id: 'swpc-protons',
+    name: 'NOAA SWPC GOES Integral Proton Flux',
+    provider: 'NOAA SWPC',
+    cadenceMinutes: 5,
+    fields: {
+        protonFlux10MeV: { label: 'Proton Flux (≥10 MeV)', unit: 'pfu', aggregate: 'max', fill: null },
+    },
+    buildUrl: swpcUrl('/json/goes/primary/integral-protons-7-day.json'),
+    // Only the ≥10 MeV channel drives the NOAA S-scale; the other energy channels are skipped
+    parse: (samples) => samples
+        .filter(sample => sample.energy === '>=10 MeV')
+        .map(sample => ({ time: sample.time_tag, values: { protonFlux10MeV: toNumber(sample.flux) } })),
+};
+
+// Monthly solar cycle indices since 1749, where `ssn` is WDC-SILSO's monthly mean total sunspot
+// number. Not an hourly source: the worker keeps the months in one document for solarCycle.js.
+export const SWPC_SOLAR_CYCLE_PATH = '/json/solar-cycle/observed-solar-cycle-indices.json';
+export const solarCycleIndicesUrl = (config = {}) => swpcUrl(SWPC_SOLAR_CYCLE_PATH)({ config });
+
+// [{ month: 'YYYY-MM', value }], oldest first; months without a number (-1) are left out
+export const parseSolarCycleIndices = (records) => records
+    .map(record => ({ month: record['time-tag'], value: toNumber(record.ssn) }))
+    .filter(entry => /^\d{4}-\d{2}$/.test(entry.month) && entry.value !== null && entry.value >= 0)
+    .sort((a, b) => (a.month < b.month ? -1 : 1));
@@ -0,0 +1,175 @@
+// --- Individual space weather events (flares, CMEs, storms...) ---
+// The hourly series only keeps counts and maxima; events keep everything DONKI reports about one
+// occurrence. Adapters turn DONKI records into this shape:
+//
+//   {
+//     id: '2024-05-08T01:41:00-FLR-001',  // DONKI activity ID, also used by linkedEvents
+//     type: 'FLR',                        // One of EVENT_TYPES
+//     startTime, peakTime, endTime,       // ISO strings, null when DONKI has none
+//     link: 'https://webtools.ccmc...',   // DONKI page of the event
+//     note, instruments: ['GOES-P: EXIS 1.0-8.0'],
+//     linkedEventIds: ['2024-05-08T02:36:00-CME-001'],
+//     details: { ... },                   // Type-specific fields, e.g. classType or halfAngle
+//     raw: '{...}',                       // The untouched DONKI record as JSON
+//   }
+
+import { DEFAULT_I18N } from './i18n.js';
+import { formatSpeed } from './profile.js';
+
+// Event types with their Firestore collection and display label (translated as events.types.<type>)
+export const EVENT_TYPES = {
+    FLR: { label: 'Solar Flare', collection: 'solar_flares' },
+    CME: { label: 'Coronal Mass Ejection', collection: 'coronal_mass_ejections' },
+    GST: { label: 'Geomagnetic Storm', collection: 'geomagnetic_storms' },
+    SEP: { label: 'Solar Energetic Particles', collection: 'solar_energetic_particles' },
+    IPS: { label: 'Interplanetary Shock', collection: 'interplanetary_shocks' },
+    RBE: { label: 'Radiation Belt Enhancement', collection: 'radiation_belt_enhancements' },
+    HSS: { label: 'High Speed Stream', collection: 'high_speed_streams' },
+};
+
+// Display label of an event type in the language of `i18n`; unknown types show as themselves
+export const eventTypeLabel = (type, { t } = DEFAULT_I18N) => t(`events.types.${type}`, {}, EVENT_TYPES[type]?.label || type);
+
+// DONKI activity IDs embed the start time and type: "2024-05-09T09:24:00-CME-001"
+const ACTIVITY_ID_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2})?)-([A-Z]+)-\d+$/;
+
+export function eventTypeOfId(id) {
+    const match = ACTIVITY_ID_PATTERN.exec(id || '');
+    return match && EVENT_TYPES[match[2]] ? match[2] : null;
+}
+
+export function activityIdTime(id) {
+    const match = ACTIVITY_ID_PATTERN.exec(id || '');
+    return match ? toIsoTime(`${match[1]}Z`) : null;
+}
+
+// DONKI writes minute-precision UTC times ("2024-05-08T01:41Z"); missing or bad times become null
+export function toIsoTime(time) {
+    if (!time) return null;
+    const date = new Date(time);
+    return Number.isNaN(date.valueOf()) ? null : date.toISOString();
+}
+
+export const linkedEventIdsOf = (record) => (record.linkedEvents || []).map(link => link.activityID).filter(Boolean);
+
+export const instrumentNamesOf = (record) => (record.instruments || []).map(instrument => instrument.displayName).filter(Boolean);
+
+// First and last moment the event covers, for matching it to hours of the series
+export function eventSpan(event) {
+    const times = [event.startTime, event.peakTime, event.endTime, event.details?.time21_5]
+        .filter(Boolean)
+        .map(time => new Date(time).valueOf());
+    return times.length ? { start: Math.min(...times), end: Math.max(...times) } : null;
+}
+
+// Events that overlap the `hours` starting at `bucketTimestamp` (a point of the hourly, daily or
+// weekly series)
+export function eventsInHour(events, bucketTimestamp, hours = 1) {
+    const bucketStart = new Date(bucketTimestamp).valueOf();
+    const bucketEnd = bucketStart + hours * 3600000;
+    return events.filter(event => {
+        const span = eventSpan(event);
+        return span && span.start < bucketEnd && span.end >= bucketStart;
+    });
+}
+
+// Key moments of an event in time order, for the detail timeline, labelled in the language of `i18n`
+// with speeds in `speedUnit`
+export function eventTimeline(event, i18n = DEFAULT_I18N, speedUnit = 'km/s') {
+    const { t } = i18n;
+    const entries = [];
+    const add = (label, time) => { if (time) entries.push({ label, time }); };
+    const { details = {} } = event;
+
+    switch (event.type) {
+        case 'FLR':
+            add(t('events.moments.flareBegan'), event.startTime);
+            add(details.classType ? t('events.moments.peakClass', { classType: details.classType }) : t('events.moments.peak'), event.peakTime);
+            add(t('events.moments.flareEnded'), event.endTime);
+            break;
+        case 'CME':
+            add(t('events.moments.cmeSeen'), event.startTime);
+            add(details.speed ? t('events.moments.frontSpeed', { speed: formatSpeed(details.speed, speedUnit, i18n.language) }) : t('events.moments.front'), details.time21_5);
+            break;
+        case 'GST':
+            add(t('events.moments.stormBegan'), event.startTime);
+            (details.kpIndex || []).forEach(reading => add(
+                reading.source ? t('events.moments.kpSource', { kp: reading.kpIndex, source: reading.source }) : t('events.moments.kp', { kp: reading.kpIndex }),
+                reading.observedTime,
+            ));
+            break;
+        default:
+            add(EVENT_TYPES[event.type] ? eventTypeLabel(event.type, i18n) : t('events.event'), event.startTime);
+            add(t('events.moments.ended'), event.endTime);
+    }
+    return entries.sort((a, b) => new Date(a.time) - new Date(b.time));
+}
+
+// The chain of related events around `eventId` (flare -> CME -> storm...), following
+// linkedEvents in both directions since DONKI often records a link on one side only.
+// Linked IDs that were never ingested come back as { id, type, missing: true }.
+export function resolveEventChain(eventId, events) {
+    const byId = new Map(events.map(event => [event.id, event]));
+    const neighbours = new Map();
+    const connect = (a, b) => {
+        if (!neighbours.has(a)) neighbours.set(a, new Set());
+        neighbours.get(a).add(b);
+    };
+    for (const event of events) {
+        for (const linkedId of event.linkedEventIds || []) {
+            connect(event.id, linkedId);
+            connect(linkedId, event.id);
+        }
+    }
+
+    const seen = new Set([eventId]);
+    const queue = [eventId];
+    while (queue.length) {
+        const id = queue.shift();
+        for (const next of neighbours.get(id) || []) {
+            if (!seen.has(next)) {
+                seen.add(next);
+                queue.push(next);
+            }
+        }
+    }
+
+    return Array.from(seen)
+        .map(id => byId.get(id) || { id, type: eventTypeOfId(id), startTime: activityIdTime(id), missing: true })
+        .sort((a, b) => new Date(a.startTime || 0) - new Date(b.startTime || 0));
+}
+
+// Heliographic position in DONKI's notation: latitude -15, longitude 2 -> "S15W02" (west is positive)
+export function formatHeliographic(latitude, longitude) {
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+    const pad = (value) => String(Math.round(Math.abs(value))).padStart(2, '0');
+    return `${latitude < 0 ? 'S' : 'N'}${pad(latitude)}${longitude < 0 ? 'E' : 'W'}${pad(longitude)}`;
+}
+
+// One-line description of an event for lists and chain entries, in the language of `i18n` with
+// speeds in `speedUnit`
+export function eventSummary(event, i18n = DEFAULT_I18N, speedUnit = 'km/s') {
+    const { t } = i18n;
+    const { details = {} } = event;
+    const parts = [event.type ? eventTypeLabel(event.type, i18n) : t('events.event')];
+    switch (event.type) {
+        case 'FLR':
+            if (details.classType) parts.push(details.classType);
+            if (details.activeRegionNum) parts.push(t('events.summary.activeRegion', { number: String(details.activeRegionNum) }));
+            if (details.sourceLocation) parts.push(details.sourceLocation);
+            break;
+        case 'CME': {
+            const direction = formatHeliographic(details.latitude, details.longitude);
+            if (details.speed) parts.push(formatSpeed(details.speed, speedUnit, i18n.language));
+            if (details.halfAngle) parts.push(t('events.summary.halfAngle', { angle: details.halfAngle }));
+            if (direction) parts.push(t('events.summary.towards', { direction }));
+            break;
+        }
+        case 'GST':
+            if (details.maxKp !== null && details.maxKp !== undefined) parts.push(t('events.summary.maxKp', { kp: details.maxKp }));
+            break;
+        default:
+            if (details.location) parts.push(t('events.summary.at', { location: details.location }));
+    }
+    return parts.join(' · ');
+}
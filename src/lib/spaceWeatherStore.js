@@ -0,0 +1,67 @@
+// --- Firestore layout of the shared space weather series ---
+// Plain path/id helpers with no SDK import, so the browser (firebase) and the ingestion
+// worker (firebase-admin) agree on where every hourly point and event lives.
+import { EVENT_TYPES } from './spaceWeatherEvents.js';
+
+export const spaceWeatherCollectionPath = (appId) => `artifacts/${appId}/public/data/space_weather_data`;
+
+// Status of the most recent ingestion run, written by the worker
+export const ingestionStatusDocPath = (appId) => `artifacts/${appId}/public/data/ingestion/status`;
+
+// Time ranges already ingested ({ ranges: [{ start, end }] }, ISO strings), written by the worker
+export const ingestionCoverageDocPath = (appId) => `artifacts/${appId}/public/data/ingestion/coverage`;
+
+// One summary per UTC day for the statistics page (statistics.js dailySummaries), keyed by the
+// day ('YYYY-MM-DD'), written by the worker
+export const dailyStatisticsCollectionPath = (appId) => `artifacts/${appId}/public/data/daily_statistics`;
+
+// Monthly sunspot numbers for the solar cycle panel ({ months: [{ month, value }] }), written by
+// the worker
+export const sunspotNumbersDocPath = (appId) => `artifacts/${appId}/public/data/solar_cycle/sunspots`;
+
+// Requests from the dashboard to backfill a range that has not been ingested yet, one per user
+// (document ID = user ID)
+export const backfillRequestsCollectionPath = (appId) => `artifacts/${appId}/public/data/backfill_requests`;
+
+// Stable document ID for an hourly point, so re-ingesting the same hour overwrites it
+export const toSpaceWeatherDocId = (isoTimestamp) => isoTimestamp.replace(/[:.]/g, '-').replace('T', '_');
+
+// Each event type (FLR, CME, GST...) has its own collection next to the hourly series
+export const spaceWeatherEventsCollectionPath = (appId, type) => `artifacts/${appId}/public/data/${EVENT_TYPES[type].collection}`;
+
+// Event documents are keyed by the DONKI activity ID, made safe the same way as hour IDs
+export const toEventDocId = (activityId) => activityId.replace(/[:.]/g, '-');
+
+// Per-user settings documents (observerLocation, alertRules, notifications...)
+export const userSettingsDocPath = (appId, userId, name) => `artifacts/${appId}/users/${userId}/settings/${name}`;
+
+// Each user's Web Push subscriptions live in this subcollection; the worker reads them all with a
+// collection-group query
+export const PUSH_SUBSCRIPTIONS_COLLECTION = 'push_subscriptions';
+export const pushSubscriptionsCollectionPath = (appId, userId) => `artifacts/${appId}/users/${userId}/${PUSH_SUBSCRIPTIONS_COLLECTION}`;
+
+// Push endpoints are URLs; encoding them gives a stable document ID without slashes
+export const toPushSubscriptionDocId = (endpoint) => encodeURIComponent(endpoint);
+
+// Documents that own alert integrations: a user, or a team whose endpoints are shared
+export const userDocPath = (appId, userId) => `artifacts/${appId}/users/${userId}`;
+export const teamDocPath = (appId, teamId) => `artifacts/${appId}/teams/${teamId}`;
+
+// Outbound alert endpoints (webhooks, email) of a user or team, and the log of what was sent to
+// them. The worker finds every owner's endpoints with a collection-group query.
+export const ALERT_ENDPOINTS_COLLECTION = 'alert_endpoints';
+export const alertEndpointsCollectionPath = (ownerPath) => `${ownerPath}/${ALERT_ENDPOINTS_COLLECTION}`;
+export const alertDeliveriesCollectionPath = (ownerPath) => `${ownerPath}/alert_deliveries`;
+
+// Satellites, HF links, GNSS operations and grid sites of a user or team, for the impact panel
+export const ASSETS_COLLECTION = 'assets';
+export const assetsCollectionPath = (ownerPath) => `${ownerPath}/${ASSETS_COLLECTION}`;
+
+// Team workspaces: members (document ID = user ID) with their role, and the annotations they pin
+// to the trends timeline, each with its comments. Users find their teams with a collection-group
+// query on the members.
+export const TEAM_MEMBERS_COLLECTION = 'members';
+export const teamsCollectionPath = (appId) => `artifacts/${appId}/teams`;
+export const teamMembersCollectionPath = (teamPath) => `${teamPath}/${TEAM_MEMBERS_COLLECTION}`;
+export const annotationsCollectionPath = (teamPath) => `${teamPath}/annotations`;
+export const annotationCommentsCollectionPath = (teamPath, annotationId) => `${annotationsCollectionPath(teamPath)}/${annotationId}/comments`;
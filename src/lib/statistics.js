@@ -0,0 +1,157 @@
+// --- Statistics over the stored history: flares by class, CME speeds, storm days ---
+// Flare classes and CME speeds come from the event collections, one document per flare or CME;
+// the hourly series only keeps the strongest flare and fastest CME of each hour. Storm days come
+// from the hourly series, whose Kp readings cover quiet days too. Months and days are UTC.
+//
+// A year compared with three before it would mean reading tens of thousands of documents, so the
+// worker boils each UTC day down to one summary (dailySummaries) and the page adds those up.
+import { FLARE_CLASS_BANDS, flareClassBand } from './flareClass.js';
+import { getNoaaScales, GEOMAGNETIC_STORM_SCALE } from './noaaScales.js';
+import { missingRanges } from './timeRange.js';
+
+const DAY_MS = 24 * 3600000;
+
+// Labelled in the other languages as statistics.periods.<id>
+export const STATISTICS_PERIODS = [
+    { id: '30d', label: '30 days', days: 30 },
+    { id: '90d', label: '90 days', days: 90 },
+    { id: '1y', label: '1 year', days: 365 },
+];
+export const DEFAULT_STATISTICS_PERIOD = '90d';
+
+// How many earlier years the period is compared with
+export const COMPARISON_YEARS = 3;
+
+// Flares from this class up count as major (R1 radio blackouts and above)
+export const MAJOR_FLARE_CLASSES = ['M', 'X'];
+// CMEs at least this fast (km/s) count as fast; they can reach Earth in under two days
+export const FAST_CME_SPEED = 1000;
+
+// Bin edges for the CME speed histogram, in km/s
+export const CME_SPEED_BINS = [0, 500, 1000, 1500, 2000];
+
+const FLARE_CLASSES = FLARE_CLASS_BANDS.map(band => band.letter);
+
+// The period ending at `now`
+export function statisticsRange(periodId, now = new Date()) {
+    const period = STATISTICS_PERIODS.find(p => p.id === periodId);
+    if (!period) throw new Error(`Unknown statistics period "${periodId}"`);
+    return { start: new Date(now.valueOf() - period.days * DAY_MS), end: new Date(now) };
+}
+
+// The same calendar dates `years` years earlier
+export function shiftRangeByYears({ start, end }, years) {
+    const shift = (date) => {
+        const shifted = new Date(date);
+        shifted.setUTCFullYear(shifted.getUTCFullYear() - years);
+        return shifted;
+    };
+    return { start: shift(start), end: shift(end) };
+}
+
+// The period itself (yearsBack 0) followed by the same dates in each of the `years` before it
+export const comparisonRanges = (range, years = COMPARISON_YEARS) =>
+    Array.from({ length: years + 1 }, (_, yearsBack) => ({ yearsBack, ...shiftRangeByYears(range, yearsBack) }));
+
+const monthOf = (time) => new Date(time).toISOString().slice(0, 7);
+const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Every UTC month the range touches, as 'YYYY-MM'
+function monthsOf({ start, end }) {
+    const months = [];
+    const cursor = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+    while (cursor <= end) {
+        months.push(monthOf(cursor));
+        cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+    return months;
+}
+
+// Every UTC day the range touches, as 'YYYY-MM-DD'
+export function daysOf({ start, end }) {
+    const days = [];
+    for (let time = Date.parse(dayOf(start)); time <= end.valueOf(); time += DAY_MS) days.push(dayOf(time));
+    return days;
+}
+
+const flareLetter = (flare) => (flare.details?.peakFlux > 0 ? flareClassBand(flare.details.peakFlux).letter : null);
+const emptyFlareCounts = () => ({ ...Object.fromEntries(FLARE_CLASSES.map(letter => [letter, 0])), total: 0 });
+
+// One summary per UTC day of the range, quiet days included:
+//   { day: 'YYYY-MM-DD', flares: { A, B, C, M, X, total }, cmes, cmeSpeeds, stormLevel }
+// Flares without a class only count towards the total; cmeSpeeds holds the measured speeds (km/s)
+// in ascending order; stormLevel is the day's highest G-level, 0 without a storm. Events and points
+// outside the range are left out.
+export function dailySummaries({ flares = [], cmes = [], points = [] }, range) {
+    const byDay = new Map(daysOf(range).map(day => [day, { day, flares: emptyFlareCounts(), cmes: 0, cmeSpeeds: [], stormLevel: 0 }]));
+    for (const flare of flares) {
+        const summary = byDay.get(dayOf(flare.startTime));
+        if (!summary) continue;
+        summary.flares.total += 1;
+        const letter = flareLetter(flare);
+        if (letter) summary.flares[letter] += 1;
+    }
+    for (const cme of cmes) {
+        const summary = byDay.get(dayOf(cme.startTime));
+        if (!summary) continue;
+        summary.cmes += 1;
+        const speed = cme.details?.speed;
+        if (Number.isFinite(speed) && speed > 0) summary.cmeSpeeds.push(speed);
+    }
+    for (const point of points) {
+        const summary = byDay.get(dayOf(point.timestamp));
+        const scale = getNoaaScales(point).G;
+        if (summary && scale) summary.stormLevel = Math.max(summary.stormLevel, scale.level);
+    }
+    for (const summary of byDay.values()) summary.cmeSpeeds.sort((a, b) => a - b);
+    return Array.from(byDay.values());
+}
+
+// [{ month: 'YYYY-MM', A, B, C, M, X, total }] for every month of the range, from its daily summaries
+export function monthlyFlareCounts(days, range) {
+    const byMonth = new Map(monthsOf(range).map(month => [month, { month, ...emptyFlareCounts() }]));
+    for (const { day, flares } of days) {
+        const counts = byMonth.get(monthOf(day));
+        if (!counts) continue;
+        for (const key of Object.keys(flares)) counts[key] += flares[key];
+    }
+    return Array.from(byMonth.values());
+}
+
+// Histogram of the days' CME speeds: { bins: [{ min, max, count }], measured, median, fastest },
+// speeds in km/s (max is null for the open-ended last bin). CMEs without a speed are left out.
+export function cmeSpeedDistribution(days) {
+    const speeds = days.flatMap(day => day.cmeSpeeds).sort((a, b) => a - b);
+    const bins = CME_SPEED_BINS.map((min, i) => ({ min, max: CME_SPEED_BINS[i + 1] ?? null, count: 0 }));
+    for (const speed of speeds) {
+        bins.find(bin => bin.max === null || speed < bin.max).count += 1;
+    }
+    const middle = Math.floor(speeds.length / 2);
+    let median = null;
+    if (speeds.length) median = speeds.length % 2 ? speeds[middle] : (speeds[middle - 1] + speeds[middle]) / 2;
+    return { bins, measured: speeds.length, median, fastest: speeds.length ? speeds[speeds.length - 1] : null };
+}
+
+// Days whose highest G-level was each of G1-G5: { G1: 4, G2: 1, ..., total: 5 }. A day counts
+// once, under its strongest hour.
+export function stormDaysByLevel(days) {
+    const counts = Object.fromEntries(GEOMAGNETIC_STORM_SCALE.map(entry => [entry.code, 0]));
+    const stormDays = days.filter(day => day.stormLevel > 0);
+    for (const { stormLevel } of stormDays) counts[`G${stormLevel}`] += 1;
+    return { ...counts, total: stormDays.length };
+}
+
+// Headline numbers of one period from its daily summaries, for comparing years: flares,
+// majorFlares, cmes, fastCmes, stormDays, plus `complete` (false when part of the period was never
+// ingested, given the coverage)
+export function summarizePeriod({ days, range, coverage }) {
+    const sum = (value) => days.reduce((total, day) => total + value(day), 0);
+    return {
+        flares: sum(day => day.flares.total),
+        majorFlares: sum(day => MAJOR_FLARE_CLASSES.reduce((total, letter) => total + day.flares[letter], 0)),
+        cmes: sum(day => day.cmes),
+        fastCmes: sum(day => day.cmeSpeeds.filter(speed => speed >= FAST_CME_SPEED).length),
+        stormDays: stormDaysByLevel(days).total,
+        complete: missingRanges(coverage, range).length === 0,
+    };
+}
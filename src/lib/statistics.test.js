@@ -0,0 +1,114 @@
+import flares from '../../fixtures/donki/FLR.json';
+import analyses from '../../fixtures/donki/CMEAnalysis.json';
+import storms from '../../fixtures/donki/GST.json';
+import {
+    statisticsRange, shiftRangeByYears, comparisonRanges, daysOf, dailySummaries, monthlyFlareCounts, cmeSpeedDistribution, stormDaysByLevel, summarizePeriod,
+} from './statistics';
+import { mergeHourlySeries } from './sources';
+import { donkiFlareAdapter, donkiCmeAdapter, donkiGeomagneticStormAdapter } from './sources/donki';
+
+// The May 2024 storm fixtures: 10 flares (C9.9, three M, six X), 8 CMEs, and Kp 9 on 10-11 May
+const flareEvents = donkiFlareAdapter.parseEvents(flares);
+const cmeEvents = donkiCmeAdapter.parseEvents(analyses);
+const range = { start: new Date('2024-04-20T00:00:00Z'), end: new Date('2024-05-15T00:00:00Z') };
+const points = mergeHourlySeries(
+    [{ sourceId: 'donki-gst', records: donkiGeomagneticStormAdapter.parse(storms) }],
+    { startDate: new Date('2024-05-08T00:00:00Z'), endDate: new Date('2024-05-14T23:59:59Z') },
+);
+const days = dailySummaries({ flares: flareEvents, cmes: cmeEvents, points }, range);
+
+describe('periods', () => {
+    const now = new Date('2024-05-15T00:00:00Z');
+
+    it('end now and shift to the same dates in earlier years', () => {
+        expect(statisticsRange('30d', now)).toEqual({ start: new Date('2024-04-15T00:00:00Z'), end: now });
+        expect(() => statisticsRange('2w', now)).toThrow('Unknown statistics period');
+        expect(shiftRangeByYears({ start: new Date('2024-02-29T12:00:00Z'), end: now }, 1)).toEqual({
+            start: new Date('2023-03-01T12:00:00Z'),
+            end: new Date('2023-05-15T00:00:00Z'),
+        });
+    });
+
+    it('list the period first, then one window per earlier year', () => {
+        const windows = comparisonRanges(statisticsRange('30d', now), 2);
+        expect(windows.map(w => [w.yearsBack, w.start.toISOString().slice(0, 10)])).toEqual([[0, '2024-04-15'], [1, '2023-04-15'], [2, '2022-04-15']]);
+    });
+});
+
+describe('daily summaries', () => {
+    it('cover every UTC day the range touches, quiet days included', () => {
+        expect(daysOf({ start: new Date('2024-04-30T23:00:00Z'), end: new Date('2024-05-02T00:00:00Z') })).toEqual(['2024-04-30', '2024-05-01', '2024-05-02']);
+        expect(days).toHaveLength(26);
+        expect(days[0]).toEqual({ day: '2024-04-20', flares: { A: 0, B: 0, C: 0, M: 0, X: 0, total: 0 }, cmes: 0, cmeSpeeds: [], stormLevel: 0 });
+    });
+
+    it('count the day\'s flares by class, keep its CME speeds and its highest G-level', () => {
+        const may11 = days.find(day => day.day === '2024-05-11');
+        expect(may11.stormLevel).toBe(5);
+        expect(may11.flares.total).toBe(may11.flares.A + may11.flares.B + may11.flares.C + may11.flares.M + may11.flares.X);
+        expect(days.flatMap(day => day.cmeSpeeds)).toHaveLength(8);
+        days.forEach(day => expect(day.cmeSpeeds).toEqual([...day.cmeSpeeds].sort((a, b) => a - b)));
+    });
+});
+
+describe('monthly flare counts', () => {
+    it('count flares by class for every month of the range, in UTC', () => {
+        expect(monthlyFlareCounts(days, range)).toEqual([
+            { month: '2024-04', A: 0, B: 0, C: 0, M: 0, X: 0, total: 0 },
+            { month: '2024-05', A: 0, B: 0, C: 1, M: 3, X: 6, total: 10 },
+        ]);
+    });
+
+    it('count flares without a class in the total only, and skip flares outside the range', () => {
+        const counts = monthlyFlareCounts(dailySummaries({
+            flares: [
+                { startTime: '2024-04-30T23:30:00.000Z', details: { peakFlux: null } },
+                { startTime: '2024-06-01T00:00:00.000Z', details: { peakFlux: 1e-5 } },
+            ],
+        }, range), range);
+        expect(counts[0]).toMatchObject({ month: '2024-04', total: 1, M: 0 });
+        expect(counts).toHaveLength(2);
+    });
+});
+
+describe('CME speed distribution', () => {
+    it('bins the measured speeds and finds the median and fastest', () => {
+        const distribution = cmeSpeedDistribution(days);
+        expect(distribution.bins.map(bin => bin.count)).toEqual([0, 3, 4, 1, 0]);
+        expect(distribution.bins[4]).toMatchObject({ min: 2000, max: null });
+        expect(distribution).toMatchObject({ measured: 8, median: 1087, fastest: 1715 });
+    });
+
+    it('leaves out CMEs without a speed', () => {
+        const cmes = [{ startTime: '2024-05-01T00:00:00.000Z', details: { speed: null } }, { startTime: '2024-05-01T06:00:00.000Z', details: { speed: 700 } }];
+        expect(cmeSpeedDistribution(dailySummaries({ cmes }, range))).toMatchObject({ measured: 1, median: 700 });
+        expect(cmeSpeedDistribution([])).toMatchObject({ measured: 0, median: null, fastest: null });
+    });
+});
+
+describe('storm days', () => {
+    it('count each UTC day once, under its highest G-level', () => {
+        expect(stormDaysByLevel(days)).toEqual({ G1: 0, G2: 0, G3: 1, G4: 0, G5: 2, total: 3 });
+    });
+
+    it('use the SWPC planetary Kp as well', () => {
+        expect(stormDaysByLevel(dailySummaries({
+            points: [
+                { timestamp: '2024-05-01T03:00:00.000Z', planetaryKIndex: 5 },
+                { timestamp: '2024-05-01T06:00:00.000Z', geomagneticStormLevel: 4 },
+            ],
+        }, range))).toMatchObject({ G1: 1, total: 1 });
+    });
+});
+
+describe('period summaries', () => {
+    it('count major flares, fast CMEs and storm days, and flag missing coverage', () => {
+        const coverage = [{ start: '2024-05-01T00:00:00Z', end: '2024-05-15T00:00:00Z' }];
+        expect(summarizePeriod({ days, range, coverage })).toEqual({
+            flares: 10, majorFlares: 9, cmes: 8, fastCmes: 5, stormDays: 3, complete: false,
+        });
+        const covered = { start: new Date('2024-05-02T00:00:00Z'), end: new Date('2024-05-14T00:00:00Z') };
+        expect(summarizePeriod({ days: dailySummaries({}, covered), range: covered, coverage }))
+            .toMatchObject({ flares: 0, complete: true });
+    });
+});
@@ -0,0 +1,284 @@
+// --- Short-term geomagnetic storm forecast from CME analyses ---
+// CME arrival at Earth comes from the drag-based model (DBM, Vršnak et al. 2013): beyond 21.5
+// solar radii a CME's speed relaxes towards the ambient solar wind speed w as
+//
+//   dv/dt = -γ (v - w) |v - w|
+//
+// which integrates in closed form. The model runs for an ensemble of drag parameters, solar wind
+// speeds and launch speeds; the spread of the ensemble gives the arrival window and the Kp bands.
+// CME events are the ones the DONKI adapter writes (details.speed, halfAngle, latitude,
+// longitude, time21_5).
+import { kpOf } from './trendPanels.js';
+import { eventSpan } from './spaceWeatherEvents.js';
+
+const HOUR_MS = 3600000;
+const SOLAR_RADIUS_KM = 695700;
+const AU_KM = 149597871;
+const START_DISTANCE_KM = 21.5 * SOLAR_RADIUS_KM;
+
+// Ensemble members: every combination of these. γ and w are the DBEM spreads (Dumbović et al.
+// 2018, γ = 0.2 ± 0.1 × 10^-7 km^-1 and w = 450 ± 50 km/s); the launch speed ±10% covers the
+// error of the cone fits.
+const DRAG_PARAMETERS = [0.1e-7, 0.2e-7, 0.3e-7]; // km^-1
+const SOLAR_WIND_SPEEDS = [400, 450, 500]; // km/s
+const SPEED_FACTORS = [0.9, 1, 1.1];
+
+// Longest transit considered; slower CMEs have merged into the solar wind long before Earth
+const MAX_TRANSIT_HOURS = 6 * 24;
+
+// Kp is reported per 3 hours; the outlook uses the same bins
+export const OUTLOOK_BIN_HOURS = 3;
+export const OUTLOOK_DAYS = 3;
+
+// Storm shape after an arrival: Kp at its peak for the sheath and ejecta passage, then an
+// exponential recovery. Without a CME the latest Kp relaxes towards quiet conditions.
+const STORM_PEAK_HOURS = 12;
+const STORM_RECOVERY_HOURS = 12;
+const QUIET_KP = 2;
+const QUIET_RELAXATION_HOURS = 24;
+
+// The ensemble says nothing about the CME's magnetic field orientation, which decides how much of
+// its energy reaches the magnetosphere; the Kp bands are widened by this much for it.
+const FIELD_ORIENTATION_KP_SPREAD = 1;
+
+const RAD = Math.PI / 180;
+const clampKp = (kp) => Math.min(Math.max(kp, 0), 9);
+
+// Angle (degrees) between the CME's direction and the Sun-Earth line. DONKI gives the direction
+// in Stonyhurst coordinates, where Earth sits at longitude 0; the ~7° tilt of the solar equator
+// is ignored.
+export function angleFromEarth({ latitude, longitude }) {
+    return Math.acos(Math.cos(latitude * RAD) * Math.cos(longitude * RAD)) / RAD;
+}
+
+// Share of the apex distance the front has covered along a line `angle` off the apex, for a
+// cone of `halfAngle` with a circular front (Schwenn et al. 2005). 1 at the apex, falling towards
+// the flanks; null when the line misses the cone.
+export function flankFactor(angle, halfAngle) {
+    const omega = Math.min(halfAngle, 80) * RAD;
+    const delta = angle * RAD;
+    if (delta > omega) return null;
+    const tanOmega = Math.tan(omega);
+    return (Math.cos(delta) + Math.sqrt(tanOmega ** 2 - Math.sin(delta) ** 2)) / (1 + tanOmega);
+}
+
+// Apex distance (km) and speed (km/s) `seconds` after passing 21.5 solar radii at `speed`
+export function dragBasedMotion(speed, seconds, { gamma, windSpeed }) {
+    const excess = speed - windSpeed;
+    const sign = excess >= 0 ? 1 : -1;
+    const damping = 1 + sign * gamma * excess * seconds;
+    return {
+        distance: (sign / gamma) * Math.log(damping) + windSpeed * seconds + START_DISTANCE_KM,
+        speed: excess / damping + windSpeed,
+    };
+}
+
+// Seconds for the apex to reach `distance` km, found by bisection (distance grows monotonically)
+function transitSeconds(speed, distance, parameters) {
+    let low = 0;
+    let high = MAX_TRANSIT_HOURS * 3600;
+    if (dragBasedMotion(speed, high, parameters).distance < distance) return null;
+    for (let i = 0; i < 50; i++) {
+        const middle = (low + high) / 2;
+        if (dragBasedMotion(speed, middle, parameters).distance < distance) low = middle;
+        else high = middle;
+    }
+    return high;
+}
+
+// Rough empirical peak Kp for the speed a CME hits Earth with, assuming it is geoeffective: about
+// Kp 5 at 500 km/s and Kp 7 at 700 km/s, saturating towards 9
+export const kpForArrivalSpeed = (speed) => clampKp(9 * (1 - Math.exp(-(speed - 300) / 250)));
+
+const percentile = (values, share) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.round(share * (sorted.length - 1))))];
+};
+
+const ensemble = () => DRAG_PARAMETERS.flatMap(gamma => SOLAR_WIND_SPEEDS.flatMap(windSpeed =>
+    SPEED_FACTORS.map(speedFactor => ({ gamma, windSpeed, speedFactor }))));
+
+// Arrival forecast for one CME event, or null when its analysis lacks speed, direction or time.
+// `members` holds every ensemble run ({ arrival (ms), kp }); arrival and expectedKp summarise
+// them as the median with a 10-90% range. earthDirected is false when Earth lies outside the cone.
+export function forecastCmeArrival(cme) {
+    const { speed, halfAngle, latitude, longitude, time21_5 } = cme.details || {};
+    if (![speed, halfAngle, latitude, longitude].every(Number.isFinite) || !(speed > 0) || !time21_5) return null;
+
+    const angle = angleFromEarth({ latitude, longitude });
+    const flank = flankFactor(angle, halfAngle);
+    const summary = { cmeId: cme.id, time21_5, speed, halfAngle, angle, earthDirected: flank !== null };
+    if (flank === null) return { ...summary, members: [], arrival: null, arrivalSpeed: null, expectedKp: null };
+
+    const launch = new Date(time21_5).valueOf();
+    const members = ensemble().map(({ gamma, windSpeed, speedFactor }) => {
+        const parameters = { gamma, windSpeed };
+        const seconds = transitSeconds(speed * speedFactor, AU_KM / flank, parameters);
+        if (seconds === null) return null;
+        const arrivalSpeed = dragBasedMotion(speed * speedFactor, seconds, parameters).speed * flank;
+        return { arrival: launch + seconds * 1000, arrivalSpeed, kp: kpForArrivalSpeed(arrivalSpeed) };
+    }).filter(Boolean);
+    if (!members.length) return { ...summary, members, arrival: null, arrivalSpeed: null, expectedKp: null };
+
+    const arrivals = members.map(member => member.arrival);
+    const kps = members.map(member => member.kp);
+    return {
+        ...summary,
+        members,
+        arrival: {
+            median: new Date(percentile(arrivals, 0.5)).toISOString(),
+            earliest: new Date(percentile(arrivals, 0.1)).toISOString(),
+            latest: new Date(percentile(arrivals, 0.9)).toISOString(),
+        },
+        arrivalSpeed: percentile(members.map(member => member.arrivalSpeed), 0.5),
+        expectedKp: { median: percentile(kps, 0.5), low: percentile(kps, 0.1), high: percentile(kps, 0.9) },
+    };
+}
+
+// Kp of one ensemble member's storm at time t (ms), 0 before it arrives
+function stormKp(member, t) {
+    const sinceArrival = (t - member.arrival) / HOUR_MS;
+    if (sinceArrival < 0) return 0;
+    if (sinceArrival < STORM_PEAK_HOURS) return member.kp;
+    return member.kp * Math.exp(-(sinceArrival - STORM_PEAK_HOURS) / STORM_RECOVERY_HOURS);
+}
+
+// Latest Kp reading in the hourly series, as { time (ms), kp }, or null
+function latestKp(series) {
+    for (let i = series.length - 1; i >= 0; i--) {
+        const kp = kpOf(series[i]);
+        if (kp !== null) return { time: new Date(series[i].timestamp).valueOf(), kp };
+    }
+    return null;
+}
+
+// Storm forecast for the `OUTLOOK_DAYS` after `now`:
+//   arrivals: forecastCmeArrival of every CME in `cmes` still due or arriving within the last day
+//   outlook:  3-hour bins { timestamp, kp, kpLow, kpHigh } (median and 10-90% band)
+// `series` is the recent hourly series, whose latest Kp is where the outlook starts.
+export function forecastStorms(cmes, series, { now = new Date() } = {}) {
+    const nowMs = new Date(now).valueOf();
+    const arrivals = cmes
+        .map(forecastCmeArrival)
+        .filter(forecast => forecast && forecast.arrival && new Date(forecast.arrival.latest).valueOf() > nowMs - 24 * HOUR_MS)
+        .sort((a, b) => new Date(a.arrival.median) - new Date(b.arrival.median));
+
+    const latest = latestKp(series) || { time: nowMs, kp: QUIET_KP };
+    const baseline = (t) => QUIET_KP + (latest.kp - QUIET_KP) * Math.exp(-Math.max(0, t - latest.time) / (QUIET_RELAXATION_HOURS * HOUR_MS));
+
+    // Ensemble member i of the outlook takes member i of every CME, so one run keeps one choice of
+    // drag and wind for all of them
+    const memberCount = Math.max(1, ...arrivals.map(forecast => forecast.members.length));
+    const firstBin = Math.floor(nowMs / (OUTLOOK_BIN_HOURS * HOUR_MS)) * OUTLOOK_BIN_HOURS * HOUR_MS;
+    const outlook = [];
+    for (let t = firstBin; t < nowMs + OUTLOOK_DAYS * 24 * HOUR_MS; t += OUTLOOK_BIN_HOURS * HOUR_MS) {
+        const middle = t + (OUTLOOK_BIN_HOURS * HOUR_MS) / 2;
+        const runs = Array.from({ length: memberCount }, (_, i) => Math.max(
+            baseline(middle),
+            ...arrivals.map(forecast => (forecast.members[i] ? stormKp(forecast.members[i], middle) : 0)),
+        ));
+        outlook.push({
+            timestamp: new Date(t).toISOString(),
+            kp: percentile(runs, 0.5),
+            kpLow: clampKp(percentile(runs, 0.1) - FIELD_ORIENTATION_KP_SPREAD),
+            kpHigh: clampKp(percentile(runs, 0.9) + FIELD_ORIENTATION_KP_SPREAD),
+        });
+    }
+    return { generatedAt: new Date(nowMs).toISOString(), arrivals, outlook };
+}
+
+// Highest outlook values per UTC day, like the NOAA 3-day forecast table
+export function outlookByDay(outlook) {
+    const days = new Map();
+    for (const bin of outlook) {
+        const day = bin.timestamp.slice(0, 10);
+        const current = days.get(day);
+        days.set(day, current
+            ? { day, kp: Math.max(current.kp, bin.kp), kpLow: Math.max(current.kpLow, bin.kpLow), kpHigh: Math.max(current.kpHigh, bin.kpHigh) }
+            : { day, kp: bin.kp, kpLow: bin.kpLow, kpHigh: bin.kpHigh });
+    }
+    return Array.from(days.values());
+}
+
+// Chart points followed by the outlook in the chart's buckets (`bucketStart` of its resolution).
+// Outlook buckets carry forecastKp and forecastKpRange ([low, high]); the last measured bucket
+// gets them too so the forecast joins the measurements.
+export function withKpOutlook(chartData, outlook, bucketStart) {
+    if (!chartData.length || !outlook.length) return chartData;
+    const buckets = new Map();
+    for (const bin of outlook) {
+        // Every hour of the bin, so hourly charts keep one point per hour
+        for (let hour = 0; hour < OUTLOOK_BIN_HOURS; hour++) {
+            const key = new Date(bucketStart(new Date(bin.timestamp).valueOf() + hour * HOUR_MS)).toISOString();
+            const current = buckets.get(key);
+            buckets.set(key, current
+                ? { forecastKp: Math.max(current.forecastKp, bin.kp), forecastKpRange: [Math.max(current.forecastKpRange[0], bin.kpLow), Math.max(current.forecastKpRange[1], bin.kpHigh)] }
+                : { forecastKp: bin.kp, forecastKpRange: [bin.kpLow, bin.kpHigh] });
+        }
+    }
+    const round = ({ forecastKp, forecastKpRange }) => ({
+        forecastKp: Math.round(forecastKp * 10) / 10,
+        forecastKpRange: forecastKpRange.map(kp => Math.round(kp * 10) / 10),
+    });
+
+    const lastTimestamp = chartData[chartData.length - 1].timestamp;
+    const merged = chartData.map(point => (buckets.has(point.timestamp) ? { ...point, ...round(buckets.get(point.timestamp)) } : point));
+    const future = Array.from(buckets.entries())
+        .filter(([timestamp]) => timestamp > lastTimestamp)
+        .map(([timestamp, forecast]) => ({ timestamp, ...round(forecast) }));
+    return [...merged, ...future];
+}
+
+// --- Backtest against observed storms ---
+// Every DONKI storm (GST event) linked to Earth-directed CMEs is compared with the forecast of
+// those CMEs: the first forecast arrival against the storm start, and the highest expected Kp
+// against the highest Kp measured. CMEs forecast to reach G1 with no storm under way within
+// their arrival window (widened by `slackHours`) count as false alarms.
+export function backtestForecasts(events, { slackHours = 12 } = {}) {
+    const forecasts = new Map(events.filter(event => event.type === 'CME')
+        .map(event => [event.id, forecastCmeArrival(event)])
+        .filter(([, forecast]) => forecast && forecast.arrival));
+    const storms = events.filter(event => event.type === 'GST');
+
+    const results = storms.map(storm => {
+        const linked = storm.linkedEventIds.map(id => forecasts.get(id)).filter(Boolean);
+        const observedStart = new Date(storm.startTime).valueOf();
+        const observedKp = storm.details?.maxKp ?? null;
+        if (!linked.length) return { stormId: storm.id, observedStart: storm.startTime, observedKp, forecast: null };
+
+        const first = linked.reduce((a, b) => (new Date(a.arrival.median) <= new Date(b.arrival.median) ? a : b));
+        const forecastKp = Math.max(...linked.map(forecast => forecast.expectedKp.median));
+        return {
+            stormId: storm.id,
+            observedStart: storm.startTime,
+            observedKp,
+            forecast: { cmeId: first.cmeId, arrival: first.arrival, expectedKp: forecastKp },
+            arrivalErrorHours: (new Date(first.arrival.median).valueOf() - observedStart) / HOUR_MS,
+            withinWindow: observedStart >= new Date(first.arrival.earliest).valueOf() - slackHours * HOUR_MS
+                && observedStart <= new Date(first.arrival.latest).valueOf() + slackHours * HOUR_MS,
+            kpError: observedKp === null ? null : forecastKp - observedKp,
+        };
+    });
+
+    const stormSpans = storms.map(eventSpan).filter(Boolean);
+    const falseAlarms = Array.from(forecasts.values()).filter(forecast => {
+        if (forecast.expectedKp.median < 5) return false;
+        const from = new Date(forecast.arrival.earliest).valueOf() - slackHours * HOUR_MS;
+        const to = new Date(forecast.arrival.latest).valueOf() + slackHours * HOUR_MS;
+        return !stormSpans.some(span => span.start <= to && span.end >= from);
+    }).map(forecast => forecast.cmeId);
+
+    const scored = results.filter(result => result.forecast);
+    const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+    return {
+        results,
+        falseAlarms,
+        summary: {
+            storms: storms.length,
+            forecast: scored.length,
+            withinWindow: scored.filter(result => result.withinWindow).length,
+            meanAbsArrivalErrorHours: mean(scored.map(result => Math.abs(result.arrivalErrorHours))),
+            meanAbsKpError: mean(scored.filter(result => result.kpError !== null).map(result => Math.abs(result.kpError))),
+        },
+    };
+}
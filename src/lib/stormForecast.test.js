@@ -0,0 +1,136 @@
+import analyses from '../../fixtures/donki/CMEAnalysis.json';
+import { flankFactor, dragBasedMotion, forecastCmeArrival, withKpOutlook, backtestForecasts, OUTLOOK_BIN_HOURS } from './stormForecast';
+import { donkiCmeAdapter } from './sources/donki';
+import { RESOLUTIONS } from './timeRange';
+
+const HOUR_MS = 3600000;
+const START_DISTANCE_KM = 21.5 * 695700;
+const cmes = donkiCmeAdapter.parseEvents(analyses);
+const cme = (id) => cmes.find(event => event.id === id);
+
+describe('flankFactor', () => {
+    it('is 1 at the apex and shrinks towards the flanks', () => {
+        expect(flankFactor(0, 45)).toBeCloseTo(1, 10);
+        const factors = [10, 20, 30, 40, 45].map(angle => flankFactor(angle, 45));
+        factors.reduce((previous, factor) => {
+            expect(factor).toBeLessThan(previous);
+            return factor;
+        }, 1);
+        expect(factors[factors.length - 1]).toBeGreaterThan(0);
+    });
+
+    it('misses Earth outside the cone and caps very wide cones at 80 degrees', () => {
+        expect(flankFactor(46, 45)).toBeNull();
+        expect(flankFactor(85, 90)).toBeNull();
+        expect(flankFactor(60, 120)).toBe(flankFactor(60, 80));
+    });
+});
+
+describe('dragBasedMotion', () => {
+    const parameters = { gamma: 0.2e-7, windSpeed: 450 };
+
+    it('starts at 21.5 solar radii with the launch speed', () => {
+        expect(dragBasedMotion(1200, 0, parameters)).toEqual({ distance: START_DISTANCE_KM, speed: 1200 });
+    });
+
+    it('moves with the solar wind when the CME is as fast as it', () => {
+        const { distance, speed } = dragBasedMotion(450, 10 * 3600, parameters);
+        expect(speed).toBe(450);
+        expect(distance).toBeCloseTo(START_DISTANCE_KM + 450 * 10 * 3600, 3);
+    });
+
+    it('slows fast CMEs and speeds up slow ones towards the solar wind', () => {
+        const fast = [0, 6, 24, 72].map(hours => dragBasedMotion(1500, hours * 3600, parameters).speed);
+        const slow = [0, 6, 24, 72].map(hours => dragBasedMotion(300, hours * 3600, parameters).speed);
+        for (let i = 1; i < fast.length; i++) {
+            expect(fast[i]).toBeLessThan(fast[i - 1]);
+            expect(fast[i]).toBeGreaterThan(450);
+            expect(slow[i]).toBeGreaterThan(slow[i - 1]);
+            expect(slow[i]).toBeLessThan(450);
+        }
+    });
+
+    it('covers distance at the speed it reports', () => {
+        for (const speed of [300, 1500]) {
+            const at = dragBasedMotion(speed, 20 * 3600, parameters);
+            const later = dragBasedMotion(speed, 20 * 3600 + 1, parameters);
+            expect(later.distance - at.distance).toBeCloseTo(at.speed, 1);
+        }
+    });
+});
+
+describe('forecastCmeArrival', () => {
+    it('forecasts an Earth-directed CME with an ordered window and Kp band', () => {
+        const forecast = forecastCmeArrival(cme('2024-05-09T09:24:00-CME-001'));
+        expect(forecast).toMatchObject({ cmeId: '2024-05-09T09:24:00-CME-001', speed: 1280, halfAngle: 45, earthDirected: true });
+        expect(forecast.members).toHaveLength(27);
+        const { earliest, median, latest } = forecast.arrival;
+        expect(earliest <= median && median <= latest).toBe(true);
+        // Slowed by the drag and seen 22 degrees off its apex, a 1280 km/s CME takes about two days
+        const transitHours = (new Date(median) - new Date(forecast.time21_5)) / HOUR_MS;
+        expect(transitHours).toBeGreaterThan(36);
+        expect(transitHours).toBeLessThan(60);
+        expect(forecast.expectedKp.low).toBeLessThanOrEqual(forecast.expectedKp.median);
+        expect(forecast.expectedKp.median).toBeLessThanOrEqual(forecast.expectedKp.high);
+        expect(forecast.arrivalSpeed).toBeLessThan(1280);
+    });
+
+    it('brings faster CMEs sooner and harder', () => {
+        const base = cme('2024-05-09T09:24:00-CME-001');
+        const slower = forecastCmeArrival({ ...base, details: { ...base.details, speed: 800 } });
+        const faster = forecastCmeArrival(base);
+        expect(new Date(faster.arrival.median) - new Date(base.details.time21_5)).toBeLessThan(new Date(slower.arrival.median) - new Date(base.details.time21_5));
+        expect(faster.expectedKp.median).toBeGreaterThan(slower.expectedKp.median);
+    });
+
+    it('gives no arrival for CMEs that miss Earth, and no forecast without an analysis', () => {
+        expect(forecastCmeArrival(cme('2024-05-14T17:36:00-CME-001'))).toMatchObject({ earthDirected: false, members: [], arrival: null, expectedKp: null });
+        const base = cme('2024-05-09T09:24:00-CME-001');
+        expect(forecastCmeArrival({ ...base, details: { ...base.details, speed: null } })).toBeNull();
+        expect(forecastCmeArrival({ ...base, details: { ...base.details, time21_5: null } })).toBeNull();
+        expect(forecastCmeArrival({ id: 'x', details: {} })).toBeNull();
+    });
+});
+
+describe('withKpOutlook', () => {
+    const chartData = [
+        { timestamp: '2024-05-10T10:00:00.000Z', planetaryKIndex: 3 },
+        { timestamp: '2024-05-10T11:00:00.000Z', planetaryKIndex: 4 },
+    ];
+    const outlook = [
+        { timestamp: '2024-05-10T09:00:00.000Z', kp: 4.04, kpLow: 3.04, kpHigh: 5.04 },
+        { timestamp: '2024-05-10T12:00:00.000Z', kp: 6.66, kpLow: 5, kpHigh: 8.26 },
+    ];
+
+    it('joins the last measured hour and adds one point per forecast hour', () => {
+        const merged = withKpOutlook(chartData, outlook, RESOLUTIONS.hour.bucketStart);
+        expect(merged.slice(0, 2)).toEqual([
+            { ...chartData[0], forecastKp: 4, forecastKpRange: [3, 5] },
+            { ...chartData[1], forecastKp: 4, forecastKpRange: [3, 5] },
+        ]);
+        expect(merged.slice(2)).toEqual(Array.from({ length: OUTLOOK_BIN_HOURS }, (_, hour) => ({
+            timestamp: new Date(Date.parse('2024-05-10T12:00:00Z') + hour * HOUR_MS).toISOString(),
+            forecastKp: 6.7,
+            forecastKpRange: [5, 8.3],
+        })));
+    });
+
+    it('keeps the highest forecast of the bins in a daily bucket', () => {
+        const daily = [{ timestamp: '2024-05-10T00:00:00.000Z', planetaryKIndex: 4 }];
+        expect(withKpOutlook(daily, outlook, RESOLUTIONS.day.bucketStart)).toEqual([{ ...daily[0], forecastKp: 6.7, forecastKpRange: [5, 8.3] }]);
+    });
+
+    it('leaves the chart alone without data or outlook', () => {
+        expect(withKpOutlook(chartData, [], RESOLUTIONS.hour.bucketStart)).toBe(chartData);
+        expect(withKpOutlook([], outlook, RESOLUTIONS.hour.bucketStart)).toEqual([]);
+    });
+});
+
+describe('backtestForecasts', () => {
+    it('counts a strong Earth-directed CME without a storm as a false alarm', () => {
+        const { results, falseAlarms, summary } = backtestForecasts([cme('2024-05-09T09:24:00-CME-001'), cme('2024-05-14T17:36:00-CME-001')]);
+        expect(results).toEqual([]);
+        expect(falseAlarms).toEqual(['2024-05-09T09:24:00-CME-001']);
+        expect(summary).toEqual({ storms: 0, forecast: 0, withinWindow: 0, meanAbsArrivalErrorHours: null, meanAbsKpError: null });
+    });
+});
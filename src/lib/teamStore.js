@@ -0,0 +1,145 @@
+// --- Team workspaces in Firestore: teams, members, annotations and comments ---
+// `teamPath` is teamDocPath(...) from spaceWeatherStore; `author` is { id, name } of the signed-in
+// user. Who may write what is checked by firestore.rules (roles in teams.js).
+import {
+    collection, collectionGroup, doc, onSnapshot, query, where, orderBy, getDoc, getDocs,
+    setDoc, updateDoc, deleteDoc, writeBatch, Timestamp,
+} from 'firebase/firestore';
+import { validateTeamName, validateMember, validateAnnotation, validateComment } from './teams.js';
+import { MAX_DISPLAY_NAME_LENGTH } from './profile.js';
+import {
+    TEAM_MEMBERS_COLLECTION, teamsCollectionPath, teamMembersCollectionPath,
+    annotationsCollectionPath, annotationCommentsCollectionPath,
+} from './spaceWeatherStore.js';
+
+const toIso = (value) => (value instanceof Timestamp ? value.toDate().toISOString() : value ?? null);
+const authorName = (name) => String(name || '').trim().slice(0, MAX_DISPLAY_NAME_LENGTH);
+
+// Calls back with the teams the user belongs to ({ id, name, role }), by name. Team names are read
+// once per change of membership. Returns the unsubscribe function.
+export function subscribeTeams(db, appId, userId, onTeams, onError) {
+    const q = query(collectionGroup(db, TEAM_MEMBERS_COLLECTION), where('uid', '==', userId));
+    let latest = 0;
+    return onSnapshot(q, async (snapshot) => {
+        const run = ++latest;
+        // The collection group spans every app; keep this app's teams
+        const memberships = snapshot.docs.filter(d => d.ref.parent.parent.parent.path === teamsCollectionPath(appId));
+        try {
+            const teams = await Promise.all(memberships.map(async (membership) => {
+                const team = await getDoc(membership.ref.parent.parent);
+                return { id: team.id, name: team.data()?.name ?? team.id, role: membership.data().role };
+            }));
+            // A newer snapshot may have finished first
+            if (run === latest) onTeams(teams.sort((a, b) => a.name.localeCompare(b.name)));
+        } catch (err) {
+            if (onError) onError(err);
+        }
+    }, onError);
+}
+
+// Creates a team with the author as its admin, in one write so the rules can check both. Returns its id.
+export async function createTeam(db, appId, author, name) {
+    const errors = validateTeamName(name);
+    if (errors.length) throw new Error(errors.join(' '));
+    const teamRef = doc(collection(db, teamsCollectionPath(appId)));
+    const batch = writeBatch(db);
+    batch.set(teamRef, { name: name.trim(), createdBy: author.id, createdAt: Timestamp.now() });
+    batch.set(doc(db, teamMembersCollectionPath(teamRef.path), author.id), {
+        uid: author.id, role: 'admin', displayName: authorName(author.name), addedAt: Timestamp.now(),
+    });
+    await batch.commit();
+    return teamRef.id;
+}
+
+// --- Members ---
+
+// Calls back with the members ({ id, uid, role, displayName, addedAt }), longest-standing first
+export function subscribeTeamMembers(db, teamPath, onMembers, onError) {
+    const q = query(collection(db, teamMembersCollectionPath(teamPath)), orderBy('addedAt', 'asc'));
+    return onSnapshot(q, (snapshot) => {
+        onMembers(snapshot.docs.map(d => ({ id: d.id, ...d.data(), addedAt: toIso(d.data().addedAt) })));
+    }, onError);
+}
+
+// Adds someone by user ID (admins only)
+export async function addTeamMember(db, teamPath, member) {
+    const errors = validateMember(member);
+    if (errors.length) throw new Error(errors.join(' '));
+    const uid = member.uid.trim();
+    await setDoc(doc(db, teamMembersCollectionPath(teamPath), uid), {
+        uid, role: member.role, displayName: authorName(member.displayName), addedAt: Timestamp.now(),
+    });
+}
+
+export async function setTeamMemberRole(db, teamPath, uid, role) {
+    const errors = validateMember({ uid, role });
+    if (errors.length) throw new Error(errors.join(' '));
+    await updateDoc(doc(db, teamMembersCollectionPath(teamPath), uid), { role });
+}
+
+// Removes a member; members other than admins may remove themselves to leave the team
+export async function removeTeamMember(db, teamPath, uid) {
+    await deleteDoc(doc(db, teamMembersCollectionPath(teamPath), uid));
+}
+
+// --- Annotations ---
+
+// Calls back with the team's annotations ({ id, ...annotation }) in timeline order
+export function subscribeAnnotations(db, teamPath, onAnnotations, onError) {
+    const q = query(collection(db, annotationsCollectionPath(teamPath)), orderBy('at', 'asc'));
+    return onSnapshot(q, (snapshot) => {
+        onAnnotations(snapshot.docs.map(d => ({
+            id: d.id, ...d.data(), createdAt: toIso(d.data().createdAt), updatedAt: toIso(d.data().updatedAt),
+        })));
+    }, onError);
+}
+
+// Creates the annotation when it has no id yet, otherwise changes its note and pin. Returns its id.
+export async function saveAnnotation(db, teamPath, author, annotation) {
+    const errors = validateAnnotation(annotation);
+    if (errors.length) throw new Error(errors.join(' '));
+    const fields = {
+        text: annotation.text.trim(),
+        at: new Date(annotation.at).toISOString(),
+        eventId: annotation.eventId || null,
+        updatedAt: Timestamp.now(),
+    };
+    if (annotation.id) {
+        await updateDoc(doc(db, annotationsCollectionPath(teamPath), annotation.id), fields);
+        return annotation.id;
+    }
+    const ref = doc(collection(db, annotationsCollectionPath(teamPath)));
+    await setDoc(ref, { ...fields, authorId: author.id, authorName: authorName(author.name), createdAt: Timestamp.now() });
+    return ref.id;
+}
+
+// Deletes the annotation with its comments (Firestore keeps subcollections of deleted documents)
+export async function deleteAnnotation(db, teamPath, annotationId) {
+    const comments = await getDocs(collection(db, annotationCommentsCollectionPath(teamPath, annotationId)));
+    const batch = writeBatch(db);
+    comments.docs.forEach(comment => batch.delete(comment.ref));
+    batch.delete(doc(db, annotationsCollectionPath(teamPath), annotationId));
+    await batch.commit();
+}
+
+// --- Comments ---
+
+// Calls back with the annotation's comments, oldest first
+export function subscribeComments(db, teamPath, annotationId, onComments, onError) {
+    const q = query(collection(db, annotationCommentsCollectionPath(teamPath, annotationId)), orderBy('createdAt', 'asc'));
+    return onSnapshot(q, (snapshot) => {
+        onComments(snapshot.docs.map(d => ({ id: d.id, ...d.data(), createdAt: toIso(d.data().createdAt) })));
+    }, onError);
+}
+
+export async function addComment(db, teamPath, annotationId, author, text) {
+    const errors = validateComment(text);
+    if (errors.length) throw new Error(errors.join(' '));
+    const ref = doc(collection(db, annotationCommentsCollectionPath(teamPath, annotationId)));
+    await setDoc(ref, { text: text.trim(), authorId: author.id, authorName: authorName(author.name), createdAt: Timestamp.now() });
+    return ref.id;
+}
+
+export async function deleteComment(db, teamPath, annotationId, commentId) {
+    await deleteDoc(doc(db, annotationCommentsCollectionPath(teamPath, annotationId), commentId));
+}
@@ -0,0 +1,102 @@
+// --- Team workspaces: roles, annotations and comments ---
+// A team's members annotate the trends timeline together (teamStore.js). Each member has a role;
+// firestore.rules enforces the same permissions as the can* helpers below, which only decide
+// what the UI offers.
+//
+//   team:        { name, createdBy, createdAt }
+//   member:      { uid, role, displayName, addedAt }             document ID = uid
+//   annotation:  { text, at, eventId, authorId, authorName, createdAt, updatedAt }
+//                `at` is the ISO time it is pinned to; eventId the DONKI event, or null
+//   comment:     { text, authorId, authorName, createdAt }
+import { RESOLUTIONS } from './timeRange.js';
+import { DEFAULT_I18N } from './i18n.js';
+
+// Least to most rights; names and descriptions are team.roles.<role> and team.roleDescriptions.<role>
+export const TEAM_ROLES = ['viewer', 'editor', 'admin'];
+
+export const MAX_TEAM_NAME_LENGTH = 60;
+export const MAX_ANNOTATION_LENGTH = 500;
+export const MAX_COMMENT_LENGTH = 1000;
+
+const isRole = (role) => TEAM_ROLES.includes(role);
+
+export const canAnnotate = (role) => role === 'editor' || role === 'admin';
+export const canComment = (role) => isRole(role);
+export const canManageMembers = (role) => role === 'admin';
+// A team's webhooks and email endpoints hold secrets (URLs, headers), so only admins see them
+export const canManageIntegrations = (role) => role === 'admin';
+// Every member sees the team's assets in the impact panel; editors and admins register them
+export const canEditAssets = (role) => role === 'editor' || role === 'admin';
+
+// Admins change and remove the other members, never themselves (another admin does), so a team
+// always keeps an admin. Everyone else may leave.
+export const canChangeMember = (role, member, userId) => canManageMembers(role) && member.uid !== userId;
+export const canLeaveTeam = (role) => isRole(role) && role !== 'admin';
+
+export const canEditAnnotation = (role, annotation, userId) => role === 'admin' || (role === 'editor' && annotation.authorId === userId);
+
+// Authors remove their own comments; admins and the annotation's author (as editor) any of them
+export const canDeleteComment = (role, comment, annotation, userId) => (isRole(role) && comment.authorId === userId)
+    || canEditAnnotation(role, annotation, userId);
+
+// The time an annotation is pinned to in ms, or null when `at` is not a time (a document the rules
+// did not check, or a hand edit); such annotations are listed but not placed on the timeline
+export function annotationTime(annotation) {
+    const ms = typeof annotation.at === 'string' ? new Date(annotation.at).valueOf() : NaN;
+    return Number.isNaN(ms) ? null : ms;
+}
+
+// The validators return the problems in the language of `i18n`; empty when there are none
+export function validateTeamName(name, { t } = DEFAULT_I18N) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed || trimmed.length > MAX_TEAM_NAME_LENGTH) return [t('team.errors.name', { max: MAX_TEAM_NAME_LENGTH })];
+    return [];
+}
+
+export function validateMember(member, { t } = DEFAULT_I18N) {
+    const errors = [];
+    if (!String(member.uid || '').trim()) errors.push(t('team.errors.memberId'));
+    if (!isRole(member.role)) errors.push(t('team.errors.role'));
+    return errors;
+}
+
+export function validateAnnotation(annotation, { t } = DEFAULT_I18N) {
+    const errors = [];
+    const text = String(annotation.text || '').trim();
+    if (!text || text.length > MAX_ANNOTATION_LENGTH) errors.push(t('team.errors.note', { max: MAX_ANNOTATION_LENGTH }));
+    if (!annotation.at || Number.isNaN(new Date(annotation.at).valueOf())) errors.push(t('team.errors.pin'));
+    return errors;
+}
+
+export function validateComment(text, { t } = DEFAULT_I18N) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed || trimmed.length > MAX_COMMENT_LENGTH) return [t('team.errors.comment', { max: MAX_COMMENT_LENGTH })];
+    return [];
+}
+
+const MARKER_LABEL_LENGTH = 24;
+const truncate = (text) => (text.length > MARKER_LABEL_LENGTH ? `${text.slice(0, MARKER_LABEL_LENGTH - 1)}…` : text);
+
+// Where annotations go on the trend panels: one marker per bucket of `data` that has any,
+// { timestamp, label, annotationIds }. The label is the earliest note, with a count of the rest.
+export function annotationMarkers(annotations, data, resolution = 'hour') {
+    const { bucketStart } = RESOLUTIONS[resolution];
+    const buckets = new Map(data.map(point => [new Date(point.timestamp).valueOf(), point.timestamp]));
+    const markers = new Map();
+    annotations
+        .map(annotation => ({ annotation, time: annotationTime(annotation) }))
+        .filter(({ time }) => time !== null)
+        .sort((a, b) => a.time - b.time)
+        .forEach(({ annotation, time }) => {
+            const timestamp = buckets.get(bucketStart(time));
+            if (timestamp === undefined) return;
+            const marker = markers.get(timestamp) || { timestamp, notes: [], annotationIds: [] };
+            marker.notes.push(annotation.text);
+            marker.annotationIds.push(annotation.id);
+            markers.set(timestamp, marker);
+        });
+    return [...markers.values()].map(({ notes, ...marker }) => ({
+        ...marker,
+        label: notes.length > 1 ? `${truncate(notes[0])} +${notes.length - 1}` : truncate(notes[0]),
+    }));
+}
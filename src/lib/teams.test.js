@@ -0,0 +1,83 @@
+import {
+    canAnnotate, canComment, canManageMembers, canManageIntegrations, canEditAssets, canChangeMember, canLeaveTeam, canEditAnnotation, canDeleteComment,
+    validateTeamName, validateMember, validateAnnotation, validateComment, annotationMarkers,
+} from './teams';
+import { createI18n } from './i18n';
+
+describe('team roles', () => {
+    const annotation = { authorId: 'bob' };
+
+    it('let viewers comment, editors also annotate and register assets, and admins also manage members and integrations', () => {
+        expect(['viewer', 'editor', 'admin'].map(canComment)).toEqual([true, true, true]);
+        expect(['viewer', 'editor', 'admin'].map(canAnnotate)).toEqual([false, true, true]);
+        expect(['viewer', 'editor', 'admin'].map(canEditAssets)).toEqual([false, true, true]);
+        expect(['viewer', 'editor', 'admin'].map(canManageMembers)).toEqual([false, false, true]);
+        expect(['viewer', 'editor', 'admin'].map(canManageIntegrations)).toEqual([false, false, true]);
+        expect(canComment(undefined)).toBe(false);
+    });
+
+    it('keep an admin: admins change other members, never themselves, and cannot leave', () => {
+        expect(canChangeMember('admin', { uid: 'bob' }, 'alice')).toBe(true);
+        expect(canChangeMember('admin', { uid: 'alice' }, 'alice')).toBe(false);
+        expect(canChangeMember('editor', { uid: 'carol' }, 'bob')).toBe(false);
+        expect(['viewer', 'editor', 'admin'].map(canLeaveTeam)).toEqual([true, true, false]);
+    });
+
+    it('let editors change their own annotations and admins any', () => {
+        expect(canEditAnnotation('editor', annotation, 'bob')).toBe(true);
+        expect(canEditAnnotation('editor', annotation, 'carol')).toBe(false);
+        expect(canEditAnnotation('viewer', { authorId: 'carol' }, 'carol')).toBe(false);
+        expect(canEditAnnotation('admin', annotation, 'alice')).toBe(true);
+    });
+
+    it('let comments be removed by their author, an admin or the annotation\'s author', () => {
+        const comment = { authorId: 'carol' };
+        expect(canDeleteComment('viewer', comment, annotation, 'carol')).toBe(true);
+        expect(canDeleteComment('editor', comment, annotation, 'bob')).toBe(true);
+        expect(canDeleteComment('admin', comment, annotation, 'alice')).toBe(true);
+        expect(canDeleteComment('viewer', comment, annotation, 'dave')).toBe(false);
+        expect(canDeleteComment(undefined, comment, annotation, 'carol')).toBe(false);
+    });
+});
+
+describe('team validation', () => {
+    it('needs a team name, a member\'s user ID and role, and a note with a time', () => {
+        expect(validateTeamName('Ops')).toEqual([]);
+        expect(validateTeamName('  ')).toHaveLength(1);
+        expect(validateTeamName('x'.repeat(61))).toHaveLength(1);
+        expect(validateMember({ uid: 'bob', role: 'editor' })).toEqual([]);
+        expect(validateMember({ uid: ' ', role: 'owner' })).toHaveLength(2);
+        expect(validateAnnotation({ text: 'GPS outage at site B', at: '2024-05-10T21:00:00.000Z' })).toEqual([]);
+        expect(validateAnnotation({ text: '', at: 'yesterday' })).toHaveLength(2);
+        expect(validateComment('Seen here too')).toEqual([]);
+        expect(validateComment('x'.repeat(1001))).toHaveLength(1);
+        expect(validateTeamName('', createI18n({ language: 'es' }))).toEqual(['Pon al equipo un nombre de como máximo 60 caracteres.']);
+    });
+});
+
+describe('annotation markers', () => {
+    const data = ['2024-05-10T20:00:00.000Z', '2024-05-10T21:00:00.000Z', '2024-05-11T00:00:00.000Z'].map(timestamp => ({ timestamp }));
+
+    it('put each annotation on the bucket it falls in, earliest note first', () => {
+        const annotations = [
+            { id: 'b', text: 'HF blackout on the polar route to Anchorage', at: '2024-05-10T21:40:00.000Z' },
+            { id: 'a', text: 'GPS outage at site B', at: '2024-05-10T21:05:00.000Z' },
+            { id: 'c', text: 'Grid alarm', at: '2024-05-10T20:10:00.000Z' },
+        ];
+        expect(annotationMarkers(annotations, data)).toEqual([
+            { timestamp: '2024-05-10T20:00:00.000Z', annotationIds: ['c'], label: 'Grid alarm' },
+            { timestamp: '2024-05-10T21:00:00.000Z', annotationIds: ['a', 'b'], label: 'GPS outage at site B +1' },
+        ]);
+    });
+
+    it('use day buckets, shorten long notes and skip notes outside the data', () => {
+        const annotations = [
+            { id: 'a', text: 'HF blackout on the polar route to Anchorage', at: '2024-05-11T13:00:00.000Z' },
+            { id: 'b', text: 'Before the range', at: '2024-05-01T00:00:00.000Z' },
+            { id: 'c', text: 'Unparseable pin', at: 'x' },
+        ];
+        expect(annotationMarkers(annotations, data, 'day')).toEqual([
+            { timestamp: '2024-05-11T00:00:00.000Z', annotationIds: ['a'], label: 'HF blackout on the pola…' },
+        ]);
+    });
+});
@@ -0,0 +1,130 @@
+// --- Date ranges for browsing history, and the resolution to chart them at ---
+// Ranges are { start, end } as Dates. Coverage (which ranges Firestore already holds) is a list of
+// { start, end } ISO strings kept merged and sorted by the ingestion worker.
+import { DEFAULT_I18N } from './i18n.js';
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Labelled in the other languages as range.presets.<id>
+export const RANGE_PRESETS = [
+    { id: '24h', label: '24 hours', hours: 24 },
+    { id: '7d', label: '7 days', hours: 7 * 24 },
+    { id: '30d', label: '30 days', hours: 30 * 24 },
+    { id: '1y', label: '1 year', hours: 365 * 24 },
+    { id: 'custom', label: 'Custom', hours: null },
+];
+
+export const DEFAULT_RANGE_PRESET = '7d';
+
+// The range a preset covers, ending now; 'custom' takes the given start and end (any date input).
+// Bad custom dates throw with a message in the language of `i18n`.
+export function resolveRange(presetId, custom = {}, now = new Date(), { t } = DEFAULT_I18N) {
+    const preset = RANGE_PRESETS.find(p => p.id === presetId);
+    if (!preset) throw new Error(`Unknown range preset "${presetId}"`);
+    if (preset.hours) return { start: new Date(now.valueOf() - preset.hours * HOUR_MS), end: new Date(now) };
+
+    const start = new Date(custom.start);
+    const end = new Date(custom.end);
+    if (Number.isNaN(start.valueOf()) || Number.isNaN(end.valueOf())) throw new Error(t('range.errors.dates'));
+    if (start >= end) throw new Error(t('range.errors.order'));
+    if (end > now) return { start, end: new Date(now) };
+    return { start, end };
+}
+
+// Custom range from two YYYY-MM-DD days (UTC), including the whole end day
+export const customRangeFromDays = (startDay, endDay) => ({
+    start: new Date(`${startDay}T00:00:00Z`),
+    end: new Date(new Date(`${endDay}T00:00:00Z`).valueOf() + DAY_MS),
+});
+
+// Bucket sizes the chart can switch between, with the UTC start of the bucket holding a time.
+// Weeks start on Monday (ISO weeks).
+export const RESOLUTIONS = {
+    hour: { label: 'Hourly', hours: 1, bucketStart: (ms) => Math.floor(ms / HOUR_MS) * HOUR_MS },
+    day: { label: 'Daily', hours: 24, bucketStart: (ms) => Math.floor(ms / DAY_MS) * DAY_MS },
+    week: {
+        label: 'Weekly',
+        hours: 7 * 24,
+        bucketStart: (ms) => {
+            const dayStart = Math.floor(ms / DAY_MS) * DAY_MS;
+            const daysSinceMonday = (new Date(dayStart).getUTCDay() + 6) % 7;
+            return dayStart - daysSinceMonday * DAY_MS;
+        },
+    },
+};
+
+// Hourly up to a week (at most 168 points), daily up to four months, weekly beyond
+export function pickResolution({ start, end }) {
+    const span = end - start;
+    if (span <= 7 * DAY_MS) return 'hour';
+    if (span <= 120 * DAY_MS) return 'day';
+    return 'week';
+}
+
+// Sorts ranges and joins the ones that overlap or touch
+export function mergeRanges(ranges) {
+    const sorted = ranges
+        .map(r => ({ start: new Date(r.start).valueOf(), end: new Date(r.end).valueOf() }))
+        .filter(r => r.end > r.start)
+        .sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) last.end = Math.max(last.end, range.end);
+        else merged.push({ ...range });
+    }
+    return merged.map(r => ({ start: new Date(r.start).toISOString(), end: new Date(r.end).toISOString() }));
+}
+
+// Parts of { start, end } not covered by any range in `coverage`, ignoring gaps shorter than
+// `toleranceMs` (the live worker only fills the current hour once it has data)
+export function missingRanges(coverage, { start, end }, toleranceMs = 2 * HOUR_MS) {
+    const gaps = [];
+    let cursor = new Date(start).valueOf();
+    const stop = new Date(end).valueOf();
+    for (const range of mergeRanges(coverage)) {
+        const rangeStart = new Date(range.start).valueOf();
+        const rangeEnd = new Date(range.end).valueOf();
+        if (rangeEnd <= cursor) continue;
+        if (rangeStart >= stop) break;
+        if (rangeStart > cursor) gaps.push({ start: cursor, end: rangeStart });
+        cursor = Math.max(cursor, rangeEnd);
+    }
+    if (cursor < stop) gaps.push({ start: cursor, end: stop });
+    return gaps
+        .filter(gap => gap.end - gap.start > toleranceMs)
+        .map(gap => ({ start: new Date(gap.start), end: new Date(gap.end) }));
+}
+
+// Splits a range into consecutive chunks of at most `days` days
+export function chunkRange({ start, end }, days) {
+    const chunks = [];
+    const stop = new Date(end).valueOf();
+    for (let t = new Date(start).valueOf(); t < stop; t += days * DAY_MS) {
+        chunks.push({ start: new Date(t), end: new Date(Math.min(t + days * DAY_MS, stop)) });
+    }
+    return chunks;
+}
+
+// Axis tick for a bucket: date and time for hours, in the viewer's time zone or UTC as `i18n` says,
+// just the date for days and weeks. Day and week buckets start at UTC midnight, so their dates are
+// always UTC: west of Greenwich the local date of that midnight is the day before.
+export function formatBucketTick(timestamp, resolution = 'hour', i18n = DEFAULT_I18N) {
+    const options = resolution === 'hour'
+        ? { day: 'numeric', month: 'short', hour: 'numeric', minute: 'numeric' }
+        : { day: 'numeric', month: 'short', year: '2-digit', timeZone: 'UTC' };
+    return i18n.formatDate(timestamp, options);
+}
+
+// Full date (and time, for hours) of a bucket, as the tooltip and the data table show it
+export function formatBucketTime(timestamp, resolution = 'hour', i18n = DEFAULT_I18N) {
+    if (resolution === 'hour') return i18n.formatTimestamp(timestamp);
+    return i18n.formatDate(timestamp, { timeZone: 'UTC', day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// Tooltip heading for a bucket
+export function formatBucketLabel(timestamp, resolution = 'hour', i18n = DEFAULT_I18N) {
+    if (resolution === 'hour') return i18n.t('chart.bucket.hour', { time: formatBucketTime(timestamp, resolution, i18n) });
+    return i18n.t(`chart.bucket.${resolution === 'week' ? 'week' : 'day'}`, { date: formatBucketTime(timestamp, resolution, i18n) });
+}
@@ -0,0 +1,77 @@
+import { createI18n } from './i18n';
+import { RESOLUTIONS, formatBucketTick, formatBucketLabel, formatBucketTime, pickResolution, resolveRange, customRangeFromDays, mergeRanges, missingRanges } from './timeRange';
+
+// Day and week buckets start at UTC midnight. Their labels must not depend on where the tests
+// run; try e.g. TZ=America/St_Johns (UTC-3:30) or TZ=Asia/Kathmandu (UTC+5:45).
+
+describe('bucket starts', () => {
+    const at = (iso) => new Date(iso).valueOf();
+
+    it('are UTC hours, days and Monday weeks', () => {
+        expect(new Date(RESOLUTIONS.hour.bucketStart(at('2024-05-10T17:59:59Z'))).toISOString()).toBe('2024-05-10T17:00:00.000Z');
+        expect(new Date(RESOLUTIONS.day.bucketStart(at('2024-05-10T23:59:59Z'))).toISOString()).toBe('2024-05-10T00:00:00.000Z');
+        expect(new Date(RESOLUTIONS.week.bucketStart(at('2024-05-12T23:00:00Z'))).toISOString()).toBe('2024-05-06T00:00:00.000Z');
+        expect(new Date(RESOLUTIONS.week.bucketStart(at('2024-05-13T00:00:00Z'))).toISOString()).toBe('2024-05-13T00:00:00.000Z');
+    });
+
+    it('do not shift with non-whole-hour offsets', () => {
+        expect(new Date(RESOLUTIONS.hour.bucketStart(at('2024-05-10T23:10:00+05:45'))).toISOString()).toBe('2024-05-10T17:00:00.000Z');
+        expect(new Date(RESOLUTIONS.day.bucketStart(at('2024-05-10T21:00:00-03:30'))).toISOString()).toBe('2024-05-11T00:00:00.000Z');
+    });
+});
+
+describe('bucket labels', () => {
+    it('show the UTC date of day and week buckets', () => {
+        expect(formatBucketTick('2024-05-10T00:00:00.000Z', 'day')).toBe('May 10, 24');
+        expect(formatBucketTick('2024-05-06T00:00:00.000Z', 'week')).toBe('May 6, 24');
+        expect(formatBucketLabel('2024-05-10T00:00:00.000Z', 'day')).toBe('Day: May 10, 2024 (UTC)');
+        expect(formatBucketLabel('2024-05-06T00:00:00.000Z', 'week')).toBe('Week of: May 6, 2024 (UTC)');
+    });
+
+    it('follow the language and show hours in UTC when asked', () => {
+        const utc = createI18n({ timeDisplay: 'utc' });
+        expect(formatBucketTick('2024-05-10T21:00:00.000Z', 'hour', utc)).toBe('May 10, 9:00 PM');
+        expect(formatBucketLabel('2024-05-10T21:00:00.000Z', 'hour', utc)).toBe('Time: 2024-05-10 21:00 UTC');
+        const german = createI18n({ language: 'de', timeDisplay: 'utc' });
+        expect(formatBucketTick('2024-05-10T21:00:00.000Z', 'hour', german)).toBe('10. Mai, 21:00');
+        expect(formatBucketLabel('2024-05-10T00:00:00.000Z', 'day', german)).toBe('Tag: 10. Mai 2024 (UTC)');
+        expect(formatBucketTime('2024-05-10T00:00:00.000Z', 'day', german)).toBe('10. Mai 2024');
+        expect(formatBucketTime('2024-05-10T21:00:00.000Z', 'hour', utc)).toBe('2024-05-10 21:00 UTC');
+    });
+});
+
+describe('ranges', () => {
+    const now = new Date('2024-05-10T12:00:00Z');
+
+    it('resolve presets back from now', () => {
+        expect(resolveRange('24h', {}, now)).toEqual({ start: new Date('2024-05-09T12:00:00Z'), end: now });
+        expect(() => resolveRange('2w', {}, now)).toThrow('Unknown range preset');
+    });
+
+    it('check and clamp custom ranges', () => {
+        expect(resolveRange('custom', customRangeFromDays('2024-05-01', '2024-05-31'), now)).toEqual({ start: new Date('2024-05-01T00:00:00Z'), end: now });
+        expect(() => resolveRange('custom', customRangeFromDays('2024-05-05', '2024-05-01'), now)).toThrow('before the end');
+        expect(() => resolveRange('custom', {}, now)).toThrow('Pick both');
+        expect(() => resolveRange('custom', {}, now, createI18n({ language: 'es' }))).toThrow('Elige una fecha de inicio y una de fin.');
+    });
+
+    it('pick the resolution from the span', () => {
+        expect(pickResolution(resolveRange('7d', {}, now))).toBe('hour');
+        expect(pickResolution(resolveRange('30d', {}, now))).toBe('day');
+        expect(pickResolution(resolveRange('1y', {}, now))).toBe('week');
+    });
+
+    it('merge coverage and find what is missing', () => {
+        const coverage = mergeRanges([
+            { start: '2024-05-03T00:00:00Z', end: '2024-05-05T00:00:00Z' },
+            { start: '2024-05-01T00:00:00Z', end: '2024-05-03T00:00:00Z' },
+            { start: '2024-05-08T00:00:00Z', end: '2024-05-09T00:00:00Z' },
+        ]);
+        expect(coverage).toHaveLength(2);
+        const gaps = missingRanges(coverage, { start: new Date('2024-05-02T00:00:00Z'), end: new Date('2024-05-10T00:00:00Z') });
+        expect(gaps.map(gap => [gap.start.toISOString(), gap.end.toISOString()])).toEqual([
+            ['2024-05-05T00:00:00.000Z', '2024-05-08T00:00:00.000Z'],
+            ['2024-05-09T00:00:00.000Z', '2024-05-10T00:00:00.000Z'],
+        ]);
+    });
+});
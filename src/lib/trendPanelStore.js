@@ -0,0 +1,17 @@
+// --- Which trend panels a user shows, stored with their other settings ---
+import { doc, getDoc, setDoc, Timestamp } from 'firebase/firestore';
+import { normalizePanelIds } from './trendPanels.js';
+import { userSettingsDocPath } from './spaceWeatherStore.js';
+
+const panelsDocRef = (db, appId, userId) => doc(db, userSettingsDocPath(appId, userId, 'trendPanels'));
+
+// The saved panel ids, or null when the user never changed them
+export async function loadTrendPanels(db, appId, userId) {
+    const snapshot = await getDoc(panelsDocRef(db, appId, userId));
+    if (!snapshot.exists() || !Array.isArray(snapshot.data().visible)) return null;
+    return normalizePanelIds(snapshot.data().visible);
+}
+
+export async function saveTrendPanels(db, appId, userId, visible) {
+    await setDoc(panelsDocRef(db, appId, userId), { visible: normalizePanelIds(visible), updatedAt: Timestamp.now() });
+}
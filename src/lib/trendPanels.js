@@ -0,0 +1,52 @@
+// --- Panels of the "Space Weather Trends" view ---
+// Each metric gets a panel with a scale that suits it: X-ray flux on a log axis, Kp as bars
+// coloured by NOAA G-level, CMEs as markers at their speed. The dashboard (TrendPanels) and the
+// Node SVG export (chartSvg.js) draw the same panels; `fields` is what each one shows, so exports
+// of the shown panels carry the same metrics.
+import { geomagneticStormScale } from './noaaScales.js';
+
+// Bar colours by G-level (index 0 = below G1), matching the NOAA scale badges
+export const KP_LEVEL_COLORS = ['#22c55e', '#eab308', '#ECC94B', '#DD6B20', '#E53E3E', '#c084fc'];
+
+// Kp 5 starts a G1 storm; both charts mark it
+export const G1_KP = 5;
+
+export const TREND_PANELS = [
+    {
+        id: 'xray',
+        title: 'X-ray Flux and Flare Classes',
+        fields: ['xrayFluxLong', 'maxFlareFlux'],
+        legend: [{ name: 'GOES X-ray Flux (0.1-0.8 nm)', color: '#ffc658' }, { name: 'Flare Peak (DONKI)', color: '#ff7300' }],
+    },
+    {
+        id: 'kp',
+        title: 'Kp Index by NOAA G-scale',
+        fields: ['geomagneticStormLevel', 'planetaryKIndex'],
+        legend: ['Below G1', 'G1', 'G2', 'G3', 'G4', 'G5'].map((name, level) => ({ name, color: KP_LEVEL_COLORS[level] })),
+    },
+    {
+        id: 'cme',
+        title: 'CME Speeds',
+        fields: ['maxCmeSpeed', 'cmeCount'],
+        legend: [{ name: 'CME (fastest in the bucket)', color: '#ff7300' }],
+    },
+];
+
+export const DEFAULT_TREND_PANELS = TREND_PANELS.map(panel => panel.id);
+
+// Kp of a point: DONKI storm readings or the SWPC planetary index, whichever is larger
+export function kpOf(point) {
+    const values = [point.geomagneticStormLevel, point.planetaryKIndex].filter(Number.isFinite);
+    return values.length ? Math.max(...values) : null;
+}
+
+export const kpColor = (kp) => KP_LEVEL_COLORS[geomagneticStormScale(kp)?.level ?? 0];
+
+// CME marker height, or null in buckets without a CME of known speed
+export const cmeSpeedOf = (point) => (point.maxCmeSpeed > 0 ? point.maxCmeSpeed : null);
+
+// Panel ids in display order, ignoring unknown ones (a saved choice may predate a panel's removal)
+export const normalizePanelIds = (ids) => TREND_PANELS.map(panel => panel.id).filter(id => ids.includes(id));
+
+// Series fields behind the given panels
+export const panelFields = (ids) => TREND_PANELS.filter(panel => ids.includes(panel.id)).flatMap(panel => panel.fields);
@@ -0,0 +1,111 @@
+import fs from 'fs';
+import path from 'path';
+
+// public/service-worker.js runs in a stand-in worker scope: in-memory caches, a scripted fetch and
+// the events the browser would send
+const SOURCE = fs.readFileSync(path.resolve(__dirname, '../public/service-worker.js'), 'utf8');
+const ORIGIN = 'https://dashboard.example';
+
+const response = (body, { ok = true, type = 'basic' } = {}) => ({ body, ok, type, clone() { return this; } });
+const keyOf = (request) => (typeof request === 'string' ? request : request.url);
+
+function memoryCaches(initial = {}) {
+    const stores = new Map(Object.entries(initial).map(([name, entries]) => [name, new Map(Object.entries(entries))]));
+    const open = async (name) => {
+        if (!stores.has(name)) stores.set(name, new Map());
+        const store = stores.get(name);
+        return {
+            addAll: async (urls) => urls.forEach(url => store.set(url, response(`shell ${url}`))),
+            put: async (request, value) => { store.set(keyOf(request), value); },
+            match: async (request) => store.get(keyOf(request)),
+        };
+    };
+    return {
+        stores,
+        open,
+        keys: async () => [...stores.keys()],
+        delete: async (name) => stores.delete(name),
+        match: async (request) => [...stores.values()].map(store => store.get(keyOf(request))).find(Boolean),
+    };
+}
+
+function loadWorker({ fetch = jest.fn(), caches = memoryCaches(), windows = [] } = {}) {
+    const listeners = {};
+    const self = {
+        location: { origin: ORIGIN },
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        skipWaiting: jest.fn(() => Promise.resolve()),
+        clients: { claim: jest.fn(() => Promise.resolve()), matchAll: jest.fn(async () => windows), openWindow: jest.fn() },
+        registration: { showNotification: jest.fn(() => Promise.resolve()) },
+    };
+    // eslint-disable-next-line no-new-func
+    new Function('self', 'caches', 'fetch', 'Response', SOURCE)(self, caches, fetch, { error: () => response(null, { ok: false, type: 'error' }) });
+
+    // Sends an event and resolves with what the worker waited for or answered
+    const send = async (type, fields = {}) => {
+        let pending = null;
+        const event = { ...fields, waitUntil: (promise) => { pending = promise; }, respondWith: (promise) => { pending = promise; } };
+        listeners[type](event);
+        return { responded: pending !== null, result: await pending };
+    };
+    return { self, caches, fetch, send };
+}
+
+const request = (url, fields = {}) => ({ url, method: 'GET', mode: 'cors', ...fields });
+
+describe('service worker', () => {
+    it('caches the app shell on install and drops older releases\' caches on activate', async () => {
+        const worker = loadWorker({ caches: memoryCaches({ 'space-weather-shell-v0': {}, 'space-weather-assets-v0': {} }) });
+        await worker.send('install');
+        expect([...worker.caches.stores.get('space-weather-shell-v1').keys()]).toEqual(['./', './index.html', './manifest.json', './favicon.ico', './logo192.png', './logo512.png']);
+        expect(worker.self.skipWaiting).toHaveBeenCalled();
+
+        await worker.send('activate');
+        expect([...worker.caches.stores.keys()]).toEqual(['space-weather-shell-v1']);
+        expect(worker.self.clients.claim).toHaveBeenCalled();
+    });
+
+    it('loads pages from the network, and the cached page when offline', async () => {
+        const fetch = jest.fn().mockResolvedValueOnce(response('new page')).mockRejectedValueOnce(new TypeError('Failed to fetch'));
+        const worker = loadWorker({ fetch });
+        const navigation = request(`${ORIGIN}/`, { mode: 'navigate' });
+
+        expect((await worker.send('fetch', { request: navigation })).result.body).toBe('new page');
+        expect((await worker.send('fetch', { request: navigation })).result.body).toBe('new page');
+    });
+
+    it('answers bundles from the cache and refreshes them behind it', async () => {
+        const fetch = jest.fn().mockResolvedValueOnce(response('bundle v1')).mockResolvedValueOnce(response('bundle v2'));
+        const worker = loadWorker({ fetch });
+        const bundle = request(`${ORIGIN}/static/js/main.js`);
+
+        expect((await worker.send('fetch', { request: bundle })).result.body).toBe('bundle v1');
+        expect((await worker.send('fetch', { request: bundle })).result.body).toBe('bundle v1');
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(worker.caches.stores.get('space-weather-assets-v1').get(bundle.url).body).toBe('bundle v2');
+    });
+
+    it('leaves data requests, writes and itself to the network', async () => {
+        const worker = loadWorker();
+        for (const passing of [
+            request('https://firestore.googleapis.com/google.firestore.v1.Firestore/Listen'),
+            request('https://api.nasa.gov/DONKI/FLR'),
+            request(`${ORIGIN}/static/js/main.js`, { method: 'POST' }),
+            request(`${ORIGIN}/service-worker.js`),
+        ]) {
+            expect((await worker.send('fetch', { request: passing })).responded).toBe(false);
+        }
+        expect(worker.fetch).not.toHaveBeenCalled();
+    });
+
+    it('shows pushed alerts and opens the dashboard when one is clicked', async () => {
+        const worker = loadWorker();
+        await worker.send('push', { data: { json: () => ({ title: 'Severe geomagnetic storm', body: 'Kp 8', tag: 'kp-severe' }) } });
+        expect(worker.self.registration.showNotification).toHaveBeenCalledWith('Severe geomagnetic storm', expect.objectContaining({ body: 'Kp 8', tag: 'kp-severe' }));
+
+        const notification = { close: jest.fn() };
+        await worker.send('notificationclick', { notification });
+        expect(notification.close).toHaveBeenCalled();
+        expect(worker.self.clients.openWindow).toHaveBeenCalledWith('./');
+    });
+});
@@ -0,0 +1,18 @@
+// --- Service worker registration (production builds only) ---
+// The worker itself lives in public/service-worker.js. In development it would serve stale
+// bundles over the dev server's hot reloads, so it is only registered for `npm run build` output.
+export function register() {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker
+            .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+            .catch(error => console.error('Service worker registration failed:', error));
+    });
+}
+
+export function unregister() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+        .then(registration => registration.unregister())
+        .catch(error => console.error(error.message));
+}
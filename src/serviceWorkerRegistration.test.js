@@ -0,0 +1,61 @@
+import { register, unregister } from './serviceWorkerRegistration';
+
+const originalEnv = { ...process.env };
+let serviceWorker;
+let addEventListener;
+
+// Fires the page's load listeners that register() added
+const load = () => addEventListener.mock.calls.filter(([type]) => type === 'load').forEach(([, listener]) => listener());
+
+beforeEach(() => {
+    serviceWorker = {
+        register: jest.fn(() => Promise.resolve({ scope: '/' })),
+        ready: Promise.resolve({ unregister: jest.fn() }),
+    };
+    Object.defineProperty(navigator, 'serviceWorker', { value: serviceWorker, configurable: true });
+    addEventListener = jest.spyOn(window, 'addEventListener').mockImplementation(() => {});
+    jest.spyOn(console, 'log');
+});
+
+afterEach(() => {
+    process.env = { ...originalEnv };
+    delete navigator.serviceWorker;
+});
+
+describe('register', () => {
+    it('registers the worker once the page has loaded, in production builds', async () => {
+        process.env = { ...originalEnv, NODE_ENV: 'production', PUBLIC_URL: '/dashboard' };
+        register();
+        expect(serviceWorker.register).not.toHaveBeenCalled();
+        load();
+        expect(serviceWorker.register).toHaveBeenCalledWith('/dashboard/service-worker.js');
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(console.log).not.toHaveBeenCalled();
+    });
+
+    it('stays out of development, where it would serve stale bundles', () => {
+        process.env = { ...originalEnv, NODE_ENV: 'development' };
+        register();
+        load();
+        expect(serviceWorker.register).not.toHaveBeenCalled();
+    });
+
+    it('reports a failed registration', async () => {
+        process.env = { ...originalEnv, NODE_ENV: 'production', PUBLIC_URL: '' };
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        serviceWorker.register.mockImplementation(() => Promise.reject(new Error('insecure origin')));
+        register();
+        load();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(console.error).toHaveBeenCalledWith('Service worker registration failed:', expect.any(Error));
+    });
+});
+
+describe('unregister', () => {
+    it('unregisters the active worker', async () => {
+        const registration = await serviceWorker.ready;
+        unregister();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(registration.unregister).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,13 @@
+// Loaded by Jest before every test file (react-scripts test)
+import '@testing-library/jest-dom';
+// toHaveNoViolations() for the axe accessibility checks
+import 'jest-axe/extend-expect';
+
+// jsdom does not lay anything out; recharts' ResponsiveContainer only needs the observer to exist
+if (!global.ResizeObserver) {
+    global.ResizeObserver = class ResizeObserver {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+}
@@ -1,3 +1,6 @@
+// A colour from the theme's CSS variables ("13 17 23"), keeping Tailwind's opacity modifiers (bg-x/20)
+const themeColor = (name) => `rgb(var(--color-${name}) / <alpha-value>)`;
+
 /** @type {import('tailwindcss').Config} */
 module.exports = {
   // Specify files where Tailwind should look for utility classes
@@ -11,17 +14,38 @@ module.exports = {
       fontFamily: {
         sans: ['Inter', 'sans-serif'],
       },
-      // Custom colors to enhance the space theme
+      // Custom colors to enhance the space theme. They are CSS variables (index.css) so the
+      // high-contrast theme can swap them, and so are the greys used for secondary text and borders.
       colors: {
-        'space-dark': '#0D1117',
-        'space-medium': '#161B22',
-        'space-light': '#21262D',
-        'solar-red': '#E53E3E',
-        'solar-orange': '#DD6B20',
-        'solar-yellow': '#ECC94B',
-        'celestial-blue': '#667EEA',
-        'celestial-purple': '#9F7AEA',
-      }
+        'space-dark': themeColor('space-dark'),
+        'space-medium': themeColor('space-medium'),
+        'space-light': themeColor('space-light'),
+        'solar-red': themeColor('solar-red'),
+        'solar-orange': themeColor('solar-orange'),
+        'solar-yellow': themeColor('solar-yellow'),
+        'celestial-blue': themeColor('celestial-blue'),
+        'celestial-purple': themeColor('celestial-purple'),
+        'table-head': themeColor('table-head'),
+        gray: Object.fromEntries([100, 200, 300, 400, 500, 600, 700, 800].map(shade => [shade, themeColor(`gray-${shade}`)])),
+      },
+      // Alert and loading animations. Components apply them with the motion-safe: variant, so
+      // they stay still for visitors who ask for reduced motion.
+      keyframes: {
+        'spin-slow': { '0%': { transform: 'rotate(0deg)' }, '100%': { transform: 'rotate(360deg)' } },
+        'pulse-slow': { '0%, 100%': { opacity: '0.7' }, '50%': { opacity: '1' } },
+        'bounce-custom': { '0%, 100%': { transform: 'translateY(-5%)' }, '50%': { transform: 'translateY(0)' } },
+        'pulse-fast': { '0%, 100%': { opacity: '0.8' }, '50%': { opacity: '1' } },
+        'pulse-critical': { '0%, 100%': { boxShadow: '0 0 0 0 rgb(var(--color-solar-red) / 0.7)' }, '50%': { boxShadow: '0 0 24px 4px rgb(var(--color-solar-red) / 0.7)' } },
+        'ping-strong': { '75%, 100%': { transform: 'scale(2)', opacity: '0' } },
+      },
+      animation: {
+        'spin-slow': 'spin-slow 10s linear infinite',
+        'pulse-slow': 'pulse-slow 3s infinite ease-in-out',
+        'bounce-custom': 'bounce-custom 1.5s infinite ease-in-out',
+        'pulse-fast': 'pulse-fast 1s infinite ease-in-out',
+        'pulse-critical': 'pulse-critical 1s infinite ease-in-out',
+        'ping-strong': 'ping-strong 1.5s cubic-bezier(0, 0, 0.2, 1) infinite',
+      },
     },
   },
   plugins: [],
@@ -0,0 +1,85 @@
+// Sign-in flows of src/lib/accounts.js against the Auth emulator: guests that create an account
+// keep their UID and data, guests that sign in to an existing account switch users.
+//
+//   firebase emulators:exec --only auth "node --test test/auth/"
+//
+// Needs firebase installed next to the dashboard's dependencies. OAuth popups cannot run here;
+// they link and switch the same way as the email flows.
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeApp, deleteApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import {
+    startGuestSession, createEmailAccount, signInWithEmail, signOutAccount, describeAccount, authErrorMessage,
+} from '../../src/lib/accounts.js';
+
+const PROJECT_ID = 'demo-space-auth';
+const EMULATOR = `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST || '127.0.0.1:9099'}`;
+
+let app;
+let auth;
+
+before(() => {
+    app = initializeApp({ apiKey: 'emulator-api-key', projectId: PROJECT_ID, authDomain: `${PROJECT_ID}.firebaseapp.com` });
+    auth = getAuth(app);
+    connectAuthEmulator(auth, EMULATOR, { disableWarnings: true });
+});
+
+after(() => deleteApp(app));
+
+// Every test starts signed out with no accounts
+beforeEach(async () => {
+    await signOutAccount(auth);
+    const response = await fetch(`${EMULATOR}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' });
+    assert.ok(response.ok, `clearing the Auth emulator answered ${response.status}`);
+});
+
+// Creates alice@example.com and leaves nobody signed in
+const createAlice = async () => {
+    await createEmailAccount(auth, 'alice@example.com', 'correct horse');
+    await signOutAccount(auth);
+};
+
+test('a guest that creates an account keeps its UID, so its data carries over', async () => {
+    const guest = await startGuestSession(auth);
+    assert.equal(guest.isAnonymous, true);
+    const user = await createEmailAccount(auth, 'alice@example.com', 'correct horse');
+    assert.equal(user.uid, guest.uid);
+    assert.deepEqual(describeAccount(user), {
+        uid: guest.uid, isAnonymous: false, email: 'alice@example.com', displayName: null, providers: ['password'],
+    });
+});
+
+test('a guest that signs in to an existing account switches to it and is told so', async () => {
+    await createAlice();
+    const guest = await startGuestSession(auth);
+    const { user, switched } = await signInWithEmail(auth, 'alice@example.com', 'correct horse');
+    assert.equal(switched, true);
+    assert.notEqual(user.uid, guest.uid);
+    assert.equal(auth.currentUser.uid, user.uid);
+    assert.equal(user.email, 'alice@example.com');
+});
+
+test('signing in without a guest session switches nothing', async () => {
+    await createAlice();
+    const { user, switched } = await signInWithEmail(auth, 'alice@example.com', 'correct horse');
+    assert.equal(switched, false);
+    assert.equal(user.isAnonymous, false);
+});
+
+test('failed sign-ins keep the guest session and explain themselves', async () => {
+    await createAlice();
+    const guest = await startGuestSession(auth);
+    await assert.rejects(signInWithEmail(auth, 'alice@example.com', 'wrong'), (error) => authErrorMessage(error) === 'Wrong email or password.');
+    await assert.rejects(createEmailAccount(auth, 'alice@example.com', 'correct horse'), (error) => authErrorMessage(error) === 'An account with this email already exists. Sign in instead.');
+    assert.equal(auth.currentUser.uid, guest.uid);
+});
+
+test('signing out leaves nobody signed in for the app to start a new guest session', async () => {
+    await createAlice();
+    await signInWithEmail(auth, 'alice@example.com', 'correct horse');
+    await signOutAccount(auth);
+    assert.equal(auth.currentUser, null);
+    const guest = await startGuestSession(auth);
+    assert.equal(guest.isAnonymous, true);
+});
@@ -0,0 +1,382 @@
+// Unit tests for firestore.rules against the Firestore emulator.
+//
+//   firebase emulators:exec --only firestore "node --test test/rules/"
+//
+// Needs @firebase/rules-unit-testing and firebase installed next to the dashboard's dependencies.
+import { test, before, after, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import {
+    doc, collection, collectionGroup, query, where, getDoc, getDocs, setDoc, addDoc, updateDoc, deleteDoc, writeBatch, serverTimestamp, Timestamp,
+} from 'firebase/firestore';
+import {
+    spaceWeatherCollectionPath, ingestionStatusDocPath, backfillRequestsCollectionPath,
+    userDocPath, userSettingsDocPath, pushSubscriptionsCollectionPath, teamDocPath,
+    alertEndpointsCollectionPath, alertDeliveriesCollectionPath, assetsCollectionPath,
+    teamsCollectionPath, teamMembersCollectionPath, annotationsCollectionPath, annotationCommentsCollectionPath,
+} from '../../src/lib/spaceWeatherStore.js';
+
+const APP_ID = 'rules-test';
+const ALICE = 'alice';
+const BOB = 'bob';
+const CAROL = 'carol';
+const DAVE = 'dave';
+const TEAM = teamDocPath(APP_ID, 'ops');
+
+let env;
+
+before(async () => {
+    env = await initializeTestEnvironment({
+        projectId: 'demo-space-rules',
+        firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') },
+    });
+});
+
+after(() => env.cleanup());
+
+// Seeds documents the way the worker would, bypassing the rules
+beforeEach(async () => {
+    await env.clearFirestore();
+    await env.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, spaceWeatherCollectionPath(APP_ID), '2024-05-10_12-00-00-000Z'), { kp_index: 8 });
+        await setDoc(doc(db, ingestionStatusDocPath(APP_ID)), { state: 'ok' });
+        await setDoc(doc(db, userDocPath(APP_ID, ALICE)), { displayName: 'Alice', units: { speed: 'km/s' } });
+        await setDoc(doc(db, userSettingsDocPath(APP_ID, ALICE, 'notifications')), { enabled: true });
+        await setDoc(doc(db, alertDeliveriesCollectionPath(userDocPath(APP_ID, ALICE)), 'd1'), { status: 'sent' });
+        // Team "ops": Alice is admin, Bob editor, Carol viewer; Dave is not a member
+        await setDoc(doc(db, TEAM), { name: 'Ops', createdBy: ALICE, createdAt: Timestamp.now() });
+        for (const [uid, role] of [[ALICE, 'admin'], [BOB, 'editor'], [CAROL, 'viewer']]) {
+            await setDoc(doc(db, teamMembersCollectionPath(TEAM), uid), member(uid, role));
+        }
+        await setDoc(doc(db, annotationsCollectionPath(TEAM), 'a1'), annotation(BOB));
+        await setDoc(doc(db, annotationCommentsCollectionPath(TEAM, 'a1'), 'c1'), comment(CAROL));
+    });
+});
+
+const asUser = (uid) => env.authenticatedContext(uid).firestore();
+const asVisitor = () => env.unauthenticatedContext().firestore();
+
+const pushSubscription = (endpoint) => ({ endpoint, keys: { p256dh: 'p256dh-key', auth: 'auth-secret' }, userAgent: 'test', createdAt: Timestamp.now() });
+const member = (uid, role) => ({ uid, role, displayName: uid, addedAt: Timestamp.now() });
+const annotation = (uid, extra = {}) => ({
+    text: 'GPS outage reported at site B',
+    at: '2024-05-10T21:00:00.000Z',
+    eventId: null,
+    authorId: uid,
+    authorName: uid,
+    createdAt: Timestamp.now(),
+    updatedAt: Timestamp.now(),
+    ...extra,
+});
+const comment = (uid, extra = {}) => ({ text: 'Confirmed here too', authorId: uid, authorName: uid, createdAt: Timestamp.now(), ...extra });
+
+const backfillRequest = (uid) => ({
+    start: '2024-05-01T00:00:00.000Z',
+    end: '2024-05-02T00:00:00.000Z',
+    status: 'pending',
+    requestedBy: uid,
+    requestedAt: serverTimestamp(),
+});
+
+// --- Public space weather data ---
+
+test('anyone can read the public series and ingestion status', async () => {
+    await assertSucceeds(getDoc(doc(asVisitor(), spaceWeatherCollectionPath(APP_ID), '2024-05-10_12-00-00-000Z')));
+    await assertSucceeds(getDoc(doc(asUser(ALICE), ingestionStatusDocPath(APP_ID))));
+});
+
+test('clients cannot write public data', async () => {
+    const db = asUser(ALICE);
+    await assertFails(setDoc(doc(db, spaceWeatherCollectionPath(APP_ID), '2024-05-10_13-00-00-000Z'), { kp_index: 9 }));
+    await assertFails(updateDoc(doc(db, spaceWeatherCollectionPath(APP_ID), '2024-05-10_12-00-00-000Z'), { kp_index: 1 }));
+    await assertFails(deleteDoc(doc(db, ingestionStatusDocPath(APP_ID))));
+});
+
+// --- Backfill requests ---
+
+const backfillDoc = (db, uid) => doc(db, backfillRequestsCollectionPath(APP_ID), uid);
+
+test('signed-in users can queue a pending backfill in their own name', async () => {
+    await assertSucceeds(setDoc(backfillDoc(asUser(ALICE), ALICE), backfillRequest(ALICE)));
+});
+
+test('backfill requests must be pending, well formed and from the requester', async () => {
+    const request = backfillDoc(asUser(ALICE), ALICE);
+    await assertFails(setDoc(backfillDoc(asVisitor(), ALICE), backfillRequest(ALICE)));
+    await assertFails(setDoc(backfillDoc(asUser(ALICE), BOB), backfillRequest(BOB)));
+    await assertFails(setDoc(request, backfillRequest(BOB)));
+    await assertFails(setDoc(request, { ...backfillRequest(ALICE), status: 'done' }));
+    await assertFails(setDoc(request, { ...backfillRequest(ALICE), start: 0 }));
+    await assertFails(setDoc(request, { ...backfillRequest(ALICE), priority: 'high' }));
+    await assertFails(setDoc(request, { ...backfillRequest(ALICE), requestedAt: Timestamp.now() }));
+    await assertFails(addDoc(collection(asUser(ALICE), backfillRequestsCollectionPath(APP_ID)), backfillRequest(ALICE)));
+});
+
+test('backfill requests cover at most a year of DONKI history, start before they end and are not in the future', async () => {
+    const request = backfillDoc(asUser(ALICE), ALICE);
+    await assertFails(setDoc(request, { ...backfillRequest(ALICE), start: 'last week' }));
+    await assertFails(setDoc(request, { ...backfillRequest(ALICE), start: '2024-05-01' }));
+    await assertFails(setDoc(request, { ...backfillRequest(ALICE), start: '2024-05-03T00:00:00.000Z' }));
+    await assertFails(setDoc(request, { ...backfillRequest(ALICE), start: '1995-01-01T00:00:00.000Z' }));
+    await assertFails(setDoc(request, { ...backfillRequest(ALICE), start: '2022-01-01T00:00:00.000Z', end: '2024-01-01T00:00:00.000Z' }));
+    await assertFails(setDoc(request, { ...backfillRequest(ALICE), end: '2999-01-01T00:00:00.000Z' }));
+    await assertSucceeds(setDoc(request, { ...backfillRequest(ALICE), start: '2023-05-02T00:00:00.000Z', end: '2024-05-02T00:00:00.000Z' }));
+});
+
+test('each user has one open backfill, replaced by the next only once the worker has finished it', async () => {
+    const seed = (status) => env.withSecurityRulesDisabled((context) => setDoc(backfillDoc(context.firestore(), ALICE), { ...backfillRequest(ALICE), requestedAt: Timestamp.now(), status }));
+    const request = backfillDoc(asUser(ALICE), ALICE);
+    for (const status of ['pending', 'running']) {
+        await seed(status);
+        await assertFails(setDoc(request, backfillRequest(ALICE)));
+        await assertFails(updateDoc(request, { status: 'done' }));
+    }
+    for (const status of ['done', 'failed']) {
+        await seed(status);
+        await assertSucceeds(setDoc(request, backfillRequest(ALICE)));
+    }
+});
+
+test('only the requester reads a backfill request', async () => {
+    await env.withSecurityRulesDisabled((context) => setDoc(backfillDoc(context.firestore(), ALICE), backfillRequest(ALICE)));
+    await assertSucceeds(getDoc(backfillDoc(asUser(ALICE), ALICE)));
+    await assertFails(getDoc(backfillDoc(asUser(BOB), ALICE)));
+    await assertFails(getDoc(backfillDoc(asVisitor(), ALICE)));
+    await assertFails(getDocs(collection(asUser(ALICE), backfillRequestsCollectionPath(APP_ID))));
+});
+
+// --- Profiles and per-user documents ---
+
+test('owners read and write their profile', async () => {
+    const profile = doc(asUser(ALICE), userDocPath(APP_ID, ALICE));
+    await assertSucceeds(getDoc(profile));
+    await assertSucceeds(setDoc(profile, { displayName: 'A.', language: 'de', units: { speed: 'km/h', time: 'utc' }, updatedAt: Timestamp.now() }, { merge: true }));
+    await assertSucceeds(setDoc(profile, { language: null, theme: 'high-contrast' }, { merge: true }));
+    await assertSucceeds(setDoc(profile, { location: { latitude: 64.8, longitude: -147.7, name: 'Fairbanks', source: 'manual' } }, { merge: true }));
+});
+
+test('profiles are checked against the profile schema', async () => {
+    const profile = doc(asUser(ALICE), userDocPath(APP_ID, ALICE));
+    await assertFails(setDoc(profile, { displayName: 'x'.repeat(51) }, { merge: true }));
+    await assertFails(setDoc(profile, { units: { speed: 'mph' } }, { merge: true }));
+    await assertFails(setDoc(profile, { units: { speed: 'km/s', time: 'EST' } }, { merge: true }));
+    await assertFails(setDoc(profile, { language: 'fr' }, { merge: true }));
+    await assertFails(setDoc(profile, { theme: 'neon' }, { merge: true }));
+    await assertFails(setDoc(profile, { isAdmin: true }, { merge: true }));
+});
+
+test('other users and visitors cannot read or write a profile', async () => {
+    await assertFails(getDoc(doc(asUser(BOB), userDocPath(APP_ID, ALICE))));
+    await assertFails(setDoc(doc(asUser(BOB), userDocPath(APP_ID, ALICE)), { displayName: 'Bob' }, { merge: true }));
+    await assertFails(getDoc(doc(asVisitor(), userDocPath(APP_ID, ALICE))));
+});
+
+test('owners read and write their settings, push subscriptions, alert endpoints and assets', async () => {
+    const db = asUser(ALICE);
+    await assertSucceeds(getDoc(doc(db, userSettingsDocPath(APP_ID, ALICE, 'notifications'))));
+    await assertSucceeds(setDoc(doc(db, userSettingsDocPath(APP_ID, ALICE, 'alertRules')), { rules: [] }));
+    await assertSucceeds(setDoc(doc(db, pushSubscriptionsCollectionPath(APP_ID, ALICE), 'sub'), pushSubscription('https://push.example/1')));
+    await assertSucceeds(addDoc(collection(db, alertEndpointsCollectionPath(userDocPath(APP_ID, ALICE))), { kind: 'slack' }));
+    await assertSucceeds(addDoc(collection(db, assetsCollectionPath(userDocPath(APP_ID, ALICE))), { kind: 'powerGrid' }));
+});
+
+test('push subscriptions are checked against the PushSubscription shape, with an https endpoint', async () => {
+    const subscriptions = collection(asUser(ALICE), pushSubscriptionsCollectionPath(APP_ID, ALICE));
+    await assertSucceeds(addDoc(subscriptions, { ...pushSubscription('https://fcm.googleapis.com/fcm/send/x'), userAgent: null }));
+    await assertFails(addDoc(subscriptions, pushSubscription('http://169.254.169.254/latest/meta-data/')));
+    await assertFails(addDoc(subscriptions, pushSubscription('https://user@push.example/1')));
+    await assertFails(addDoc(subscriptions, { ...pushSubscription('https://push.example/1'), keys: { p256dh: 'p' } }));
+    await assertFails(addDoc(subscriptions, { ...pushSubscription('https://push.example/1'), headers: { Host: 'internal' } }));
+    await assertFails(addDoc(subscriptions, { endpoint: 'https://push.example/1' }));
+});
+
+test('other users cannot touch per-user documents', async () => {
+    const db = asUser(BOB);
+    await assertFails(getDoc(doc(db, userSettingsDocPath(APP_ID, ALICE, 'notifications'))));
+    await assertFails(setDoc(doc(db, userSettingsDocPath(APP_ID, ALICE, 'notifications')), { enabled: false }));
+    await assertFails(addDoc(collection(db, alertEndpointsCollectionPath(userDocPath(APP_ID, ALICE))), { kind: 'slack' }));
+    await assertFails(setDoc(doc(db, pushSubscriptionsCollectionPath(APP_ID, ALICE), 'sub'), pushSubscription('https://push.example/1')));
+    await assertFails(getDocs(collection(db, assetsCollectionPath(userDocPath(APP_ID, ALICE)))));
+});
+
+test('owners cannot write what the worker keeps: notification state, notified rules, answered tests', async () => {
+    const db = asUser(ALICE);
+    const endpoints = alertEndpointsCollectionPath(userDocPath(APP_ID, ALICE));
+    await env.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), endpoints, 'e1'), { kind: 'slack', notifiedRuleIds: ['kp-severe'] }));
+    await assertFails(setDoc(doc(db, userSettingsDocPath(APP_ID, ALICE, 'notificationState')), { notifiedRuleIds: [] }));
+    await assertFails(addDoc(collection(db, endpoints), { kind: 'slack', notifiedRuleIds: ['kp-severe'] }));
+    await assertFails(addDoc(collection(db, endpoints), { kind: 'slack', lastTestAt: Timestamp.now() }));
+    await assertFails(updateDoc(doc(db, endpoints, 'e1'), { notifiedRuleIds: [] }));
+    await assertFails(updateDoc(doc(db, endpoints, 'e1'), { lastTestAt: Timestamp.now() }));
+    await assertFails(updateDoc(doc(db, endpoints, 'e1'), { testRequestedAt: Timestamp.fromDate(new Date('2999-01-01T00:00:00Z')) }));
+    await assertSucceeds(updateDoc(doc(db, endpoints, 'e1'), { testRequestedAt: serverTimestamp() }));
+    await assertSucceeds(updateDoc(doc(db, endpoints, 'e1'), { name: 'Ops channel' }));
+    await assertSucceeds(deleteDoc(doc(db, endpoints, 'e1')));
+});
+
+test('the alert delivery log is read-only for its owner', async () => {
+    const deliveries = alertDeliveriesCollectionPath(userDocPath(APP_ID, ALICE));
+    await assertSucceeds(getDoc(doc(asUser(ALICE), deliveries, 'd1')));
+    await assertFails(setDoc(doc(asUser(ALICE), deliveries, 'd2'), { status: 'sent' }));
+    await assertFails(getDoc(doc(asUser(BOB), deliveries, 'd1')));
+});
+
+// --- Team workspaces ---
+
+test('users can create a team with themselves as admin, in one write', async () => {
+    const db = asUser(DAVE);
+    const team = doc(collection(db, teamsCollectionPath(APP_ID)));
+    const batch = writeBatch(db);
+    batch.set(team, { name: 'Grid desk', createdBy: DAVE, createdAt: Timestamp.now() });
+    batch.set(doc(db, teamMembersCollectionPath(team.path), DAVE), member(DAVE, 'admin'));
+    await assertSucceeds(batch.commit());
+});
+
+test('a team cannot be created without its admin, for someone else, or joined as admin later', async () => {
+    const db = asUser(DAVE);
+    await assertFails(setDoc(doc(db, teamDocPath(APP_ID, 'solo')), { name: 'Solo', createdBy: DAVE, createdAt: Timestamp.now() }));
+    const batch = writeBatch(db);
+    const team = doc(db, teamDocPath(APP_ID, 'forged'));
+    batch.set(team, { name: 'Forged', createdBy: ALICE, createdAt: Timestamp.now() });
+    batch.set(doc(db, teamMembersCollectionPath(team.path), DAVE), member(DAVE, 'admin'));
+    await assertFails(batch.commit());
+    await assertFails(setDoc(doc(db, teamMembersCollectionPath(TEAM), DAVE), member(DAVE, 'admin')));
+});
+
+test('members read the team, its members, annotations and comments', async () => {
+    const db = asUser(CAROL);
+    await assertSucceeds(getDoc(doc(db, TEAM)));
+    await assertSucceeds(getDocs(collection(db, teamMembersCollectionPath(TEAM))));
+    await assertSucceeds(getDocs(collection(db, annotationsCollectionPath(TEAM))));
+    await assertSucceeds(getDocs(collection(db, annotationCommentsCollectionPath(TEAM, 'a1'))));
+});
+
+test('users find their own memberships but not other people\'s', async () => {
+    await assertSucceeds(getDocs(query(collectionGroup(asUser(CAROL), 'members'), where('uid', '==', CAROL))));
+    await assertFails(getDocs(query(collectionGroup(asUser(DAVE), 'members'), where('uid', '==', CAROL))));
+});
+
+test('non-members and visitors cannot read or write a team', async () => {
+    await assertFails(getDoc(doc(asUser(DAVE), TEAM)));
+    await assertFails(getDocs(collection(asUser(DAVE), annotationsCollectionPath(TEAM))));
+    await assertFails(getDoc(doc(asVisitor(), annotationsCollectionPath(TEAM), 'a1')));
+    await assertFails(setDoc(doc(asUser(DAVE), annotationsCollectionPath(TEAM), 'a2'), annotation(DAVE)));
+    await assertFails(setDoc(doc(asUser(DAVE), annotationCommentsCollectionPath(TEAM, 'a1'), 'c2'), comment(DAVE)));
+});
+
+test('only admins manage members; others may leave', async () => {
+    await assertSucceeds(setDoc(doc(asUser(ALICE), teamMembersCollectionPath(TEAM), DAVE), member(DAVE, 'viewer')));
+    await assertSucceeds(updateDoc(doc(asUser(ALICE), teamMembersCollectionPath(TEAM), CAROL), { role: 'editor' }));
+    await assertFails(setDoc(doc(asUser(BOB), teamMembersCollectionPath(TEAM), 'erin'), member('erin', 'viewer')));
+    await assertFails(updateDoc(doc(asUser(BOB), teamMembersCollectionPath(TEAM), BOB), { role: 'admin' }));
+    await assertFails(deleteDoc(doc(asUser(BOB), teamMembersCollectionPath(TEAM), CAROL)));
+    await assertSucceeds(deleteDoc(doc(asUser(BOB), teamMembersCollectionPath(TEAM), BOB)));
+});
+
+test('the last admin cannot leave or demote themselves; another admin can remove them', async () => {
+    const members = teamMembersCollectionPath(TEAM);
+    await assertFails(deleteDoc(doc(asUser(ALICE), members, ALICE)));
+    await assertFails(updateDoc(doc(asUser(ALICE), members, ALICE), { role: 'editor' }));
+    await assertSucceeds(updateDoc(doc(asUser(ALICE), members, ALICE), { displayName: 'Alice L.' }));
+    await assertSucceeds(updateDoc(doc(asUser(ALICE), members, CAROL), { role: 'admin' }));
+    // Still not by herself: Carol, the other admin, removes her
+    await assertFails(deleteDoc(doc(asUser(ALICE), members, ALICE)));
+    await assertSucceeds(deleteDoc(doc(asUser(CAROL), members, ALICE)));
+});
+
+test('memberships are checked against the member schema', async () => {
+    const members = teamMembersCollectionPath(TEAM);
+    await assertFails(setDoc(doc(asUser(ALICE), members, DAVE), member(DAVE, 'owner')));
+    await assertFails(setDoc(doc(asUser(ALICE), members, DAVE), member('erin', 'viewer')));
+    await assertFails(setDoc(doc(asUser(ALICE), members, DAVE), { ...member(DAVE, 'viewer'), canDelete: true }));
+});
+
+test('editors and admins pin annotations in their own name; viewers cannot', async () => {
+    const annotations = annotationsCollectionPath(TEAM);
+    await assertSucceeds(setDoc(doc(asUser(BOB), annotations, 'a2'), annotation(BOB, { eventId: '2024-05-10T06-27-00-FLR-001' })));
+    await assertSucceeds(setDoc(doc(asUser(ALICE), annotations, 'a3'), annotation(ALICE)));
+    await assertFails(setDoc(doc(asUser(CAROL), annotations, 'a4'), annotation(CAROL)));
+    await assertFails(setDoc(doc(asUser(BOB), annotations, 'a5'), annotation(ALICE)));
+    await assertFails(setDoc(doc(asUser(BOB), annotations, 'a6'), annotation(BOB, { text: '' })));
+    await assertFails(setDoc(doc(asUser(BOB), annotations, 'a7'), annotation(BOB, { pinned: true })));
+    await assertFails(setDoc(doc(asUser(BOB), annotations, 'a8'), annotation(BOB, { at: 'x' })));
+    await assertFails(setDoc(doc(asUser(BOB), annotations, 'a9'), annotation(BOB, { at: 'May 10 2024' })));
+});
+
+test('editors change their own annotations, admins any', async () => {
+    const annotations = annotationsCollectionPath(TEAM);
+    await env.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), annotations, 'a8'), annotation(ALICE)));
+    await assertSucceeds(updateDoc(doc(asUser(BOB), annotations, 'a1'), { text: 'GPS outage at site B, resolved', updatedAt: Timestamp.now() }));
+    await assertFails(updateDoc(doc(asUser(BOB), annotations, 'a8'), { text: 'Not mine', updatedAt: Timestamp.now() }));
+    await assertFails(updateDoc(doc(asUser(BOB), annotations, 'a1'), { authorId: ALICE }));
+    await assertFails(updateDoc(doc(asUser(CAROL), annotations, 'a1'), { text: 'Viewer edit', updatedAt: Timestamp.now() }));
+    await assertSucceeds(updateDoc(doc(asUser(ALICE), annotations, 'a1'), { text: 'Admin edit', updatedAt: Timestamp.now() }));
+    await assertFails(deleteDoc(doc(asUser(BOB), annotations, 'a8')));
+    await assertSucceeds(deleteDoc(doc(asUser(ALICE), annotations, 'a8')));
+});
+
+test('every member may comment in their own name on an existing annotation', async () => {
+    const comments = annotationCommentsCollectionPath(TEAM, 'a1');
+    await assertSucceeds(addDoc(collection(asUser(CAROL), comments), comment(CAROL)));
+    await assertSucceeds(addDoc(collection(asUser(BOB), comments), comment(BOB)));
+    await assertFails(addDoc(collection(asUser(CAROL), comments), comment(BOB)));
+    await assertFails(addDoc(collection(asUser(CAROL), comments), comment(CAROL, { text: 'x'.repeat(1001) })));
+    await assertFails(addDoc(collection(asUser(CAROL), annotationCommentsCollectionPath(TEAM, 'missing')), comment(CAROL)));
+});
+
+test('comments cannot be edited and are removed by their author, an admin or the annotation\'s author', async () => {
+    const comments = annotationCommentsCollectionPath(TEAM, 'a1');
+    await env.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), comments, 'c2'), comment(CAROL));
+        await setDoc(doc(context.firestore(), comments, 'c3'), comment(ALICE));
+    });
+    await assertFails(updateDoc(doc(asUser(CAROL), comments, 'c1'), { text: 'Edited' }));
+    await assertFails(deleteDoc(doc(asUser(DAVE), comments, 'c1')));
+    await assertSucceeds(deleteDoc(doc(asUser(CAROL), comments, 'c1')));
+    await assertSucceeds(deleteDoc(doc(asUser(BOB), comments, 'c2')));
+    await assertSucceeds(deleteDoc(doc(asUser(ALICE), comments, 'c3')));
+});
+
+// --- Everything else ---
+
+test('team admins manage the team\'s alert endpoints and read their deliveries; other members cannot see them', async () => {
+    const endpoints = alertEndpointsCollectionPath(TEAM);
+    const deliveries = alertDeliveriesCollectionPath(TEAM);
+    await env.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), endpoints, 'e1'), { kind: 'slack', notifiedRuleIds: ['kp-severe'] });
+        await setDoc(doc(context.firestore(), deliveries, 'd1'), { status: 'delivered' });
+    });
+    const admin = asUser(ALICE);
+    await assertSucceeds(addDoc(collection(admin, endpoints), { kind: 'slack', notifiedRuleIds: [] }));
+    await assertSucceeds(getDocs(collection(admin, endpoints)));
+    await assertSucceeds(updateDoc(doc(admin, endpoints, 'e1'), { testRequestedAt: serverTimestamp() }));
+    await assertFails(updateDoc(doc(admin, endpoints, 'e1'), { notifiedRuleIds: [] }));
+    await assertFails(addDoc(collection(admin, endpoints), { kind: 'slack', lastTestAt: Timestamp.now() }));
+    await assertSucceeds(getDoc(doc(admin, deliveries, 'd1')));
+    await assertFails(setDoc(doc(admin, deliveries, 'd2'), { status: 'delivered' }));
+    for (const uid of [BOB, CAROL, DAVE]) {
+        await assertFails(getDoc(doc(asUser(uid), endpoints, 'e1')));
+        await assertFails(addDoc(collection(asUser(uid), endpoints), { kind: 'slack' }));
+        await assertFails(getDoc(doc(asUser(uid), deliveries, 'd1')));
+    }
+    await assertSucceeds(deleteDoc(doc(admin, endpoints, 'e1')));
+});
+
+test('members see the team\'s assets; editors and admins register and change them', async () => {
+    const assets = assetsCollectionPath(TEAM);
+    await env.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), assets, 'grid'), { kind: 'powerGrid' }));
+    await assertSucceeds(getDocs(collection(asUser(CAROL), assets)));
+    await assertFails(addDoc(collection(asUser(CAROL), assets), { kind: 'gnss' }));
+    await assertFails(deleteDoc(doc(asUser(CAROL), assets, 'grid')));
+    await assertSucceeds(addDoc(collection(asUser(BOB), assets), { kind: 'gnss' }));
+    await assertSucceeds(updateDoc(doc(asUser(BOB), assets, 'grid'), { name: 'Substation' }));
+    await assertSucceeds(deleteDoc(doc(asUser(ALICE), assets, 'grid')));
+    await assertFails(getDocs(collection(asUser(DAVE), assets)));
+    await assertFails(addDoc(collection(asUser(DAVE), assets), { kind: 'gnss' }));
+});
+
+test('other team collections and unknown paths are closed to clients', async () => {
+    await assertFails(setDoc(doc(asUser(ALICE), `${TEAM}/settings/alertRules`), { rules: [] }));
+    await assertFails(setDoc(doc(asUser(ALICE), 'anything/else'), { x: 1 }));
+});
@@ -0,0 +1,115 @@
+// Alert delivery end to end: runAlertDispatch posts to scripts/webhook-sink.js and mails through
+// scripts/smtp-catcher.js, and the tests check what those received and what the delivery log says.
+//
+//   node --test test/worker/
+//
+// Needs the worker's dependencies (nodemailer, firebase-admin) installed. Firestore is the
+// in-memory stand-in of memoryDb.mjs; no emulator is needed.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Timestamp } from 'firebase-admin/firestore';
+import { runAlertDispatch } from '../../worker/alertDispatch.mjs';
+import { spaceWeatherCollectionPath, userDocPath, teamDocPath, alertEndpointsCollectionPath, alertDeliveriesCollectionPath } from '../../src/lib/spaceWeatherStore.js';
+import { createWebhookSink } from '../../scripts/webhook-sink.js';
+import { createSmtpCatcher } from '../../scripts/smtp-catcher.js';
+import { createMemoryDb } from './memoryDb.mjs';
+
+const APP_ID = 'dispatch-test';
+const OWNER = userDocPath(APP_ID, 'alice');
+const TEAM = teamDocPath(APP_ID, 'ops');
+const NOW = new Date('2024-05-10T22:00:00Z');
+
+let sink;
+let catcher;
+let db;
+const listen = (server) => new Promise(resolve => server.listen(0, () => resolve(server.address().port)));
+
+before(async () => {
+    sink = createWebhookSink();
+    catcher = createSmtpCatcher();
+    const sinkPort = await listen(sink.server);
+    const smtpPort = await listen(catcher.server);
+    const endpoint = (fields) => ({
+        name: fields.kind, headers: {}, to: [], minSeverity: 'Moderate', metrics: [], template: '', enabled: false,
+        testRequestedAt: Timestamp.fromDate(new Date(NOW.valueOf() - 60000)), ...fields,
+    });
+    const endpoints = alertEndpointsCollectionPath(OWNER);
+    db = createMemoryDb({
+        // A severe storm an hour ago
+        [`${spaceWeatherCollectionPath(APP_ID)}/h1`]: { timestamp: Timestamp.fromDate(new Date(NOW.valueOf() - 3600000)), geomagneticStormLevel: 8 },
+        [`${endpoints}/slack`]: endpoint({ kind: 'slack', name: 'Ops channel', url: `http://localhost:${sinkPort}/slack`, enabled: true }),
+        [`${endpoints}/down`]: endpoint({ kind: 'webhook', url: `http://localhost:${sinkPort}/status/503` }),
+        [`${endpoints}/inbox`]: endpoint({ kind: 'email', name: 'Team inbox', to: ['ops@example.com'], enabled: true }),
+        [`${endpoints}/rejected`]: endpoint({ kind: 'email', to: ['reject@example.com'] }),
+        [`${endpoints}/metadata`]: endpoint({ kind: 'webhook', url: 'http://169.254.169.254/computeMetadata/v1/' }),
+        [`${endpoints}/signed`]: endpoint({ kind: 'webhook', url: `http://localhost:${sinkPort}/signed`, headers: { 'X-Token': 'abc' } }),
+        [`${endpoints}/rehosted`]: endpoint({ kind: 'webhook', url: `http://localhost:${sinkPort}/rehosted`, headers: { Host: 'metadata.internal' } }),
+        [`${alertEndpointsCollectionPath(TEAM)}/team`]: endpoint({ kind: 'slack', name: 'Team channel', url: `http://localhost:${sinkPort}/team`, enabled: true }),
+        [`${endpoints}/loopback`]: endpoint({ kind: 'webhook', url: `http://127.0.0.1:${sinkPort}/private` }),
+    });
+    await runAlertDispatch({
+        db,
+        appId: APP_ID,
+        dispatch: { smtpUrl: `smtp://localhost:${smtpPort}`, dashboardUrl: 'https://dashboard.example', allowedHosts: ['localhost'] },
+        retry: { retries: 1, delay: 1 },
+        now: NOW,
+    });
+});
+
+after(() => {
+    sink.server.close();
+    catcher.server.close();
+});
+
+const deliveries = (endpointId) => [...db.docs.entries()]
+    .filter(([path, entry]) => path.startsWith(`${alertDeliveriesCollectionPath(OWNER)}/`) && entry.endpointId === endpointId)
+    .map(([, entry]) => entry);
+
+test('Slack endpoints get the requested test and the new alert, once each', () => {
+    const posts = sink.received.filter(request => request.path === '/slack');
+    assert.equal(posts.length, 2);
+    assert.equal(posts[0].headers['content-type'], 'application/json');
+    assert.match(JSON.parse(posts[0].body).text, /^\*Test: Ops channel\*/);
+    assert.match(JSON.parse(posts[1].body).text, /Severe geomagnetic storm/);
+    assert.match(JSON.parse(posts[1].body).text, /<https:\/\/dashboard\.example\|Open the dashboard>/);
+    assert.deepEqual(deliveries('slack').map(entry => [entry.test, entry.status, entry.statusCode]), [[true, 'delivered', 200], [false, 'delivered', 200]]);
+    assert.ok(db.docs.get(`${alertEndpointsCollectionPath(OWNER)}/slack`).notifiedRuleIds.includes('kp-severe'));
+});
+
+test('email goes through SMTP to the endpoint\'s addresses', () => {
+    const mails = catcher.messages.filter(message => message.to.includes('ops@example.com'));
+    assert.equal(mails.length, 2);
+    assert.match(mails[0].raw, /^Subject: Test: Team inbox$/m);
+    assert.equal(mails[0].from, 'space-weather@localhost');
+    assert.deepEqual(deliveries('inbox').map(entry => entry.status), ['delivered', 'delivered']);
+});
+
+test('server errors are retried, permanent failures are not, and both are logged', () => {
+    assert.equal(sink.received.filter(request => request.path === '/status/503').length, 2);
+    assert.deepEqual(deliveries('down').map(entry => [entry.status, entry.attempts, entry.statusCode]), [['failed', 2, 503]]);
+    assert.equal(catcher.messages.filter(message => message.to.includes('reject@example.com')).length, 0);
+    assert.deepEqual(deliveries('rejected').map(entry => [entry.status, entry.attempts, entry.statusCode]), [['failed', 1, 550]]);
+});
+
+test('webhooks to loopback, private or metadata addresses are refused without a request', () => {
+    assert.equal(sink.received.filter(request => request.path === '/private').length, 0);
+    for (const endpointId of ['metadata', 'loopback']) {
+        const [entry] = deliveries(endpointId);
+        assert.equal(entry.status, 'failed');
+        assert.equal(entry.attempts, 1);
+        assert.match(entry.error, /not a public address/);
+    }
+});
+
+test('webhooks send their own headers, but never one that replaces Host or a hop-by-hop header', () => {
+    const [post] = sink.received.filter(request => request.path === '/signed');
+    assert.equal(post.headers['x-token'], 'abc');
+    assert.equal(sink.received.filter(request => request.path === '/rehosted').length, 0);
+    assert.deepEqual(deliveries('rehosted'), []);
+});
+
+test('team endpoints are sent the built-in alerts and logged with the team', () => {
+    assert.equal(sink.received.filter(request => request.path === '/team').length, 2);
+    const logged = [...db.docs.entries()].filter(([path]) => path.startsWith(`${alertDeliveriesCollectionPath(TEAM)}/`)).map(([, entry]) => entry);
+    assert.deepEqual(logged.map(entry => [entry.endpointId, entry.test, entry.status]), [['team', true, 'delivered'], ['team', false, 'delivered']]);
+});
@@ -0,0 +1,33 @@
+// The storm forecast backtest (worker/backtesting.mjs): the stored storms together have to stay
+// within ACCURACY_LIMITS, which are fixed skill targets rather than a record of earlier output, so
+// a model change that makes the forecast worse fails here. Reads fixtures only:
+//
+//   node --test test/worker/backtest.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { backtestForecasts } from '../../src/lib/stormForecast.js';
+import { BACKTEST_SETS, runBacktest, loadBacktestEvents, backtestAccuracy, accuracyProblems } from '../../worker/backtesting.mjs';
+
+test('the stored storms are forecast within the accuracy limits', () => {
+    const accuracy = backtestAccuracy(BACKTEST_SETS.map(set => runBacktest(set.events)));
+    assert.equal(accuracy.storms, 6);
+    assert.deepEqual(accuracyProblems(accuracy), []);
+});
+
+test('every stored storm is scored against a linked CME forecast', () => {
+    for (const set of BACKTEST_SETS) {
+        const { results, summary } = runBacktest(set.events);
+        assert.ok(summary.storms > 0, set.name);
+        assert.deepEqual(results.filter(result => !result.forecast).map(result => result.stormId), [], set.name);
+    }
+});
+
+test('a forecast that gets worse falls short of the limits', () => {
+    // CMEs measured at half their speed arrive a day or more late
+    const outcomes = BACKTEST_SETS.map(set => backtestForecasts(loadBacktestEvents(set.events).map(event => (event.type === 'CME'
+        ? { ...event, details: { ...event.details, speed: event.details.speed / 2 } }
+        : event))));
+    const problems = accuracyProblems(backtestAccuracy(outcomes));
+    assert.ok(problems.some(problem => problem.startsWith('Mean absolute arrival error')), problems.join('\n'));
+    assert.deepEqual(accuracyProblems(backtestAccuracy([])), ['No storm was forecast.']);
+});
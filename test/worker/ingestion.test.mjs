@@ -0,0 +1,122 @@
+// The ingestion worker's bookkeeping against the in-memory Firestore of memoryDb.mjs:
+//
+//   node --test test/worker/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { Timestamp } from 'firebase-admin/firestore';
+import { writeDailyStatistics, runSunspotIngestion, runIngestion, processBackfillRequests, STALE_BACKFILL_MS } from '../../worker/ingestion.mjs';
+import {
+    spaceWeatherCollectionPath, spaceWeatherEventsCollectionPath, dailyStatisticsCollectionPath, sunspotNumbersDocPath,
+    ingestionCoverageDocPath, ingestionStatusDocPath, backfillRequestsCollectionPath,
+} from '../../src/lib/spaceWeatherStore.js';
+import { createMemoryDb } from './memoryDb.mjs';
+
+const APP_ID = 'ingestion-test';
+const at = (isoTime) => Timestamp.fromDate(new Date(isoTime));
+const readFixture = (path) => JSON.parse(fs.readFileSync(new URL(`../../fixtures/${path}`, import.meta.url)));
+
+// Answers DONKI requests from fixtures/donki, failing the endpoints in `failing`
+const donkiFixtures = (failing = []) => async (url) => {
+    const endpoint = new URL(url).pathname.split('/').pop();
+    if (failing.includes(endpoint)) throw new Error(`HTTP 503 for ${endpoint}`);
+    return readFixture(`donki/${endpoint}.json`);
+};
+const DONKI = { sources: ['donki-flr', 'donki-cme', 'donki-gst'], sourceConfig: { nasaApiKey: 'TEST' } };
+const MAY_RANGE = { startDate: new Date('2024-05-08T00:00:00Z'), endDate: new Date('2024-05-14T00:00:00Z') };
+const quietly = async (run) => {
+    const { error, warn, log } = console;
+    Object.assign(console, { error: () => {}, warn: () => {}, log: () => {} });
+    try {
+        return await run();
+    } finally {
+        Object.assign(console, { error, warn, log });
+    }
+};
+
+test('daily statistics count whole stored days, quiet ones included, and skip unchanged days', async () => {
+    const db = createMemoryDb({
+        [`${spaceWeatherEventsCollectionPath(APP_ID, 'FLR')}/f1`]: { startTime: at('2024-05-10T01:00:00Z'), details: { peakFlux: 2e-4 } },
+        [`${spaceWeatherEventsCollectionPath(APP_ID, 'FLR')}/f2`]: { startTime: at('2024-05-10T23:30:00Z'), details: { peakFlux: 5e-6 } },
+        [`${spaceWeatherEventsCollectionPath(APP_ID, 'CME')}/c1`]: { startTime: at('2024-05-10T06:00:00Z'), details: { speed: 1200 } },
+        [`${spaceWeatherCollectionPath(APP_ID)}/h1`]: { timestamp: at('2024-05-11T03:00:00Z'), geomagneticStormLevel: 9 },
+    });
+    // A run that fetched only the last hours of the 10th still counts the flare from its first hour
+    assert.equal(await writeDailyStatistics(db, APP_ID, { start: '2024-05-10T20:00:00.000Z', end: new Date('2024-05-12T10:00:00Z') }), 3);
+    const day = (id) => db.docs.get(`${dailyStatisticsCollectionPath(APP_ID)}/${id}`);
+    assert.deepEqual(day('2024-05-10').flares, { A: 0, B: 0, C: 1, M: 0, X: 1, total: 2 });
+    assert.deepEqual(day('2024-05-10').cmeSpeeds, [1200]);
+    assert.equal(day('2024-05-11').stormLevel, 5);
+    assert.deepEqual(day('2024-05-12'), { day: '2024-05-12', flares: { A: 0, B: 0, C: 0, M: 0, X: 0, total: 0 }, cmes: 0, cmeSpeeds: [], stormLevel: 0, updatedAt: day('2024-05-12').updatedAt });
+    assert.equal(await writeDailyStatistics(db, APP_ID, { start: '2024-05-10T20:00:00.000Z', end: new Date('2024-05-12T10:00:00Z') }), 0);
+});
+
+test('sunspot numbers are stored from the start of the series, and refreshed once a day', async () => {
+    const db = createMemoryDb();
+    const requests = [];
+    const options = {
+        db,
+        appId: APP_ID,
+        sourceConfig: { swpcBaseUrl: 'http://localhost:4010/swpc' },
+        fetchJson: async (url) => {
+            requests.push(url);
+            return [{ 'time-tag': '2018-12', ssn: 3.1 }, ...readFixture('swpc/json/solar-cycle/observed-solar-cycle-indices.json')];
+        },
+    };
+    assert.equal(await runSunspotIngestion({ ...options, now: new Date('2025-05-02T00:00:00Z') }), true);
+    assert.deepEqual(requests, ['http://localhost:4010/swpc/json/solar-cycle/observed-solar-cycle-indices.json']);
+    const { months } = db.docs.get(sunspotNumbersDocPath(APP_ID));
+    assert.deepEqual([months[0], months.at(-1)], [{ month: '2019-01', value: 7.7 }, { month: '2025-04', value: 140.6 }]);
+
+    assert.equal(await runSunspotIngestion({ ...options, now: new Date('2025-05-02T12:00:00Z') }), false);
+    assert.equal(await runSunspotIngestion({ ...options, now: new Date('2025-05-03T01:00:00Z') }), true);
+    assert.equal(requests.length, 2);
+});
+
+test('a run where a source failed keeps what it got but does not count as covered', async () => {
+    const db = createMemoryDb();
+    const result = await quietly(() => runIngestion({ db, appId: APP_ID, ...DONKI, ...MAY_RANGE, fetchJson: donkiFixtures(['CMEAnalysis']) }));
+    assert.deepEqual(result.failedSources, ['donki-cme']);
+    assert.ok(result.pointsWritten > 0);
+    assert.equal(db.docs.has(ingestionCoverageDocPath(APP_ID)), false);
+    assert.deepEqual(db.docs.get(ingestionStatusDocPath(APP_ID)).failedSources, ['donki-cme']);
+
+    await quietly(() => runIngestion({ db, appId: APP_ID, ...DONKI, ...MAY_RANGE, fetchJson: donkiFixtures() }));
+    assert.equal(db.docs.get(ingestionCoverageDocPath(APP_ID)).ranges.length, 1);
+});
+
+test('a DONKI record without an activity ID is skipped, not fatal to the run', async () => {
+    const db = createMemoryDb();
+    const fixtures = donkiFixtures();
+    const fetchJson = async (url) => {
+        const records = await fixtures(url);
+        return url.includes('/GST?') ? [...records, { ...records[0], gstID: null }] : records;
+    };
+    const result = await quietly(() => runIngestion({ db, appId: APP_ID, ...DONKI, ...MAY_RANGE, fetchJson }));
+    assert.deepEqual(result.failedSources, []);
+    const storms = [...db.docs.keys()].filter(path => path.startsWith(`${spaceWeatherEventsCollectionPath(APP_ID, 'GST')}/`));
+    assert.deepEqual(storms, [`${spaceWeatherEventsCollectionPath(APP_ID, 'GST')}/2024-05-10T15-00-00-GST-001`]);
+});
+
+test('backfills left running by a stopped worker are queued again; incomplete ones fail and stay uncovered', async () => {
+    const requests = backfillRequestsCollectionPath(APP_ID);
+    const request = (fields) => ({ start: '2024-05-08T00:00:00.000Z', end: '2024-05-14T00:00:00.000Z', requestedBy: 'alice', ...fields });
+    const db = createMemoryDb({
+        [`${requests}/crashed`]: request({ status: 'running', requestedAt: at('2024-05-20T00:00:00Z'), startedAt: Timestamp.fromMillis(Date.now() - STALE_BACKFILL_MS - 60000) }),
+        [`${requests}/busy`]: request({ status: 'running', requestedAt: at('2024-05-20T00:01:00Z'), startedAt: Timestamp.now() }),
+        [`${requests}/flaky`]: request({ status: 'pending', requestedAt: at('2024-05-20T00:02:00Z') }),
+    });
+    let calls = 0;
+    const failGstAfterFirstRequest = async (url) => {
+        calls += 1;
+        if (calls > 3 && new URL(url).pathname.endsWith('/GST')) throw new Error('HTTP 503 for GST');
+        return donkiFixtures()(url);
+    };
+    assert.equal(await quietly(() => processBackfillRequests({ db, appId: APP_ID, ...DONKI, fetchJson: failGstAfterFirstRequest, chunkDays: 30 })), 2);
+    const status = (id) => db.docs.get(`${requests}/${id}`);
+    assert.equal(status('crashed').status, 'done');
+    assert.equal(status('busy').status, 'running');
+    assert.equal(status('flaky').status, 'failed');
+    assert.match(status('flaky').error, /1 of 1 chunks/);
+    assert.deepEqual(db.docs.get(ingestionCoverageDocPath(APP_ID)).ranges, [{ start: '2024-05-08T00:00:00.000Z', end: '2024-05-14T00:00:00.000Z' }]);
+});
@@ -0,0 +1,66 @@
+// An in-memory stand-in for the few firebase-admin Firestore calls the worker makes: documents by
+// path, collection and collection-group queries with where/orderBy, getAll, batches, updates and
+// deletes.
+import { Timestamp } from 'firebase-admin/firestore';
+
+const valueOf = (value) => (value instanceof Timestamp ? value.toMillis() : value);
+const COMPARE = {
+    '==': (a, b) => a === b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+};
+
+export function createMemoryDb(seed = {}) {
+    const docs = new Map(Object.entries(seed));
+    let nextId = 1;
+    const inCollection = (path, collectionPath) => path.startsWith(`${collectionPath}/`) && !path.slice(collectionPath.length + 1).includes('/');
+    const write = (path, fields, { merge = false } = {}) => docs.set(path, merge ? { ...docs.get(path), ...fields } : { ...fields });
+
+    const ref = (path) => {
+        const parts = path.split('/');
+        return {
+            id: parts.at(-1),
+            path,
+            parent: { path: parts.slice(0, -1).join('/'), parent: parts.length > 2 ? ref(parts.slice(0, -2).join('/')) : null },
+            get: async () => snapshot(path),
+            set: async (fields, options) => write(path, fields, options),
+            update: async (fields) => write(path, fields, { merge: true }),
+            delete: async () => docs.delete(path),
+        };
+    };
+    const snapshot = (path) => ({ id: path.split('/').at(-1), ref: ref(path), exists: docs.has(path), data: () => docs.get(path) });
+    const query = (matches, filters = [], order = null) => ({
+        where: (field, op, value) => query(matches, [...filters, (data) => COMPARE[op](valueOf(data[field]), valueOf(value))], order),
+        orderBy: (field) => query(matches, filters, field),
+        get: async () => {
+            const paths = [...docs.keys()].filter(path => matches(path) && filters.every(filter => filter(docs.get(path))));
+            if (order) paths.sort((a, b) => valueOf(docs.get(a)[order]) - valueOf(docs.get(b)[order]));
+            return { docs: paths.map(snapshot) };
+        },
+    });
+
+    return {
+        docs,
+        doc: ref,
+        getAll: async (...refs) => refs.map(entry => snapshot(entry.path)),
+        batch: () => {
+            const writes = [];
+            return {
+                set: (entry, fields, options) => writes.push(() => write(entry.path, fields, options)),
+                commit: async () => writes.forEach(apply => apply()),
+            };
+        },
+        collection: (collectionPath) => ({
+            ...query(path => inCollection(path, collectionPath)),
+            doc: (id) => ref(`${collectionPath}/${id}`),
+            add: async (data) => {
+                const path = `${collectionPath}/auto-${nextId++}`;
+                docs.set(path, data);
+                return ref(path);
+            },
+        }),
+        collectionGroup: (id) => query(path => path.split('/').at(-2) === id && path.split('/').length % 2 === 0),
+    };
+}
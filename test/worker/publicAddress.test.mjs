@@ -0,0 +1,39 @@
+// Unit tests for the worker's public-address checks (no emulator needed):
+//
+//   node --test test/worker/publicAddress.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPublicAddress, assertPublicHost, publicOnlyLookup, NonPublicAddressError } from '../../worker/publicAddress.mjs';
+
+test('public addresses pass; loopback, private, link-local, documentation and reserved ones do not', () => {
+    for (const address of ['8.8.8.8', '151.101.1.1', '2606:4700::1111', '::ffff:8.8.8.8']) {
+        assert.equal(isPublicAddress(address), true, address);
+    }
+    for (const address of [
+        '127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '100.64.0.1', '169.254.169.254', '0.0.0.0',
+        '224.0.0.1', '255.255.255.255', '192.0.2.1', '198.18.0.1', '198.19.255.1', '198.51.100.7', '203.0.113.9',
+        '::1', '::', '::ffff:127.0.0.1', 'fd00::1', 'fe80::1', 'not-an-ip',
+        // 127.0.0.1 and 169.254.169.254 behind NAT64 and 6to4
+        '64:ff9b::7f00:1', '64:ff9b::a9fe:a9fe', '2002:7f00:1::1', '2002:a9fe:a9fe::',
+    ]) {
+        assert.equal(isPublicAddress(address), false, address);
+    }
+});
+
+test('URLs with a non-public IP literal are refused unless the host is allowed', () => {
+    assert.throws(() => assertPublicHost('http://169.254.169.254/latest/meta-data/'), NonPublicAddressError);
+    assert.throws(() => assertPublicHost('http://[::1]:8080/'), NonPublicAddressError);
+    assert.throws(() => assertPublicHost('http://[64:ff9b::7f00:1]/'), NonPublicAddressError);
+    assert.doesNotThrow(() => assertPublicHost('http://127.0.0.1:4020/slack', ['127.0.0.1']));
+    assert.doesNotThrow(() => assertPublicHost('https://hooks.slack.com/services/x'));
+});
+
+const lookupAsync = (lookup, hostname, options = {}) => new Promise((resolve, reject) => {
+    lookup(hostname, options, (error, address) => (error ? reject(error) : resolve(address)));
+});
+
+test('names resolving to a non-public address are refused when connecting, unless allowed', async () => {
+    await assert.rejects(lookupAsync(publicOnlyLookup(), 'localhost'), { code: 'EADDRNOTPUBLIC' });
+    await assert.rejects(lookupAsync(publicOnlyLookup(), 'localhost', { all: true }), { code: 'EADDRNOTPUBLIC' });
+    assert.ok(await lookupAsync(publicOnlyLookup(['localhost']), 'localhost'));
+});
@@ -0,0 +1,55 @@
+// Web Push delivery: runPushNotifications sends only to https push services on public hosts, and
+// drops subscriptions whose endpoint is anything else.
+//
+//   node --test test/worker/
+//
+// Needs the worker's dependencies (web-push, firebase-admin) installed. Firestore is the in-memory
+// stand-in of memoryDb.mjs; no emulator is needed.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import webpush from 'web-push';
+import { Timestamp } from 'firebase-admin/firestore';
+import { runPushNotifications } from '../../worker/pushNotifications.mjs';
+import { spaceWeatherCollectionPath, pushSubscriptionsCollectionPath, userSettingsDocPath } from '../../src/lib/spaceWeatherStore.js';
+import { createMemoryDb } from './memoryDb.mjs';
+
+const APP_ID = 'push-test';
+const NOW = new Date('2024-05-10T22:00:00Z');
+const subscriptions = pushSubscriptionsCollectionPath(APP_ID, 'alice');
+
+// Keys of a browser subscription, so web-push can encrypt a payload for it
+const browserKeys = () => {
+    const ecdh = crypto.createECDH('prime256v1');
+    return { p256dh: ecdh.generateKeys().toString('base64url'), auth: crypto.randomBytes(16).toString('base64url') };
+};
+
+const seed = (endpoints) => ({
+    // A severe storm an hour ago
+    [`${spaceWeatherCollectionPath(APP_ID)}/h1`]: { timestamp: Timestamp.fromDate(new Date(NOW.valueOf() - 3600000)), geomagneticStormLevel: 8 },
+    [userSettingsDocPath(APP_ID, 'alice', 'notifications')]: { enabled: true, push: true, minSeverity: 'Moderate', metrics: [] },
+    ...Object.fromEntries(Object.entries(endpoints).map(([id, endpoint]) => [`${subscriptions}/${id}`, { endpoint, keys: browserKeys() }])),
+});
+
+test('pushes go to https push services; plain http and non-public endpoints are dropped unsent', async () => {
+    const db = createMemoryDb(seed({
+        fcm: 'https://fcm.googleapis.com/fcm/send/abc',
+        plain: 'http://fcm.googleapis.com/fcm/send/abc',
+        metadata: 'https://169.254.169.254/computeMetadata/v1/',
+        nat64: 'https://[64:ff9b::7f00:1]/push',
+        garbage: 'not a url',
+    }));
+    const sent = [];
+    const result = await runPushNotifications({ db, appId: APP_ID, send: async (subscription) => sent.push(subscription.endpoint), now: NOW });
+    assert.deepEqual(sent, ['https://fcm.googleapis.com/fcm/send/abc']);
+    assert.equal(result.pushesSent, 1);
+    assert.deepEqual([...db.docs.keys()].filter(path => path.startsWith(`${subscriptions}/`)), [`${subscriptions}/fcm`]);
+});
+
+test('names resolving to a non-public address are refused when web-push connects', async () => {
+    const db = createMemoryDb(seed({ loopback: 'https://localhost:9/push' }));
+    const vapid = { subject: 'mailto:ops@example.com', ...webpush.generateVAPIDKeys() };
+    const result = await runPushNotifications({ db, appId: APP_ID, vapid, now: NOW });
+    assert.equal(result.pushesSent, 0);
+    assert.equal(db.docs.has(`${subscriptions}/loopback`), false);
+});
@@ -0,0 +1,204 @@
+// --- Delivery of alerts to webhook and email endpoints ---
+// After each ingestion run, every user's and team's endpoints (see src/lib/alertDispatch.js) are
+// checked against that owner's alert rules over the last 7 days (teams have no rule editor, so
+// theirs are the built-in rules). An endpoint gets a message when
+// rules it cares about newly fire, plus a test message when the dashboard asked for one. Failed
+// attempts are retried with exponential backoff, and every delivery, sent or not, is written to
+// the owner's alert_deliveries log.
+//
+// Locally, point the endpoints at scripts/webhook-sink.js (with ALERT_ALLOWED_HOSTS=localhost) and
+// SMTP_URL at scripts/smtp-catcher.js. Tests: test/worker/alertDispatch.test.mjs.
+import http from 'node:http';
+import https from 'node:https';
+import nodemailer from 'nodemailer';
+import { Timestamp } from 'firebase-admin/firestore';
+import { evaluateAlertRules } from '../src/lib/alertRules.js';
+import { planAlertNotification } from '../src/lib/notifications.js';
+import { alertTemplateContext, endpointNotificationPrefs, isReservedHeader, renderAlertPayload, validateAlertEndpoint } from '../src/lib/alertDispatch.js';
+import { retryWithBackoff } from '../src/lib/http.js';
+import { ALERT_ENDPOINTS_COLLECTION, alertDeliveriesCollectionPath } from '../src/lib/spaceWeatherStore.js';
+import { METRIC_LABELS, loadRecentSeries, loadAlertRules } from './alertInputs.mjs';
+import { NonPublicAddressError, assertPublicHost, publicOnlyLookup } from './publicAddress.mjs';
+
+const HTTP_TIMEOUT_MS = 10000;
+
+class DeliveryError extends Error {
+    constructor(message, { statusCode = null, retryable = true } = {}) {
+        super(message);
+        this.name = 'DeliveryError';
+        this.statusCode = statusCode;
+        this.retryable = retryable;
+    }
+}
+
+// POSTs a rendered payload to a public address (publicAddress.mjs; `allowedHosts` are exempt).
+// 429 and 5xx answers are worth retrying; other 4xx are not, and neither are redirects, which are
+// not followed. Uses node:http rather than fetch, whose connections cannot be checked. The
+// endpoint's own headers never replace Host, hop-by-hop or body headers (isReservedHeader).
+function createHttpSender(allowedHosts = []) {
+    const lookup = publicOnlyLookup(allowedHosts);
+    const request = (url, options, body) => new Promise((resolve, reject) => {
+        const req = (url.protocol === 'https:' ? https : http).request(url, options, (response) => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => { text += chunk; });
+            response.on('end', () => resolve({ status: response.statusCode, text }));
+            response.on('error', reject);
+        });
+        req.on('timeout', () => req.destroy(new Error(`timed out after ${HTTP_TIMEOUT_MS / 1000}s`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+
+    return async (endpoint, { contentType, body }) => {
+        let response;
+        try {
+            const url = new URL(endpoint.url);
+            assertPublicHost(url, allowedHosts);
+            const headers = Object.entries(endpoint.headers || {}).filter(([name]) => !isReservedHeader(name));
+            response = await request(url, {
+                method: 'POST',
+                headers: { ...Object.fromEntries(headers), 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(body) },
+                timeout: HTTP_TIMEOUT_MS,
+                lookup,
+            }, body);
+        } catch (error) {
+            throw new DeliveryError(`Request failed: ${error.message}`, { retryable: !(error instanceof NonPublicAddressError) });
+        }
+        if (response.status < 200 || response.status >= 300) {
+            const detail = response.text.slice(0, 200);
+            throw new DeliveryError(`HTTP ${response.status}${detail ? `: ${detail}` : ''}`, {
+                statusCode: response.status,
+                retryable: response.status === 429 || response.status >= 500,
+            });
+        }
+        return { statusCode: response.status };
+    };
+}
+
+// SMTP 4xx replies are temporary by definition; 5xx replies are permanent
+function createEmailSender(smtpUrl, from) {
+    if (!smtpUrl) return null;
+    const transport = nodemailer.createTransport(smtpUrl);
+    return async (endpoint, { subject, text }) => {
+        try {
+            const info = await transport.sendMail({ from, to: endpoint.to.join(', '), subject, text });
+            return { statusCode: null, messageId: info.messageId };
+        } catch (error) {
+            throw new DeliveryError(`SMTP: ${error.message}`, {
+                statusCode: error.responseCode || null,
+                retryable: !error.responseCode || error.responseCode < 500,
+            });
+        }
+    };
+}
+
+// Endpoints of this app grouped by the path of the user or team document that owns them
+async function loadEndpointsByOwner(db, appId) {
+    const snapshot = await db.collectionGroup(ALERT_ENDPOINTS_COLLECTION).get();
+    const byOwner = new Map();
+    for (const endpointDoc of snapshot.docs) {
+        if (!endpointDoc.ref.path.startsWith(`artifacts/${appId}/`)) continue;
+        const ownerPath = endpointDoc.ref.parent.parent.path;
+        if (!byOwner.has(ownerPath)) byOwner.set(ownerPath, []);
+        byOwner.get(ownerPath).push(endpointDoc);
+    }
+    return byOwner;
+}
+
+const TEST_PREDICTION = {
+    level: 'Minor',
+    message: 'Test alert from the Space Weather Dashboard.',
+    details: 'This endpoint is set up correctly. Real alerts look like this one.',
+};
+const TEST_RULE = { ruleId: 'test', name: 'Test alert', reason: 'Sent because a test was requested from the dashboard.' };
+
+// One pass over all endpoints. `dispatch` is { smtpUrl, emailFrom, dashboardUrl, allowedHosts };
+// without smtpUrl email endpoints are skipped. Webhooks only go to public addresses, except to
+// the host names in allowedHosts (e.g. ['localhost'] for scripts/webhook-sink.js). `transports`
+// can replace the HTTP and SMTP senders (tests, other channels): { http(endpoint, payload),
+// email(endpoint, message) }. `retry` overrides the backoff schedule ({ retries, delay }, as in
+// retryWithBackoff).
+export async function runAlertDispatch({ db, appId, dispatch = {}, transports = {}, retry, now = new Date() }) {
+    const { smtpUrl, emailFrom = 'space-weather@localhost', dashboardUrl = '', allowedHosts = [] } = dispatch;
+    const httpSender = transports.http || createHttpSender(allowedHosts.map(host => host.toLowerCase()));
+    const senders = {
+        slack: httpSender,
+        webhook: httpSender,
+        email: transports.email || createEmailSender(smtpUrl, emailFrom),
+    };
+    const endpointsByOwner = await loadEndpointsByOwner(db, appId);
+    if (!endpointsByOwner.size) return { delivered: 0, failed: 0 };
+
+    const series = await loadRecentSeries(db, appId, now);
+    let delivered = 0;
+    let failed = 0;
+
+    const deliver = async (ownerPath, endpointDoc, endpoint, notification, prediction, freshRules, test) => {
+        const context = alertTemplateContext(notification, prediction, freshRules, { now, dashboardUrl });
+        const entry = {
+            endpointId: endpointDoc.id,
+            endpointName: endpoint.name,
+            kind: endpoint.kind,
+            test,
+            level: prediction.level,
+            title: notification.title,
+            ruleIds: freshRules.map(fired => fired.ruleId),
+            createdAt: Timestamp.fromDate(now),
+        };
+        let attempts = 0;
+        try {
+            const payload = renderAlertPayload(endpoint, context);
+            const result = await retryWithBackoff((attempt) => {
+                attempts = attempt;
+                return senders[endpoint.kind](endpoint, payload);
+            }, { ...retry, shouldRetry: error => error.retryable !== false });
+            await db.collection(alertDeliveriesCollectionPath(ownerPath)).add({ ...entry, status: 'delivered', attempts, statusCode: result.statusCode ?? null, error: null });
+            delivered += 1;
+            return true;
+        } catch (error) {
+            console.error(`Alert delivery to ${endpointDoc.ref.path} failed:`, error.message);
+            await db.collection(alertDeliveriesCollectionPath(ownerPath)).add({ ...entry, status: 'failed', attempts, statusCode: error.statusCode ?? null, error: error.message });
+            failed += 1;
+            // A permanent failure (bad URL, rejected address) would fail the same way next run
+            return error.retryable === false;
+        }
+    };
+
+    for (const [ownerPath, endpointDocs] of endpointsByOwner) {
+        const rules = await loadAlertRules(db, `${ownerPath}/settings/alertRules`);
+        const prediction = evaluateAlertRules(rules, series, METRIC_LABELS);
+
+        for (const endpointDoc of endpointDocs) {
+            const endpoint = endpointDoc.data();
+            if (validateAlertEndpoint(endpoint).length) continue;
+            if (!senders[endpoint.kind]) {
+                console.log(`No sender for ${endpoint.kind} endpoint ${endpointDoc.ref.path} (is SMTP_URL set?); skipping.`);
+                continue;
+            }
+            const updates = {};
+
+            // Each request is answered once: lastTestAt records which request was last handled
+            const testRequestedAt = endpoint.testRequestedAt?.toMillis();
+            if (testRequestedAt && testRequestedAt > (endpoint.lastTestAt?.toMillis() ?? 0)) {
+                await deliver(ownerPath, endpointDoc, endpoint, { title: `Test: ${endpoint.name}` }, TEST_PREDICTION, [TEST_RULE], true);
+                updates.lastTestAt = endpoint.testRequestedAt;
+            }
+
+            const previous = endpoint.notifiedRuleIds || [];
+            const { notification, freshRules, notifiedRuleIds } = planAlertNotification(prediction, endpointNotificationPrefs(endpoint), previous, now);
+            let remembered = notifiedRuleIds;
+            if (notification) {
+                const settled = await deliver(ownerPath, endpointDoc, endpoint, notification, prediction, freshRules, false);
+                // After a transient failure the new rules stay unmarked, so the next run tries again
+                if (!settled) remembered = notifiedRuleIds.filter(id => !freshRules.some(fired => fired.ruleId === id));
+            }
+            if (remembered.join() !== previous.join()) updates.notifiedRuleIds = remembered;
+
+            if (Object.keys(updates).length) await endpointDoc.ref.update(updates);
+        }
+    }
+
+    console.log(`Alert integrations: ${delivered} delivered, ${failed} failed.`);
+    return { delivered, failed };
+}
@@ -0,0 +1,29 @@
+// --- What the worker's alert deliveries evaluate: the recent series and each owner's rules ---
+// Shared by Web Push (pushNotifications.mjs) and the webhook/email integrations (alertDispatch.mjs).
+import { Timestamp } from 'firebase-admin/firestore';
+import { DEFAULT_ALERT_RULES, migrateLegacyRule } from '../src/lib/alertRules.js';
+import { describeFields, DEFAULT_SOURCE_IDS } from '../src/lib/sources/index.js';
+import { spaceWeatherCollectionPath } from '../src/lib/spaceWeatherStore.js';
+
+export const METRIC_LABELS = Object.fromEntries(Object.entries(describeFields(DEFAULT_SOURCE_IDS)).map(([field, spec]) => [field, spec.label]));
+const RECENT_MS = 7 * 24 * 3600000;
+
+// The last 7 days of the hourly series, the same window the dashboard alerts on
+export async function loadRecentSeries(db, appId, now) {
+    const snapshot = await db.collection(spaceWeatherCollectionPath(appId))
+        .where('timestamp', '>=', Timestamp.fromDate(new Date(now.valueOf() - RECENT_MS)))
+        .orderBy('timestamp', 'asc')
+        .get();
+    return snapshot.docs.map(d => ({ ...d.data(), timestamp: d.data().timestamp.toDate().toISOString() }));
+}
+
+export async function readSettings(db, settingsDocPath) {
+    const snapshot = await db.doc(settingsDocPath).get();
+    return snapshot.exists ? snapshot.data() : null;
+}
+
+// Saved rules from an alertRules settings document, or the built-in ones
+export async function loadAlertRules(db, settingsDocPath) {
+    const savedRules = (await readSettings(db, settingsDocPath))?.rules;
+    return Array.isArray(savedRules) ? savedRules.map(migrateLegacyRule) : DEFAULT_ALERT_RULES;
+}
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// --- Backtest of the storm forecast against recorded DONKI storms (CLI) ---
+// Requires Node 20.19+. Reads DONKI responses from disk, so it needs no Firestore or API key.
+//
+//   node worker/backtest.mjs                       Every stored set (worker/backtesting.mjs)
+//   node worker/backtest.mjs --events=dumps/2023   Any directory holding CMEAnalysis.json and GST.json
+//
+// Every storm linked to Earth-directed CMEs is scored against their forecast (src/lib/stormForecast.js).
+// The run fails when the sets together fall short of ACCURACY_LIMITS, as `node --test
+// test/worker/` does for the stored sets.
+import path from 'path';
+import { ROOT, BACKTEST_SETS, ACCURACY_LIMITS, runBacktest, backtestAccuracy, accuracyProblems } from './backtesting.mjs';
+
+function parseArgs(argv) {
+    const sets = [];
+    for (const arg of argv) {
+        if (!arg.startsWith('--events=')) throw new Error(`Unknown argument: ${arg}`);
+        const events = path.resolve(arg.slice('--events='.length));
+        sets.push({ name: path.relative(ROOT, events), events });
+    }
+    return sets.length ? sets : BACKTEST_SETS;
+}
+
+const formatHours = (hours) => `${hours >= 0 ? '+' : ''}${hours.toFixed(1)} h`;
+
+function printReport({ results, falseAlarms, summary }) {
+    for (const result of results) {
+        if (!result.forecast) {
+            console.log(`${result.stormId}: no Earth-directed CME with a complete analysis is linked`);
+            continue;
+        }
+        console.log(`${result.stormId} (max Kp ${result.observedKp ?? '?'})`);
+        console.log(`  forecast from ${result.forecast.cmeId}: arrival ${result.forecast.arrival.median} (${result.forecast.arrival.earliest} to ${result.forecast.arrival.latest}), Kp ${result.forecast.expectedKp.toFixed(1)}`);
+        console.log(`  arrival error ${formatHours(result.arrivalErrorHours)}${result.withinWindow ? '' : ' (outside the window)'}, Kp error ${result.kpError === null ? 'n/a' : result.kpError.toFixed(1)}`);
+    }
+    console.log(`\n${summary.forecast} of ${summary.storms} storms forecast, ${summary.withinWindow} within the arrival window`);
+    if (summary.meanAbsArrivalErrorHours !== null) console.log(`Mean absolute arrival error ${summary.meanAbsArrivalErrorHours.toFixed(1)} h, Kp error ${summary.meanAbsKpError?.toFixed(1) ?? 'n/a'}`);
+    console.log(`False alarms (G1 or more forecast, no storm): ${falseAlarms.length ? falseAlarms.join(', ') : 'none'}`);
+}
+
+const formatShare = (share) => (share === null ? 'n/a' : `${Math.round(share * 100)}%`);
+
+function main() {
+    const outcomes = parseArgs(process.argv.slice(2)).map(({ name, events }) => {
+        console.log(`--- ${name} ---`);
+        const outcome = runBacktest(events);
+        printReport(outcome);
+        console.log('');
+        return outcome;
+    });
+
+    const accuracy = backtestAccuracy(outcomes);
+    console.log(`--- All sets: ${accuracy.storms} storms ---`);
+    console.log(`Probability of detection ${formatShare(accuracy.probabilityOfDetection)} (at least ${formatShare(ACCURACY_LIMITS.minProbabilityOfDetection)}), false alarm ratio ${formatShare(accuracy.falseAlarmRatio)} (at most ${formatShare(ACCURACY_LIMITS.maxFalseAlarmRatio)})`);
+    if (accuracy.meanAbsArrivalErrorHours !== null) {
+        console.log(`Mean absolute arrival error ${accuracy.meanAbsArrivalErrorHours.toFixed(1)} h (at most ${ACCURACY_LIMITS.maxMeanAbsArrivalErrorHours} h), largest ${accuracy.maxAbsArrivalErrorHours.toFixed(1)} h (at most ${ACCURACY_LIMITS.maxAbsArrivalErrorHours} h)`);
+    }
+    const problems = accuracyProblems(accuracy);
+    if (problems.length) {
+        problems.forEach(problem => console.error(problem));
+        process.exitCode = 1;
+    } else {
+        console.log('Within the accuracy limits.');
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('Backtest failed:', error);
+    process.exitCode = 1;
+}
@@ -0,0 +1,75 @@
+// --- Backtest of the storm forecast against recorded DONKI storms ---
+// Reads DONKI responses from disk, so it needs no Firestore or API key. worker/backtest.mjs is the
+// command line; test/worker/backtest.test.mjs checks the stored storms against ACCURACY_LIMITS.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { donkiCmeAdapter, donkiGeomagneticStormAdapter } from '../src/lib/sources/donki.js';
+import { backtestForecasts } from '../src/lib/stormForecast.js';
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// The stored sets, each a directory holding CMEAnalysis.json and GST.json:
+//   may-2024: the dashboard fixtures (fixtures/donki), the May 2024 storm
+//   storms:   the CMEs and storms of five more G3-G4 events from 2017 to 2024, abridged to the
+//             fields the adapters read
+export const BACKTEST_SETS = [
+    { name: 'may-2024', events: path.join(ROOT, 'fixtures', 'donki') },
+    { name: 'storms', events: path.join(ROOT, 'fixtures', 'backtest', 'storms') },
+];
+
+// The accuracy the forecast has to keep over the stored storms together. These are what a
+// drag-based model is expected to reach on well-analysed fast CMEs (arrival errors of around
+// half a day, most storms inside the window), not this model's current scores, so a change that
+// makes the forecast worse fails however the fixtures are regenerated.
+export const ACCURACY_LIMITS = {
+    maxMeanAbsArrivalErrorHours: 16,
+    maxAbsArrivalErrorHours: 36, // No single storm missed by more than a day and a half
+    minProbabilityOfDetection: 0.6, // Storms whose onset falls inside the forecast arrival window
+    maxFalseAlarmRatio: 0.34, // Storm forecasts without a storm, of all storm forecasts
+    maxMeanAbsKpError: 2.5,
+};
+
+export function loadBacktestEvents(dir) {
+    const read = (name) => JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'));
+    return [...donkiCmeAdapter.parseEvents(read('CMEAnalysis')), ...donkiGeomagneticStormAdapter.parseEvents(read('GST'))];
+}
+
+export const runBacktest = (dir) => backtestForecasts(loadBacktestEvents(dir));
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Scores of backtestForecasts outcomes taken together: the share of storms forecast inside their
+// arrival window (probability of detection), the share of storm forecasts that had no storm (false
+// alarm ratio), and the arrival and Kp errors of the storms that were forecast
+export function backtestAccuracy(outcomes) {
+    const results = outcomes.flatMap(outcome => outcome.results);
+    const scored = results.filter(result => result.forecast);
+    const arrivalErrors = scored.map(result => Math.abs(result.arrivalErrorHours));
+    const hits = scored.filter(result => result.withinWindow).length;
+    const falseAlarms = outcomes.reduce((count, outcome) => count + outcome.falseAlarms.length, 0);
+    return {
+        storms: results.length,
+        probabilityOfDetection: results.length ? hits / results.length : null,
+        falseAlarmRatio: hits + falseAlarms ? falseAlarms / (hits + falseAlarms) : 0,
+        meanAbsArrivalErrorHours: mean(arrivalErrors),
+        maxAbsArrivalErrorHours: arrivalErrors.length ? Math.max(...arrivalErrors) : null,
+        meanAbsKpError: mean(scored.filter(result => result.kpError !== null).map(result => Math.abs(result.kpError))),
+    };
+}
+
+// What falls short of `limits`, one line each; empty when the forecast is accurate enough. No
+// storm at all, or none forecast, falls short too.
+export function accuracyProblems(accuracy, limits = ACCURACY_LIMITS) {
+    if (!accuracy.storms || accuracy.meanAbsArrivalErrorHours === null) return ['No storm was forecast.'];
+    const problems = [];
+    const check = (value, limit, atMost, text) => {
+        if (atMost ? value > limit : value < limit) problems.push(`${text} ${value.toFixed(2)} is ${atMost ? 'above' : 'below'} ${limit}.`);
+    };
+    check(accuracy.meanAbsArrivalErrorHours, limits.maxMeanAbsArrivalErrorHours, true, 'Mean absolute arrival error (h)');
+    check(accuracy.maxAbsArrivalErrorHours, limits.maxAbsArrivalErrorHours, true, 'Largest arrival error (h)');
+    check(accuracy.probabilityOfDetection, limits.minProbabilityOfDetection, false, 'Probability of detection');
+    check(accuracy.falseAlarmRatio, limits.maxFalseAlarmRatio, true, 'False alarm ratio');
+    if (accuracy.meanAbsKpError !== null) check(accuracy.meanAbsKpError, limits.maxMeanAbsKpError, true, 'Mean absolute Kp error');
+    return problems;
+}
@@ -0,0 +1,52 @@
+// --- Firestore connection and data-source options for the worker CLIs, from the environment ---
+// See worker/ingest.mjs for the variables.
+import { initializeApp, applicationDefault } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { createRequestScheduler, nasaHourlyLimit } from '../src/lib/requestScheduler.js';
+import { NASA_DONKI_BASE_URL } from '../src/lib/sources/index.js';
+
+export function createDb() {
+    const projectId = process.env.FIREBASE_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT;
+    // The emulator needs no credentials; real projects use Application Default Credentials
+    const app = process.env.FIRESTORE_EMULATOR_HOST
+        ? initializeApp({ projectId })
+        : initializeApp({ projectId, credential: applicationDefault() });
+    return getFirestore(app);
+}
+
+export const appIdFromEnv = () => process.env.APP_ID || 'default-app-id';
+
+// Options shared by runIngestion, runBackfill, runPushNotifications and runAlertDispatch
+export function workerOptionsFromEnv(db) {
+    // DEMO_KEY allows 30 requests an hour per IP, enough to try things out but not to run on
+    const nasaApiKey = process.env.NASA_API_KEY || (process.env.NODE_ENV === 'production' ? null : 'DEMO_KEY');
+    if (!nasaApiKey) throw new Error('NASA_API_KEY is required when NODE_ENV=production (get one at https://api.nasa.gov).');
+    const donkiBaseUrl = process.env.DONKI_BASE_URL;
+    // Every DONKI endpoint draws on the key's hourly allowance
+    const requestScheduler = createRequestScheduler({
+        limits: { [new URL(donkiBaseUrl || NASA_DONKI_BASE_URL).host]: nasaHourlyLimit(nasaApiKey) },
+    });
+    return {
+        db,
+        appId: appIdFromEnv(),
+        sources: process.env.INGEST_SOURCES ? process.env.INGEST_SOURCES.split(',').map(s => s.trim()) : undefined,
+        sourceConfig: {
+            nasaApiKey,
+            donkiBaseUrl,
+            swpcBaseUrl: process.env.SWPC_BASE_URL,
+        },
+        requestScheduler,
+        fetchJson: requestScheduler.fetchJson,
+        vapid: {
+            subject: process.env.VAPID_SUBJECT || 'mailto:admin@example.com',
+            publicKey: process.env.VAPID_PUBLIC_KEY,
+            privateKey: process.env.VAPID_PRIVATE_KEY,
+        },
+        dispatch: {
+            smtpUrl: process.env.SMTP_URL,
+            emailFrom: process.env.ALERT_EMAIL_FROM,
+            dashboardUrl: process.env.DASHBOARD_URL,
+            allowedHosts: (process.env.ALERT_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean),
+        },
+    };
+}
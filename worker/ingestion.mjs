@@ -0,0 +1,239 @@
+// --- Space weather ingestion: fetch, normalise and write the hourly series and events to Firestore ---
+// Runs server-side with firebase-admin so a single process talks to NASA/NOAA and writes the
+// shared collection, instead of every open dashboard doing it. Writes are idempotent: each hour
+// has a stable document ID, unchanged hours are skipped, and the rest go out in batches.
+import { Timestamp } from 'firebase-admin/firestore';
+import {
+    fetchSpaceWeather, canBackfill, DEFAULT_SOURCE_IDS, DONKI_MAX_RANGE_DAYS, solarCycleIndicesUrl, parseSolarCycleIndices,
+} from '../src/lib/sources/index.js';
+import {
+    spaceWeatherCollectionPath, ingestionStatusDocPath, toSpaceWeatherDocId, spaceWeatherEventsCollectionPath, toEventDocId,
+    ingestionCoverageDocPath, backfillRequestsCollectionPath, dailyStatisticsCollectionPath, sunspotNumbersDocPath,
+} from '../src/lib/spaceWeatherStore.js';
+import { mergeRanges, chunkRange } from '../src/lib/timeRange.js';
+import { dailySummaries, daysOf } from '../src/lib/statistics.js';
+import { SUNSPOT_SERIES_START } from '../src/lib/solarCycle.js';
+
+const MAX_BATCH_SIZE = 500; // Firestore limit on writes per batch
+const DAY_MS = 24 * 3600000;
+// SWPC updates the monthly sunspot numbers about once a month; a day old is fresh enough
+const SUNSPOT_MAX_AGE_MS = DAY_MS;
+// A backfill marked running that has not reported progress for this long belongs to a worker that
+// stopped without putting it back (a crash or a killed container)
+export const STALE_BACKFILL_MS = 3600000;
+
+// True when the stored document already holds every value of the fresh point
+function isUnchanged(stored, point) {
+    if (!stored) return false;
+    return Object.entries(point).every(([field, value]) => {
+        if (field === 'timestamp') return true;
+        return (stored[field] ?? null) === (value ?? null);
+    });
+}
+
+const toTimestamp = (isoTime) => (isoTime ? Timestamp.fromDate(new Date(isoTime)) : null);
+
+// Writes the entries whose stored document differs, in batches. Returns how many were written.
+async function writeChanged(db, entries, isSame, toDocument) {
+    const snapshots = entries.length ? await db.getAll(...entries.map(entry => entry.ref)) : [];
+    const changed = entries.filter((entry, i) => !isSame(snapshots[i].exists ? snapshots[i].data() : null, entry.value));
+
+    for (let i = 0; i < changed.length; i += MAX_BATCH_SIZE) {
+        const batch = db.batch();
+        for (const { ref, value } of changed.slice(i, i + MAX_BATCH_SIZE)) {
+            batch.set(ref, toDocument(value), { merge: true });
+        }
+        await batch.commit();
+    }
+    return changed.length;
+}
+
+// Writes the hourly points that changed. Returns how many documents were written.
+export async function writeSeries(db, appId, series) {
+    const collectionRef = db.collection(spaceWeatherCollectionPath(appId));
+    const entries = series.map(point => ({ ref: collectionRef.doc(toSpaceWeatherDocId(point.timestamp)), value: point }));
+    return writeChanged(db, entries, isUnchanged, point => ({ ...point, timestamp: Timestamp.fromDate(new Date(point.timestamp)) }));
+}
+
+// Writes each event to the collection of its type. DONKI revises events in place (new versionId,
+// added links), so an event is rewritten whenever its raw record changed.
+export async function writeEvents(db, appId, events) {
+    const entries = events.map(event => ({
+        ref: db.collection(spaceWeatherEventsCollectionPath(appId, event.type)).doc(toEventDocId(event.id)),
+        value: event,
+    }));
+    return writeChanged(db, entries, (stored, event) => Boolean(stored) && stored.raw === event.raw, event => ({
+        ...event,
+        startTime: toTimestamp(event.startTime),
+        peakTime: toTimestamp(event.peakTime),
+        endTime: toTimestamp(event.endTime),
+    }));
+}
+
+// Recounts the daily statistics (statistics.js) of every UTC day `range` touches from what is
+// stored, so a run that fetched only part of a day still counts the whole of it. Returns how many
+// days changed.
+export async function writeDailyStatistics(db, appId, range) {
+    const days = daysOf({ start: new Date(range.start), end: new Date(range.end) });
+    const dayRange = { start: new Date(`${days[0]}T00:00:00Z`), end: new Date(Date.parse(`${days[days.length - 1]}T00:00:00Z`) + DAY_MS - 1) };
+    const within = (path, field) => db.collection(path)
+        .where(field, '>=', Timestamp.fromDate(dayRange.start))
+        .where(field, '<=', Timestamp.fromDate(dayRange.end))
+        .get()
+        .then(snapshot => snapshot.docs.map(d => ({ ...d.data(), [field]: d.data()[field].toDate().toISOString() })));
+    const [flares, cmes, points] = await Promise.all([
+        within(spaceWeatherEventsCollectionPath(appId, 'FLR'), 'startTime'),
+        within(spaceWeatherEventsCollectionPath(appId, 'CME'), 'startTime'),
+        within(spaceWeatherCollectionPath(appId), 'timestamp'),
+    ]);
+    const collectionRef = db.collection(dailyStatisticsCollectionPath(appId));
+    const entries = dailySummaries({ flares, cmes, points }, dayRange).map(summary => ({ ref: collectionRef.doc(summary.day), value: summary }));
+    const isSame = (stored, summary) => Boolean(stored)
+        && Object.keys(summary).every(field => JSON.stringify(stored[field]) === JSON.stringify(summary[field]));
+    return writeChanged(db, entries, isSame, summary => ({ ...summary, updatedAt: Timestamp.now() }));
+}
+
+// Stores SWPC's monthly sunspot numbers since SUNSPOT_SERIES_START for the solar cycle panel,
+// unless they were fetched less than a day ago. Returns whether it fetched them.
+export async function runSunspotIngestion({ db, appId, sourceConfig = {}, fetchJson, signal, now = new Date() }) {
+    const sunspotsRef = db.doc(sunspotNumbersDocPath(appId));
+    const stored = await sunspotsRef.get();
+    if (stored.exists && now - stored.data().updatedAt.toDate() < SUNSPOT_MAX_AGE_MS) return false;
+    const months = parseSolarCycleIndices(await fetchJson(solarCycleIndicesUrl(sourceConfig), { signal }))
+        .filter(entry => entry.month >= SUNSPOT_SERIES_START);
+    await sunspotsRef.set({ months, updatedAt: Timestamp.fromDate(now) });
+    console.log(`Stored ${months.length} monthly sunspot numbers through ${months.length ? months[months.length - 1].month : 'none'}.`);
+    return true;
+}
+
+// Adds a freshly ingested range to the coverage document the dashboard checks for gaps.
+// Only the worker writes it, one run at a time, so a plain read-modify-write is enough.
+export async function recordCoverage(db, appId, range) {
+    const coverageRef = db.doc(ingestionCoverageDocPath(appId));
+    const snapshot = await coverageRef.get();
+    const ranges = snapshot.exists ? snapshot.data().ranges || [] : [];
+    const added = { start: new Date(range.start).toISOString(), end: new Date(range.end).toISOString() };
+    await coverageRef.set({ ranges: mergeRanges([...ranges, added]), updatedAt: Timestamp.now() });
+}
+
+// One ingestion run: fetch every source, merge into the hourly series, write the series and events
+// that changed and record the outcome in the status document the dashboard can show, with the API
+// quota left when the requests went through a `requestScheduler`. The range only counts as covered
+// when every source answered; otherwise it stays a gap the dashboard offers to backfill.
+export async function runIngestion({ db, appId, sources, sourceConfig, startDate, endDate = new Date(), fetchJson, requestScheduler, signal }) {
+    const startedAt = new Date();
+    const statusRef = db.doc(ingestionStatusDocPath(appId));
+    const apiQuota = () => (requestScheduler ? requestScheduler.quotaStatus() : null);
+    try {
+        const { series, events, failedSources } = await fetchSpaceWeather({ sources, config: sourceConfig, startDate, endDate, fetchJson, signal });
+        const written = await writeSeries(db, appId, series);
+        const eventsWritten = await writeEvents(db, appId, events);
+        if (series.length) {
+            await writeDailyStatistics(db, appId, { start: series[0].timestamp, end: endDate });
+            if (!failedSources.length) await recordCoverage(db, appId, { start: series[0].timestamp, end: endDate });
+        }
+        await statusRef.set({
+            lastRunAt: Timestamp.fromDate(startedAt),
+            lastSuccessAt: Timestamp.now(),
+            pointsFetched: series.length,
+            pointsWritten: written,
+            eventsFetched: events.length,
+            eventsWritten,
+            failedSources,
+            apiQuota: apiQuota(),
+            lastError: null,
+        }, { merge: true });
+        console.log(`Ingested ${series.length} hourly points (${written} written) and ${events.length} events (${eventsWritten} written).`);
+        return { pointsFetched: series.length, pointsWritten: written, eventsFetched: events.length, eventsWritten, failedSources };
+    } catch (error) {
+        await statusRef.set({ lastRunAt: Timestamp.fromDate(startedAt), apiQuota: apiQuota(), lastError: error.message }, { merge: true });
+        throw error;
+    }
+}
+
+// Fills an older range from DONKI, one chunk at a time so every request stays within the span
+// DONKI accepts. SWPC sources are skipped: their products only reach back a few days. Each
+// chunk is recorded in the coverage document as soon as it is written, so an interrupted
+// backfill keeps what it got; a chunk where a source failed is written but not recorded, and
+// counted in `incompleteChunks`. `onProgress({ chunksDone, chunks })` is called after every chunk.
+export async function runBackfill({
+    db, appId, start, end, sources = DEFAULT_SOURCE_IDS, sourceConfig, fetchJson, signal, chunkDays = DONKI_MAX_RANGE_DAYS, onProgress,
+}) {
+    const backfillSources = sources.filter(canBackfill);
+    if (!backfillSources.length) throw new Error('None of the selected sources can be backfilled (only DONKI keeps history).');
+
+    const chunks = chunkRange({ start, end }, chunkDays);
+    const totals = { incompleteChunks: 0, pointsWritten: 0, eventsWritten: 0 };
+    for (const [i, chunk] of chunks.entries()) {
+        const { series, events, failedSources } = await fetchSpaceWeather({
+            sources: backfillSources, config: sourceConfig, startDate: chunk.start, endDate: chunk.end, fetchJson, signal,
+        });
+        totals.pointsWritten += await writeSeries(db, appId, series);
+        totals.eventsWritten += await writeEvents(db, appId, events);
+        await writeDailyStatistics(db, appId, chunk);
+        if (failedSources.length) totals.incompleteChunks += 1;
+        else await recordCoverage(db, appId, chunk);
+        console.log(`Backfilled ${chunk.start.toISOString()} to ${chunk.end.toISOString()} (${i + 1}/${chunks.length}).`);
+        if (onProgress) await onProgress({ chunksDone: i + 1, chunks: chunks.length });
+    }
+    return { chunks: chunks.length, ...totals };
+}
+
+// Puts requests left 'running' by a worker that stopped mid-way back in the queue. Returns how many.
+async function requeueStaleBackfills(db, appId) {
+    const snapshot = await db.collection(backfillRequestsCollectionPath(appId)).where('status', '==', 'running').get();
+    const stale = snapshot.docs.filter(requestDoc => {
+        const { startedAt, progressAt } = requestDoc.data();
+        const lastSeen = progressAt || startedAt;
+        return !lastSeen || Date.now() - lastSeen.toMillis() > STALE_BACKFILL_MS;
+    });
+    for (const requestDoc of stale) {
+        console.warn(`Backfill ${requestDoc.id} was left running; queueing it again.`);
+        await requestDoc.ref.update({ status: 'pending' });
+    }
+    return stale.length;
+}
+
+// Runs the backfills the dashboard asked for (status 'pending'), oldest request first, and
+// reports progress and the outcome on each request document. Aborting `signal` stops after
+// putting the current request back in the queue. Requests a crashed worker left running are
+// queued again first.
+export async function processBackfillRequests({ db, appId, ...options }) {
+    await requeueStaleBackfills(db, appId);
+    const snapshot = await db.collection(backfillRequestsCollectionPath(appId)).where('status', '==', 'pending').get();
+    const requests = snapshot.docs.sort((a, b) => a.data().requestedAt.toMillis() - b.data().requestedAt.toMillis());
+    for (const requestDoc of requests) {
+        const { start, end } = requestDoc.data();
+        await requestDoc.ref.update({ status: 'running', startedAt: Timestamp.now() });
+        try {
+            const result = await runBackfill({
+                db,
+                appId,
+                ...options,
+                start: new Date(start),
+                end: new Date(end),
+                onProgress: progress => requestDoc.ref.update({ progress, progressAt: Timestamp.now() }),
+            });
+            // What was fetched is kept, but the range stays a gap the dashboard can ask for again
+            if (result.incompleteChunks) {
+                await requestDoc.ref.update({
+                    status: 'failed',
+                    finishedAt: Timestamp.now(),
+                    result,
+                    error: `A data source failed for ${result.incompleteChunks} of ${result.chunks} chunks.`,
+                });
+                continue;
+            }
+            await requestDoc.ref.update({ status: 'done', finishedAt: Timestamp.now(), result });
+        } catch (error) {
+            // A worker shutting down leaves the request for the next run; what was written is kept
+            if (error.name === 'AbortError') {
+                await requestDoc.ref.update({ status: 'pending' });
+                throw error;
+            }
+            console.error(`Backfill ${requestDoc.id} failed:`, error);
+            await requestDoc.ref.update({ status: 'failed', finishedAt: Timestamp.now(), error: error.message });
+        }
+    }
+    return requests.length;
+}
@@ -0,0 +1,61 @@
+// --- Outbound requests to user-supplied URLs only reach the public internet ---
+// Alert endpoints are URLs that users type in. Without a check, the worker would POST from inside
+// its own network: to localhost, the cloud metadata service (169.254.169.254) or private hosts.
+// Names are checked when the connection is made, on the address actually used, so a name that
+// resolves differently a second time (DNS rebinding) gets no further.
+import dns from 'node:dns';
+import net from 'node:net';
+
+// Loopback, private, carrier-grade NAT, link-local (cloud metadata), documentation (TEST-NET),
+// benchmarking, multicast and reserved ranges. IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are
+// checked as IPv4. NAT64 (64:ff9b::/96) and 6to4 (2002::/16) addresses embed an IPv4 address that
+// a gateway forwards to, so they are refused whole rather than trusted to embed a public one.
+const NON_PUBLIC = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3],
+].forEach(([network, prefix]) => NON_PUBLIC.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => NON_PUBLIC.addSubnet(network, prefix, 'ipv6'));
+
+export function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return false;
+    return !NON_PUBLIC.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+export class NonPublicAddressError extends Error {
+    constructor(hostname, address) {
+        super(`${hostname} is not a public address${address && address !== hostname ? ` (resolves to ${address})` : ''}`);
+        this.name = 'NonPublicAddressError';
+        this.code = 'EADDRNOTPUBLIC';
+    }
+}
+
+const bareHost = (hostname) => hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+// Throws NonPublicAddressError for a URL whose host is an IP literal outside the public internet.
+// (Literals are connected to without a lookup, so publicOnlyLookup never sees them.)
+export function assertPublicHost(url, allowedHosts = []) {
+    const host = bareHost(new URL(url).hostname);
+    if (allowedHosts.includes(host)) return;
+    if (net.isIP(host) && !isPublicAddress(host)) throw new NonPublicAddressError(host);
+}
+
+// A `lookup` for http.request and net.connect that fails for names resolving to a non-public
+// address. `allowedHosts` are names (or literals) let through anyway, e.g. a local test sink.
+export function publicOnlyLookup(allowedHosts = []) {
+    return (hostname, options, callback) => {
+        dns.lookup(hostname, options, (error, address, family) => {
+            if (error) return callback(error);
+            if (!allowedHosts.includes(bareHost(hostname))) {
+                const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+                const blocked = addresses.find(candidate => !isPublicAddress(candidate));
+                if (blocked) return callback(new NonPublicAddressError(hostname, blocked));
+            }
+            return callback(null, address, family);
+        });
+    };
+}
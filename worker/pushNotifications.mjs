@@ -0,0 +1,109 @@
+// --- Web Push delivery of alert notifications ---
+// After each ingestion run, evaluates every subscribed user's own alert rules over the last 7 days
+// and pushes a notification when planAlertNotification says so. The rules already notified are
+// kept per user in settings/notificationState, so the next run does not repeat them.
+import https from 'node:https';
+import webpush from 'web-push';
+import { Timestamp } from 'firebase-admin/firestore';
+import { evaluateAlertRules } from '../src/lib/alertRules.js';
+import { DEFAULT_NOTIFICATION_PREFS, planAlertNotification } from '../src/lib/notifications.js';
+import { userSettingsDocPath, PUSH_SUBSCRIPTIONS_COLLECTION } from '../src/lib/spaceWeatherStore.js';
+import { METRIC_LABELS, loadRecentSeries, readSettings, loadAlertRules } from './alertInputs.mjs';
+import { assertPublicHost, publicOnlyLookup } from './publicAddress.mjs';
+
+const PUSH_TTL_SECONDS = 6 * 3600; // An alert older than this is not worth delivering
+
+// Push subscriptions of this app, grouped by user ID
+async function loadSubscriptionsByUser(db, appId) {
+    const snapshot = await db.collectionGroup(PUSH_SUBSCRIPTIONS_COLLECTION).get();
+    const byUser = new Map();
+    for (const subscriptionDoc of snapshot.docs) {
+        if (!subscriptionDoc.ref.path.startsWith(`artifacts/${appId}/users/`)) continue;
+        const userId = subscriptionDoc.ref.parent.parent.id;
+        if (!byUser.has(userId)) byUser.set(userId, []);
+        byUser.get(userId).push(subscriptionDoc);
+    }
+    return byUser;
+}
+
+// Subscriptions are written by browsers, so the endpoint is whatever URL the owner stored. Push
+// services are public https hosts: anything else is refused before a request is made, and names
+// are checked again when connecting (publicAddress.mjs), as for webhooks.
+function assertPushEndpoint(endpoint) {
+    const url = new URL(endpoint);
+    if (url.protocol !== 'https:') throw new Error(`${url.protocol} is not https`);
+    assertPublicHost(url);
+}
+
+const sendWithWebPush = (vapid) => {
+    const agent = new https.Agent({ lookup: publicOnlyLookup() });
+    return (subscription, payload) => webpush.sendNotification(subscription, payload, {
+        TTL: PUSH_TTL_SECONDS,
+        vapidDetails: { subject: vapid.subject, publicKey: vapid.publicKey, privateKey: vapid.privateKey },
+        agent,
+    });
+};
+
+// One pass over all subscribed users. `vapid` is { subject, publicKey, privateKey }; without it
+// push is skipped. `send(subscription, payload)` can replace web-push (tests, other transports).
+export async function runPushNotifications({ db, appId, vapid, send, now = new Date() }) {
+    if (!send && !(vapid?.publicKey && vapid?.privateKey)) {
+        console.log('Web Push not configured (VAPID keys missing); skipping notifications.');
+        return { usersNotified: 0, pushesSent: 0 };
+    }
+    const deliver = send || sendWithWebPush(vapid);
+    const subscriptionsByUser = await loadSubscriptionsByUser(db, appId);
+    if (!subscriptionsByUser.size) return { usersNotified: 0, pushesSent: 0 };
+
+    const series = await loadRecentSeries(db, appId, now);
+    let usersNotified = 0;
+    let pushesSent = 0;
+
+    for (const [userId, subscriptionDocs] of subscriptionsByUser) {
+        const savedPrefs = await readSettings(db, userSettingsDocPath(appId, userId, 'notifications'));
+        const prefs = {
+            ...DEFAULT_NOTIFICATION_PREFS,
+            ...savedPrefs,
+            quietHours: { ...DEFAULT_NOTIFICATION_PREFS.quietHours, ...savedPrefs?.quietHours },
+        };
+        if (!prefs.enabled || !prefs.push) continue;
+
+        const rules = await loadAlertRules(db, userSettingsDocPath(appId, userId, 'alertRules'));
+        const state = await readSettings(db, userSettingsDocPath(appId, userId, 'notificationState'));
+        const previous = state?.notifiedRuleIds || [];
+
+        const prediction = evaluateAlertRules(rules, series, METRIC_LABELS);
+        const { notification, notifiedRuleIds } = planAlertNotification(prediction, prefs, previous, now);
+
+        if (notification) {
+            const payload = JSON.stringify(notification);
+            for (const subscriptionDoc of subscriptionDocs) {
+                const { endpoint, keys } = subscriptionDoc.data();
+                try {
+                    assertPushEndpoint(endpoint);
+                } catch (error) {
+                    console.warn(`Removing push subscription ${subscriptionDoc.ref.path}: ${error.message}`);
+                    await subscriptionDoc.ref.delete();
+                    continue;
+                }
+                try {
+                    await deliver({ endpoint, keys }, payload);
+                    pushesSent += 1;
+                } catch (error) {
+                    // 404/410: the browser dropped the subscription, and a name resolving to a
+                    // non-public address would be refused again; either way, stop trying it
+                    if (error.statusCode === 404 || error.statusCode === 410 || error.code === 'EADDRNOTPUBLIC') await subscriptionDoc.ref.delete();
+                    else console.error(`Push to user ${userId} failed:`, error);
+                }
+            }
+            usersNotified += 1;
+        }
+
+        if (notifiedRuleIds.join() !== previous.join()) {
+            await db.doc(userSettingsDocPath(appId, userId, 'notificationState')).set({ notifiedRuleIds, updatedAt: Timestamp.now() });
+        }
+    }
+
+    console.log(`Alert notifications: ${usersNotified} users notified, ${pushesSent} pushes sent.`);
+    return { usersNotified, pushesSent };
+}
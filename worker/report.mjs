@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// --- Daily report files from the stored series (CLI) ---
+// Requires Node 20.19+. Uses the same environment as worker/ingest.mjs.
+//
+//   node worker/report.mjs                               Yesterday (UTC) as CSV, JSON and SVG in ./reports
+//   node worker/report.mjs --date=2024-05-10 --days=3 --out=/var/reports --formats=csv,svg
+//
+// The files are the dashboard's exports (src/lib/exportData.js and chartSvg.js) for that range
+// at hourly resolution. PNG needs a browser canvas; convert the SVG if a bitmap is required,
+// e.g. rsvg-convert -o report.png report.svg.
+import fs from 'fs';
+import path from 'path';
+import { Timestamp } from 'firebase-admin/firestore';
+import { DEFAULT_SOURCE_IDS } from '../src/lib/sources/index.js';
+import { spaceWeatherCollectionPath } from '../src/lib/spaceWeatherStore.js';
+import { exportFieldSpecs, dataAttribution, formatExportRange, exportFileName, seriesToCsv, seriesToJson } from '../src/lib/exportData.js';
+import { composeChartSvg, panelLegend, renderTrendPanelsSvg } from '../src/lib/chartSvg.js';
+import { DEFAULT_TREND_PANELS, panelFields } from '../src/lib/trendPanels.js';
+import { createDb, appIdFromEnv } from './env.mjs';
+
+const REPORT_FORMATS = ['csv', 'json', 'svg'];
+const REPORT_FIELDS = panelFields(DEFAULT_TREND_PANELS);
+
+function parseArgs(argv) {
+    const yesterday = new Date(Date.now() - 24 * 3600000).toISOString().slice(0, 10);
+    const args = { date: yesterday, days: 1, out: 'reports', formats: REPORT_FORMATS };
+    for (const arg of argv) {
+        if (arg.startsWith('--date=')) args.date = arg.slice('--date='.length);
+        else if (arg.startsWith('--days=')) args.days = Number(arg.slice('--days='.length));
+        else if (arg.startsWith('--out=')) args.out = arg.slice('--out='.length);
+        else if (arg.startsWith('--formats=')) args.formats = arg.slice('--formats='.length).split(',').map(f => f.trim());
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(args.date) || Number.isNaN(new Date(args.date).valueOf())) throw new Error('--date must be YYYY-MM-DD.');
+    if (!Number.isInteger(args.days) || args.days < 1) throw new Error('--days must be a whole number of days (1 or more).');
+    const unknown = args.formats.filter(format => !REPORT_FORMATS.includes(format));
+    if (unknown.length) throw new Error(`Unsupported format(s) ${unknown.join(', ')}; use ${REPORT_FORMATS.join(', ')}.`);
+    return args;
+}
+
+// Hourly points from start (inclusive) to end (exclusive)
+async function loadSeries(db, appId, { start, end }) {
+    const snapshot = await db.collection(spaceWeatherCollectionPath(appId))
+        .where('timestamp', '>=', Timestamp.fromDate(start))
+        .where('timestamp', '<', Timestamp.fromDate(end))
+        .orderBy('timestamp', 'asc')
+        .get();
+    return snapshot.docs.map(d => ({ ...d.data(), timestamp: d.data().timestamp.toDate().toISOString() }));
+}
+
+// Writes the report files and returns their paths
+async function writeReport({ db, appId, range, formats = REPORT_FORMATS, outDir }) {
+    const series = await loadSeries(db, appId, range);
+    const days = Math.round((range.end - range.start) / (24 * 3600000));
+    const title = `Space Weather Report (${days === 1 ? range.start.toISOString().slice(0, 10) : `${days} days`})`;
+    const fieldSpecs = exportFieldSpecs(REPORT_FIELDS, DEFAULT_SOURCE_IDS);
+    const attribution = dataAttribution(REPORT_FIELDS, DEFAULT_SOURCE_IDS);
+
+    const render = {
+        csv: () => seriesToCsv(series, fieldSpecs),
+        json: () => seriesToJson(series, fieldSpecs, { title, range, resolution: 'hour', attribution }),
+        svg: () => {
+            const chart = renderTrendPanelsSvg(series);
+            return composeChartSvg(chart.markup, {
+                chartWidth: chart.width,
+                chartHeight: chart.height,
+                title,
+                subtitle: `${formatExportRange(range)} · Hourly values`,
+                attribution,
+                legend: panelLegend(DEFAULT_TREND_PANELS),
+            }).markup;
+        },
+    };
+
+    fs.mkdirSync(outDir, { recursive: true });
+    return formats.map(format => {
+        const file = path.join(outDir, exportFileName(range, format));
+        fs.writeFileSync(file, render[format]());
+        return file;
+    });
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const start = new Date(`${args.date}T00:00:00Z`);
+    const range = { start, end: new Date(start.valueOf() + args.days * 24 * 3600000) };
+    const files = await writeReport({ db: createDb(), appId: appIdFromEnv(), range, formats: args.formats, outDir: args.out });
+    console.log(`Report for ${formatExportRange(range)} written:\n${files.join('\n')}`);
+}
+
+main().catch(error => {
+    console.error('Report failed:', error);
+    process.exitCode = 1;
+});